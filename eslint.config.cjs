@@ -5,7 +5,7 @@ module.exports = [
   js.configs.recommended,
   // Lint this config file (and root node scripts) with Node globals
   {
-    files: ['eslint.config.cjs', 'update-version.js'],
+    files: ['eslint.config.cjs', 'update-version.js', 'relay-server.js'],
     languageOptions: {
       ecmaVersion: 2021,
       sourceType: 'commonjs',
@@ -13,6 +13,7 @@ module.exports = [
         require: 'readonly',
         module: 'readonly',
         process: 'readonly',
+        console: 'readonly',
         __dirname: 'readonly'
       }
     },
@@ -51,5 +52,18 @@ module.exports = [
       // Enforce 4-space indentation per project preference
       'indent': ['warn', 4, { SwitchCase: 1 }]
     }
+  },
+  // Node tests for the pure modules in src/ (run with `npm test`)
+  {
+    files: ['test/**/*.mjs'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module'
+    },
+    rules: {
+      'prefer-const': ['warn', { destructuring: 'all' }],
+      'eqeqeq': ['warn', 'always'],
+      'indent': ['warn', 4, { SwitchCase: 1 }]
+    }
   }
 ];
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+// relay-server.js
+// WebSocket relay for Rocket Wars online games. Players host and join rooms by code; the relay
+// only forwards messages between the clients in a room. It knows nothing about the game itself:
+// every client runs the simulation from the shared seed (see src/network.js).
+//
+// Usage: npm run relay            (listens on port 8787)
+//        PORT=9000 npm run relay  (custom port)
+
+const { WebSocketServer } = require('ws');
+
+const PORT = Number(process.env.PORT) || 8787;
+/** Letters used for room codes (no I or O, which are easily confused with 1 and 0) */
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 4;
+/** Largest message the relay will forward (a match snapshot fits comfortably) */
+const MAX_MESSAGE_BYTES = 512 * 1024;
+
+/**
+ * An open room
+ * @typedef {Object} Room
+ * @property {string} code - Room code
+ * @property {Map<number, RelaySocket>} clients - Sockets in the room by client id
+ * @property {number} nextClientId - Id for the next client to join (the host is 0)
+ */
+
+/**
+ * A client socket, with the room it is in
+ * @typedef {import('ws').WebSocket & {room?: Room|null, clientId?: number}} RelaySocket
+ */
+
+/**
+ * Open rooms by code
+ * @type {Map<string, Room>}
+ */
+const rooms = new Map();
+
+/**
+ * Make an unused room code
+ * @returns {string} Room code, e.g. 'KQTZ'
+ */
+function createRoomCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+            code += ROOM_CODE_LETTERS[Math.floor(Math.random() * ROOM_CODE_LETTERS.length)];
+        }
+    } while (rooms.has(code));
+    return code;
+}
+
+/**
+ * Send a relay message to one client
+ * @param {RelaySocket} socket - Client socket
+ * @param {Object} message - Message to send
+ */
+function send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Send a relay message to every client in a room except one
+ * @param {Room} room - Room
+ * @param {number|null} exceptId - Client to skip (null for none)
+ * @param {Object} message - Message to send
+ */
+function broadcast(room, exceptId, message) {
+    room.clients.forEach((socket, clientId) => {
+        if (clientId !== exceptId) send(socket, message);
+    });
+}
+
+/**
+ * Add a client to a room
+ * @param {Room} room - Room
+ * @param {RelaySocket} socket - Client socket
+ * @returns {number} The client's id in the room (the host is 0)
+ */
+function addClient(room, socket) {
+    const clientId = room.nextClientId++;
+    room.clients.set(clientId, socket);
+    socket.room = room;
+    socket.clientId = clientId;
+    return clientId;
+}
+
+/**
+ * Remove a client from its room. The room closes when its host leaves.
+ * @param {RelaySocket} socket - Client socket
+ */
+function removeClient(socket) {
+    const room = socket.room;
+    if (!room) return;
+    room.clients.delete(socket.clientId);
+    socket.room = null;
+
+    if (socket.clientId === 0) {
+        console.log(`🚪 Room ${room.code} closed (host left)`);
+        broadcast(room, null, { type: 'room-closed' });
+        room.clients.forEach(client => { client.room = null; });
+        rooms.delete(room.code);
+    } else {
+        console.log(`👋 Client ${socket.clientId} left room ${room.code}`);
+        broadcast(room, null, { type: 'peer-left', clientId: socket.clientId });
+    }
+}
+
+/**
+ * Handle one message from a client
+ * @param {RelaySocket} socket - Client socket
+ * @param {Object} message - Parsed message
+ */
+function handleMessage(socket, message) {
+    switch (message.type) {
+        case 'host': {
+            removeClient(socket);
+            const room = { code: createRoomCode(), clients: new Map(), nextClientId: 0 };
+            rooms.set(room.code, room);
+            const clientId = addClient(room, socket);
+            send(socket, { type: 'hosted', code: room.code, clientId });
+            console.log(`🏠 Room ${room.code} opened`);
+            break;
+        }
+        case 'join': {
+            const code = String(message.code || '').trim().toUpperCase();
+            const room = rooms.get(code);
+            if (!room) {
+                send(socket, { type: 'error', message: `No game with room code ${code || '(blank)'}.` });
+                return;
+            }
+            removeClient(socket);
+            const clientId = addClient(room, socket);
+            send(socket, { type: 'joined', code, clientId });
+            broadcast(room, clientId, { type: 'peer-joined', clientId });
+            console.log(`🙋 Client ${clientId} joined room ${code}`);
+            break;
+        }
+        case 'send': {
+            const room = socket.room;
+            if (!room) {
+                send(socket, { type: 'error', message: 'Not in a room.' });
+                return;
+            }
+            const forwarded = { type: 'message', from: socket.clientId, data: message.data };
+            if (typeof message.to === 'number') {
+                const target = room.clients.get(message.to);
+                if (target) send(target, forwarded);
+            } else {
+                broadcast(room, socket.clientId, forwarded);
+            }
+            break;
+        }
+        default:
+            send(socket, { type: 'error', message: `Unknown message type '${message.type}'.` });
+    }
+}
+
+const server = new WebSocketServer({ port: PORT, maxPayload: MAX_MESSAGE_BYTES });
+
+server.on('connection', (/** @type {RelaySocket} */ socket) => {
+    socket.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch {
+            send(socket, { type: 'error', message: 'Messages must be JSON.' });
+            return;
+        }
+        handleMessage(socket, message || {});
+    });
+    socket.on('close', () => removeClient(socket));
+    socket.on('error', (err) => console.error('⚠️ Socket error:', err.message));
+});
+
+server.on('listening', () => {
+    console.log(`🚀 Rocket Wars relay listening on ws://localhost:${PORT}`);
+});
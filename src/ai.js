@@ -0,0 +1,198 @@
+// ai.js
+// Computer-controlled players for Rocket Wars: base choice, shot solving and turn playback
+
+import { createProjectileState, simulateFlight } from './simulation.js';
+import { getSceneSimulationWorld } from './projectile.js';
+import { getCurrentPlayerKey, isCpuTurn, isRemoteTurn } from './turnManager.js';
+import { getSelectedWeapon } from './weapons.js';
+import { areAllies } from './alliances.js';
+import { updateGameUI } from './ui/updateUI.js';
+import { random } from './random.js';
+import { info, trace } from './logger.js';
+
+/**
+ * CPU difficulty settings
+ * @typedef {Object} CpuDifficulty
+ * @property {string} name - Display name
+ * @property {number} angleError - Largest random error added to the solved angle (degrees)
+ * @property {number} powerError - Largest random error added to the solved power (0-1 scale)
+ */
+
+/** @type {Record<string, CpuDifficulty>} */
+export const CPU_DIFFICULTIES = {
+    easy: { name: 'Easy', angleError: 8, powerError: 0.1 },
+    medium: { name: 'Medium', angleError: 3, powerError: 0.04 },
+    hard: { name: 'Hard', angleError: 0.5, powerError: 0.01 }
+};
+
+/** Pause before the CPU starts aiming, so the camera can settle on its turret */
+const THINK_DELAY_MS = 800;
+/** How long the CPU's aiming line and tooltip are shown before it fires */
+const AIM_DISPLAY_MS = 1200;
+
+/**
+ * Look up a difficulty, falling back to medium for unknown ids
+ * @param {string} [difficultyId] - Difficulty id ('easy', 'medium' or 'hard')
+ * @returns {CpuDifficulty} Difficulty settings
+ */
+export function getCpuDifficulty(difficultyId) {
+    return CPU_DIFFICULTIES[difficultyId] || CPU_DIFFICULTIES.medium;
+}
+
+/**
+ * Choose a base for a CPU player: a random chunk among those furthest from the bases already taken
+ * @param {any[]} chunks - Terrain chunks
+ * @param {number[]} availableChunkIndices - Selectable, unoccupied chunk indices
+ * @param {number[]} occupiedIndices - Chunk indices already holding a base
+ * @returns {number} Chosen chunk index, or -1 if nothing is available
+ */
+export function chooseCpuBase(chunks, availableChunkIndices, occupiedIndices) {
+    if (availableChunkIndices.length === 0) return -1;
+    if (occupiedIndices.length === 0) {
+        return availableChunkIndices[Math.floor(random('cpu') * availableChunkIndices.length)];
+    }
+
+    // Score each chunk by its distance to the nearest existing base
+    const scored = availableChunkIndices.map(index => ({
+        index,
+        distance: Math.min(...occupiedIndices.map(occupied => Math.abs(occupied - index)))
+    }));
+    const best = Math.max(...scored.map(s => s.distance));
+    // Leave some variety: anything within 75% of the best spacing is fair game
+    const candidates = scored.filter(s => s.distance >= best * 0.75);
+    const choice = candidates[Math.floor(random('cpu') * candidates.length)];
+    trace(`🤖 CPU base candidates: ${candidates.length} (best spacing ${best} chunks)`);
+    return choice.index;
+}
+
+/**
+ * Fly a candidate shot through the simulation core and measure how close it lands to the target
+ * @param {import('./simulation.js').SimulationWorld} world - World to fly through
+ * @param {{x: number, y: number}} start - Launch point (gun tip)
+ * @param {number} angle - Launch angle in degrees
+ * @param {number} power - Launch power (0.1 to 1.0)
+ * @param {string} weaponId - Weapon being fired
+ * @param {any} target - Turret being aimed at
+ * @returns {number} Miss distance in pixels from the target (0 for a direct hit)
+ */
+function measureMiss(world, start, angle, power, weaponId, target) {
+    const projectile = createProjectileState(start.x, start.y, angle * Math.PI / 180, power, weaponId);
+    const { collisions, timedOut } = simulateFlight(projectile, world, [target]);
+    if (timedOut) return Infinity;
+    if (collisions.turret) return 0;
+    return Math.hypot(projectile.x - target.x, projectile.y - target.y);
+}
+
+/**
+ * Solve the angle and power that land closest to a target, by flying shots through the simulation
+ * core: a coarse sweep of the whole upper half-circle, then a fine search around the best shot.
+ * @param {any} scene - The Phaser scene (landscape, world bounds)
+ * @param {any} gameState - Current game state (wind, gravity, liquid)
+ * @param {any} turret - Firing turret
+ * @param {any} target - Turret being aimed at
+ * @returns {{angle: number, power: number, miss: number}} Best shot (angle in degrees)
+ */
+export function solveShot(scene, gameState, turret, target) {
+    const weapon = getSelectedWeapon(gameState, turret.team);
+    const world = getSceneSimulationWorld(scene);
+    // The barrel pivots 5px above the turret centre and is 25px long
+    const launchFrom = (angleDegrees) => {
+        const radians = angleDegrees * Math.PI / 180;
+        return { x: turret.x + Math.cos(radians) * 25, y: turret.y - 5 + Math.sin(radians) * 25 };
+    };
+
+    let best = { angle: -45, power: 0.5, miss: Infinity };
+    const trySearch = (angles, powers) => {
+        angles.forEach(angle => {
+            if (angle < -180 || angle > 0) return;
+            const start = launchFrom(angle);
+            powers.forEach(power => {
+                if (power < 0.1 || power > 1) return;
+                const miss = measureMiss(world, start, angle, power, weapon.id, target);
+                if (miss < best.miss) {
+                    best = { angle, power, miss };
+                }
+            });
+        });
+    };
+    const range = (from, to, step) => {
+        const values = [];
+        for (let v = from; v <= to + 1e-9; v += step) values.push(Math.round(v * 100) / 100);
+        return values;
+    };
+
+    trySearch(range(-175, -5, 5), range(0.15, 1, 0.05));
+    trySearch(range(best.angle - 4, best.angle + 4, 1), range(best.power - 0.04, best.power + 0.04, 0.01));
+
+    trace(`🤖 Solved shot at ${target.team}: angle ${best.angle}°, power ${Math.round(best.power * 100)}%, predicted miss ${Math.round(best.miss)}px`);
+    return best;
+}
+
+/**
+ * Pick the enemy turret a CPU player aims at: the nearest one still standing (never a teammate)
+ * @param {any} gameState - Game state object
+ * @param {any[]} turrets - All turrets
+ * @param {any} turret - The CPU's turret
+ * @returns {any|null} Target turret
+ */
+function chooseTarget(gameState, turrets, turret) {
+    const enemies = turrets.filter(t => t !== turret && t.active !== false && !areAllies(gameState, t.team, turret.team));
+    if (enemies.length === 0) return null;
+    return enemies.reduce((nearest, t) => Math.abs(t.x - turret.x) < Math.abs(nearest.x - turret.x) ? t : nearest);
+}
+
+/**
+ * Play the current turn for a CPU player, if the current player is computer-controlled.
+ * The CPU solves its shot, adds error for its difficulty, shows its aim briefly, then fires
+ * through the scene's normal shoot callback so all the usual turn checks apply.
+ * @param {any} scene - The Phaser scene (turrets, gameState, onShoot)
+ * @returns {boolean} True if a CPU turn was started
+ */
+export function startCpuTurnIfNeeded(scene) {
+    const gameState = scene.gameState;
+    // Replays play CPU turns back from the log instead, and online the host plays them for everyone
+    if (!gameState || scene.gameEnded || scene.replayViewer || !isCpuTurn(gameState) || isRemoteTurn(gameState)) return false;
+
+    const playerKey = getCurrentPlayerKey(gameState);
+    const turret = scene.turrets && scene.turrets.find(t => t.team === playerKey);
+    if (!turret) return false;
+
+    const difficulty = getCpuDifficulty(gameState[playerKey].cpuDifficulty);
+    const round = gameState.currentRound;
+    // The turn may have ended (timeout, game over) while the CPU was thinking
+    const turnStillOurs = () => !scene.gameEnded && !gameState.hasPlayerFiredThisTurn &&
+        gameState.currentRound === round && getCurrentPlayerKey(gameState) === playerKey;
+
+    info(`🤖 ${playerKey} (CPU ${difficulty.name}) is taking its turn`);
+
+    scene.time.delayedCall(THINK_DELAY_MS, () => {
+        if (!turnStillOurs()) return;
+        const target = chooseTarget(gameState, scene.turrets, turret);
+        if (!target) return;
+
+        const solved = solveShot(scene, gameState, turret, target);
+        const angleError = (random('cpu') * 2 - 1) * difficulty.angleError;
+        const powerError = (random('cpu') * 2 - 1) * difficulty.powerError;
+        const angle = Math.max(-180, Math.min(0, solved.angle + angleError));
+        const power = Math.max(0.1, Math.min(1, solved.power + powerError));
+
+        // Show the aim the same way keyboard aiming does
+        turret.startAiming();
+        const clampedAngle = turret.setGunAngle(angle);
+        turret.currentPower = power;
+        turret.drawAimingLineAndTooltip(clampedAngle * Math.PI / 180, power, true);
+
+        scene.time.delayedCall(AIM_DISPLAY_MS, () => {
+            if (!turnStillOurs()) {
+                turret.stopAiming();
+                turret.hideTooltip();
+                return;
+            }
+            const shootData = turret.stopAiming();
+            info(`🤖 ${playerKey} fires at ${target.team}: angle ${clampedAngle.toFixed(1)}°, power ${Math.round(power * 100)}%`);
+            scene.onShoot(turret, shootData);
+            updateGameUI(scene, gameState, { updateEnvironment: false, updatePlayers: false, updateTeleport: true });
+        });
+    });
+    return true;
+}
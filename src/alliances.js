@@ -0,0 +1,120 @@
+// alliances.js
+// Team play for Rocket Wars: with four players, the teams option pairs them into two alliances
+// (players 1 & 3 against 2 & 4, so turns alternate between them). Called alliances in the code because
+// each player's `team` is already their colour key ('player1', 'player2', etc.).
+
+/**
+ * Alliance definitions for 2v2 (index matches gameState.alliances.members)
+ * @type {Array<{name: string, hex: number, css: string}>}
+ */
+export const ALLIANCES = [
+    { name: 'Team A', hex: 0xe74c3c, css: '#e74c3c' }, // Red
+    { name: 'Team B', hex: 0x9b59b6, css: '#9b59b6' } // Purple
+];
+
+/**
+ * Alliance state stored on the game state
+ * @typedef {Object} AllianceState
+ * @property {number[][]} members - Player numbers in each alliance
+ * @property {boolean} friendlyFire - True if players can damage their teammates
+ */
+
+/**
+ * Create the alliance state for a new game
+ * @param {Object} [config] - Game configuration ({teams, friendlyFire, numPlayers})
+ * @returns {AllianceState|null} Alliance state, or null for every player for themselves
+ */
+export function createAllianceState(config = {}) {
+    if (!config.teams || config.numPlayers !== 4) {
+        return null;
+    }
+    return {
+        members: [[1, 3], [2, 4]],
+        friendlyFire: !!config.friendlyFire
+    };
+}
+
+/**
+ * Get the player number from a player key or number
+ * @param {string|number} player - Player key ('player1', etc.) or number
+ * @returns {number} Player number
+ */
+function toPlayerNumber(player) {
+    return typeof player === 'number' ? player : parseInt(player.replace('player', ''));
+}
+
+/**
+ * Get the alliance a player belongs to
+ * @param {any} gameState - Game state object
+ * @param {string|number} player - Player key ('player1', etc.) or number
+ * @returns {number|null} Alliance index, or null when there are no teams
+ */
+export function getAllianceIndex(gameState, player) {
+    if (!gameState.alliances) return null;
+    const playerNum = toPlayerNumber(player);
+    const index = gameState.alliances.members.findIndex(members => members.includes(playerNum));
+    return index === -1 ? null : index;
+}
+
+/**
+ * Check whether two different players are teammates
+ * @param {any} gameState - Game state object
+ * @param {string|number} playerA - Player key or number
+ * @param {string|number} playerB - Player key or number
+ * @returns {boolean} True if they are different players in the same alliance
+ */
+export function areAllies(gameState, playerA, playerB) {
+    if (!gameState.alliances || toPlayerNumber(playerA) === toPlayerNumber(playerB)) return false;
+    const allianceA = getAllianceIndex(gameState, playerA);
+    return allianceA !== null && allianceA === getAllianceIndex(gameState, playerB);
+}
+
+/**
+ * Get a player's teammates
+ * @param {any} gameState - Game state object
+ * @param {string} playerKey - Player key ('player1', etc.)
+ * @returns {string[]} Teammates' player keys (none without teams)
+ */
+export function getAllyKeys(gameState, playerKey) {
+    const index = getAllianceIndex(gameState, playerKey);
+    if (index === null) return [];
+    return gameState.alliances.members[index]
+        .map(playerNum => `player${playerNum}`)
+        .filter(key => key !== playerKey);
+}
+
+/**
+ * Check whether damage from one player to another is stopped because friendly fire is off
+ * @param {any} gameState - Game state object
+ * @param {string} targetKey - Player taking damage
+ * @param {string|null} attackerKey - Player who caused it
+ * @returns {boolean} True if the damage should not be applied
+ */
+export function isFriendlyFireBlocked(gameState, targetKey, attackerKey) {
+    return !!attackerKey && !!gameState.alliances && !gameState.alliances.friendlyFire && areAllies(gameState, targetKey, attackerKey);
+}
+
+/**
+ * Get the sides playing the match: the alliances, or each player on their own
+ * @param {any} gameState - Game state object
+ * @returns {number[][]} Player numbers on each side
+ */
+export function getSides(gameState) {
+    if (gameState.alliances) {
+        return gameState.alliances.members;
+    }
+    const sides = [];
+    for (let i = 1; i <= gameState.numPlayers; i++) {
+        sides.push([i]);
+    }
+    return sides;
+}
+
+/**
+ * Count the sides that still have a player alive
+ * @param {any} gameState - Game state object
+ * @returns {number} Surviving sides
+ */
+export function countSurvivingSides(gameState) {
+    return getSides(gameState).filter(members => members.some(playerNum => gameState.playersAlive.includes(playerNum))).length;
+}
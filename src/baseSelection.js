@@ -6,6 +6,9 @@ import { createBaseSelectionPanel, hideBaseSelectionPanel, positionBaseSelection
 import { getCurrentPlayer } from './turnManager.js';
 import { info, trace, warn, error as logError } from './logger.js';
 import { getTurretPositionForChunk, listSelectableChunkIndices } from './chunkBaseHelpers.js';
+import { chooseCpuBase } from './ai.js';
+import { isLocalPlayer, sendBaseChoice, waitForRemoteBase } from './network.js';
+import { getHillChunkIndices } from './hill.js';
 
 /**
  * Base selection stage state management
@@ -20,9 +23,10 @@ import { getTurretPositionForChunk, listSelectableChunkIndices } from './chunkBa
  * Initialize base selection for multiple players (full game setup)
  * @param {Scene} scene - The Phaser scene instance
  * @param {Object} gameConfig - Game configuration object
+ * @param {Record<string, number>|null} [presetBases] - Chunk index for each player key (replays place every base from the log)
  * @returns {Promise<{players: PlayerData[], turrets: any[]}>} Promise that resolves with player selection data and created turrets
  */
-export function initializeBaseSelection(scene, gameConfig) {
+export function initializeBaseSelection(scene, gameConfig, presetBases = null) {
     info('🎮 Starting Phaser-based base selection stage...');
     
     // Camera controls remain enabled since we're using Phaser panels now
@@ -37,6 +41,8 @@ export function initializeBaseSelection(scene, gameConfig) {
             const playerData = {
                 id: playerKey,
                 name: gameConfig.playerNames?.[playerKey] || `Player ${i}`, // Use name from game config
+                cpuDifficulty: (gameConfig.playerTypes?.[playerKey] ?? 'human') === 'human' ? null : gameConfig.playerTypes[playerKey],
+                profileId: gameConfig.playerProfiles?.[playerKey] || null,
                 team: playerKey,
                 chunkIndex: null,
                 health: 100,
@@ -48,7 +54,7 @@ export function initializeBaseSelection(scene, gameConfig) {
         trace('🎮 Player data initialized with names from game config:', players.map(p => ({ id: p.id, name: p.name })));
         
         // Initialize base selection logic (no need to create panel upfront)
-        startBaseSelection(scene, players, resolve);
+        startBaseSelection(scene, players, presetBases, resolve);
     });
 }
 
@@ -56,9 +62,10 @@ export function initializeBaseSelection(scene, gameConfig) {
  * Start the base selection process using Phaser panels
  * @param {Scene} scene - The Phaser scene with custom properties
  * @param {PlayerData[]} players - Array of player data
+ * @param {Record<string, number>|null} presetBases - Chunk index for each player key, or null to choose
  * @param {Function} resolve - Promise resolve function
  */
-function startBaseSelection(scene, players, resolve) {
+function startBaseSelection(scene, players, presetBases, resolve) {
     // Chunk-based selection path
     const chunks = scene.landscapeData?.chunks;
     if (!chunks) {
@@ -66,36 +73,72 @@ function startBaseSelection(scene, players, resolve) {
         return;
     }
     let currentPlayerIndex = 0;
-    let availableChunkIndices = listSelectableChunkIndices(chunks, []);
+    // Nobody starts on the king-of-the-hill zone (it has to be reached by teleporting)
+    const hillChunkIndices = getHillChunkIndices(scene.landscapeData.hillZone);
+    let availableChunkIndices = listSelectableChunkIndices(chunks, hillChunkIndices);
     const setupTurrets = [];
     
+    const getOccupiedIndices = () => players.filter(p => p.chunkIndex !== null && p.chunkIndex !== undefined).map(p => p.chunkIndex);
+
+    function handleBaseSelected(player, chunkIndex, position) {
+        info(`🎯 Player ${player.name} selected chunk ${chunkIndex}`);
+        player.chunkIndex = chunkIndex;
+        player.basePosition = position;
+        sendBaseChoice(scene, player.id, chunkIndex);
+        const turret = createGunTurret(scene, position.x, position.y, player.team);
+        /** @type {any} */ (turret).chunkIndex = chunkIndex;
+        player.turret = turret;
+        setupTurrets.push(turret);
+        trace(`🏭 Placed turret for ${player.name} at chunk ${chunkIndex} (${position.x}, ${position.y})`);
+        // Recompute available chunk indices excluding occupied
+        availableChunkIndices = listSelectableChunkIndices(chunks, getOccupiedIndices().concat(hillChunkIndices));
+        
+        // Move to next player or complete setup
+        currentPlayerIndex++;
+        if (currentPlayerIndex < players.length) {
+            showBaseSelection(currentPlayerIndex);
+        } else {
+            completeSetup();
+        }
+    }
+    
     function showBaseSelection(playerIndex) {
         const player = players[playerIndex];
         
         info(`🎯 Starting base selection for ${player.name} (${playerIndex + 1}/${players.length})`);
         
+        // Online, players on other devices choose there and their choice is sent here
+        if (!isLocalPlayer(scene, player.id)) {
+            waitForRemoteBase(scene, player, (chunkIndex) => {
+                handleBaseSelected(player, chunkIndex, getTurretPositionForChunk(chunks[chunkIndex]));
+            });
+            return;
+        }
+        
+        // Preset bases (replays) are placed after the same short pause CPU players use
+        const presetIndex = presetBases ? presetBases[player.id] : undefined;
+        if (presetIndex !== undefined && chunks[presetIndex]) {
+            scene.time.delayedCall(400, () => {
+                handleBaseSelected(player, presetIndex, getTurretPositionForChunk(chunks[presetIndex]));
+            });
+            return;
+        }
+        
+        // CPU players pick their own base after a short pause so the placement can be seen
+        if (player.cpuDifficulty) {
+            const chunkIndex = chooseCpuBase(chunks, availableChunkIndices, getOccupiedIndices());
+            if (chunkIndex !== -1) {
+                scene.time.delayedCall(400, () => {
+                    handleBaseSelected(player, chunkIndex, getTurretPositionForChunk(chunks[chunkIndex]));
+                });
+                return;
+            }
+            warn(`⚠️ No base available for CPU player ${player.name} - falling back to manual selection`);
+        }
+        
         // Use the shared single-player base selection logic
         startSinglePlayerChunkSelection(scene, player, chunks, availableChunkIndices, {
-            onBaseSelected: (chunkIndex, position) => {
-                info(`🎯 Player ${player.name} selected chunk ${chunkIndex}`);
-                player.chunkIndex = chunkIndex;
-                player.basePosition = position;
-                const turret = createGunTurret(scene, position.x, position.y, player.team);
-                player.turret = turret;
-                setupTurrets.push(turret);
-                trace(`🏭 Placed turret for ${player.name} at chunk ${chunkIndex} (${position.x}, ${position.y})`);
-                // Recompute available chunk indices excluding occupied
-                const occupied = players.filter(p => p.chunkIndex !== null && p.chunkIndex !== undefined).map(p => p.chunkIndex);
-                availableChunkIndices = listSelectableChunkIndices(chunks, occupied);
-                
-                // Move to next player or complete setup
-                currentPlayerIndex++;
-                if (currentPlayerIndex < players.length) {
-                    showBaseSelection(currentPlayerIndex);
-                } else {
-                    completeSetup();
-                }
-            },
+            onBaseSelected: (chunkIndex, position) => handleBaseSelected(player, chunkIndex, position),
             onCancelled: () => {
                 warn('🚫 Base selection cancelled - this should not happen in initial setup');
                 // In initial setup, cancellation shouldn't happen, but we could handle it
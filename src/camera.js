@@ -64,12 +64,12 @@ export function updateProjectileCamera(scene, projectiles) {
         const activeProjectile = projectiles[0];
         
         // Performance optimization: Only update camera if projectile is moving fast enough
-        const body = activeProjectile.body;
-        if (!body || !body.velocity) {
-            return; // Skip if no physics body or velocity
+        const velocity = activeProjectile.velocity;
+        if (!velocity) {
+            return; // Skip if no velocity
         }
         
-        const velocityMagnitude = Math.sqrt(body.velocity.x * body.velocity.x + body.velocity.y * body.velocity.y);
+        const velocityMagnitude = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
         const minFollowSpeed = 100; // Minimum speed to trigger camera following (pixels/second)
         
         // Skip camera updates for slow-moving projectiles (reduces jerkiness at arc peaks)
@@ -87,8 +87,8 @@ export function updateProjectileCamera(scene, projectiles) {
         
         // Add leading prediction based on velocity (only for fast-moving projectiles)
         if (velocityMagnitude > 50) { // Only lead if moving fast enough
-            const normalizedVelX = body.velocity.x / velocityMagnitude;
-            const normalizedVelY = body.velocity.y / velocityMagnitude;
+            const normalizedVelX = velocity.x / velocityMagnitude;
+            const normalizedVelY = velocity.y / velocityMagnitude;
             targetX += normalizedVelX * leadDistance;
             targetY += normalizedVelY * leadDistance;
         }
@@ -0,0 +1,161 @@
+// careerStats.js
+// Lifetime stats for each named player, kept in localStorage across matches, and the local leaderboard.
+// Players are matched by name (ignoring case); CPU players aren't recorded. Each match is recorded once,
+// however many times its end is seen on this device (a play-by-file final turn opened again, say).
+
+import { getRankedPlayers } from './turnManager.js';
+import { getMatchStats } from './matchStats.js';
+import { loadCareerStats, saveCareerStats } from './storage.js';
+import { info, warn } from './logger.js';
+
+/** Bump when the stored layout changes, and add a step to CAREER_MIGRATIONS to upgrade older data */
+const CAREER_STATS_VERSION = 2;
+
+/** How many recorded matches are remembered, to keep from recording one twice */
+const MAX_RECORDED_MATCHES = 100;
+
+/**
+ * Upgrades from each older version to the next (version n is upgraded by CAREER_MIGRATIONS[n])
+ * @type {Record<number, function(any): any>}
+ */
+const CAREER_MIGRATIONS = {
+    // v2 remembers which matches have been recorded
+    1: data => ({ ...data, version: 2, recordedMatches: [] })
+};
+
+/**
+ * Lifetime stats for one player
+ * @typedef {Object} CareerRecord
+ * @property {string} name - Player name as last entered
+ * @property {number} gamesPlayed - Matches finished
+ * @property {number} wins - Matches won (ranked first, or on the winning team)
+ * @property {number} podiums - Matches finished in the top three
+ * @property {number} shotsFired - Rockets fired
+ * @property {number} hits - Shots that damaged an opponent
+ * @property {number} damageDealt - Damage dealt to opponents
+ * @property {number} kills - Opponents destroyed
+ * @property {string} lastPlayed - ISO timestamp of the last match
+ */
+
+/**
+ * Stored career stats
+ * @typedef {Object} CareerStats
+ * @property {number} version - Layout version
+ * @property {Record<string, CareerRecord>} players - Records keyed by lower-case name
+ * @property {string[]} recordedMatches - Ids of the matches recorded most recently, oldest first
+ */
+
+/**
+ * Get the key a player's record is stored under
+ * @param {string} name - Player name
+ * @returns {string} Record key
+ */
+function getCareerKey(name) {
+    return name.trim().toLowerCase();
+}
+
+/**
+ * Load career stats, upgrading older layouts. Stats written by a newer version of the game
+ * are left alone (null is returned so they aren't overwritten).
+ * @returns {CareerStats|null} Career stats, or null if they can't be used by this version
+ */
+function loadCareer() {
+    let data = loadCareerStats();
+    if (!data || typeof data.version !== 'number' || !data.players) {
+        return { version: CAREER_STATS_VERSION, players: {}, recordedMatches: [] };
+    }
+    if (data.version > CAREER_STATS_VERSION) {
+        warn(`Career stats were saved by a newer version (v${data.version}) - not updating them`);
+        return null;
+    }
+    while (data.version < CAREER_STATS_VERSION) {
+        const migrate = CAREER_MIGRATIONS[data.version];
+        if (!migrate) {
+            warn(`No upgrade for career stats v${data.version} - starting afresh`);
+            return { version: CAREER_STATS_VERSION, players: {}, recordedMatches: [] };
+        }
+        data = migrate(data);
+    }
+    return data;
+}
+
+/**
+ * Add a finished match to every human player's lifetime stats, unless it has been added already
+ * @param {any} gameState - Game state at the end of the match
+ * @param {PlayerData[]} playerData - Player data with names
+ * @param {string} matchId - The match's id (getMatchId() in correspondence.js)
+ * @returns {boolean} True if the match was recorded, false if it was already recorded or couldn't be
+ */
+export function recordCareerMatch(gameState, playerData, matchId) {
+    const career = loadCareer();
+    if (!career || !playerData) return false;
+    if (career.recordedMatches.includes(matchId)) {
+        info(`🏅 Match ${matchId} is already in the career stats`);
+        return false;
+    }
+
+    const matchStats = getMatchStats(gameState);
+    const playedAt = new Date().toISOString();
+    getRankedPlayers(gameState, playerData).forEach(ranked => {
+        const player = playerData[ranked.number - 1];
+        if (!player || !player.name || player.cpuDifficulty) return;
+
+        const name = player.name.trim();
+        const key = getCareerKey(name);
+        const stats = matchStats[`player${ranked.number}`];
+        const record = career.players[key] || {
+            name,
+            gamesPlayed: 0,
+            wins: 0,
+            podiums: 0,
+            shotsFired: 0,
+            hits: 0,
+            damageDealt: 0,
+            kills: 0,
+            lastPlayed: playedAt
+        };
+        record.name = name;
+        record.gamesPlayed++;
+        record.wins += ranked.place === 1 ? 1 : 0; // Both members of the winning alliance win
+        record.podiums += ranked.place <= 3 ? 1 : 0;
+        record.shotsFired += stats.shotsFired;
+        record.hits += stats.hits;
+        record.damageDealt += stats.damageDealt;
+        record.kills += ranked.kills;
+        record.lastPlayed = playedAt;
+        career.players[key] = record;
+    });
+    career.recordedMatches = [...career.recordedMatches, matchId].slice(-MAX_RECORDED_MATCHES);
+
+    if (!saveCareerStats(career)) return false;
+    info(`🏅 Career stats updated for ${Object.keys(career.players).length} players`);
+    return true;
+}
+
+/**
+ * Get the local leaderboard: most wins first, then best win rate, then most damage
+ * @returns {Array<CareerRecord & {winRate: number, accuracy: number}>} Players with win rate and accuracy (%)
+ */
+export function getLeaderboard() {
+    const career = loadCareer();
+    if (!career) return [];
+    return Object.values(career.players)
+        .map(record => ({
+            ...record,
+            winRate: record.gamesPlayed > 0 ? Math.round(record.wins / record.gamesPlayed * 100) : 0,
+            accuracy: record.shotsFired > 0 ? Math.round(record.hits / record.shotsFired * 100) : 0
+        }))
+        .sort((a, b) => (b.wins - a.wins) || (b.winRate - a.winRate) || (b.damageDealt - a.damageDealt));
+}
+
+/**
+ * Forget one player's lifetime stats
+ * @param {string} name - Player name
+ */
+export function resetCareerPlayer(name) {
+    const career = loadCareer();
+    if (!career) return;
+    delete career.players[getCareerKey(name)];
+    saveCareerStats(career);
+    info(`🏅 Career stats reset for ${name}`);
+}
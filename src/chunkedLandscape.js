@@ -4,6 +4,9 @@
 import { generateLandscapePoints } from './landscape.js';
 import { loadDebugSetting } from './debugSettings.js';
 import { applyDamage } from './turnManager.js';
+import { MATERIALS, SAND_MAX_STEP, generateMaterialLayers } from './terrainMaterials.js';
+import { applyLiquidLanding, getLiquidSurfaceY } from './liquid.js';
+import { getTurretPositionForChunk } from './chunkBaseHelpers.js';
 import { info, trace, warn } from './logger.js';
 
 /**
@@ -19,6 +22,8 @@ import { info, trace, warn } from './logger.js';
  * @property {number} targetY - Target Y position for animation
  * @property {number} targetHeight - Target height for animation
  * @property {number} animationStartTime - When the animation started
+ * @property {number} bedrockY - Top of the indestructible bedrock layer (world height if none)
+ * @property {number} sandDepth - Thickness of loose sand at the top of the chunk
  * @property {Phaser.GameObjects.Graphics} graphics - Visual representation
  */
 
@@ -29,9 +34,10 @@ import { info, trace, warn } from './logger.js';
  * @param {number} worldWidth - World width in pixels
  * @param {number} worldHeight - World height in pixels
  * @param {number} [chunkWidth=30] - Width of each chunk in pixels (aligned with landscape points)
+ * @param {import('./terrainMaterials.js').MaterialLayers[]} [layers=[]] - Material layers for each point (all dirt if missing)
  * @returns {{chunks: TerrainChunk[], graphics: Phaser.GameObjects.Graphics}} Chunk data and graphics
  */
-export function createChunkedLandscape(scene, points, worldWidth, worldHeight, chunkWidth = 40) {
+export function createChunkedLandscape(scene, points, worldWidth, worldHeight, chunkWidth = 40, layers = []) {
     info('🏔️ Converting landscape points to chunks...');
     
     const chunks = [];
@@ -64,6 +70,8 @@ export function createChunkedLandscape(scene, points, worldWidth, worldHeight, c
             targetY: terrainY,
             targetHeight: worldHeight - terrainY,
             animationStartTime: 0,
+            bedrockY: layers[i] ? layers[i].bedrockY : worldHeight,
+            sandDepth: layers[i] ? layers[i].sandDepth : 0,
             graphics: null // Will be set when drawing
         };
         
@@ -182,6 +190,8 @@ export function drawChunkedLandscape(graphics, chunks) {
     graphics.closePath();
     graphics.fillPath();
     
+    drawChunkMaterials(graphics, chunks, worldHeight);
+    
     // DEBUG: Draw chunk boundaries and smoothed line for visibility (conditional)
     const landscapeChunkOutlines = loadDebugSetting('landscapeChunkOutlines', false);
     if (landscapeChunkOutlines) {
@@ -224,9 +234,184 @@ export function drawChunkedLandscape(graphics, chunks) {
     }
 }
 
+/**
+ * Draw the non-dirt material layers over the dirt-coloured landscape shape:
+ * loose sand on top of each chunk and the bedrock floor at the bottom
+ * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw with
+ * @param {TerrainChunk[]} chunks - Array of terrain chunks
+ * @param {number} worldHeight - Bottom of the world
+ */
+function drawChunkMaterials(graphics, chunks, worldHeight) {
+    chunks.forEach(chunk => {
+        if (chunk.destroyed) return;
+        if (chunk.sandDepth > 0) {
+            graphics.fillStyle(MATERIALS.sand.color, 1);
+            graphics.fillRect(chunk.x, chunk.y, chunk.width, chunk.sandDepth);
+        }
+        if (chunk.bedrockY < worldHeight) {
+            const bedrockTop = Math.max(chunk.y, chunk.bedrockY);
+            graphics.fillStyle(MATERIALS.bedrock.color, 1);
+            graphics.fillRect(chunk.x, bedrockTop, chunk.width, worldHeight - bedrockTop);
+        }
+    });
+    graphics.fillStyle(MATERIALS.dirt.color, 1);
+}
+
+/**
+ * Find the index of the chunk horizontally under an X coordinate
+ * @param {TerrainChunk[]} chunks - Array of terrain chunks
+ * @param {number} x - World X coordinate
+ * @returns {number} Chunk index, or -1 if X is outside the terrain
+ */
+export function findChunkIndexAtX(chunks, x) {
+    for (let i = 0; i < chunks.length; i++) {
+        const c = chunks[i];
+        const left = c.x;
+        const right = c.x + c.width;
+        // Include right edge for final chunk to avoid off-by-one
+        const within = (x >= left && (x < right || (i === chunks.length - 1 && x <= right + 0.5)));
+        if (within) return i;
+    }
+    return -1;
+}
+
+/**
+ * Start animating a chunk's top towards a new Y position (bottom of the chunk stays fixed).
+ * If the chunk is already animating, the new animation starts from its current position.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {TerrainChunk} chunk - Chunk to animate
+ * @param {number} newY - Target Y position for the top of the chunk
+ */
+export function startChunkAnimation(scene, chunk, newY) {
+    const bottomY = chunk.y + chunk.height;
+    chunk.animating = true;
+    chunk.startY = chunk.y;
+    chunk.startHeight = chunk.height;
+    chunk.targetY = newY;
+    chunk.targetHeight = Math.max(0, bottomY - newY);
+    chunk.animationStartTime = scene.time.now;
+}
+
+/**
+ * Get where a chunk's top will settle once any running animation completes
+ * @param {TerrainChunk} chunk - Terrain chunk
+ * @returns {number} Settled top Y position
+ */
+export function getSettledChunkTop(chunk) {
+    return chunk.animating ? chunk.targetY : chunk.y;
+}
+
+/**
+ * Remove material from the top of a chunk: sand goes first, and nothing below the
+ * bedrock can be removed. Animates the chunk down to its new top.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {TerrainChunk} chunk - Chunk to lower
+ * @param {number} newY - Requested new top Y position
+ * @returns {number} Pixels actually removed (0 if the chunk is already down to bedrock)
+ */
+export function lowerChunkTop(scene, chunk, newY) {
+    const currentTop = getSettledChunkTop(chunk);
+    const clampedY = Math.min(newY, Math.max(currentTop, chunk.bedrockY ?? Infinity));
+    const removed = clampedY - currentTop;
+    if (removed < 1) return 0;
+    
+    chunk.sandDepth = Math.max(0, (chunk.sandDepth || 0) - removed);
+    startChunkAnimation(scene, chunk, clampedY);
+    return removed;
+}
+
+/**
+ * Let loose sand slide downhill: wherever a chunk with sand on top stands more than
+ * SAND_MAX_STEP above its neighbour, sand moves across until the step is stable.
+ * Moves are animated with the normal chunk animation, so call this again once they
+ * finish - the slope is only stable when no sand moved.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {TerrainChunk[]} chunks - Array of terrain chunks
+ * @returns {number} Number of sand moves started (0 when all sand is stable)
+ */
+export function settleSand(scene, chunks) {
+    let moves = 0;
+    
+    for (let i = 0; i < chunks.length - 1; i++) {
+        const left = chunks[i];
+        const right = chunks[i + 1];
+        if (left.destroyed || right.destroyed) continue;
+        
+        const leftTop = getSettledChunkTop(left);
+        const rightTop = getSettledChunkTop(right);
+        const [high, low] = leftTop < rightTop ? [left, right] : [right, left];
+        const step = Math.abs(rightTop - leftTop);
+        if (step <= SAND_MAX_STEP || !high.sandDepth) continue;
+        
+        // Move half the excess so both sides meet at the stable step
+        const amount = Math.min(high.sandDepth, (step - SAND_MAX_STEP) / 2);
+        if (amount < 1) continue;
+        
+        high.sandDepth -= amount;
+        startChunkAnimation(scene, high, getSettledChunkTop(high) + amount);
+        low.sandDepth = (low.sandDepth || 0) + amount;
+        startChunkAnimation(scene, low, getSettledChunkTop(low) - amount);
+        moves++;
+        
+        trace(`🏜️ Sand sliding ${amount.toFixed(1)}px from x=${high.x.toFixed(1)} to x=${low.x.toFixed(1)}`);
+    }
+    
+    if (moves > 0) {
+        info(`🏜️ Sand is settling: ${moves} slides started`);
+    }
+    return moves;
+}
+
+/**
+ * Fall damage for a turret dropping a given vertical distance (1 point per 4px, capped)
+ * @param {number} distance - Distance fallen in pixels
+ * @returns {number} Damage to apply
+ */
+export function calculateFallDamage(distance) {
+    const MAX_FALL_DAMAGE = 40;
+    return Math.min(MAX_FALL_DAMAGE, Math.round(Math.max(0, distance) / 4));
+}
+
+/**
+ * Find where a turret lands when its chunk is destroyed: the nearest surviving chunk, not occupied by
+ * another turret, at the same height as the ground it stood on or lower. Turrets only slide downhill,
+ * so a surviving chunk higher than that ground blocks its side. When two are equally near, the lower
+ * one wins.
+ * @param {TerrainChunk[]} chunks - Array of terrain chunks
+ * @param {number} fromIndex - Index of the destroyed chunk
+ * @param {number} groundY - Y of the ground the turret stood on (larger is lower)
+ * @param {number[]} occupiedIndices - Chunk indices holding other turrets
+ * @returns {number} Landing chunk index, or -1 if there is nowhere downhill to land
+ */
+export function findLandingChunkIndex(chunks, fromIndex, groundY, occupiedIndices = []) {
+    const occupied = new Set(occupiedIndices);
+    const inside = (i) => i >= 0 && i < chunks.length;
+    const isWall = (i) => !chunks[i].destroyed && chunks[i].y < groundY;
+    const canLand = (i) => !chunks[i].destroyed && !occupied.has(i);
+    let leftOpen = true;
+    let rightOpen = true;
+    
+    for (let distance = 1; distance < chunks.length; distance++) {
+        const left = fromIndex - distance;
+        const right = fromIndex + distance;
+        leftOpen = leftOpen && inside(left) && !isWall(left);
+        rightOpen = rightOpen && inside(right) && !isWall(right);
+        const leftOk = leftOpen && canLand(left);
+        const rightOk = rightOpen && canLand(right);
+        if (leftOk && rightOk) {
+            return chunks[left].y >= chunks[right].y ? left : right;
+        }
+        if (leftOk) return left;
+        if (rightOk) return right;
+        if (!leftOpen && !rightOpen) break;
+    }
+    return -1;
+}
+
 /**
  * Simplified support check & falling: rely on turret.chunkIndex and single supporting chunk.
- * If the supporting chunk lowered, turret drops to new top (minus 25px). If destroyed, apply extra damage and mark for potential removal (future).
+ * If the supporting chunk lowered, turret drops to new top (minus 25px). If destroyed, the turret
+ * slides to the nearest surviving chunk (or sinks into any liquid if nothing survives).
  * @param {Phaser.Scene} scene
  * @param {TerrainChunk[]} chunks
  * @param {any[]} turrets
@@ -235,21 +420,11 @@ export function drawChunkedLandscape(graphics, chunks) {
  */
 export function handleTurretFalling(scene, chunks, turrets, gameState) {
     let anyTurretFell = false;
-    // Helper: determine which chunk horizontally under the turret center right now
-    function findSupportingChunkIndex(turretX) {
-        for (let i = 0; i < chunks.length; i++) {
-            const c = chunks[i];
-            const left = c.x;
-            const right = c.x + c.width;
-            // Include right edge for final chunk to avoid off-by-one
-            const within = (turretX >= left && (turretX < right || (i === chunks.length - 1 && turretX <= right + 0.5)));
-            if (within) return i;
-        }
-        return -1;
-    }
+    // The ground only moves when a shot reshapes it, so falls are credited to that shot's owner
+    const attackerKey = gameState.lastTerrainAttacker ?? null;
     turrets.forEach(turret => {
         // Always recompute based on current X to avoid stale or off-by-one errors
-        const computedIdx = findSupportingChunkIndex(turret.x);
+        const computedIdx = findChunkIndexAtX(chunks, turret.x);
         if (computedIdx === -1) { trace(`⚠️ No supporting chunk found for turret ${turret.team} at x=${turret.x}`); return; }
         let idx = turret.chunkIndex;
         if (idx !== computedIdx) {
@@ -261,28 +436,65 @@ export function handleTurretFalling(scene, chunks, turrets, gameState) {
         if (!chunk) return;
         const expectedTopY = chunk.y - 25; // turret base y
         trace(`🔎 FallingCheck team=${turret.team} idx=${idx} turretY=${turret.y.toFixed(1)} expectedTopY=${expectedTopY.toFixed(1)} chunkDestroyed=${chunk.destroyed}`);
-        // If chunk destroyed -> treat as total loss of support
+        // If chunk destroyed -> slide onto the nearest surviving chunk
         if (chunk.destroyed) {
-            if (turret.y < chunk.y + chunk.height) { // still visually above original area
+            const occupiedIndices = turrets.filter(t => t !== turret).map(t => t.chunkIndex);
+            const landingIdx = findLandingChunkIndex(chunks, idx, turret.y + 25, occupiedIndices);
+            const liquidSurfaceY = getLiquidSurfaceY(gameState.liquid);
+            if (landingIdx !== -1) {
+                const landing = chunks[landingIdx];
+                const pos = getTurretPositionForChunk(landing);
+                const fallDamage = calculateFallDamage(pos.y - turret.y);
+                info(`🪂 Turret ${turret.team} lost its chunk ${idx} and slid to chunk ${landingIdx} (fell ${Math.max(0, pos.y - turret.y).toFixed(1)}px, ${fallDamage} damage)`);
+                if (fallDamage > 0) {
+                    applyDamage(gameState, turret.team, fallDamage, attackerKey, 'fall');
+                    if (turret.updateHealthDisplay) turret.updateHealthDisplay(gameState[turret.team].health);
+                }
+                applyLiquidLanding(gameState, turret, landing.y, attackerKey);
+                
+                // Keep the support index in sync in both places (teleport uses the game state copy)
+                turret.chunkIndex = landingIdx;
+                if (gameState[turret.team]) {
+                    gameState[turret.team].chunkIndex = landingIdx;
+                }
+                scene.tweens.add({
+                    targets: turret,
+                    x: pos.x,
+                    y: pos.y,
+                    duration: 500,
+                    ease: 'Sine.easeIn'
+                });
+                anyTurretFell = true;
+            } else if (gameState.liquid && turret.y + 25 < liquidSurfaceY) {
+                // Nothing left to stand on - sink into the liquid at the bottom of the world
+                info(`🪂 Turret ${turret.team} lost its chunk (destroyed), found nowhere to land and fell into the liquid`);
+                const targetY = liquidSurfaceY + 15 - 25; // Base 15px under the surface
+                applyLiquidLanding(gameState, turret, targetY + 25, attackerKey);
+                scene.tweens.add({ targets: turret, y: targetY, duration: 400, ease: 'Sine.easeIn' });
+                anyTurretFell = true;
+            } else if (turret.y < chunk.y + chunk.height) { // still visually above original area
                 info(`🪂 Turret ${turret.team} lost its chunk (destroyed) and will take collapse damage`);
-                applyDamage(gameState, turret.team, 15); // slightly higher than normal fall
+                applyDamage(gameState, turret.team, 15, attackerKey, 'collapse'); // slightly higher than normal fall
                 if (turret.updateHealthDisplay) turret.updateHealthDisplay(gameState[turret.team].health);
                 anyTurretFell = true;
             }
-            return; // No landing – could add relocation later
+            return;
         }
         // Chunk intact: if top moved downward (animation complete) adjust turret
         const delta = expectedTopY - turret.y;
         if (Math.abs(delta) > 1) { // threshold to avoid micro-adjusts
             const targetY = expectedTopY;
             info(`🪂 Adjusting turret ${turret.team} from y=${turret.y.toFixed(1)} to y=${targetY.toFixed(1)} (delta=${delta.toFixed(1)})`);
-            // Apply small fall damage proportional to drop distance / 40 (cap 10)
+            // Apply fall damage proportional to drop distance (rising never hurts)
             const drop = Math.max(0, delta);
-            const FALL_DAMAGE = Math.min(10, Math.round(drop / 4));
+            const FALL_DAMAGE = calculateFallDamage(drop);
             if (FALL_DAMAGE > 0) {
-                applyDamage(gameState, turret.team, FALL_DAMAGE);
+                applyDamage(gameState, turret.team, FALL_DAMAGE, attackerKey, 'fall');
                 if (turret.updateHealthDisplay) turret.updateHealthDisplay(gameState[turret.team].health);
             }
+            if (drop > 0) {
+                applyLiquidLanding(gameState, turret, chunk.y, attackerKey);
+            }
             scene.tweens.add({
                 targets: turret,
                 y: targetY,
@@ -298,94 +510,122 @@ export function handleTurretFalling(scene, chunks, turrets, gameState) {
 }
 
 /**
- * Create explosion damage to terrain chunks with animated reduction
+ * Create explosion damage to terrain chunks with animated reduction.
+ * Carves a circular crater (flattened into an ellipse) centred on the impact point:
+ * every chunk within the explosion radius is lowered to the crater floor, which is
+ * deepest under the impact and falls off towards the edge of the blast.
  * @param {Phaser.Scene} scene - The Phaser scene
  * @param {TerrainChunk[]} chunks - Array of terrain chunks
  * @param {Phaser.GameObjects.Graphics} graphics - Graphics object for redrawing
  * @param {number} impactX - X coordinate of projectile impact
  * @param {number} impactY - Y coordinate of projectile impact
+ * @param {number} radius - Terrain explosion size (horizontal crater radius)
+ * @returns {number} Number of chunks lowered
  */
-export function createTerrainDestruction(scene, chunks, graphics, impactX, impactY) {
-    info(`💥 Creating terrain destruction at impact point (${impactX}, ${impactY})`);
+export function createTerrainDestruction(scene, chunks, graphics, impactX, impactY, radius) {
+    const CRATER_DEPTH_RATIO = 0.4; // Crater depth relative to its radius
+    const craterDepth = radius * CRATER_DEPTH_RATIO;
+    info(`💥 Creating terrain destruction at impact point (${impactX.toFixed(1)}, ${impactY.toFixed(1)}), radius ${radius.toFixed(1)}px, depth ${craterDepth.toFixed(1)}px`);
     
     let chunksAffected = 0;
     
-    // Find the chunk that contains the impact point (based on X coordinate)
-    trace(`🔍 Finding chunk containing impact point (${impactX}, ${impactY})...`);
-    
-    let closestChunk = null;
-    let closestDistance = Infinity;
-    let closestChunkIndex = -1;
-    
-    for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        if (chunk.destroyed) continue;
+    chunks.forEach((chunk, index) => {
+        if (chunk.destroyed) return;
         
-        // Check if impact point is within this chunk's X bounds, or very close to the edges
-        const chunkLeft = chunk.x;
-        const chunkRight = chunk.x + chunk.width;
-        const tolerance = 5; // Allow 5 pixels tolerance on X boundaries
-        const withinX = impactX >= (chunkLeft - tolerance) && impactX <= (chunkRight + tolerance);
+        // Horizontal distance from the impact to the nearest edge of the chunk, so the chunk hit is always included
+        const nearestX = Math.max(chunk.x, Math.min(impactX, chunk.x + chunk.width));
+        const dx = Math.abs(nearestX - impactX);
+        if (dx >= radius) return;
         
-        // Debug the first few chunks and chunks around the impact area
-        if (i < 3 || (impactX >= chunk.x - 50 && impactX <= chunk.x + chunk.width + 50)) {
-            trace(`🔍 Chunk ${i}: pos(${chunk.x.toFixed(1)}, ${chunk.y.toFixed(1)}), size(${chunk.width.toFixed(1)}x${chunk.height.toFixed(1)}), withinX: ${withinX}`);
-        }
+        // Crater floor under this chunk (ellipse centred on the impact point)
+        const halfChord = craterDepth * Math.sqrt(1 - (dx / radius) ** 2);
+        const floorY = impactY + halfChord;
         
-        // For chunks with matching X coordinate, calculate distance to impact point
-        if (withinX) {
-            // Calculate distance from impact point to closest point on chunk
-            const chunkCenterX = chunk.x + chunk.width / 2;
-            const chunkCenterY = chunk.y + chunk.height / 2;
-            
-            // Find closest point on chunk to impact point
-            const closestX = Math.max(chunk.x, Math.min(impactX, chunk.x + chunk.width));
-            const closestY = Math.max(chunk.y, Math.min(impactY, chunk.y + chunk.height));
-            
-            const distanceToChunk = Math.sqrt((impactX - closestX) ** 2 + (impactY - closestY) ** 2);
-            
-            trace(`   → X matches! Center(${chunkCenterX.toFixed(1)}, ${chunkCenterY.toFixed(1)}), closest point(${closestX.toFixed(1)}, ${closestY.toFixed(1)}), distance: ${distanceToChunk.toFixed(1)}`);
-            
-            // Keep track of the closest chunk
-            if (distanceToChunk < closestDistance) {
-                closestDistance = distanceToChunk;
-                closestChunk = chunk;
-                closestChunkIndex = i;
-            }
+        // Build on any animation already running; only lower chunks whose top is above the crater floor.
+        // Columns can't overhang, so a cliff towering over the blast loses at most the crater's height.
+        const currentTop = getSettledChunkTop(chunk);
+        const newY = Math.min(floorY, currentTop + halfChord * 2);
+        if (lowerChunkTop(scene, chunk, newY) === 0) return;
+        chunksAffected++;
+        
+        trace(`💥 Crater lowering chunk ${index} at x=${chunk.x.toFixed(1)} from y=${currentTop.toFixed(1)} to y=${chunk.targetY.toFixed(1)}`);
+        
+        // Check if chunk will be destroyed after animation
+        if (chunk.targetHeight <= 15) {
+            warn(`💀 Chunk at x=${chunk.x.toFixed(1)} will be destroyed after animation (too small)`);
         }
-    }
+    });
     
-    // Damage the closest chunk if we found one
-    if (closestChunk) {
-        info(`🎯 Selected closest chunk at index ${closestChunkIndex}: pos(${closestChunk.x.toFixed(1)}, ${closestChunk.y.toFixed(1)}), distance: ${closestDistance.toFixed(1)}`);
+    info(`🏔️ Destruction setup complete: ${chunksAffected} chunks will be animated`);
+    return chunksAffected;
+}
+
+/**
+ * Lower every chunk a tunnel passed through, so the ground above the tunnel collapses
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {TerrainChunk[]} chunks - Array of terrain chunks
+ * @param {Iterable<number>} chunkIndices - Indices of chunks the tunnel passed through
+ * @param {number} depth - Height removed from each chunk (tunnel diameter)
+ * @returns {number} Number of chunks lowered
+ */
+export function createTunnelDestruction(scene, chunks, chunkIndices, depth) {
+    let chunksAffected = 0;
+    
+    for (const index of chunkIndices) {
+        const chunk = chunks[index];
+        if (!chunk || chunk.destroyed) continue;
         
+        // Build on any animation already running (e.g. an earlier crater) rather than undoing it
+        if (lowerChunkTop(scene, chunk, getSettledChunkTop(chunk) + depth) === 0) continue;
         chunksAffected++;
         
-        // Set up animated damage reduction
-        const squareBlockDamage = closestChunk.width; // Remove full chunk width in height
-        const newHeight = Math.max(0, closestChunk.height - squareBlockDamage);
-        const heightReduction = closestChunk.height - newHeight;
-        const newY = closestChunk.y + heightReduction; // Move top down as height decreases
-        
-        // Start animation
-        closestChunk.animating = true;
-        closestChunk.startY = closestChunk.y;
-        closestChunk.startHeight = closestChunk.height;
-        closestChunk.targetY = newY;
-        closestChunk.targetHeight = newHeight;
-        closestChunk.animationStartTime = scene.time.now;
+        trace(`⛏️ Tunnel lowering chunk ${index} at x=${chunk.x.toFixed(1)} to y=${chunk.targetY.toFixed(1)}`);
+    }
+    
+    info(`⛏️ Tunnel collapse: ${chunksAffected} chunks will be lowered by ${depth}px`);
+    return chunksAffected;
+}
+
+/**
+ * Add earth around an impact point, raising nearby chunks into a smooth mound.
+ * Destroyed chunks inside the mound are rebuilt from the bottom of the world.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {TerrainChunk[]} chunks - Array of terrain chunks
+ * @param {number} impactX - X coordinate of the impact (centre of the mound)
+ * @param {number} radius - Horizontal radius of the mound
+ * @param {number} height - Height added at the centre of the mound
+ * @returns {number} Number of chunks raised
+ */
+export function createTerrainMound(scene, chunks, impactX, radius, height) {
+    const MIN_TOP_Y = 60; // Keep mounds below the top of the world so turrets stay visible
+    let chunksAffected = 0;
+    
+    chunks.forEach((chunk, index) => {
+        const chunkCenterX = chunk.x + chunk.width / 2;
+        const dx = Math.abs(chunkCenterX - impactX);
+        if (dx > radius) return;
         
-        trace(`� Starting animated damage for chunk at x=${closestChunk.x.toFixed(1)}: will remove ${heightReduction.toFixed(1)}px over 1 second (${newHeight.toFixed(1)}px will remain)`);
+        // Cosine falloff gives a rounded mound with no hard edges
+        const raise = height * (0.5 + 0.5 * Math.cos(Math.PI * dx / radius));
+        if (raise < 1) return;
         
-        // Check if chunk will be destroyed after animation
-        if (newHeight <= 15) {
-            warn(`💀 Chunk at x=${closestChunk.x.toFixed(1)} will be destroyed after animation (too small)`);
+        if (chunk.destroyed) {
+            // Rebuild from the bottom of the world
+            const bottomY = chunk.y + chunk.height;
+            chunk.destroyed = false;
+            chunk.y = bottomY;
+            chunk.height = 0;
         }
-    } else {
-        warn(`⚠️ No chunk found with matching X coordinate for impact at (${impactX.toFixed(1)}, ${impactY.toFixed(1)})`);
-    }
+        
+        const newY = Math.max(MIN_TOP_Y, getSettledChunkTop(chunk) - raise);
+        startChunkAnimation(scene, chunk, newY);
+        chunksAffected++;
+        
+        trace(`⛰️ Raising chunk ${index} at x=${chunk.x.toFixed(1)} by ${raise.toFixed(1)}px to y=${newY.toFixed(1)}`);
+    });
     
-    info(`🏔️ Destruction setup complete: ${chunksAffected} chunks will be animated`);
+    info(`⛰️ Mound created at x=${impactX.toFixed(1)}: ${chunksAffected} chunks will be raised (radius ${radius.toFixed(1)}px, height ${height}px)`);
+    return chunksAffected;
 }
 
 /**
@@ -430,42 +670,14 @@ export function updateChunkAnimations(scene, chunks, graphics) {
         }
     });
     
-    // Redraw if any chunks are animating
-    if (anyChunkAnimating) {
+    // Redraw if any chunks are animating (mask terrain passes no graphics - it draws itself)
+    if (anyChunkAnimating && graphics) {
         drawChunkedLandscape(graphics, chunks);
     }
     
     return anyChunkAnimating;
 }
 
-/**
- * Check if projectile collides with chunked terrain
- * @param {Phaser.GameObjects.Graphics} projectile - The projectile
- * @param {TerrainChunk[]} chunks - Array of terrain chunks
- * @returns {boolean} True if collision detected
- */
-export function checkChunkedTerrainCollision(projectile, chunks) {
-    const projectileX = projectile.x;
-    const projectileY = projectile.y;
-    const projectileRadius = 3; // Same as projectile radius
-    
-    for (const chunk of chunks) {
-        if (chunk.destroyed) continue;
-        
-        // Simple AABB collision check with projectile circle
-        const closestX = Math.max(chunk.x, Math.min(projectileX, chunk.x + chunk.width));
-        const closestY = Math.max(chunk.y, Math.min(projectileY, chunk.y + chunk.height));
-        
-        const distance = Math.sqrt((projectileX - closestX) ** 2 + (projectileY - closestY) ** 2);
-        
-        if (distance <= projectileRadius) {
-            return true;
-        }
-    }
-    
-    return false;
-}
-
 /**
  * Convert existing landscape to chunked system and replace original
  * @param {Phaser.Scene} scene - The Phaser scene
@@ -483,8 +695,9 @@ export function setupChunkedLandscape(scene, worldWidth, worldHeight, gameConfig
     const numPoints = Math.floor(worldWidth / chunkWidth);
     const { points } = generateLandscapePoints(worldWidth, baseY, numPoints, gameConfig.numPlayers);
     
-    // Convert to chunks with perfect 1:1 alignment
-    const { chunks, graphics } = createChunkedLandscape(scene, points, worldWidth, worldHeight, chunkWidth);
+    // Place bedrock and sand, then convert to chunks with perfect 1:1 alignment
+    const layers = generateMaterialLayers(points, worldHeight, baseY);
+    const { chunks, graphics } = createChunkedLandscape(scene, points, worldWidth, worldHeight, chunkWidth, layers);
     
     const landscapeData = { points, chunks };
     
@@ -0,0 +1,607 @@
+// correspondence.js
+// Play-by-file (correspondence) matches for Rocket Wars. After your move has played out, the game
+// exports a turn file (or a copyable text code) holding the match as it stood at the start of your
+// turn plus your move. The next player imports it, watches your move play back, then takes their turn.
+// CPU turns in between are played on every device from the shared random streams. The receiving device
+// never takes the sender's match on trust: it plays the match up to the sender's turn itself, from the
+// last state it worked out for that match (or from the start), and refuses the turn if the two differ.
+
+import { GAME_VERSION } from './constants.js';
+import { getCurrentPlayerKey, isCpuTurn } from './turnManager.js';
+import { isWaitingForTurnAction } from './turnFlow.js';
+import { captureMatchState, isResumableMatch } from './matchSave.js';
+import { playTurnAction, showShotAim } from './replayPlayer.js';
+import { loadKnownMatches, saveKnownMatches } from './storage.js';
+import { createTurnExportPanel, positionTurnExportPanel } from './ui/index.js';
+import { info, warn, error } from './logger.js';
+
+/** Identifies turn files, so other JSON files are rejected with a clear message */
+const TURN_FILE_FORMAT = 'rocket-wars-turn';
+/** Bump when the turn file layout changes */
+const TURN_FILE_VERSION = 1;
+/** Prefix of the copyable text form of a turn file */
+const TURN_CODE_PREFIX = 'RWT1:';
+/** How long the incoming move's aim is shown before it plays */
+const AIM_DISPLAY_MS = 1000;
+/** How many play-by-file matches this device remembers (each is a whole match snapshot) */
+const MAX_KNOWN_MATCHES = 5;
+/** Largest difference between two numbers in matching match states (positions are fractional) */
+const STATE_TOLERANCE = 1e-6;
+/** Game state entries that belong to one device's session rather than to the match */
+const SESSION_STATE_KEYS = ['localPlayers', 'turnTimeLimit', 'isReplay'];
+/** Shown when the sender's match differs from the one this device worked out */
+const TURN_STATE_CHANGED = 'This turn does not match the match as it was played on this device: it has been changed since it was sent, so it cannot be played.';
+/** Shown when the browser won't checksum turns (pages that aren't https or localhost) */
+export const TURN_CHECKSUM_UNAVAILABLE = 'Play by file needs Rocket Wars to be opened over https (or from localhost), so turns can be checked.';
+
+/**
+ * Turn file contents
+ * @typedef {Object} TurnFile
+ * @property {string} format - Always 'rocket-wars-turn'
+ * @property {number} version - Turn file layout version
+ * @property {string} gameVersion - Game version that exported the turn (must match to import)
+ * @property {string} payload - JSON of {snapshot, move}, kept as text so the checksum is exact
+ * @property {string} checksum - SHA-256 of the payload (hex)
+ */
+
+/**
+ * An imported turn, ready to play
+ * @typedef {Object} ImportedTurn
+ * @property {import('./matchSave.js').MatchSnapshot} snapshot - The sender's match at the start of their turn (checked, never restored)
+ * @property {import('./replay.js').ReplayTurn} move - The sender's move
+ * @property {import('./matchSave.js').MatchSnapshot|null} [start] - Last state of the match this device worked out itself, to rebuild from (null: rebuild from the start)
+ */
+
+/**
+ * Play-by-file state, stored on the scene as scene.correspondence
+ * @typedef {Object} CorrespondenceState
+ * @property {string} status - 'watching' (playing the match up to the imported move), 'aiming' (showing it), 'playing', 'sending' or 'stopped' (turn refused or match over)
+ * @property {ImportedTurn|null} incoming - Turn received in the imported turn file
+ * @property {import('./matchSave.js').MatchSnapshot|null} turnSnapshot - Match at the start of the local player's turn
+ * @property {number} turnIndex - Replay log length when turnSnapshot was taken (the move is the turn at this index)
+ * @property {any} panel - Turn export panel, once shown
+ */
+
+/**
+ * A play-by-file match as this device last worked it out, kept so later turns can be checked against it
+ * @typedef {Object} KnownMatch
+ * @property {import('./matchSave.js').MatchSnapshot} snapshot - The match after the last turn sent or checked here
+ * @property {string} updatedAt - ISO timestamp of the last turn sent or checked
+ */
+
+/**
+ * Identify a match on every device it is played on: its seed and when the first device started
+ * recording it, both carried in the replay log of every turn file
+ * @param {import('./replay.js').ReplayLog} replayLog - The match's replay log
+ * @returns {string} Match id
+ */
+export function getMatchId(replayLog) {
+    return `${replayLog.seed}@${replayLog.recordedAt}`;
+}
+
+/**
+ * Check two replay turns are the same move
+ * @param {import('./replay.js').ReplayTurn} a - A turn
+ * @param {import('./replay.js').ReplayTurn} b - Another turn
+ * @returns {boolean} True if they match exactly
+ */
+function isSameTurn(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Check an imported turn follows on: its move must be the next turn of the match it carries, and that
+ * match must carry on from every turn this device has already sent or checked in it, without going
+ * back before them. This catches old, replayed and reordered turns before anything is played.
+ * @param {import('./matchSave.js').MatchSnapshot} snapshot - Match at the start of the sender's turn
+ * @param {import('./replay.js').ReplayTurn} move - The sender's move
+ * @param {import('./replay.js').ReplayTurn[]|null} knownTurns - Turns this device already has for the match (null if none)
+ * @returns {string|null} Why the turn is refused, or null if it can be played
+ */
+export function checkTurnFollowsOn(snapshot, move, knownTurns) {
+    const gameState = /** @type {any} */ (snapshot.gameState);
+    const expectedPlayer = getCurrentPlayerKey(gameState);
+    if (move.player !== expectedPlayer || move.round !== gameState.currentRound) {
+        return `This turn is out of order: it has ${move.player}'s move in round ${move.round}, but the match it carries is waiting for ${expectedPlayer} in round ${gameState.currentRound}.`;
+    }
+    if (!knownTurns) {
+        return null;
+    }
+    const turns = snapshot.replayLog.turns;
+    if (knownTurns.length > turns.length) {
+        if (turns.every((turn, index) => isSameTurn(turn, knownTurns[index]))) {
+            return `This is an older turn from this match (turn ${turns.length + 1}); this device has already reached turn ${knownTurns.length + 1}.`;
+        }
+    } else if (knownTurns.every((turn, index) => isSameTurn(turn, turns[index]))) {
+        return null;
+    }
+    return 'This turn does not carry on from the turns this device already sent or received in this match, so it cannot be played.';
+}
+
+/**
+ * Reduce a match snapshot to what decides the match: game state, players, terrain, turrets, random
+ * streams and the turns played. Left out are the save's own details, this device's session (input
+ * blocking and the turn time limit), barrel angles, each player's selected weapon, and the effects
+ * random stream, which only scatters sparks and splashes.
+ * @param {import('./matchSave.js').MatchSnapshot} snapshot - Match snapshot
+ * @returns {Object} The parts of the snapshot that have to match
+ */
+function getMatchEssentials(snapshot) {
+    const gameState = /** @type {any} */ ({ ...snapshot.gameState });
+    SESSION_STATE_KEYS.forEach(key => delete gameState[key]);
+    for (let i = 1; i <= gameState.numPlayers; i++) {
+        const player = { ...gameState[`player${i}`] };
+        delete player.selectedWeapon;
+        gameState[`player${i}`] = player;
+    }
+    const random = { ...snapshot.random };
+    delete random.effects;
+    return {
+        gameState,
+        players: snapshot.players,
+        chunks: snapshot.chunks,
+        maskCells: snapshot.maskCells,
+        turrets: snapshot.turrets.map(turret => ({ team: turret.team, x: turret.x, y: turret.y, chunkIndex: turret.chunkIndex })),
+        random,
+        turns: snapshot.replayLog.turns
+    };
+}
+
+/**
+ * Find the first place two values differ
+ * @param {any} expected - Expected value
+ * @param {any} actual - Value to check
+ * @param {string} path - Where the values are (for the report)
+ * @returns {string|null} Path of the first difference, or null if they match
+ */
+function findDifference(expected, actual, path) {
+    if (typeof expected === 'number' && typeof actual === 'number') {
+        return Math.abs(expected - actual) <= STATE_TOLERANCE ? null : path;
+    }
+    if (!expected || !actual || typeof expected !== 'object' || typeof actual !== 'object') {
+        return expected === actual ? null : path;
+    }
+    if (Array.isArray(expected) !== Array.isArray(actual)) {
+        return path;
+    }
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+        const difference = findDifference(expected[key], actual[key], path ? `${path}.${key}` : key);
+        if (difference) {
+            return difference;
+        }
+    }
+    return null;
+}
+
+/**
+ * Compare the match as a sender says it stood with the match as this device worked it out. The
+ * checksum can be recomputed by anyone, so this is what catches an edited health, ammo count,
+ * score, hill point or terrain column.
+ * @param {import('./matchSave.js').MatchSnapshot} expected - The match as worked out on this device
+ * @param {import('./matchSave.js').MatchSnapshot} actual - The match from a turn file
+ * @returns {string|null} Where they first differ (e.g. 'gameState.player2.health'), or null if they match
+ */
+export function findMatchStateDifference(expected, actual) {
+    return findDifference(getMatchEssentials(expected), getMatchEssentials(actual), '');
+}
+
+/**
+ * Get the last state of a match this device worked out itself
+ * @param {import('./replay.js').ReplayLog} replayLog - The match's replay log
+ * @returns {import('./matchSave.js').MatchSnapshot|null} Match snapshot, or null if this device hasn't played the match
+ */
+function getKnownMatch(replayLog) {
+    /** @type {Record<string, KnownMatch>} */
+    const knownMatches = loadKnownMatches() || {};
+    const known = knownMatches[getMatchId(replayLog)];
+    return known && known.snapshot ? known.snapshot : null;
+}
+
+/**
+ * Remember a match as this device worked it out, after a turn is sent or checked here
+ * @param {import('./matchSave.js').MatchSnapshot} snapshot - Match snapshot
+ */
+function rememberMatch(snapshot) {
+    /** @type {Record<string, KnownMatch>} */
+    const knownMatches = loadKnownMatches() || {};
+    knownMatches[getMatchId(snapshot.replayLog)] = { snapshot, updatedAt: new Date().toISOString() };
+    // Forget the matches played least recently
+    Object.keys(knownMatches)
+        .sort((a, b) => knownMatches[b].updatedAt.localeCompare(knownMatches[a].updatedAt))
+        .slice(MAX_KNOWN_MATCHES)
+        .forEach(matchId => delete knownMatches[matchId]);
+    saveKnownMatches(knownMatches);
+}
+
+/**
+ * Check whether turn files can be checksummed here. Browsers only provide crypto.subtle on secure
+ * pages (https or localhost), so a game opened over plain http on a LAN can't send or receive turns.
+ * @returns {boolean} True if turn files can be made and read
+ */
+export function isTurnChecksumAvailable() {
+    return !!(window.crypto && window.crypto.subtle);
+}
+
+/**
+ * Checksum a turn file payload, so edited or damaged turn files are refused
+ * @param {string} payload - Payload text
+ * @returns {Promise<string>} SHA-256 hex digest (rejects if the page can't checksum)
+ */
+function computeChecksum(payload) {
+    if (!isTurnChecksumAvailable()) {
+        return Promise.reject(new Error(TURN_CHECKSUM_UNAVAILABLE));
+    }
+    const bytes = new window.TextEncoder().encode(`${TURN_FILE_FORMAT}:${payload}`);
+    return window.crypto.subtle.digest('SHA-256', bytes).then((digest) => {
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    });
+}
+
+/**
+ * Build a turn file from the match at the start of a turn and the move played in it
+ * @param {import('./matchSave.js').MatchSnapshot} snapshot - Match at the start of the turn
+ * @param {import('./replay.js').ReplayTurn} move - The move
+ * @returns {Promise<TurnFile>} Turn file
+ */
+export function createTurnFile(snapshot, move) {
+    const payload = JSON.stringify({ snapshot, move });
+    return computeChecksum(payload).then(checksum => ({
+        format: TURN_FILE_FORMAT,
+        version: TURN_FILE_VERSION,
+        gameVersion: GAME_VERSION,
+        payload,
+        checksum
+    }));
+}
+
+/**
+ * Turn a turn file into a single line of text that can be pasted into a message
+ * @param {TurnFile} turnFile - Turn file
+ * @returns {string} Turn code
+ */
+export function encodeTurnCode(turnFile) {
+    const bytes = new window.TextEncoder().encode(JSON.stringify(turnFile));
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return TURN_CODE_PREFIX + window.btoa(binary);
+}
+
+/**
+ * Read a turn file or pasted turn code, refusing anything edited, damaged, out of order, already
+ * played or from another game version. When this device already has the match at the sender's turn,
+ * the sender's match is compared with it here; otherwise that happens once the match has been played
+ * up to the sender's turn (see updateCorrespondence).
+ * @param {string} text - File contents or turn code
+ * @returns {Promise<ImportedTurn>} Match, move and where to rebuild from (rejects with a readable message)
+ */
+export function parseTurnFile(text) {
+    const trimmed = text.trim();
+    let turnFile;
+    try {
+        if (trimmed.startsWith(TURN_CODE_PREFIX)) {
+            const binary = window.atob(trimmed.slice(TURN_CODE_PREFIX.length).replace(/\s/g, ''));
+            const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+            turnFile = JSON.parse(new window.TextDecoder().decode(bytes));
+        } else {
+            turnFile = JSON.parse(trimmed);
+        }
+    } catch {
+        return Promise.reject(new Error('This is not a Rocket Wars turn (it could not be read).'));
+    }
+    if (!turnFile || turnFile.format !== TURN_FILE_FORMAT || typeof turnFile.payload !== 'string') {
+        return Promise.reject(new Error('This is not a Rocket Wars turn.'));
+    }
+    if (turnFile.version !== TURN_FILE_VERSION || turnFile.gameVersion !== GAME_VERSION) {
+        return Promise.reject(new Error(`This turn was sent from Rocket Wars v${turnFile.gameVersion}, but this is v${GAME_VERSION}. Both players need the same version.`));
+    }
+    return computeChecksum(turnFile.payload).then((checksum) => {
+        if (checksum !== turnFile.checksum) {
+            throw new Error('This turn has been changed or damaged since it was sent, so it cannot be played.');
+        }
+        const { snapshot, move } = JSON.parse(turnFile.payload);
+        if (!isResumableMatch(snapshot) || !move || typeof move.player !== 'string') {
+            throw new Error('This turn is incomplete.');
+        }
+        const start = getKnownMatch(snapshot.replayLog);
+        const problem = checkTurnFollowsOn(snapshot, move, start ? start.replayLog.turns : null);
+        if (problem) {
+            throw new Error(problem);
+        }
+        if (start && start.replayLog.turns.length === snapshot.replayLog.turns.length) {
+            const difference = findMatchStateDifference(start, snapshot);
+            if (difference) {
+                warn(`⚠️ Turn refused: the sender's match differs from this device's at ${difference}`);
+                throw new Error(TURN_STATE_CHANGED);
+            }
+        }
+        info(`📨 Read turn: ${move.player} ${move.action} in round ${snapshot.gameState.currentRound} (seed ${snapshot.config.seed})`);
+        return { snapshot, move, start };
+    });
+}
+
+/**
+ * Read a turn file chosen by the player
+ * @param {File} file - Turn file
+ * @returns {Promise<ImportedTurn>} Match, move and where to rebuild from
+ */
+export function loadTurnFile(file) {
+    return file.text().then(parseTurnFile);
+}
+
+/**
+ * Download a turn file
+ * @param {TurnFile} turnFile - Turn file
+ * @param {import('./replay.js').ReplayTurn} move - The move it carries (for the file name)
+ * @param {string} seed - Match seed (for the file name)
+ */
+function saveTurnFile(turnFile, move, seed) {
+    const fileName = `rocket-wars-turn-${seed}-round${move.round}-${move.player}.json`;
+    const blob = new window.Blob([JSON.stringify(turnFile)], { type: 'application/json' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+    info(`📨 Saved turn as ${fileName}`);
+}
+
+/**
+ * Set up play-by-file in a freshly created scene
+ * @param {any} scene - The Phaser scene (restored from the turn's start state, or rebuilt from the start of the match)
+ * @param {ImportedTurn|null} incoming - Imported turn, whose match is played up to the sender's move before anything else
+ * @returns {CorrespondenceState} Play-by-file state
+ */
+export function createCorrespondence(scene, incoming) {
+    /** @type {CorrespondenceState} */
+    const state = {
+        status: incoming ? 'watching' : 'playing',
+        incoming,
+        turnSnapshot: null,
+        turnIndex: -1,
+        panel: null
+    };
+    scene.correspondence = state;
+    info(`📨 Play-by-file match${incoming ? `: playing on from turn ${scene.replayLog.turns.length + 1} to ${incoming.move.player}'s move` : ''}`);
+    return state;
+}
+
+/**
+ * Block or allow input on people's turns (input is blocked while moves play back or a turn waits to
+ * be sent). CPU players are played on every device, so their turns go on as usual.
+ * @param {any} scene - The Phaser scene
+ * @param {boolean} blocked - True to block input
+ */
+function setInputBlocked(scene, blocked) {
+    const gameState = scene.gameState;
+    if (blocked) {
+        gameState.localPlayers = [];
+        for (let i = 1; i <= gameState.numPlayers; i++) {
+            if (gameState[`player${i}`].cpuDifficulty) {
+                gameState.localPlayers.push(`player${i}`);
+            }
+        }
+    } else {
+        delete gameState.localPlayers;
+    }
+}
+
+/**
+ * Play the imported turn's match on to the sender's move: people's turns from the sender's log (CPU
+ * turns play themselves), then compare the match here with the sender's before showing their move.
+ * Called when a person's turn is waiting to be played.
+ * @param {any} scene - The Phaser scene
+ */
+function playIncomingTurns(scene) {
+    const { snapshot } = scene.correspondence.incoming;
+    const sentTurns = snapshot.replayLog.turns;
+    const turns = scene.replayLog.turns;
+    const sameSoFar = turns.length <= sentTurns.length && turns.every((turn, index) => isSameTurn(turn, sentTurns[index]));
+    if (!sameSoFar) {
+        refuseIncomingTurn(scene, `turn ${turns.length}`);
+        return;
+    }
+
+    if (turns.length < sentTurns.length) {
+        const turn = sentTurns[turns.length];
+        const turret = scene.turrets.find(t => t.team === turn.player);
+        const failure = turn.player !== getCurrentPlayerKey(scene.gameState) || !turret
+            ? `it is not ${turn.player}'s turn`
+            : playTurnAction(scene, turret, turn);
+        if (failure) {
+            refuseIncomingTurn(scene, `turn ${turns.length + 1} (${failure})`);
+        }
+        return;
+    }
+
+    // A match restored at the sender's turn was compared when the turn was read (see parseTurnFile)
+    const { start } = scene.correspondence.incoming;
+    if (!start || start.replayLog.turns.length !== sentTurns.length) {
+        const local = captureMatchState(scene);
+        const difference = findMatchStateDifference(local, snapshot);
+        if (difference) {
+            refuseIncomingTurn(scene, difference);
+            return;
+        }
+        rememberMatch(local);
+    }
+    playIncomingMove(scene);
+}
+
+/**
+ * Refuse an imported turn whose match doesn't match the one played here, and stop the match
+ * @param {any} scene - The Phaser scene
+ * @param {string} difference - Where the matches differ (for the log)
+ */
+function refuseIncomingTurn(scene, difference) {
+    warn(`⚠️ Turn refused: the sender's match differs from this device's at ${difference}`);
+    showStoppedPanel(scene, 'TURN REFUSED', TURN_STATE_CHANGED);
+}
+
+/**
+ * Show the imported move being aimed, then play it
+ * @param {any} scene - The Phaser scene
+ */
+function playIncomingMove(scene) {
+    const state = scene.correspondence;
+    const move = state.incoming.move;
+    const currentKey = getCurrentPlayerKey(scene.gameState);
+    const turret = scene.turrets.find(t => t.team === move.player);
+    if (move.player !== currentKey || !turret) {
+        error(`❌ Imported move is for ${move.player} but it is ${currentKey}'s turn`);
+        state.status = 'playing';
+        setInputBlocked(scene, false);
+        return;
+    }
+
+    state.status = 'aiming';
+    if (move.action === 'shot') {
+        showShotAim(turret, /** @type {{angle: number, power: number}} */ (move));
+    }
+    scene.time.delayedCall(AIM_DISPLAY_MS, () => {
+        info(`📨 Playing ${move.player}'s move: ${move.action}`);
+        setInputBlocked(scene, false);
+        const failure = playTurnAction(scene, turret, move);
+        if (failure) {
+            warn(`⚠️ Imported move could not be played: ${failure}`);
+        }
+        state.incoming = null;
+        state.status = 'playing';
+    });
+}
+
+/**
+ * Show the panel for sending the local player's move on
+ * @param {any} scene - The Phaser scene
+ * @param {import('./replay.js').ReplayTurn} move - The move to send
+ */
+function showTurnExport(scene, move) {
+    const state = scene.correspondence;
+    if (!isTurnChecksumAvailable()) {
+        error(`❌ Turn cannot be sent: ${TURN_CHECKSUM_UNAVAILABLE}`);
+        showStoppedPanel(scene, 'TURN NOT SENT', TURN_CHECKSUM_UNAVAILABLE);
+        return;
+    }
+    // The match as it stands now is what the next player's match has to match when they send their turn
+    rememberMatch(captureMatchState(scene));
+    state.status = 'sending';
+    if (!scene.gameEnded) {
+        setInputBlocked(scene, true);
+    }
+    const seed = scene.gameState.seed;
+    const nextKey = scene.gameEnded ? null : getCurrentPlayerKey(scene.gameState);
+    const nextPlayer = (scene.playerData || []).find(p => p.id === nextKey);
+    const message = nextPlayer ? `Send this turn to ${nextPlayer.name}` : 'Send the final turn to the other players';
+
+    createTurnFile(state.turnSnapshot, move).then((turnFile) => {
+        info(`📨 Turn ready to send: ${move.player} ${move.action}`);
+        state.panel = createTurnExportPanel(scene, {
+            message,
+            onSaveFile: () => {
+                saveTurnFile(turnFile, move, seed);
+                state.panel.showStatus('Turn file saved');
+            },
+            onCopyCode: () => {
+                const code = encodeTurnCode(turnFile);
+                navigator.clipboard.writeText(code).then(() => {
+                    state.panel.showStatus('Turn code copied');
+                }).catch(() => {
+                    // Clipboard access can be refused; let the player copy it by hand
+                    window.prompt('Copy this turn code:', code);
+                });
+            },
+            onSetup: () => window.dispatchEvent(new window.CustomEvent('rocketwars:restart-to-setup'))
+        });
+        positionTurnExportPanel(state.panel, scene.cameras.main.width, scene.cameras.main.height);
+    }).catch((err) => {
+        error('❌ Could not create turn file:', err);
+        showStoppedPanel(scene, 'TURN NOT SENT', err.message);
+    });
+}
+
+/**
+ * Stop the match with a panel saying why (a turn that can't be sent or was refused), so the player
+ * isn't left waiting for something that never comes. SETUP goes back to the setup form.
+ * @param {any} scene - The Phaser scene
+ * @param {string} title - Panel title
+ * @param {string} message - What went wrong
+ */
+function showStoppedPanel(scene, title, message) {
+    const state = scene.correspondence;
+    state.status = 'stopped';
+    if (!scene.gameEnded) {
+        setInputBlocked(scene, true);
+    }
+    if (state.panel) {
+        state.panel.destroy();
+    }
+    state.panel = createTurnExportPanel(scene, {
+        title,
+        message,
+        onSetup: () => window.dispatchEvent(new window.CustomEvent('rocketwars:restart-to-setup'))
+    });
+    positionTurnExportPanel(state.panel, scene.cameras.main.width, scene.cameras.main.height);
+}
+
+/**
+ * Run play-by-file; call once per frame from the scene's update. Plays the imported turn's match on
+ * to the sender's move and checks it, plays the move, takes a snapshot at the start of each human
+ * turn, and once that player's move has played out (the next human's turn has started, or the match
+ * ended) offers the turn for sending.
+ * @param {any} scene - The Phaser scene
+ */
+export function updateCorrespondence(scene) {
+    const state = scene.correspondence;
+    if (!state || !scene.gameState || (state.status !== 'watching' && state.status !== 'playing')) return;
+    const gameState = scene.gameState;
+    const turns = scene.replayLog.turns;
+    const moveMade = state.turnSnapshot !== null && turns.length > state.turnIndex;
+
+    if (scene.gameEnded) {
+        if (state.status === 'watching') {
+            refuseIncomingTurn(scene, 'the end of the match');
+        } else if (moveMade) {
+            showTurnExport(scene, turns[state.turnIndex]);
+        } else {
+            // The imported move finished the match: remember the end, so its turn can't be played again
+            state.status = 'stopped';
+            rememberMatch(captureMatchState(scene));
+        }
+        return;
+    }
+
+    if (state.status === 'watching') {
+        setInputBlocked(scene, true);
+        if (isWaitingForTurnAction(scene) && !isCpuTurn(gameState)) {
+            playIncomingTurns(scene);
+        }
+        return;
+    }
+
+    if (!isWaitingForTurnAction(scene) || isCpuTurn(gameState)) return;
+    const move = moveMade ? turns[state.turnIndex] : null;
+    if (move && move.player !== getCurrentPlayerKey(gameState)) {
+        showTurnExport(scene, move);
+        return;
+    }
+    if (state.turnSnapshot === null || turns.length !== state.turnIndex) {
+        // A human turn has started: remember the match as it stands, to send along with the move
+        state.turnSnapshot = captureMatchState(scene);
+        state.turnIndex = turns.length;
+    }
+}
+
+/**
+ * Position the turn export panel after a resize
+ * @param {any} scene - The Phaser scene
+ * @param {number} viewportWidth - Viewport width
+ * @param {number} viewportHeight - Viewport height
+ */
+export function positionCorrespondencePanel(scene, viewportWidth, viewportHeight) {
+    if (scene.correspondence && scene.correspondence.panel) {
+        positionTurnExportPanel(scene.correspondence.panel, viewportWidth, viewportHeight);
+    }
+}
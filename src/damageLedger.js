@@ -0,0 +1,102 @@
+// damageLedger.js
+// Damage ledger for Rocket Wars: every time a turret loses health, who caused it, how and how much.
+// Assists and the per-player damage totals shown by panels and results are worked out from it.
+
+import { areAllies } from './alliances.js';
+
+/**
+ * Ways a turret can lose health:
+ * - direct: hit by a rocket
+ * - area: caught in an explosion
+ * - fall: dropped when the ground beneath was blasted away
+ * - collapse: the ground beneath was destroyed with nowhere to slide to
+ * - liquid: standing in water or lava, or falling into lava
+ */
+export const DAMAGE_CAUSES = ['direct', 'area', 'fall', 'collapse', 'liquid'];
+
+/**
+ * One entry in the damage ledger
+ * @typedef {Object} DamageEvent
+ * @property {number} round - Round the damage happened in
+ * @property {string} target - Player who lost health ('player1', 'player2', etc.)
+ * @property {string|null} attacker - Player who caused it (can be the target), null for the environment
+ * @property {string} cause - One of DAMAGE_CAUSES
+ * @property {number} amount - Health actually lost (never more than the target had left)
+ */
+
+/**
+ * Damage totals for one player
+ * @typedef {Object} PlayerDamageLedger
+ * @property {number} dealt - Damage dealt to opponents
+ * @property {number} dealtToAllies - Damage dealt to teammates (team play with friendly fire only)
+ * @property {number} taken - Damage taken from any source (including yourself)
+ * @property {number} selfInflicted - Damage done to yourself
+ * @property {Record<string, number>} dealtTo - Damage dealt to each other player
+ * @property {Record<string, number>} takenFrom - Damage taken from each player ('environment' for no attacker)
+ * @property {Record<string, number>} takenByCause - Damage taken by cause (see DAMAGE_CAUSES)
+ */
+
+/**
+ * Add a damage event to the game's ledger
+ * @param {any} gameState - Game state object
+ * @param {{target: string, attacker: string|null, cause: string, amount: number}} event - What happened
+ */
+export function recordDamage(gameState, event) {
+    if (!gameState.damageLog) {
+        gameState.damageLog = []; // Matches saved before the ledger existed
+    }
+    gameState.damageLog.push({ round: gameState.currentRound, ...event });
+}
+
+/**
+ * Find the players who helped kill a player: every opponent who damaged them, apart from the killer
+ * @param {any} gameState - Game state object
+ * @param {string} victimKey - Player who was killed
+ * @param {string|null} killerKey - Player credited with the kill (null if nobody was)
+ * @returns {string[]} Player keys to credit with an assist
+ */
+export function getAssistingPlayers(gameState, victimKey, killerKey) {
+    const assisting = new Set();
+    (gameState.damageLog || []).forEach(event => {
+        if (event.target === victimKey && event.attacker && event.attacker !== victimKey && event.attacker !== killerKey &&
+            !areAllies(gameState, event.attacker, victimKey)) {
+            assisting.add(event.attacker);
+        }
+    });
+    return [...assisting];
+}
+
+/**
+ * Total up the damage ledger for every player in the game
+ * @param {any} gameState - Game state object
+ * @returns {Record<string, PlayerDamageLedger>} Damage totals keyed by player ('player1', 'player2', etc.)
+ */
+export function getDamageLedger(gameState) {
+    /** @type {Record<string, PlayerDamageLedger>} */
+    const ledger = {};
+    for (let i = 1; i <= gameState.numPlayers; i++) {
+        ledger[`player${i}`] = { dealt: 0, dealtToAllies: 0, taken: 0, selfInflicted: 0, dealtTo: {}, takenFrom: {}, takenByCause: {} };
+    }
+
+    (gameState.damageLog || []).forEach(event => {
+        const target = ledger[event.target];
+        if (!target) return;
+        const source = event.attacker || 'environment';
+        target.taken += event.amount;
+        target.takenFrom[source] = (target.takenFrom[source] || 0) + event.amount;
+        target.takenByCause[event.cause] = (target.takenByCause[event.cause] || 0) + event.amount;
+
+        if (event.attacker === event.target) {
+            target.selfInflicted += event.amount;
+        } else if (event.attacker && ledger[event.attacker]) {
+            const attacker = ledger[event.attacker];
+            if (areAllies(gameState, event.attacker, event.target)) {
+                attacker.dealtToAllies += event.amount;
+            } else {
+                attacker.dealt += event.amount;
+            }
+            attacker.dealtTo[event.target] = (attacker.dealtTo[event.target] || 0) + event.amount;
+        }
+    });
+    return ledger;
+}
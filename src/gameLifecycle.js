@@ -2,6 +2,12 @@
 // Game lifecycle management functions
 
 import { stopTurnTimer, getRankedPlayers } from './turnManager.js';
+import { clearMatchState } from './storage.js';
+import { awardSurvivalBonus } from './scoring.js';
+import { recordCareerMatch } from './careerStats.js';
+import { getMatchId } from './correspondence.js';
+import { recordRatedMatch } from './profiles.js';
+import { ALLIANCES } from './alliances.js';
 import { info } from './logger.js';
 import { updateGameUI } from './ui/updateUI.js';
 import { createResultsPanel, positionResultsPanel, setupResultsPanelRestart, hideAimingInstructionsPanel } from './ui/index.js';
@@ -9,7 +15,7 @@ import { createResultsPanel, positionResultsPanel, setupResultsPanelRestart, hid
 /**
  * Handle end of game - show results panel and focus on winner
  * @param {any} scene - The Phaser scene
- * @param {string} reason - Reason for game end ('max_rounds' or 'last_player')
+ * @param {string} reason - Reason for game end ('max_rounds', 'sudden_death', 'hill', 'last_player' or 'last_team')
  */
 export function handleGameEnd(scene, reason) {
     info(`🏁 Game ended: ${reason}`);
@@ -23,6 +29,25 @@ export function handleGameEnd(scene, reason) {
     // Stop any active turn timer
     stopTurnTimer(scene.gameState);
     
+    // Survivors score a bonus for the health they have left
+    awardSurvivalBonus(scene.gameState);
+    
+    // A finished match can't be resumed (replays, online and play-by-file matches leave any saved match alone)
+    if (!scene.replayViewer && !scene.network && !scene.correspondence) {
+        clearMatchState();
+    }
+    
+    // Add the match to each human player's lifetime stats (watching a replay doesn't count, and a
+    // match whose end is seen again, like a play-by-file final turn opened twice, counts once)
+    if (!scene.replayViewer) {
+        recordCareerMatch(scene.gameState, scene.playerData, getMatchId(scene.replayLog));
+    }
+    
+    // Update profile ratings (only for matches played on this device, where the profiles belong)
+    scene.ratingChanges = !scene.replayViewer && !scene.network && !scene.correspondence
+        ? recordRatedMatch(scene.gameState, scene.playerData)
+        : {};
+    
     // Hide aiming instructions panel if it's still visible
     if (scene.aimingInstructionsPanel) {
         hideAimingInstructionsPanel(scene.aimingInstructionsPanel);
@@ -35,7 +60,7 @@ export function handleGameEnd(scene, reason) {
     // Set up restart functionality
     setupResultsPanelRestart(scene);
     
-    // Focus camera on the winner (first player in results)
+    // Focus camera on the winner (first player in results, the top scorer of the winning team in team play)
     const winner = getRankedPlayers(scene.gameState, scene.playerData)[0];
     if (winner && scene.turrets) {
         const winnerTurret = scene.turrets.find(turret => turret.team === `player${winner.number}`);
@@ -45,5 +70,6 @@ export function handleGameEnd(scene, reason) {
         }
     }
     
-    info(`🎊 Game complete! Winner: Player ${winner ? winner.number : 'Unknown'}`);
+    const winnerName = winner && winner.alliance !== null ? ALLIANCES[winner.alliance].name : `Player ${winner ? winner.number : 'Unknown'}`;
+    info(`🎊 Game complete! Winner: ${winnerName}`);
 }
@@ -1,9 +1,27 @@
 // gameSetup.js
 // Game startup and configuration form handling for Rocket Wars
 
-import { loadGameConfig, saveGameConfig } from './storage.js';
-import { info, error } from './logger.js';
+import { loadGameConfig, saveGameConfig, loadMatchState, clearMatchState } from './storage.js';
+import { info, warn, error } from './logger.js';
 import { GAME_VERSION } from './constants.js';
+import { normalizeSeed, createRandomSeed } from './random.js';
+import { loadReplayFile } from './replay.js';
+import { isResumableMatch } from './matchSave.js';
+import { parseTurnFile, loadTurnFile, isTurnChecksumAvailable, TURN_CHECKSUM_UNAVAILABLE } from './correspondence.js';
+import { getLeaderboard, resetCareerPlayer } from './careerStats.js';
+import { getProfiles, createProfile } from './profiles.js';
+import { getDefaultRelayUrl, connectToRelay, closeNetworkSession, getHumanPlayerKeys, runHostLobby, runJoinLobby } from './network.js';
+
+/** Controller choices offered for each player slot (CPU values are difficulty ids in ai.js) */
+const PLAYER_TYPE_OPTIONS = [
+    { value: 'human', text: 'Human' },
+    { value: 'easy', text: 'CPU - Easy' },
+    { value: 'medium', text: 'CPU - Medium' },
+    { value: 'hard', text: 'CPU - Hard' }
+];
+
+/** Profile choice that turns the typed name into a new profile when the game starts */
+const NEW_PROFILE_OPTION = 'new';
 
 /**
  * Initialize the game setup form and return a promise that resolves with game config
@@ -34,11 +52,28 @@ function initializeFormHandlers(onGameStart) {
     const roundsValue = document.getElementById('rounds-value');
     const turnTimeSlider = /** @type {HTMLInputElement} */ (document.getElementById('turn-time'));
     const turnTimeValue = document.getElementById('turn-time-value');
+    const specialAmmoSlider = /** @type {HTMLInputElement} */ (document.getElementById('special-ammo'));
+    const specialAmmoValue = document.getElementById('special-ammo-value');
     const numPlayersSelect = /** @type {HTMLSelectElement} */ (document.getElementById('num-players'));
+    const terrainTypeSelect = /** @type {HTMLSelectElement} */ (document.getElementById('terrain-type'));
+    const liquidTypeSelect = /** @type {HTMLSelectElement} */ (document.getElementById('liquid-type'));
+    const liquidRisingSelect = /** @type {HTMLSelectElement} */ (document.getElementById('liquid-rising'));
+    const suddenDeathSelect = /** @type {HTMLSelectElement} */ (document.getElementById('sudden-death'));
+    const healthTiebreakSelect = /** @type {HTMLSelectElement} */ (document.getElementById('health-tiebreak'));
+    const teamsSelect = /** @type {HTMLSelectElement} */ (document.getElementById('teams'));
+    const friendlyFireSelect = /** @type {HTMLSelectElement} */ (document.getElementById('friendly-fire'));
+    const gameModeSelect = /** @type {HTMLSelectElement} */ (document.getElementById('game-mode'));
+    const hillTargetSlider = /** @type {HTMLInputElement} */ (document.getElementById('hill-target'));
+    const hillTargetValue = document.getElementById('hill-target-value');
+    const seedInput = /** @type {HTMLInputElement} */ (document.getElementById('seed'));
+    const playModeSelect = /** @type {HTMLSelectElement} */ (document.getElementById('play-mode'));
     const gameVersionInfo = document.getElementById('game-version-info');
     
     if (!form || !windVariationSlider || !windVariationValue || !gravitySlider || !gravityValue || 
-        !turnTimeSlider || !turnTimeValue || !roundsSlider || !roundsValue || !numPlayersSelect) {
+        !turnTimeSlider || !turnTimeValue || !roundsSlider || !roundsValue || !numPlayersSelect ||
+        !specialAmmoSlider || !specialAmmoValue || !terrainTypeSelect || !liquidTypeSelect || !liquidRisingSelect || !seedInput ||
+        !playModeSelect || !suddenDeathSelect || !healthTiebreakSelect || !teamsSelect || !friendlyFireSelect || !gameModeSelect ||
+        !hillTargetSlider || !hillTargetValue) {
         error('Could not find required form elements');
         return;
     }
@@ -55,12 +90,26 @@ function initializeFormHandlers(onGameStart) {
     turnTimeSlider.value = savedConfig.turnTime.toString();
     windVariationSlider.value = savedConfig.windVariation.toString();
     gravitySlider.value = savedConfig.gravity.toString();
+    specialAmmoSlider.value = savedConfig.specialAmmo.toString();
+    terrainTypeSelect.value = savedConfig.terrainType;
+    liquidTypeSelect.value = savedConfig.liquidType;
+    liquidRisingSelect.value = savedConfig.liquidRising ? 'true' : 'false';
+    suddenDeathSelect.value = savedConfig.suddenDeath ? 'true' : 'false';
+    healthTiebreakSelect.value = savedConfig.healthTiebreak ? 'true' : 'false';
+    teamsSelect.value = savedConfig.teams ? 'true' : 'false';
+    friendlyFireSelect.value = savedConfig.friendlyFire ? 'true' : 'false';
+    gameModeSelect.value = savedConfig.gameMode;
+    hillTargetSlider.value = savedConfig.hillTarget.toString();
+    seedInput.value = savedConfig.seed;
+    playModeSelect.value = savedConfig.playByFile ? 'file' : 'device';
     
     // Update display values
     roundsValue.textContent = savedConfig.rounds.toString();
     turnTimeValue.textContent = `${savedConfig.turnTime}s`;
     windVariationValue.textContent = `${savedConfig.windVariation}%`;
     gravityValue.textContent = savedConfig.gravity.toString();
+    specialAmmoValue.textContent = savedConfig.specialAmmo.toString();
+    hillTargetValue.textContent = savedConfig.hillTarget.toString();
     
     // Set up slider event listeners with a helper function
     const setupSliderListener = (slider, valueElement, formatter = (val) => val) => {
@@ -73,23 +122,57 @@ function initializeFormHandlers(onGameStart) {
     setupSliderListener(turnTimeSlider, turnTimeValue, val => `${val}s`);
     setupSliderListener(windVariationSlider, windVariationValue, val => `${val}%`);
     setupSliderListener(gravitySlider, gravityValue);
+    setupSliderListener(specialAmmoSlider, specialAmmoValue);
+    setupSliderListener(hillTargetSlider, hillTargetValue);
     
-    // Handle form submission
-    form.addEventListener('submit', (e) => {
-        e.preventDefault();
-        
+    // Teams need exactly four players, and friendly fire only matters with teams
+    const updateTeamOptions = () => {
+        teamsSelect.disabled = numPlayersSelect.value !== '4';
+        friendlyFireSelect.disabled = teamsSelect.disabled || teamsSelect.value !== 'true';
+    };
+    numPlayersSelect.addEventListener('change', updateTeamOptions);
+    teamsSelect.addEventListener('change', updateTeamOptions);
+    updateTeamOptions();
+    
+    // The hill target only matters in king of the hill
+    const updateGameModeOptions = () => {
+        hillTargetSlider.disabled = gameModeSelect.value !== 'hill';
+    };
+    gameModeSelect.addEventListener('change', updateGameModeOptions);
+    updateGameModeOptions();
+    
+    // Read the form into a game configuration, preserving saved player names
+    const readFormConfig = () => {
         // Get current config to preserve player names
         const currentConfig = loadGameConfig();
         
         // Update only the form values, preserving player names
-        const gameConfig = {
+        return {
             ...currentConfig,
             numPlayers: parseInt(numPlayersSelect.value),
             rounds: parseInt(roundsSlider.value),
             turnTime: parseInt(turnTimeSlider.value),
             windVariation: parseInt(windVariationSlider.value),
-            gravity: parseInt(gravitySlider.value)
+            gravity: parseInt(gravitySlider.value),
+            specialAmmo: parseInt(specialAmmoSlider.value),
+            terrainType: terrainTypeSelect.value,
+            liquidType: liquidTypeSelect.value,
+            liquidRising: liquidRisingSelect.value === 'true',
+            suddenDeath: suddenDeathSelect.value === 'true',
+            healthTiebreak: healthTiebreakSelect.value === 'true',
+            teams: teamsSelect.value === 'true', // Ignored unless there are four players
+            friendlyFire: friendlyFireSelect.value === 'true',
+            gameMode: gameModeSelect.value,
+            hillTarget: parseInt(hillTargetSlider.value),
+            seed: normalizeSeed(seedInput.value), // Blank means a new random seed every match
+            playByFile: playModeSelect.value === 'file'
         };
+    };
+    
+    // Handle form submission
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const gameConfig = readFormConfig();
         
         info('Starting player name entry with config:', gameConfig);
         
@@ -99,6 +182,368 @@ function initializeFormHandlers(onGameStart) {
         // Hide initial form and show player names form
         showPlayerNamesForm(gameConfig, onGameStart);
     });
+    
+    setupReplayFileButton();
+    setupTurnImportButtons();
+    setupOnlineButtons(readFormConfig);
+    setupResumeGameButtons();
+    setupLeaderboard();
+    showResumeGameOffer();
+}
+
+/**
+ * Let players host an online game with the form's settings, or join one by room code.
+ * The match starts for everyone once every human seat is filled.
+ * @param {function(): Object} readFormConfig - Reads the game configuration from the form
+ * @returns {void}
+ */
+function setupOnlineButtons(readFormConfig) {
+    const relayUrlInput = /** @type {HTMLInputElement} */ (document.getElementById('relay-url'));
+    const roomCodeInput = /** @type {HTMLInputElement} */ (document.getElementById('room-code'));
+    const hostButton = document.getElementById('host-online-button');
+    const joinButton = document.getElementById('join-online-button');
+    const onlineStatus = document.getElementById('online-status');
+    if (!relayUrlInput || !roomCodeInput || !hostButton || !joinButton || !onlineStatus) {
+        warn('Online game controls not found - online play is unavailable');
+        return;
+    }
+    
+    relayUrlInput.value = loadGameConfig().relayUrl || getDefaultRelayUrl();
+    
+    // The lobby being waited in (if any); it is handed over to the game when the match starts
+    let lobbySession = null;
+    let stopLobby = null;
+    const leaveLobby = () => {
+        if (stopLobby) stopLobby();
+        if (lobbySession) closeNetworkSession(lobbySession);
+        lobbySession = null;
+        stopLobby = null;
+    };
+    const showStatus = (text) => {
+        onlineStatus.textContent = text;
+    };
+    const startMatch = ({ config, seats }) => {
+        const session = lobbySession;
+        lobbySession = null;
+        stopLobby = null;
+        showStatus('');
+        window.dispatchEvent(new window.CustomEvent('rocketwars:start-online-game', { detail: { config, seats, session } }));
+    };
+    const connect = (request) => {
+        leaveLobby();
+        const relayUrl = relayUrlInput.value.trim() || getDefaultRelayUrl();
+        saveGameConfig({ ...loadGameConfig(), relayUrl });
+        showStatus(`Connecting to ${relayUrl}...`);
+        return connectToRelay(relayUrl, request).then((session) => {
+            lobbySession = session;
+            return session;
+        }).catch((err) => {
+            warn('Could not connect to the relay:', err);
+            showStatus(err.message);
+            return null;
+        });
+    };
+    
+    hostButton.addEventListener('click', () => {
+        const config = readFormConfig();
+        if (getHumanPlayerKeys(config).length < 2) {
+            showStatus('Online games need at least two human players.');
+            return;
+        }
+        saveGameConfig(config);
+        // Every device builds the same landscape and wind from one fixed seed (and plays live, not by file)
+        const matchConfig = { ...config, seed: config.seed || createRandomSeed(), playByFile: false };
+        connect({ type: 'host' }).then((session) => {
+            if (!session) return;
+            stopLobby = runHostLobby(session, matchConfig, { onUpdate: showStatus, onStart: startMatch });
+        });
+    });
+    
+    joinButton.addEventListener('click', () => {
+        const code = roomCodeInput.value.trim().toUpperCase();
+        if (!code) {
+            showStatus('Enter the room code shown on the host\'s screen.');
+            return;
+        }
+        connect({ type: 'join', code }).then((session) => {
+            if (!session) return;
+            const name = loadGameConfig().playerNames.player1;
+            stopLobby = runJoinLobby(session, name, { onUpdate: showStatus, onStart: startMatch });
+        });
+    });
+}
+
+/**
+ * Wire up the resume and discard buttons for a saved match in progress
+ * @returns {void}
+ */
+function setupResumeGameButtons() {
+    const resumeButton = document.getElementById('resume-game-button');
+    const discardButton = document.getElementById('discard-saved-game-button');
+    if (!resumeButton || !discardButton) {
+        warn('Resume game controls not found - saved matches cannot be resumed');
+        return;
+    }
+    
+    resumeButton.addEventListener('click', () => {
+        const snapshot = loadMatchState();
+        if (!isResumableMatch(snapshot)) {
+            showResumeGameOffer();
+            return;
+        }
+        window.dispatchEvent(new window.CustomEvent('rocketwars:resume-game', { detail: snapshot }));
+    });
+    discardButton.addEventListener('click', () => {
+        clearMatchState();
+        showResumeGameOffer();
+    });
+}
+
+/**
+ * Show the "Resume Game" offer when a match in progress was saved, with who is playing and how far it got
+ * @returns {void}
+ */
+function showResumeGameOffer() {
+    const resumeSection = document.getElementById('resume-game-section');
+    const resumeDetails = document.getElementById('resume-game-details');
+    if (!resumeSection || !resumeDetails) return;
+    
+    const snapshot = loadMatchState();
+    if (!isResumableMatch(snapshot)) {
+        if (snapshot) {
+            info('Saved match cannot be resumed by this version - discarding it');
+            clearMatchState();
+        }
+        resumeSection.hidden = true;
+        return;
+    }
+    
+    const names = snapshot.players.map(player => player.name).join(' vs ');
+    const savedAt = new Date(snapshot.savedAt).toLocaleString();
+    resumeDetails.textContent = `${names} - round ${snapshot.gameState.currentRound} of ${snapshot.gameState.maxRounds} (saved ${savedAt})`;
+    resumeSection.hidden = false;
+}
+
+/**
+ * Let players pick a saved replay file from the setup form and start watching it
+ * @returns {void}
+ */
+function setupReplayFileButton() {
+    const loadReplayButton = document.getElementById('load-replay-button');
+    const replayFileInput = /** @type {HTMLInputElement} */ (document.getElementById('replay-file'));
+    if (!loadReplayButton || !replayFileInput) {
+        warn('Replay file controls not found - watching saved replays is unavailable');
+        return;
+    }
+    
+    loadReplayButton.addEventListener('click', () => replayFileInput.click());
+    replayFileInput.addEventListener('change', () => {
+        const file = replayFileInput.files && replayFileInput.files[0];
+        // Clear the input so choosing the same file again still fires 'change'
+        replayFileInput.value = '';
+        if (!file) return;
+        
+        loadReplayFile(file).then((log) => {
+            window.dispatchEvent(new window.CustomEvent('rocketwars:watch-replay', { detail: { log } }));
+        }).catch((err) => {
+            warn('Could not load replay file:', err);
+            window.alert(err.message);
+        });
+    });
+}
+
+/**
+ * Let players take their turn in a play-by-file match from a pasted turn code or a turn file.
+ * Turns that were edited, damaged, out of order, already played or sent from another game version are refused with an explanation.
+ * @returns {void}
+ */
+function setupTurnImportButtons() {
+    const turnCodeInput = /** @type {HTMLTextAreaElement} */ (document.getElementById('turn-code'));
+    const playCodeButton = document.getElementById('play-turn-code-button');
+    const openFileButton = document.getElementById('open-turn-file-button');
+    const turnFileInput = /** @type {HTMLInputElement} */ (document.getElementById('turn-file'));
+    if (!turnCodeInput || !playCodeButton || !openFileButton || !turnFileInput) {
+        warn('Turn import controls not found - play-by-file turns cannot be received');
+        return;
+    }
+    
+    const playTurn = (turn) => {
+        turnCodeInput.value = '';
+        window.dispatchEvent(new window.CustomEvent('rocketwars:play-turn-file', { detail: turn }));
+    };
+    const refuseTurn = (err) => {
+        warn('Could not read turn:', err);
+        window.alert(err.message);
+    };
+    
+    playCodeButton.addEventListener('click', () => {
+        const code = turnCodeInput.value.trim();
+        if (!code) {
+            window.alert('Paste the turn code you were sent first.');
+            return;
+        }
+        parseTurnFile(code).then(playTurn).catch(refuseTurn);
+    });
+    openFileButton.addEventListener('click', () => turnFileInput.click());
+    turnFileInput.addEventListener('change', () => {
+        const file = turnFileInput.files && turnFileInput.files[0];
+        // Clear the input so choosing the same file again still fires 'change'
+        turnFileInput.value = '';
+        if (!file) return;
+        
+        loadTurnFile(file).then(playTurn).catch(refuseTurn);
+    });
+}
+
+/**
+ * Open the leaderboard from the setup form: profile ratings (with each profile's rating history),
+ * and career stats with a reset button for each player
+ * @returns {void}
+ */
+function setupLeaderboard() {
+    const configFormContainer = document.getElementById('config-form-container');
+    const leaderboardContainer = document.getElementById('leaderboard-container');
+    const openButton = document.getElementById('leaderboard-button');
+    const backButton = document.getElementById('leaderboard-back-button');
+    if (!configFormContainer || !leaderboardContainer || !openButton || !backButton) {
+        warn('Leaderboard controls not found - career stats cannot be viewed');
+        return;
+    }
+    
+    openButton.addEventListener('click', () => {
+        showLeaderboard();
+        configFormContainer.style.display = 'none';
+        leaderboardContainer.style.display = 'flex';
+    });
+    backButton.addEventListener('click', () => {
+        configFormContainer.style.display = 'flex';
+        leaderboardContainer.style.display = 'none';
+    });
+}
+
+/**
+ * Fill the leaderboard tables from the saved profiles and career stats
+ * @returns {void}
+ */
+function showLeaderboard() {
+    showRatings();
+    showCareerStats();
+}
+
+/**
+ * Add a row of cells to a table body
+ * @param {HTMLElement} rowsContainer - Table body
+ * @param {Array<string|number>} values - Cell contents
+ * @returns {HTMLTableRowElement} The new row
+ */
+function addTableRow(rowsContainer, values) {
+    const row = document.createElement('tr');
+    values.forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value.toString();
+        row.appendChild(cell);
+    });
+    rowsContainer.appendChild(row);
+    return row;
+}
+
+/**
+ * Add a small button in its own cell at the end of a table row
+ * @param {HTMLTableRowElement} row - Table row
+ * @param {string} text - Button text
+ * @param {Function} onClick - Called when the button is clicked
+ */
+function addRowButton(row, text, onClick) {
+    const cell = document.createElement('td');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary-button';
+    button.textContent = text;
+    button.addEventListener('click', () => onClick());
+    cell.appendChild(button);
+    row.appendChild(cell);
+}
+
+/**
+ * Fill the ratings table from the saved profiles, highest rating first
+ * @returns {void}
+ */
+function showRatings() {
+    const rowsContainer = document.getElementById('ratings-rows');
+    const emptyMessage = document.getElementById('ratings-empty');
+    const historySection = document.getElementById('rating-history');
+    if (!rowsContainer || !emptyMessage || !historySection) return;
+    
+    const profiles = getProfiles();
+    rowsContainer.innerHTML = '';
+    emptyMessage.hidden = profiles.length > 0;
+    historySection.hidden = true;
+    
+    profiles.forEach((profile) => {
+        const best = Math.max(profile.rating, ...profile.history.map(entry => entry.rating));
+        const row = addTableRow(rowsContainer, [profile.name, profile.rating, profile.gamesPlayed, best]);
+        addRowButton(row, 'History', () => showRatingHistory(profile));
+    });
+}
+
+/**
+ * Show one profile's rating history, most recent match first
+ * @param {import('./profiles.js').PlayerProfile} profile - Profile to show
+ * @returns {void}
+ */
+function showRatingHistory(profile) {
+    const historySection = document.getElementById('rating-history');
+    const title = document.getElementById('rating-history-title');
+    const rowsContainer = document.getElementById('rating-history-rows');
+    if (!historySection || !title || !rowsContainer) return;
+    
+    title.textContent = `${profile.name} - Rating History`;
+    rowsContainer.innerHTML = '';
+    [...profile.history].reverse().forEach((entry) => {
+        addTableRow(rowsContainer, [
+            new Date(entry.playedAt).toLocaleDateString(),
+            `${entry.position} of ${entry.players}`,
+            entry.opponents.join(', '),
+            `${entry.change >= 0 ? '+' : ''}${entry.change}`,
+            entry.rating
+        ]);
+    });
+    if (profile.history.length === 0) {
+        addTableRow(rowsContainer, ['No rated matches yet', '', '', '', '']);
+    }
+    historySection.hidden = false;
+    historySection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Fill the career stats table from the saved career stats
+ * @returns {void}
+ */
+function showCareerStats() {
+    const rowsContainer = document.getElementById('leaderboard-rows');
+    const emptyMessage = document.getElementById('leaderboard-empty');
+    if (!rowsContainer || !emptyMessage) return;
+    
+    const leaderboard = getLeaderboard();
+    rowsContainer.innerHTML = '';
+    emptyMessage.hidden = leaderboard.length > 0;
+    
+    leaderboard.forEach((record) => {
+        const row = addTableRow(rowsContainer, [
+            record.name,
+            record.gamesPlayed,
+            `${record.wins} (${record.winRate}%)`,
+            record.podiums,
+            `${record.accuracy}%`,
+            record.damageDealt,
+            record.kills
+        ]);
+        addRowButton(row, 'Reset', () => {
+            if (!window.confirm(`Reset all stats for ${record.name}?`)) return;
+            resetCareerPlayer(record.name);
+            showCareerStats();
+        });
+    });
 }
 
 /**
@@ -108,6 +553,7 @@ function initializeFormHandlers(onGameStart) {
 export function hideFormShowGame() {
     const formContainer = document.getElementById('config-form-container');
     const playerNamesFormContainer = document.getElementById('player-names-form-container');
+    const leaderboardContainer = document.getElementById('leaderboard-container');
     const gameContainer = document.getElementById('game-container');
     
     if (formContainer) {
@@ -118,6 +564,10 @@ export function hideFormShowGame() {
         playerNamesFormContainer.style.display = 'none';
     }
     
+    if (leaderboardContainer) {
+        leaderboardContainer.style.display = 'none';
+    }
+    
     if (gameContainer) {
         gameContainer.style.display = 'flex';
     }
@@ -136,6 +586,9 @@ export function showFormHideGame() {
         formContainer.style.display = 'flex';
     }
     
+    // The saved match may have finished, or been replaced, since the form was last shown
+    showResumeGameOffer();
+    
     if (playerNamesFormContainer) {
         playerNamesFormContainer.style.display = 'none';
     }
@@ -168,6 +621,9 @@ function showPlayerNamesForm(gameConfig, onGameStart) {
     // Load saved player names
     const savedConfig = loadGameConfig();
     const savedPlayerNames = savedConfig.playerNames || {};
+    const savedPlayerTypes = savedConfig.playerTypes || {};
+    const savedPlayerProfiles = savedConfig.playerProfiles || {};
+    const profiles = getProfiles();
     
     // Clear existing inputs and create new ones based on number of players
     playerNameInputsContainer.innerHTML = '';
@@ -207,8 +663,51 @@ function showPlayerNamesForm(gameConfig, onGameStart) {
             }
         });
         
+        // Human or computer-controlled, with CPU difficulty
+        const typeSelect = document.createElement('select');
+        typeSelect.id = `player-${i}-type`;
+        typeSelect.setAttribute('aria-label', `${defaultName} controller`);
+        PLAYER_TYPE_OPTIONS.forEach(({ value, text }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = savedPlayerTypes[playerKey] || 'human';
+        
+        // Rated profile to play as (humans only), instead of typing a name
+        const profileSelect = document.createElement('select');
+        profileSelect.id = `player-${i}-profile`;
+        profileSelect.setAttribute('aria-label', `${defaultName} profile`);
+        [
+            { value: '', text: 'No profile (unrated)' },
+            ...profiles.map(profile => ({ value: profile.id, text: `${profile.name} (${profile.rating})` })),
+            { value: NEW_PROFILE_OPTION, text: 'New profile with this name' }
+        ].forEach(({ value, text }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            profileSelect.appendChild(option);
+        });
+        const savedProfile = profiles.find(profile => profile.id === savedPlayerProfiles[playerKey]);
+        profileSelect.value = savedProfile ? savedProfile.id : '';
+        
+        const updateProfileChoice = () => {
+            const profile = profiles.find(p => p.id === profileSelect.value);
+            profileSelect.disabled = typeSelect.value !== 'human';
+            input.disabled = !profileSelect.disabled && !!profile;
+            if (input.disabled && profile) {
+                input.value = profile.name;
+            }
+        };
+        profileSelect.addEventListener('change', updateProfileChoice);
+        typeSelect.addEventListener('change', updateProfileChoice);
+        updateProfileChoice();
+        
         inputGroup.appendChild(label);
+        inputGroup.appendChild(profileSelect);
         inputGroup.appendChild(input);
+        inputGroup.appendChild(typeSelect);
         playerNameInputsContainer.appendChild(inputGroup);
     }
     
@@ -226,15 +725,47 @@ function showPlayerNamesForm(gameConfig, onGameStart) {
     playerNamesForm.addEventListener('submit', (e) => {
         e.preventDefault();
         
-        // Collect player names from form
+        // Turns can't be sent from pages the browser won't checksum on, so don't start a match that would stall
+        if (gameConfig.playByFile && !isTurnChecksumAvailable()) {
+            window.alert(TURN_CHECKSUM_UNAVAILABLE);
+            return;
+        }
+        
+        // Collect player names, controllers and profiles from form
+        /** @type {Record<string, string>} */
         const playerNames = {};
+        const playerTypes = {};
+        /** @type {Record<string, string>} */
+        const playerProfiles = {};
         for (let i = 1; i <= gameConfig.numPlayers; i++) {
             const playerKey = `player${i}`;
             const input = /** @type {HTMLInputElement} */ (document.getElementById(`player-${i}-name`));
             const enteredName = input.value.trim();
+            const typeSelect = /** @type {HTMLSelectElement} */ (document.getElementById(`player-${i}-type`));
+            const profileSelect = /** @type {HTMLSelectElement} */ (document.getElementById(`player-${i}-profile`));
             
             // Use entered name or fall back to default
             playerNames[playerKey] = enteredName || `Player ${i}`;
+            playerTypes[playerKey] = typeSelect ? typeSelect.value : 'human';
+            playerProfiles[playerKey] = profileSelect && !profileSelect.disabled ? profileSelect.value : '';
+        }
+        
+        // Each profile can only play once per match; new profiles are created from the typed names
+        const profileProblem = checkProfileChoices(playerNames, playerProfiles, profiles);
+        if (profileProblem) {
+            window.alert(profileProblem);
+            return;
+        }
+        const newProfileKeys = Object.keys(playerProfiles).filter(playerKey => playerProfiles[playerKey] === NEW_PROFILE_OPTION);
+        try {
+            newProfileKeys.forEach(playerKey => {
+                const profile = createProfile(playerNames[playerKey]);
+                playerProfiles[playerKey] = profile.id;
+            });
+        } catch (err) {
+            warn('Could not create profile:', err);
+            window.alert(err.message);
+            return;
         }
         
         // Update game config with player names
@@ -243,6 +774,14 @@ function showPlayerNamesForm(gameConfig, onGameStart) {
             playerNames: {
                 ...savedConfig.playerNames,
                 ...playerNames
+            },
+            playerTypes: {
+                ...savedConfig.playerTypes,
+                ...playerTypes
+            },
+            playerProfiles: {
+                ...savedConfig.playerProfiles,
+                ...playerProfiles
             }
         };
         
@@ -262,3 +801,33 @@ function showPlayerNamesForm(gameConfig, onGameStart) {
         } catch {}
     });
 }
+
+/**
+ * Check the profiles picked on the player names form before any new ones are created
+ * @param {Record<string, string>} playerNames - Name for each player key
+ * @param {Record<string, string>} playerProfiles - Profile id (or NEW_PROFILE_OPTION, or '') for each player key
+ * @param {import('./profiles.js').PlayerProfile[]} profiles - Existing profiles
+ * @returns {string|null} What is wrong, or null if the choices are fine
+ */
+function checkProfileChoices(playerNames, playerProfiles, profiles) {
+    const chosenIds = Object.values(playerProfiles).filter(id => id && id !== NEW_PROFILE_OPTION);
+    const repeatedProfile = profiles.find(profile => chosenIds.filter(id => id === profile.id).length > 1);
+    if (repeatedProfile) {
+        return `${repeatedProfile.name} is picked for more than one player.`;
+    }
+    
+    const newProfileKeys = Object.keys(playerProfiles).filter(playerKey => playerProfiles[playerKey] === NEW_PROFILE_OPTION);
+    const newNames = newProfileKeys.map(playerKey => playerNames[playerKey].toLowerCase());
+    const unnamedKey = newProfileKeys.find(playerKey => playerNames[playerKey] === `Player ${playerKey.replace('player', '')}`);
+    if (unnamedKey) {
+        return `Type a name for ${playerNames[unnamedKey]}'s new profile.`;
+    }
+    const takenProfile = profiles.find(profile => newNames.includes(profile.name.toLowerCase()));
+    if (takenProfile) {
+        return `There is already a profile called "${takenProfile.name}" - pick it from the list instead.`;
+    }
+    if (new Set(newNames).size < newNames.length) {
+        return 'Each new profile needs a different name.';
+    }
+    return null;
+}
@@ -0,0 +1,204 @@
+// hill.js
+// King of the hill for Rocket Wars: a zone near the middle of the landscape scores a point at the end of every round
+// for whichever turret is inside it, or closest to it. The first side to the target wins; otherwise the most
+// hill points after the last round does.
+
+import { WORLD_HEIGHT } from './constants.js';
+import { randomInt } from './random.js';
+import { getAllianceIndex, getSides } from './alliances.js';
+import { info } from './logger.js';
+
+/** Hill points to win when the config doesn't say */
+export const DEFAULT_HILL_TARGET = 5;
+
+/** Width of the zone in terrain columns (chunks) */
+const HILL_WIDTH_CHUNKS = 3;
+
+/** Marker colour (gold) */
+const HILL_COLOR = 0xffd700;
+
+/**
+ * Where the zone is on the landscape
+ * @typedef {Object} HillZone
+ * @property {number} firstChunk - Index of the leftmost chunk in the zone
+ * @property {number} lastChunk - Index of the rightmost chunk in the zone
+ * @property {number} x - Left edge in world pixels
+ * @property {number} width - Width in world pixels
+ */
+
+/**
+ * Hill state stored on the game state
+ * @typedef {HillZone & {target: number, points: Record<string, number>}} HillState
+ */
+
+/**
+ * Choose the zone for a king-of-the-hill match. It is drawn from the seed's own 'hill' stream, so every
+ * device, replay and resumed match gets the same zone, and from the middle third of the landscape,
+ * so no end of the world is closer to it than the other. The zone is chosen before the bases, so
+ * players can see it while choosing them; it isn't placed to be equally far from every base.
+ * @param {Object} config - Game configuration ({gameMode})
+ * @param {Array<{x: number, width: number}>} chunks - Landscape chunks, left to right
+ * @returns {HillZone|null} Zone, or null when the match isn't king of the hill
+ */
+export function chooseHillZone(config, chunks) {
+    if (config.gameMode !== 'hill' || !chunks || chunks.length < HILL_WIDTH_CHUNKS) {
+        return null;
+    }
+    const third = Math.floor(chunks.length / 3);
+    const lowest = third;
+    const highest = Math.max(lowest, chunks.length - third - HILL_WIDTH_CHUNKS);
+    const firstChunk = randomInt('hill', lowest, highest);
+    const lastChunk = firstChunk + HILL_WIDTH_CHUNKS - 1;
+    const zone = {
+        firstChunk,
+        lastChunk,
+        x: chunks[firstChunk].x,
+        width: chunks[lastChunk].x + chunks[lastChunk].width - chunks[firstChunk].x
+    };
+    info(`👑 Hill zone: chunks ${firstChunk}-${lastChunk} (x ${zone.x}-${zone.x + zone.width})`);
+    return zone;
+}
+
+/**
+ * Create the hill state for a new game
+ * @param {Object} config - Game configuration ({hillTarget, numPlayers})
+ * @param {HillZone|null} zone - Zone from chooseHillZone
+ * @returns {HillState|null} Hill state, or null when the match isn't king of the hill
+ */
+export function createHillState(config, zone) {
+    if (!zone) return null;
+    /** @type {Record<string, number>} */
+    const points = {};
+    for (let i = 1; i <= (config.numPlayers ?? 2); i++) {
+        points[`player${i}`] = 0;
+    }
+    return {
+        ...zone,
+        target: config.hillTarget ?? DEFAULT_HILL_TARGET,
+        points
+    };
+}
+
+/**
+ * Get the chunks in the zone, so starting bases can keep off it
+ * @param {HillZone|null} zone - Zone from chooseHillZone
+ * @returns {number[]} Chunk indices (none without a zone)
+ */
+export function getHillChunkIndices(zone) {
+    const indices = [];
+    if (zone) {
+        for (let i = zone.firstChunk; i <= zone.lastChunk; i++) {
+            indices.push(i);
+        }
+    }
+    return indices;
+}
+
+/**
+ * Get how far a turret is from the zone (0 anywhere inside it)
+ * @param {HillZone} zone - The zone
+ * @param {number} x - Turret x position
+ * @returns {number} Horizontal distance in pixels
+ */
+function getDistanceToHill(zone, x) {
+    return Math.max(0, zone.x - x, x - (zone.x + zone.width));
+}
+
+/**
+ * Find who holds the hill: the surviving turret inside the zone or closest to it. Turrets from different
+ * sides that are equally close (such as two in the zone at once) contest it, so nobody holds it. Teammates
+ * sharing it hold it for their team, with the point going to the first of them in turn order.
+ * @param {any} gameState - Game state object (with hill)
+ * @param {Array<{team: string, x: number}>} turrets - Turrets on the field
+ * @returns {string|null} Holder's player key, or null if nobody holds it
+ */
+export function findHillHolder(gameState, turrets) {
+    const hill = gameState.hill;
+    if (!hill) return null;
+
+    const contenders = (turrets || [])
+        .filter(turret => gameState.playersAlive.includes(parseInt(turret.team.replace('player', ''))))
+        .map(turret => ({ playerKey: turret.team, distance: getDistanceToHill(hill, turret.x) }));
+    if (contenders.length === 0) return null;
+
+    const closest = Math.min(...contenders.map(contender => contender.distance));
+    const holders = contenders
+        .filter(contender => contender.distance === closest)
+        .map(contender => contender.playerKey)
+        .sort((a, b) => parseInt(a.replace('player', '')) - parseInt(b.replace('player', '')));
+    const side = getAllianceIndex(gameState, holders[0]);
+    const contested = holders.some(playerKey => playerKey !== holders[0] && (side === null || getAllianceIndex(gameState, playerKey) !== side));
+    return contested ? null : holders[0];
+}
+
+/**
+ * Award the end-of-round hill point
+ * @param {any} scene - The Phaser scene (with gameState and turrets)
+ * @returns {string|null} Player key that scored, or null if the hill was empty or contested
+ */
+export function scoreHillRound(scene) {
+    const hill = scene.gameState.hill;
+    if (!hill) return null;
+    const holder = findHillHolder(scene.gameState, scene.turrets);
+    if (!holder) {
+        info(`👑 Round ${scene.gameState.currentRound}: nobody holds the hill (empty or contested)`);
+        return null;
+    }
+    hill.points[holder]++;
+    info(`👑 Round ${scene.gameState.currentRound}: ${holder} holds the hill (${hill.points[holder]} points)`);
+    return holder;
+}
+
+/**
+ * Get every side's hill points: each player's own, or the alliance's total in team play
+ * @param {any} gameState - Game state object (with hill)
+ * @returns {number[]} Hill points for each side, in getSides order (none without a hill)
+ */
+export function getSideHillPoints(gameState) {
+    if (!gameState.hill) return [];
+    return getSides(gameState).map(members =>
+        members.reduce((total, playerNum) => total + (gameState.hill.points[`player${playerNum}`] || 0), 0));
+}
+
+/**
+ * Check whether a side has reached the hill target
+ * @param {any} gameState - Game state object
+ * @returns {boolean} True once any side has enough hill points to win
+ */
+export function isHillTargetReached(gameState) {
+    return !!gameState.hill && getSideHillPoints(gameState).some(points => points >= gameState.hill.target);
+}
+
+/**
+ * Draw (or redraw) the zone marker: a gold band up from the ground with a flag on top. It sits behind the
+ * terrain so it shows in the sky and through caves without hiding anything.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {HillZone|null} zone - Zone to mark (null removes the marker)
+ */
+export function drawHillMarker(scene, zone) {
+    const sceneAny = /** @type {any} */ (scene);
+    if (!zone) {
+        if (sceneAny.hillGraphics) {
+            sceneAny.hillGraphics.clear();
+        }
+        return;
+    }
+
+    if (!sceneAny.hillGraphics) {
+        sceneAny.hillGraphics = scene.add.graphics();
+        sceneAny.hillGraphics.setDepth(-1);
+    }
+    const graphics = sceneAny.hillGraphics;
+    const centerX = zone.x + zone.width / 2;
+    graphics.clear();
+    graphics.fillStyle(HILL_COLOR, 0.12);
+    graphics.fillRect(zone.x, 0, zone.width, WORLD_HEIGHT);
+    graphics.lineStyle(2, HILL_COLOR, 0.5);
+    graphics.lineBetween(zone.x, 0, zone.x, WORLD_HEIGHT);
+    graphics.lineBetween(zone.x + zone.width, 0, zone.x + zone.width, WORLD_HEIGHT);
+    // Flag near the top of the world so the zone can be found from a distance
+    graphics.lineStyle(3, 0xffffff, 0.9);
+    graphics.lineBetween(centerX, 40, centerX, 110);
+    graphics.fillStyle(HILL_COLOR, 0.9);
+    graphics.fillTriangle(centerX, 40, centerX + 36, 52, centerX, 64);
+}
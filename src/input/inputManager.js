@@ -3,7 +3,7 @@
 
 import { setupMouseInput } from './mouseInput.js';
 import { setupKeyboardInput } from './keyboardInput.js';
-import { getCurrentPlayer } from '../turnManager.js';
+import { getCurrentPlayer, isAutomatedTurn } from '../turnManager.js';
 import { updateGameUI } from '../ui/updateUI.js';
 import { info, warn } from '../logger.js';
 
@@ -40,6 +40,12 @@ export function setupInputManager(scene, onShoot) {
             return false;
         }
         
+        // CPU players (and replays) aim for themselves
+        if (isAutomatedTurn(scene.gameState)) {
+            info('🚫 Cannot start aiming - the turn is being played automatically');
+            return false;
+        }
+        
         const currentPlayerNum = getCurrentPlayer(scene.gameState);
         const currentPlayerKey = `player${currentPlayerNum}`;
         
@@ -12,6 +12,7 @@ import { info, trace } from '../logger.js';
  * @property {Phaser.Input.Keyboard.Key} enterKey - Enter key for keyboard aiming
  * @property {Phaser.Input.Keyboard.Key} escKey - ESC key to cancel aiming
  * @property {Phaser.Input.Keyboard.Key} tKey - T key for teleportation
+ * @property {Phaser.Input.Keyboard.Key} qKey - Q key for cycling the selected weapon
  * @property {Function} update - Update keyboard input state
  * @property {Function} disable - Disable keyboard input
  * @property {Function} enable - Re-enable keyboard input
@@ -19,7 +20,7 @@ import { info, trace } from '../logger.js';
 
 /**
  * Setup keyboard input handling for the game scene
- * @param {Phaser.Scene & {turrets?: any[], currentPlayerTurret?: any, gameState?: any, gameEnded?: boolean, cameraControls?: any, onShoot?: Function, startPlayerAiming?: Function, stopAimingAndShoot?: Function, enterTeleportMode?: Function, exitTeleportMode?: Function, isTeleportMode?: Function}} scene - The Phaser scene
+ * @param {Phaser.Scene & {turrets?: any[], currentPlayerTurret?: any, gameState?: any, gameEnded?: boolean, cameraControls?: any, onShoot?: Function, startPlayerAiming?: Function, stopAimingAndShoot?: Function, enterTeleportMode?: Function, exitTeleportMode?: Function, isTeleportMode?: Function, changeWeapon?: Function}} scene - The Phaser scene
  * @param {Object} cameraControls - Camera controls object for coordination
  * @returns {KeyboardInputHandler} Keyboard input handler
  */
@@ -30,10 +31,11 @@ export function setupKeyboardInput(scene, cameraControls) {
     const enterKey = scene.input.keyboard.addKey('ENTER');
     const escKey = scene.input.keyboard.addKey('ESC');
     const tKey = scene.input.keyboard.addKey('T');
+    const qKey = scene.input.keyboard.addKey('Q');
     
     /**
      * Handle keyboard input updates
-     * @param {Phaser.Scene & {cameraControls?: any, currentPlayerTurret?: any, gameState?: any, turrets?: any[], gameEnded?: boolean, onShoot?: Function, startPlayerAiming?: Function, stopAimingAndShoot?: Function, enterTeleportMode?: Function, exitTeleportMode?: Function, isTeleportMode?: Function}} scene - The Phaser scene
+     * @param {Phaser.Scene & {cameraControls?: any, currentPlayerTurret?: any, gameState?: any, turrets?: any[], gameEnded?: boolean, onShoot?: Function, startPlayerAiming?: Function, stopAimingAndShoot?: Function, enterTeleportMode?: Function, exitTeleportMode?: Function, isTeleportMode?: Function, changeWeapon?: Function}} scene - The Phaser scene
      */
     const updateKeyboardInput = (scene) => {
         // Handle Enter key for keyboard aiming
@@ -74,6 +76,14 @@ export function setupKeyboardInput(scene, cameraControls) {
             }
         }
         
+        // Handle Q key for cycling the selected weapon
+        if (qKey && scene.input.keyboard.enabled && scene.gameState && scene.turrets && !scene.gameEnded) {
+            if (Phaser.Input.Keyboard.JustDown(qKey)) {
+                info('🚀 Q key pressed - changing weapon');
+                scene.changeWeapon?.(1);
+            }
+        }
+        
         // Handle ESC key to cancel aiming or teleport mode
         if (escKey && scene.input.keyboard.enabled) {
             // Check if ESC key was just pressed
@@ -118,6 +128,7 @@ export function setupKeyboardInput(scene, cameraControls) {
         enterKey,
         escKey,
         tKey,
+        qKey,
         update: updateKeyboardInput,
         
         disable: () => {
@@ -130,6 +141,7 @@ export function setupKeyboardInput(scene, cameraControls) {
             scene.input.keyboard.removeKey('ENTER');
             scene.input.keyboard.removeKey('ESC');
             scene.input.keyboard.removeKey('T');
+            scene.input.keyboard.removeKey('Q');
             
             // Also disable global keyboard capture to prevent interference with DOM inputs
             scene.input.keyboard.enabled = false;
@@ -2,6 +2,7 @@
 // Landscape generation and drawing utilities for Rocket Wars
 
 import { WORLD_HEIGHT } from './constants.js';
+import { random } from './random.js';
 import { info, trace } from './logger.js';
 
 /**
@@ -34,7 +35,7 @@ export function generateLandscapePoints(width, baseY, numPoints, numPlayers = 2)
         // Create varied terrain: some sections flat, some mountainous
         if (sectionIndex % 2 === 0) {
             // Even sections: flatter terrain with reduced variation
-            y = baseY + Math.floor(Math.random() * 40 - 20); // ±20px variation
+            y = baseY + Math.floor(random('terrain') * 40 - 20); // ±20px variation
         } else {
             // Odd sections: mountainous terrain (50-80% of world height)
             // Calculate mountain height: 50-80% of world height from top = 400-640px from top
@@ -43,13 +44,13 @@ export function generateLandscapePoints(width, baseY, numPoints, numPlayers = 2)
             const maxMountainHeight = WORLD_HEIGHT * 0.8; // 80% = 640px from top
             
             // Random height between min and max for this section
-            const sectionMountainHeight = minMountainHeight + Math.random() * (maxMountainHeight - minMountainHeight);
+            const sectionMountainHeight = minMountainHeight + random('terrain') * (maxMountainHeight - minMountainHeight);
             
             // Calculate how far down from baseY this mountain should go
             const mountainDepth = baseY - (WORLD_HEIGHT - sectionMountainHeight);
             
             // Use sine wave for mountain shape with reduced noise
-            y = baseY - mountainDepth * Math.sin(Math.PI * sectionProgress) + Math.floor(Math.random() * 20 - 10); // ±10px noise
+            y = baseY - mountainDepth * Math.sin(Math.PI * sectionProgress) + Math.floor(random('terrain') * 20 - 10); // ±10px noise
         }
         
         points.push({ x, y });
@@ -0,0 +1,231 @@
+// liquid.js
+// Water and lava hazards at the bottom of the world for Rocket Wars
+
+import { WORLD_HEIGHT } from './constants.js';
+import { applyDamage } from './turnManager.js';
+import { random } from './random.js';
+import { info, trace } from './logger.js';
+
+/**
+ * Liquid type definition
+ * @typedef {Object} LiquidDefinition
+ * @property {string} name - Display name
+ * @property {number} color - Surface fill colour
+ * @property {number} alpha - Fill opacity (water lets the terrain show through)
+ * @property {number} splashColor - Colour of splash droplets when a projectile fizzles
+ * @property {number} turnDamage - Damage to a submerged turret at the end of every turn
+ * @property {boolean} destroysTurrets - True if a turret falling in is destroyed outright
+ */
+
+/** @type {Record<string, LiquidDefinition>} */
+export const LIQUIDS = {
+    water: { name: 'Water', color: 0x2a6fdb, alpha: 0.6, splashColor: 0xaaddff, turnDamage: 10, destroysTurrets: false },
+    lava: { name: 'Lava', color: 0xff4500, alpha: 0.9, splashColor: 0xffcc00, turnDamage: 100, destroysTurrets: true }
+};
+
+/** Starting liquid depth above the bottom of the world (fills the deepest craters only) */
+const START_DEPTH = 40;
+/** How far a rising liquid climbs at the start of each new round */
+const RISE_PER_ROUND = 20;
+/** Rising liquid never covers more than this much of the world */
+const MAX_DEPTH = WORLD_HEIGHT * 0.5;
+/** How far the liquid climbs every turn during sudden death (with no limit, so it reaches every turret) */
+const SUDDEN_DEATH_RISE_PER_TURN = 40;
+
+/**
+ * Liquid state stored on the game state
+ * @typedef {Object} LiquidState
+ * @property {string} type - Key into LIQUIDS
+ * @property {number} depth - Depth above the bottom of the world in pixels
+ * @property {boolean} rising - True if the level rises every round
+ * @property {boolean} [suddenDeath] - True once sudden death starts (rises every turn, all the way up)
+ */
+
+/**
+ * Create the liquid state for a new game
+ * @param {Object} [config] - Game configuration ({liquidType, liquidRising})
+ * @returns {LiquidState|null} Liquid state, or null when the game has no liquid
+ */
+export function createLiquidState(config = {}) {
+    const type = config.liquidType ?? 'none';
+    if (!LIQUIDS[type]) {
+        return null;
+    }
+    return {
+        type,
+        depth: START_DEPTH,
+        rising: !!config.liquidRising
+    };
+}
+
+/**
+ * Get the world Y coordinate of the liquid surface
+ * @param {LiquidState|null} liquid - Liquid state
+ * @returns {number} Surface Y (bottom of the world when there is no liquid)
+ */
+export function getLiquidSurfaceY(liquid) {
+    return liquid ? WORLD_HEIGHT - liquid.depth : WORLD_HEIGHT;
+}
+
+/**
+ * Check whether a world Y coordinate is under the liquid surface
+ * @param {LiquidState|null} liquid - Liquid state
+ * @param {number} y - World Y coordinate
+ * @returns {boolean} True if submerged
+ */
+export function isBelowLiquidSurface(liquid, y) {
+    return !!liquid && y > getLiquidSurfaceY(liquid);
+}
+
+/**
+ * Check whether a turret is standing in the liquid (its base is under the surface)
+ * @param {LiquidState|null} liquid - Liquid state
+ * @param {any} turret - Turret container (y is 25px above its base)
+ * @returns {boolean} True if the turret is submerged
+ */
+export function isTurretInLiquid(liquid, turret) {
+    return isBelowLiquidSurface(liquid, turret.y + 25);
+}
+
+/**
+ * Draw (or redraw) the liquid across the bottom of the world
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {LiquidState|null} liquid - Liquid state
+ */
+export function drawLiquid(scene, liquid) {
+    const sceneAny = /** @type {any} */ (scene);
+    if (!liquid) {
+        if (sceneAny.liquidGraphics) {
+            sceneAny.liquidGraphics.clear();
+        }
+        return;
+    }
+
+    if (!sceneAny.liquidGraphics) {
+        sceneAny.liquidGraphics = scene.add.graphics();
+        sceneAny.liquidGraphics.setDepth(10); // Over terrain and turrets so submerged turrets look submerged
+    }
+
+    const definition = LIQUIDS[liquid.type];
+    const surfaceY = getLiquidSurfaceY(liquid);
+    const worldWidth = scene.physics.world.bounds.width;
+    const graphics = sceneAny.liquidGraphics;
+    graphics.clear();
+    graphics.fillStyle(definition.color, definition.alpha);
+    graphics.fillRect(0, surfaceY, worldWidth, WORLD_HEIGHT - surfaceY);
+    // Lighter line along the surface
+    graphics.lineStyle(2, definition.splashColor, 0.8);
+    graphics.lineBetween(0, surfaceY, worldWidth, surfaceY);
+}
+
+/**
+ * Get the liquid for a sudden-death tiebreak: the match's liquid, or lava if it had none, rising every turn
+ * @param {LiquidState|null} liquid - Liquid state before sudden death
+ * @returns {LiquidState} Liquid state for sudden death
+ */
+export function createSuddenDeathLiquid(liquid) {
+    return {
+        ...(liquid || createLiquidState({ liquidType: 'lava' })),
+        rising: true,
+        suddenDeath: true
+    };
+}
+
+/**
+ * Raise a rising liquid at the start of a new round (or every turn during sudden death)
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {LiquidState|null} liquid - Liquid state
+ * @returns {boolean} True if the level rose
+ */
+export function raiseLiquidLevel(scene, liquid) {
+    const maxDepth = liquid && liquid.suddenDeath ? WORLD_HEIGHT : MAX_DEPTH;
+    if (!liquid || !liquid.rising || liquid.depth >= maxDepth) {
+        return false;
+    }
+    const rise = liquid.suddenDeath ? SUDDEN_DEATH_RISE_PER_TURN : RISE_PER_ROUND;
+    liquid.depth = Math.min(maxDepth, liquid.depth + rise);
+    info(`🌊 ${LIQUIDS[liquid.type].name} level rose to ${liquid.depth}px (surface y=${getLiquidSurfaceY(liquid)})`);
+    drawLiquid(scene, liquid);
+    return true;
+}
+
+/**
+ * Splash effect for a projectile fizzling out in the liquid
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {number} x - X coordinate where the projectile entered
+ * @param {LiquidState} liquid - Liquid state
+ */
+export function createSplash(scene, x, liquid) {
+    const definition = LIQUIDS[liquid.type];
+    const surfaceY = getLiquidSurfaceY(liquid);
+    info(`💦 Projectile fizzled in ${definition.name.toLowerCase()} at x=${Math.round(x)}`);
+
+    const numDroplets = 8;
+    for (let i = 0; i < numDroplets; i++) {
+        const droplet = scene.add.graphics();
+        droplet.setDepth(11);
+        droplet.fillStyle(definition.splashColor, 1);
+        droplet.fillCircle(0, 0, 2 + random('effects') * 2);
+        droplet.x = x;
+        droplet.y = surfaceY;
+
+        // Droplets fan upwards and fall back into the liquid
+        const spreadX = (random('effects') - 0.5) * 60;
+        const height = 20 + random('effects') * 30;
+        scene.tweens.add({
+            targets: droplet,
+            x: x + spreadX,
+            y: { value: surfaceY - height, ease: 'Quad.easeOut', yoyo: true },
+            alpha: { from: 1, to: 0 },
+            duration: 500,
+            onComplete: () => droplet.destroy()
+        });
+    }
+}
+
+/**
+ * End-of-turn liquid hazards: submerged turrets take damage (lava destroys them)
+ * @param {Phaser.Scene} scene - The Phaser scene (with turrets)
+ * @param {any} gameState - Current game state
+ * @returns {boolean} True if any turret was damaged
+ */
+export function applyLiquidHazards(scene, gameState) {
+    const liquid = gameState && gameState.liquid;
+    const sceneAny = /** @type {any} */ (scene);
+    if (!liquid || !sceneAny.turrets) return false;
+
+    const definition = LIQUIDS[liquid.type];
+    let anyDamaged = false;
+    sceneAny.turrets.forEach(turret => {
+        const player = gameState[turret.team];
+        if (!player || player.health <= 0 || !isTurretInLiquid(liquid, turret)) {
+            trace(`🌊 ${turret.team} is clear of the ${definition.name.toLowerCase()}`);
+            return;
+        }
+        applyDamage(gameState, turret.team, definition.turnDamage, null, 'liquid');
+        if (turret.updateHealthDisplay) turret.updateHealthDisplay(player.health);
+        info(`🌊 ${turret.team} turret is in ${definition.name.toLowerCase()} and took ${definition.turnDamage} damage, health now: ${player.health}%`);
+        anyDamaged = true;
+    });
+    return anyDamaged;
+}
+
+/**
+ * Check a turret that has just fallen: landing in lava destroys it straight away
+ * @param {any} gameState - Current game state
+ * @param {any} turret - Turret that fell
+ * @param {number} baseY - Y of the turret's base where it lands
+ * @param {string|null} [attackerKey] - Player whose shot made it fall (credited with the kill)
+ * @returns {boolean} True if the turret was destroyed
+ */
+export function applyLiquidLanding(gameState, turret, baseY, attackerKey = null) {
+    const liquid = gameState && gameState.liquid;
+    if (!liquid || !LIQUIDS[liquid.type].destroysTurrets || !isBelowLiquidSurface(liquid, baseY)) {
+        return false;
+    }
+    const player = gameState[turret.team];
+    applyDamage(gameState, turret.team, player.health, attackerKey, 'liquid');
+    if (turret.updateHealthDisplay) turret.updateHealthDisplay(player.health);
+    info(`🌋 ${turret.team} turret fell into the ${LIQUIDS[liquid.type].name.toLowerCase()} and was destroyed`);
+    return true;
+}
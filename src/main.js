@@ -2,15 +2,28 @@
 // Entry point for Rocket Wars game logic
 
 import { setupChunkedLandscape } from './chunkedLandscape.js';
+import { setupMaskLandscape } from './maskTerrain.js';
+import { createLiquidState, drawLiquid } from './liquid.js';
+import { chooseHillZone, drawHillMarker } from './hill.js';
 import { placeTurretsOnChunks } from './turret.js';
 import { createProjectile } from './projectile.js';
-import { createEnvironmentPanel, createPlayerStatsPanel, positionEnvironmentPanel, positionPlayerStatsPanel, createAimingInstructionsPanel, showAimingInstructionsIfNeeded, positionPanel } from './ui/index.js';
-import { createGameState, startPlayerTurn, getCurrentPlayer, stopTurnTimer, enterTeleportMode, exitTeleportMode, completeTeleport, isTeleportMode } from './turnManager.js';
+import { createEnvironmentPanel, createPlayerStatsPanel, positionEnvironmentPanel, positionPlayerStatsPanel, createAimingInstructionsPanel, showAimingInstructionsIfNeeded, positionPanel, positionReplayControlsPanel, positionOnlineStatusPanel } from './ui/index.js';
+import { createGameState, startPlayerTurn, getCurrentPlayer, stopTurnTimer, enterTeleportMode, exitTeleportMode, completeTeleport, isTeleportMode, changeWeapon } from './turnManager.js';
 import { progressTurn } from './turnFlow.js';
+import { getSelectedWeapon, hasAmmo, consumeAmmo } from './weapons.js';
 import { updateGameUI } from './ui/updateUI.js';
 import { focusCameraOnActivePlayer } from './projectileManager.js';
-import { initializeGameSetup, showFormHideGame } from './gameSetup.js';
+import { initializeGameSetup, showFormHideGame, hideFormShowGame } from './gameSetup.js';
 import { initializeBaseSelection } from './baseSelection.js';
+import { startCpuTurnIfNeeded } from './ai.js';
+import { setGameSeed } from './random.js';
+import { createReplayLog, recordReplayBases, recordReplayTurn } from './replay.js';
+import { createReplayViewer, updateReplayViewer } from './replayPlayer.js';
+import { restoreMatchState, updateMatchSave } from './matchSave.js';
+import { clearMatchState } from './storage.js';
+import { createOnlineMatch, updateOnlineMatch, closeNetworkSession } from './network.js';
+import { createCorrespondence, updateCorrespondence, positionCorrespondencePanel } from './correspondence.js';
+import { recordShotFired } from './matchStats.js';
 import { WORLD_HEIGHT, calculateWorldWidth } from './constants.js';
 import { setupCameraAndInput, updateKeyboardCamera, setupWorldBounds } from './camera.js';
 import { updateProjectiles } from './projectileManager.js';
@@ -21,6 +34,105 @@ import { info, trace, warn, error } from './logger.js';
 let gameConfig = null;
 let WORLD_WIDTH = 3000; // Default value, will be recalculated
 let gameInstance = null; // Track the Phaser.Game instance for teardown on restart
+let activeReplay = null; // Replay being watched ({log, startTurn, speed, playing}), null for a live game
+let activeResume = null; // Saved match being resumed (see matchSave.js), null for a new game
+let activeOnline = null; // Online match being played ({session, seats}, see network.js), null for a local game
+let activeIncomingTurn = null; // Imported play-by-file turn ({snapshot, move, start}), played on to once the match is set up
+
+/**
+ * Tear down the running Phaser game, if any, and leave any online room
+ */
+function destroyGame() {
+    try {
+        if (gameInstance) {
+            gameInstance.destroy(true);
+            gameInstance = null;
+        }
+    } catch {
+        // Non-fatal
+    }
+    if (activeOnline) {
+        closeNetworkSession(activeOnline.session);
+        activeOnline = null;
+    }
+}
+
+// Restarts and replays can be requested at any time, including before the first game
+window.addEventListener('rocketwars:restart-to-setup', () => {
+    info('🔄 Restart requested: tearing down game and showing setup form');
+    destroyGame();
+    activeReplay = null;
+    activeResume = null;
+    activeIncomingTurn = null;
+    // Show setup UI
+    showFormHideGame();
+});
+
+window.addEventListener('rocketwars:watch-replay', (ev) => {
+    const detail = /** @type {CustomEvent} */ (ev).detail || {};
+    if (!detail.log) {
+        return;
+    }
+    info(`🎬 Watching replay (seed ${detail.log.seed}) from turn ${(detail.startTurn ?? 0) + 1}`);
+    destroyGame();
+    activeReplay = detail;
+    activeResume = null;
+    activeIncomingTurn = null;
+    gameConfig = { ...detail.log.config };
+    WORLD_WIDTH = calculateWorldWidth(gameConfig.numPlayers);
+    hideFormShowGame();
+    startGame();
+});
+
+window.addEventListener('rocketwars:resume-game', (ev) => {
+    const snapshot = /** @type {CustomEvent} */ (ev).detail;
+    if (!snapshot) {
+        return;
+    }
+    info(`💾 Resuming saved match (seed ${snapshot.config.seed}) at round ${snapshot.gameState.currentRound}`);
+    destroyGame();
+    activeReplay = null;
+    activeResume = snapshot;
+    activeIncomingTurn = null;
+    gameConfig = { ...snapshot.config };
+    WORLD_WIDTH = calculateWorldWidth(gameConfig.numPlayers);
+    hideFormShowGame();
+    startGame();
+});
+
+window.addEventListener('rocketwars:start-online-game', (ev) => {
+    const detail = /** @type {CustomEvent} */ (ev).detail;
+    if (!detail || !detail.session) {
+        return;
+    }
+    info(`🌐 Starting online match in room ${detail.session.code} (seed ${detail.config.seed})`);
+    destroyGame();
+    activeReplay = null;
+    activeResume = null;
+    activeIncomingTurn = null;
+    activeOnline = { session: detail.session, seats: detail.seats };
+    gameConfig = { ...detail.config };
+    WORLD_WIDTH = calculateWorldWidth(gameConfig.numPlayers);
+    hideFormShowGame();
+    startGame();
+});
+
+window.addEventListener('rocketwars:play-turn-file', (ev) => {
+    const detail = /** @type {CustomEvent} */ (ev).detail;
+    if (!detail || !detail.snapshot || !detail.move) {
+        return;
+    }
+    info(`📨 Playing imported turn (seed ${detail.snapshot.config.seed}) from ${detail.move.player}`);
+    destroyGame();
+    activeReplay = null;
+    // The sender's match is only checked: the match is played on from this device's own last state of it, or from the start
+    activeResume = detail.start || null;
+    activeIncomingTurn = detail;
+    gameConfig = { ...detail.snapshot.config };
+    WORLD_WIDTH = calculateWorldWidth(gameConfig.numPlayers);
+    hideFormShowGame();
+    startGame();
+});
 
 // Initialize game setup and wait for form submission
 initializeGameSetup().then((config) => {
@@ -31,20 +143,6 @@ initializeGameSetup().then((config) => {
     startGame();
 
     // After first start, enable event-driven restarts
-    window.addEventListener('rocketwars:restart-to-setup', () => {
-        info('🔄 Restart requested: tearing down game and showing setup form');
-        try {
-            if (gameInstance) {
-                gameInstance.destroy(true);
-                gameInstance = null;
-            }
-        } catch {
-            // Non-fatal
-        }
-        // Show setup UI
-        showFormHideGame();
-    });
-
     window.addEventListener('rocketwars:start-game', (ev) => {
         // Ignore if a game is already running
         if (gameInstance) {
@@ -52,6 +150,9 @@ initializeGameSetup().then((config) => {
         }
         const detail = /** @type {CustomEvent} */ (ev).detail || {};
         if (detail && typeof detail === 'object') {
+            activeReplay = null;
+            activeResume = null;
+            activeIncomingTurn = null;
             gameConfig = detail;
             WORLD_WIDTH = calculateWorldWidth(gameConfig.numPlayers);
             info(`World width recalculated: ${WORLD_WIDTH} pixels for ${gameConfig.numPlayers} players`);
@@ -139,18 +240,33 @@ function shootFromTurret(scene, turret, shootData) {
             return;
         }
         
+        // Check the selected weapon still has ammo
+        const selectedWeapon = getSelectedWeapon(scene.gameState, currentPlayerKey);
+        if (!hasAmmo(scene.gameState, currentPlayerKey, selectedWeapon.id)) {
+            warn(`🚫 Shooting blocked: Player ${currentPlayerNum} has no ${selectedWeapon.name} rockets left`);
+            return;
+        }
+        
         // Mark that this player has fired this turn and stop the turn timer
         scene.gameState.hasPlayerFiredThisTurn = true;
         stopTurnTimer(scene.gameState);
         info(`✅ Player ${currentPlayerNum} fired their shot this turn - timer stopped`);
     }
     
-    // Launch projectile from turret gun tip
+    // Launch projectile from turret gun tip using the firing player's selected weapon
     const tipPosition = turret.getGunTipPosition();
-    const projectile = createProjectile(scene, tipPosition.x, tipPosition.y, shootData.angle, shootData.power, turret.team);
+    const weapon = getSelectedWeapon(scene.gameState, turret.team);
+    recordReplayTurn(scene, { action: 'shot', angle: shootData.angle, power: shootData.power, weapon: weapon.id });
+    const projectile = createProjectile(scene, tipPosition.x, tipPosition.y, shootData.angle, shootData.power, turret.team, weapon.id);
+    if (scene.gameState) {
+        consumeAmmo(scene.gameState, turret.team, weapon.id);
+    }
 
     // Store reference to firing turret for tooltip management
     projectile.firingTurret = turret;
+    if (scene.gameState) {
+        projectile.shot = recordShotFired(scene.gameState, turret);
+    }
 
     // Add projectile to scene's projectile list for tracking
     if (!scene.projectiles) {
@@ -158,16 +274,34 @@ function shootFromTurret(scene, turret, shootData) {
     }
     scene.projectiles.push(projectile);
 
-    trace(`Projectile launched from (${Math.round(tipPosition.x)}, ${Math.round(tipPosition.y)})`);
+    trace(`${weapon.name} projectile launched from (${Math.round(tipPosition.x)}, ${Math.round(tipPosition.y)})`);
 
-    // Update teleport button since projectiles are now in flight
-    scene.environmentPanel?.updateTeleportButton?.(scene.gameState, scene);
+    // Update panels (remaining ammo) and teleport button since projectiles are now in flight
+    updateGameUI(scene, scene.gameState, { updateEnvironment: true, updatePlayers: true, updateTeleport: true });
 
 }
 
+/**
+ * Copy each player's chosen base from base selection into the game state
+ * @param {any} gameState - Newly created game state
+ * @param {PlayerData[]} playerData - Player data from base selection
+ */
+function syncPlayerBases(gameState, playerData) {
+    playerData.forEach((player, index) => {
+        if (player.chunkIndex !== null && player.chunkIndex !== undefined) {
+            const playerNum = index + 1;
+            const playerKey = `player${playerNum}`;
+            if (gameState[playerKey]) {
+                gameState[playerKey].chunkIndex = player.chunkIndex;
+                trace(`📍 Player ${playerNum} chunk index synced: ${player.chunkIndex}`);
+            }
+        }
+    });
+}
+
 /**
  * Create the game scene
- * @this {Phaser.Scene & {turrets: any[], currentPlayerTurret: any, projectiles: any[], landscapeData: any, landscapeGraphics: any, gameState: any, environmentPanel: any, playerStatsPanel: any, aimingInstructionsPanel: any, cameraControls: any}}
+ * @this {Phaser.Scene & {turrets: any[], currentPlayerTurret: any, projectiles: any[], landscapeData: any, landscapeGraphics: any, gameState: any, environmentPanel: any, playerStatsPanel: any, aimingInstructionsPanel: any, cameraControls: any, replayLog?: any, replayViewer?: any, network?: any, correspondence?: any}}
  */
 function create() {
     // Set up world bounds (camera and physics)
@@ -198,6 +332,13 @@ function create() {
                 // Re-center the aiming instructions panel using the utility function
                 positionPanel(this.aimingInstructionsPanel, 'center', newWidth, newHeight);
             }
+            if (this.replayViewer) {
+                positionReplayControlsPanel(this.replayViewer.panel, newWidth, newHeight);
+            }
+            if (this.network) {
+                positionOnlineStatusPanel(this.network.panel, newWidth, newHeight);
+            }
+            positionCorrespondencePanel(this, newWidth, newHeight);
         }, 100); // Throttle resize events
     };
 
@@ -210,13 +351,53 @@ function create() {
     this.events.once('shutdown', () => window.removeEventListener('resize', handleResize));
     this.events.once('destroy', () => window.removeEventListener('resize', handleResize));
 
-    // Set up world landscape (generation, drawing, and boundaries)
-    const { landscapeData, graphics } = setupChunkedLandscape(this, WORLD_WIDTH, WORLD_HEIGHT, gameConfig);
+    // Seed all game randomness first so the same seed and settings rebuild the same match
+    // (a replay's config carries the seed it was recorded with)
+    const seed = setGameSeed(gameConfig.seed);
+
+    // Record the match so it can be replayed; a replay being watched keeps the log it was loaded from
+    // and a resumed match carries on recording into its saved log
+    const replay = activeReplay;
+    const resume = activeResume;
+    const online = activeOnline;
+    const incoming = activeIncomingTurn;
+    if (replay) {
+        this.replayLog = replay.log;
+        createReplayViewer(this, replay);
+    } else if (resume) {
+        this.replayLog = resume.replayLog;
+    } else if (incoming) {
+        // An imported turn this device has no state for: rebuild the match from its start
+        this.replayLog = { ...incoming.snapshot.replayLog, turns: [] };
+    } else {
+        this.replayLog = createReplayLog(gameConfig, seed);
+        if (online) {
+            // Every device records the match; turns played here are sent to the others from the log
+            createOnlineMatch(this, online.session, online.seats);
+        } else {
+            clearMatchState(); // A new match replaces any saved one (online matches can't be resumed)
+        }
+    }
+    if (gameConfig.playByFile && !replay) {
+        // Play-by-file: each human move is sent on as a turn file (an imported turn plays on to its move first)
+        createCorrespondence(this, incoming);
+    }
+
+    // Set up world landscape (generation, drawing, and boundaries) using the chosen terrain backend
+    const setupLandscape = gameConfig.terrainType === 'mask' ? setupMaskLandscape : setupChunkedLandscape;
+    const { landscapeData, graphics } = setupLandscape(this, WORLD_WIDTH, WORLD_HEIGHT, gameConfig);
 
     // Store landscape data for collision detection
     this.landscapeData = landscapeData;
     this.landscapeGraphics = graphics;
 
+    // King of the hill: mark the zone now, so players can see it while choosing their bases
+    this.landscapeData.hillZone = chooseHillZone(gameConfig, landscapeData.chunks);
+    drawHillMarker(this, this.landscapeData.hillZone);
+
+    // Show the starting liquid level during base selection (game state takes over once it exists)
+    drawLiquid(this, createLiquidState(gameConfig));
+
     this.projectiles = [];
 
     // Set up camera controls and input BEFORE player setup so scrolling works during setup
@@ -224,10 +405,19 @@ function create() {
         shootFromTurret(this, turret, shootData);
     });
 
-    // Start base selection stage instead of immediately placing turrets
-    info('🎮 Starting base selection stage...');
-    initializeBaseSelection(this, gameConfig).then((setupResult) => {
-        info('✅ Base selection complete, starting combat phase...');
+    // Start base selection stage instead of immediately placing turrets (a resumed match
+    // rebuilds its saved terrain, turrets and game state instead)
+    let playerSetup;
+    if (resume) {
+        info('💾 Restoring saved match...');
+        playerSetup = Promise.resolve(restoreMatchState(this, resume));
+    } else {
+        info('🎮 Starting base selection stage...');
+        const presetBases = replay ? replay.log.bases : (incoming ? incoming.snapshot.replayLog.bases : null);
+        playerSetup = initializeBaseSelection(this, gameConfig, presetBases);
+    }
+    playerSetup.then((setupResult) => {
+        info('✅ Player setup complete, starting combat phase...');
 
         const { players: playerData, turrets: existingTurrets } = setupResult;
 
@@ -250,26 +440,35 @@ function create() {
         /** @type {any} */ (this).playerData = playerData;
 
         // Initialize game state and UI (moved here to happen after player setup)
-        this.gameState = createGameState(gameConfig);
+        if (resume) {
+            this.gameState = /** @type {any} */ (setupResult).gameState;
+        } else {
+            recordReplayBases(this, playerData);
+            this.gameState = createGameState(gameConfig, this.landscapeData.hillZone);
+            syncPlayerBases(this.gameState, playerData);
+        }
+        if (replay) {
+            // Replays are played from the log at their own pace, with no turn timer
+            this.gameState.isReplay = true;
+            this.gameState.turnTimeLimit = 0;
+        }
+        if (this.network) {
+            // Turns of players on other devices arrive over the network
+            this.gameState.localPlayers = this.network.localPlayers;
+        }
+        if (this.correspondence) {
+            // Play-by-file turns take as long as the players like
+            this.gameState.turnTimeLimit = 0;
+        }
         info('🎮 Game state initialized:', this.gameState);
-        
-        // Sync base indices from player data to game state
-        playerData.forEach((player, index) => {
-            if (player.chunkIndex !== null && player.chunkIndex !== undefined) {
-                const playerNum = index + 1;
-                const playerKey = `player${playerNum}`;
-                if (this.gameState[playerKey]) {
-                    this.gameState[playerKey].chunkIndex = player.chunkIndex;
-                    trace(`📍 Player ${playerNum} chunk index synced: ${player.chunkIndex}`);
-                }
-            }
-        });
+        drawLiquid(this, this.gameState.liquid);
         
         // Add teleport management functions to scene for easy access
         /** @type {any} */ (this).enterTeleportMode = () => enterTeleportMode(this.gameState, this);
         /** @type {any} */ (this).exitTeleportMode = () => exitTeleportMode(this.gameState, this);
         /** @type {any} */ (this).completeTeleport = () => completeTeleport(this.gameState, this);
         /** @type {any} */ (this).isTeleportMode = () => isTeleportMode(this.gameState);
+        /** @type {any} */ (this).changeWeapon = (direction) => changeWeapon(this.gameState, this, direction);
         
         this.environmentPanel = createEnvironmentPanel(this, this.gameState);
         this.playerStatsPanel = createPlayerStatsPanel(this, this.gameState, playerData);
@@ -291,16 +490,18 @@ function create() {
 
         // Helper function to start a turn with conditional timer delay
         const startTurnWithInstructions = () => {
-            // Check if aiming instructions need to be shown
-            const instructionsShown = showAimingInstructionsIfNeeded(this, () => {
+            // Check if aiming instructions need to be shown (never while watching a replay)
+            const instructionsShown = !replay && showAimingInstructionsIfNeeded(this, () => {
                 const sceneAny = /** @type {any} */ (this);
                 startPlayerTurn(this.gameState, () => sceneAny.progressTurn('timeout'));
+                startCpuTurnIfNeeded(this);
                 info('🎯 Turn timer started after aiming instructions dismissed');
             });
             
             if (!instructionsShown) {
                 const sceneAny = /** @type {any} */ (this);
                 startPlayerTurn(this.gameState, () => sceneAny.progressTurn('timeout'));
+                startCpuTurnIfNeeded(this);
             }
         };
 
@@ -316,7 +517,7 @@ function create() {
         }
 
         info('🚀 Combat phase ready!');
-        info(`Game started: Player ${this.gameState.playersAlive[0]} begins Round 1`);
+        info(`Game started: Player ${getCurrentPlayer(this.gameState)} begins Round ${this.gameState.currentRound}`);
     }).catch((err) => {
         error('❌ Player setup failed:', err);
     });
@@ -327,6 +528,18 @@ function create() {
  * @this {Phaser.Scene & {turrets: any[], currentPlayerTurret: any, projectiles: any[], landscapeData: any, landscapeGraphics: any, gameState: any, environmentPanel: any, playerStatsPanel: any, cameraControls: any, resultsPanel?: any, gameEnded?: boolean}}
  */
 function update() {
+    // Play the next logged turn when watching a replay
+    updateReplayViewer(this, this.game.loop.delta);
+
+    // Save the match for resuming once each turn has settled
+    updateMatchSave(this);
+
+    // Exchange turns with the other devices in an online match
+    updateOnlineMatch(this, this.game.loop.delta);
+
+    // Play imported play-by-file moves and offer finished turns for sending
+    updateCorrespondence(this);
+
     // Update projectiles (now handled by projectile manager)
     if (this.projectiles) {
         updateProjectiles(this, this.projectiles, this.gameState, 
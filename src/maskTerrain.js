@@ -0,0 +1,385 @@
+// maskTerrain.js
+// Bitmap-mask destructible terrain (supports caves, tunnels and overhangs) for Rocket Wars
+
+import { generateLandscapePoints } from './landscape.js';
+import { startChunkAnimation, getSettledChunkTop } from './chunkedLandscape.js';
+import { MATERIALS, generateMaterialLayers } from './terrainMaterials.js';
+import { info, trace } from './logger.js';
+import { random } from './random.js';
+
+/** Texture key used for the rendered terrain mask */
+const MASK_TEXTURE_KEY = 'terrainMask';
+
+/** Crater radius relative to the terrain explosion size (matches the chunk crater depth) */
+export const MASK_CRATER_RATIO = 0.4;
+
+/** Empty cell value; solid cells hold their material's code */
+const EMPTY = 0;
+
+/**
+ * Terrain mask: a grid of small square cells, each either empty (0) or holding a material code
+ * @typedef {Object} TerrainMask
+ * @property {number} cellSize - Size of each cell in world pixels
+ * @property {number} cols - Number of cell columns
+ * @property {number} rows - Number of cell rows
+ * @property {number} worldWidth - World width in pixels
+ * @property {number} worldHeight - World height in pixels
+ * @property {Uint8Array} cells - Row-major cell data (0 = empty, otherwise a material code)
+ * @property {any} [texture] - Phaser CanvasTexture the mask is rendered into
+ * @property {any} [image] - Phaser Image displaying the texture
+ */
+
+/**
+ * Create an empty terrain mask covering the world
+ * @param {number} worldWidth - World width in pixels
+ * @param {number} worldHeight - World height in pixels
+ * @param {number} [cellSize=4] - Cell size in pixels
+ * @returns {TerrainMask} Empty mask
+ */
+export function createTerrainMask(worldWidth, worldHeight, cellSize = 4) {
+    const cols = Math.ceil(worldWidth / cellSize);
+    const rows = Math.ceil(worldHeight / cellSize);
+    return {
+        cellSize,
+        cols,
+        rows,
+        worldWidth,
+        worldHeight,
+        cells: new Uint8Array(cols * rows)
+    };
+}
+
+/**
+ * Set every cell whose centre lies inside a circle. Carving never removes bedrock,
+ * and filling only adds earth to empty cells.
+ * @param {TerrainMask} mask - Terrain mask
+ * @param {number} centerX - Circle centre X (world pixels)
+ * @param {number} centerY - Circle centre Y (world pixels)
+ * @param {number} radius - Circle radius (world pixels)
+ * @param {number} value - Cell value to write (0 = empty, otherwise a material code)
+ * @returns {number} Number of cells changed
+ */
+function setMaskCircle(mask, centerX, centerY, radius, value) {
+    const size = mask.cellSize;
+    const minCol = Math.max(0, Math.floor((centerX - radius) / size));
+    const maxCol = Math.min(mask.cols - 1, Math.floor((centerX + radius) / size));
+    const minRow = Math.max(0, Math.floor((centerY - radius) / size));
+    const maxRow = Math.min(mask.rows - 1, Math.floor((centerY + radius) / size));
+    const radiusSq = radius * radius;
+    let changed = 0;
+
+    for (let row = minRow; row <= maxRow; row++) {
+        const dy = (row + 0.5) * size - centerY;
+        for (let col = minCol; col <= maxCol; col++) {
+            const dx = (col + 0.5) * size - centerX;
+            if (dx * dx + dy * dy > radiusSq) continue;
+            const index = row * mask.cols + col;
+            const current = mask.cells[index];
+            const allowed = value === EMPTY ? current !== MATERIALS.bedrock.code : current === EMPTY;
+            if (allowed && current !== value) {
+                mask.cells[index] = value;
+                changed++;
+            }
+        }
+    }
+    return changed;
+}
+
+/**
+ * Carve a circular hole out of the terrain
+ * @param {TerrainMask} mask - Terrain mask
+ * @param {number} centerX - Circle centre X (world pixels)
+ * @param {number} centerY - Circle centre Y (world pixels)
+ * @param {number} radius - Circle radius (world pixels)
+ * @returns {number} Number of cells removed
+ */
+export function carveMaskCircle(mask, centerX, centerY, radius) {
+    const removed = setMaskCircle(mask, centerX, centerY, radius, EMPTY);
+    trace(`🕳️ Carved ${removed} cells at (${centerX.toFixed(1)}, ${centerY.toFixed(1)}) r=${radius.toFixed(1)}`);
+    return removed;
+}
+
+/**
+ * Fill the empty cells in a circle with dirt
+ * @param {TerrainMask} mask - Terrain mask
+ * @param {number} centerX - Circle centre X (world pixels)
+ * @param {number} centerY - Circle centre Y (world pixels)
+ * @param {number} radius - Circle radius (world pixels)
+ * @returns {number} Number of cells added
+ */
+export function fillMaskCircle(mask, centerX, centerY, radius) {
+    const added = setMaskCircle(mask, centerX, centerY, radius, MATERIALS.dirt.code);
+    trace(`⛰️ Filled ${added} cells at (${centerX.toFixed(1)}, ${centerY.toFixed(1)}) r=${radius.toFixed(1)}`);
+    return added;
+}
+
+/**
+ * Fill the mask from a surface line: everything below the (linearly interpolated) points is solid,
+ * with sand on top, bedrock at the bottom and dirt in between
+ * @param {TerrainMask} mask - Terrain mask
+ * @param {Array<{x: number, y: number}>} points - Surface points, ordered by X
+ * @param {import('./terrainMaterials.js').MaterialLayers[]} [layers=[]] - Material layers for each point (all dirt if missing)
+ */
+export function fillMaskFromSurface(mask, points, layers = []) {
+    let segment = 0;
+    for (let col = 0; col < mask.cols; col++) {
+        const x = (col + 0.5) * mask.cellSize;
+        while (segment < points.length - 2 && points[segment + 1].x < x) segment++;
+        const a = points[segment];
+        const b = points[Math.min(segment + 1, points.length - 1)];
+        const t = b.x === a.x ? 0 : Math.max(0, Math.min(1, (x - a.x) / (b.x - a.x)));
+        const surfaceY = a.y + (b.y - a.y) * t;
+        const layerA = layers[segment] || { bedrockY: mask.worldHeight, sandDepth: 0 };
+        const layerB = layers[Math.min(segment + 1, points.length - 1)] || layerA;
+        const bedrockY = layerA.bedrockY + (layerB.bedrockY - layerA.bedrockY) * t;
+        const sandBottomY = surfaceY + layerA.sandDepth + (layerB.sandDepth - layerA.sandDepth) * t;
+
+        const firstSolidRow = Math.max(0, Math.floor(surfaceY / mask.cellSize));
+        for (let row = firstSolidRow; row < mask.rows; row++) {
+            const y = (row + 0.5) * mask.cellSize;
+            let material = MATERIALS.dirt;
+            if (y >= bedrockY) material = MATERIALS.bedrock;
+            else if (y < sandBottomY) material = MATERIALS.sand;
+            mask.cells[row * mask.cols + col] = material.code;
+        }
+    }
+}
+
+/**
+ * Carve a few random elliptical caves well below the surface, so the
+ * landscape starts with some overhangs worth digging into
+ * @param {TerrainMask} mask - Terrain mask
+ * @param {Array<{x: number, y: number}>} points - Surface points
+ * @param {number} [count] - Number of caves (defaults to one per 600px of world width)
+ */
+export function carveRandomCaves(mask, points, count = Math.floor(mask.worldWidth / 600)) {
+    for (let i = 0; i < count; i++) {
+        const point = points[Math.floor(random('terrain') * points.length)];
+        const radius = 25 + random('terrain') * 25;
+        // Keep the roof at least 60px thick so bases above stay supported
+        const centerY = Math.min(mask.worldHeight - radius - 10, point.y + 60 + radius + random('terrain') * 60);
+        const stretch = 1.5 + random('terrain'); // Caves are wider than they are tall
+        for (let step = -2; step <= 2; step++) {
+            carveMaskCircle(mask, point.x + step * radius * stretch * 0.4, centerY, radius);
+        }
+        trace(`🦇 Cave ${i + 1} carved under x=${point.x}`);
+    }
+}
+
+/**
+ * Let loose sand fall and slide: a sand cell drops into an empty cell below it, or slides
+ * diagonally down if it can, until nothing moves (this gives sand a 45° slope)
+ * @param {TerrainMask} mask - Terrain mask
+ * @returns {number} Number of sand cell moves made
+ */
+export function settleMaskSand(mask) {
+    const { cols, rows, cells } = mask;
+    const sand = MATERIALS.sand.code;
+    let totalMoves = 0;
+
+    // Each pass moves every sand grain at most one cell; stop once stable (or after falling the whole world)
+    for (let pass = 0; pass < rows; pass++) {
+        let moves = 0;
+        // Bottom-up so a falling column of sand moves together
+        for (let row = rows - 2; row >= 0; row--) {
+            for (let col = 0; col < cols; col++) {
+                const index = row * cols + col;
+                if (cells[index] !== sand) continue;
+                const below = index + cols;
+                let target = -1;
+                if (cells[below] === EMPTY) {
+                    target = below;
+                } else {
+                    // Alternate which side is tried first so piles stay symmetrical
+                    const sides = (row + pass) % 2 === 0 ? [-1, 1] : [1, -1];
+                    for (const side of sides) {
+                        const sideCol = col + side;
+                        if (sideCol < 0 || sideCol >= cols) continue;
+                        if (cells[below + side] === EMPTY && cells[index + side] === EMPTY) {
+                            target = below + side;
+                            break;
+                        }
+                    }
+                }
+                if (target !== -1) {
+                    cells[target] = sand;
+                    cells[index] = EMPTY;
+                    moves++;
+                }
+            }
+        }
+        totalMoves += moves;
+        if (moves === 0) break;
+    }
+
+    if (totalMoves > 0) {
+        info(`🏜️ Sand settled: ${totalMoves} cell moves`);
+    }
+    return totalMoves;
+}
+
+/**
+ * Find the highest solid point within a horizontal span - the surface a turret standing there rests on
+ * @param {TerrainMask} mask - Terrain mask
+ * @param {number} left - Span left X (world pixels)
+ * @param {number} right - Span right X (world pixels)
+ * @returns {number} Surface Y, or the world height if the span is empty all the way down
+ */
+export function findMaskSurfaceY(mask, left, right) {
+    const minCol = Math.max(0, Math.floor(left / mask.cellSize));
+    const maxCol = Math.min(mask.cols - 1, Math.ceil(right / mask.cellSize) - 1);
+    for (let row = 0; row < mask.rows; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+            if (mask.cells[row * mask.cols + col] !== EMPTY) {
+                return row * mask.cellSize;
+            }
+        }
+    }
+    return mask.worldHeight;
+}
+
+/**
+ * Build chunk-shaped support columns from the mask. Each column's top is the highest solid
+ * point beneath it, so base selection (`chunkBaseHelpers.js`) and `handleTurretFalling`
+ * work on the mask exactly as they do on chunked terrain.
+ * @param {TerrainMask} mask - Terrain mask
+ * @param {number} columnWidth - Column width in pixels
+ * @returns {import('./chunkedLandscape.js').TerrainChunk[]} Support columns
+ */
+export function createMaskColumns(mask, columnWidth) {
+    const numColumns = Math.floor(mask.worldWidth / columnWidth);
+    const actualWidth = mask.worldWidth / numColumns;
+    const columns = [];
+
+    for (let i = 0; i < numColumns; i++) {
+        const x = i * actualWidth;
+        const y = findMaskSurfaceY(mask, x, x + actualWidth);
+        const height = mask.worldHeight - y;
+        columns.push({
+            x,
+            y,
+            width: actualWidth,
+            height,
+            destroyed: height <= 15,
+            animating: false,
+            startY: y,
+            startHeight: height,
+            targetY: y,
+            targetHeight: height,
+            animationStartTime: 0,
+            bedrockY: mask.worldHeight, // Materials live in the mask cells, not the columns
+            sandDepth: 0,
+            graphics: null
+        });
+    }
+    return columns;
+}
+
+/**
+ * Re-derive support column tops after the mask changed. Columns whose surface moved are
+ * animated with the normal chunk animation, so turret support is rechecked once they settle.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {TerrainMask} mask - Terrain mask
+ * @param {import('./chunkedLandscape.js').TerrainChunk[]} columns - Support columns
+ * @returns {number} Number of columns that moved
+ */
+export function syncMaskColumns(scene, mask, columns) {
+    let columnsMoved = 0;
+
+    columns.forEach((column, index) => {
+        const surfaceY = findMaskSurfaceY(mask, column.x, column.x + column.width);
+        if (Math.abs(surfaceY - getSettledChunkTop(column)) < 0.5) return;
+
+        if (column.destroyed && mask.worldHeight - surfaceY > 15) {
+            // Terrain was added to an empty column - rebuild it from the bottom of the world
+            column.destroyed = false;
+            column.y = mask.worldHeight;
+            column.height = 0;
+        }
+        if (column.destroyed) return;
+
+        startChunkAnimation(scene, column, surfaceY);
+        columnsMoved++;
+        trace(`🧱 Mask column ${index} surface moved to y=${surfaceY}`);
+    });
+
+    info(`🧱 Mask changed: ${columnsMoved} support columns will settle`);
+    return columnsMoved;
+}
+
+/**
+ * Render the mask into its canvas texture (one texel per cell, scaled up by the image)
+ * @param {TerrainMask} mask - Terrain mask with texture
+ */
+export function drawMaskTerrain(mask) {
+    if (!mask.texture) return;
+
+    // RGB colour for each material code
+    const palette = [];
+    Object.values(MATERIALS).forEach(material => {
+        palette[material.code] = [(material.color >> 16) & 0xff, (material.color >> 8) & 0xff, material.color & 0xff];
+    });
+
+    const context = mask.texture.getContext();
+    const imageData = context.createImageData(mask.cols, mask.rows);
+    const data = imageData.data;
+    for (let i = 0; i < mask.cells.length; i++) {
+        const rgb = palette[mask.cells[i]];
+        if (!rgb) continue;
+        const offset = i * 4;
+        data[offset] = rgb[0];
+        data[offset + 1] = rgb[1];
+        data[offset + 2] = rgb[2];
+        data[offset + 3] = 255;
+    }
+    context.putImageData(imageData, 0, 0);
+    mask.texture.refresh();
+}
+
+/**
+ * Create the canvas texture and image used to display the mask
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {TerrainMask} mask - Terrain mask
+ */
+function createMaskImage(scene, mask) {
+    // A previous game may have left its texture behind
+    if (scene.textures.exists(MASK_TEXTURE_KEY)) {
+        scene.textures.remove(MASK_TEXTURE_KEY);
+    }
+    mask.texture = scene.textures.createCanvas(MASK_TEXTURE_KEY, mask.cols, mask.rows);
+    mask.texture.setFilter(Phaser.Textures.FilterMode.NEAREST); // Crisp cell edges when scaled up
+    mask.image = scene.add.image(0, 0, MASK_TEXTURE_KEY)
+        .setOrigin(0, 0)
+        .setScale(mask.cellSize);
+    drawMaskTerrain(mask);
+}
+
+/**
+ * Generate a mask-based landscape using the same surface generator as the chunked terrain
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {number} worldWidth - World width in pixels
+ * @param {number} worldHeight - World height in pixels
+ * @param {Object} gameConfig - Game configuration
+ * @returns {{landscapeData: {points: Array, chunks: import('./chunkedLandscape.js').TerrainChunk[], mask: TerrainMask}, graphics: null}} Mask landscape
+ */
+export function setupMaskLandscape(scene, worldWidth, worldHeight, gameConfig) {
+    info(`🕳️ Setting up mask landscape: ${worldWidth}x${worldHeight}px for ${gameConfig.numPlayers} players`);
+
+    const baseY = worldHeight - 100;
+    const columnWidth = 40; // Match chunk width so bases and turrets line up the same way
+    const numPoints = Math.floor(worldWidth / columnWidth);
+    const { points } = generateLandscapePoints(worldWidth, baseY, numPoints, gameConfig.numPlayers);
+
+    const layers = generateMaterialLayers(points, worldHeight, baseY);
+    const mask = createTerrainMask(worldWidth, worldHeight);
+    fillMaskFromSurface(mask, points, layers);
+    carveRandomCaves(mask, points);
+    settleMaskSand(mask); // Sand over a cave roof collapses into it before the game starts
+    createMaskImage(scene, mask);
+
+    const chunks = createMaskColumns(mask, columnWidth);
+    info(`📊 Created ${mask.cols}x${mask.rows} terrain mask with ${chunks.length} support columns`);
+
+    // No chunk graphics: the mask draws itself into its own texture
+    return { landscapeData: { points, chunks, mask }, graphics: null };
+}
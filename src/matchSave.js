@@ -0,0 +1,202 @@
+// matchSave.js
+// Save and resume a match in progress for Rocket Wars. The match is saved to localStorage at the
+// start of every turn, once the world has settled, so closing the tab or reloading loses nothing.
+// The landscape is regenerated from the seed, then the saved terrain damage is laid over it.
+
+import { GAME_VERSION } from './constants.js';
+import { createGunTurret } from './turret.js';
+import { drawChunkedLandscape } from './chunkedLandscape.js';
+import { drawMaskTerrain } from './maskTerrain.js';
+import { getRandomState, setRandomState } from './random.js';
+import { isWaitingForTurnAction } from './turnFlow.js';
+import { saveMatchState } from './storage.js';
+import { info, trace, warn } from './logger.js';
+
+/** Bump when the snapshot layout changes in a way older games can't resume */
+const MATCH_SAVE_VERSION = 1;
+
+/**
+ * Saved match in progress
+ * @typedef {Object} MatchSnapshot
+ * @property {number} version - Snapshot layout version
+ * @property {string} gameVersion - Game version that saved the match
+ * @property {string} savedAt - ISO timestamp of the save
+ * @property {Object} config - Game configuration (including the seed)
+ * @property {Object} gameState - Game state at the start of the current turn
+ * @property {Array<{id: string, name: string, cpuDifficulty: string|null, profileId: string|null, team: string, chunkIndex: number|null}>} players - Player data without turret references
+ * @property {Array<{y: number, height: number, destroyed: boolean, sandDepth: number}>} chunks - Terrain chunk (or mask support column) state
+ * @property {number[]|null} maskCells - Run-length encoded mask cells ([value, count, ...]), null for chunked terrain
+ * @property {Array<{team: string, x: number, y: number, chunkIndex: number, gunAngle: number}>} turrets - Surviving turrets
+ * @property {Record<string, number>} random - Random stream state
+ * @property {import('./replay.js').ReplayLog} replayLog - Match recording so far
+ */
+
+/**
+ * Run-length encode mask cells (long runs of empty or solid cells make this small)
+ * @param {Uint8Array} cells - Mask cells
+ * @returns {number[]} Pairs of [value, count]
+ */
+function encodeCells(cells) {
+    const runs = [];
+    let i = 0;
+    while (i < cells.length) {
+        const value = cells[i];
+        let count = 1;
+        while (i + count < cells.length && cells[i + count] === value) {
+            count++;
+        }
+        runs.push(value, count);
+        i += count;
+    }
+    return runs;
+}
+
+/**
+ * Decode run-length encoded cells back into a mask
+ * @param {number[]} runs - Pairs of [value, count]
+ * @param {Uint8Array} cells - Mask cells to overwrite
+ */
+function decodeCells(runs, cells) {
+    let offset = 0;
+    for (let i = 0; i < runs.length; i += 2) {
+        cells.fill(runs[i], offset, offset + runs[i + 1]);
+        offset += runs[i + 1];
+    }
+}
+
+/**
+ * Take a snapshot of the match at the start of the current turn
+ * @param {any} scene - The Phaser scene (with gameState, playerData, landscapeData and turrets)
+ * @returns {MatchSnapshot} Match snapshot
+ */
+export function captureMatchState(scene) {
+    const { landscapeData } = scene;
+    // Timers and teleport state belong to the turn being played; the resumed turn starts fresh
+    const gameState = {
+        ...scene.gameState,
+        turnTimer: null,
+        turnStartTime: null,
+        lastRemainingTime: null,
+        hasPlayerFiredThisTurn: false,
+        teleportMode: false,
+        teleportPlayerNum: null
+    };
+    return {
+        version: MATCH_SAVE_VERSION,
+        gameVersion: GAME_VERSION,
+        savedAt: new Date().toISOString(),
+        config: { ...scene.replayLog.config },
+        gameState: JSON.parse(JSON.stringify(gameState)),
+        players: scene.playerData.map(player => ({
+            id: player.id,
+            name: player.name,
+            cpuDifficulty: player.cpuDifficulty ?? null,
+            profileId: player.profileId ?? null,
+            team: player.team,
+            chunkIndex: player.chunkIndex ?? null
+        })),
+        chunks: landscapeData.chunks.map(chunk => ({
+            y: chunk.y,
+            height: chunk.height,
+            destroyed: chunk.destroyed,
+            sandDepth: chunk.sandDepth || 0
+        })),
+        maskCells: landscapeData.mask ? encodeCells(landscapeData.mask.cells) : null,
+        turrets: scene.turrets.map(turret => ({
+            team: turret.team,
+            x: turret.x,
+            y: turret.y,
+            chunkIndex: turret.chunkIndex,
+            gunAngle: Phaser.Math.RadToDeg(turret.barrel.rotation)
+        })),
+        random: getRandomState(),
+        // Copy the turn list so turns recorded after the snapshot don't end up in it
+        replayLog: { ...scene.replayLog, turns: [...scene.replayLog.turns] }
+    };
+}
+
+/**
+ * Check a saved match can be resumed by this version of the game. A match saved by another game version
+ * is refused even if the layout matches: shots, CPU aim and random draws can play out differently, so the
+ * rest of the match (and its replay) wouldn't carry on from what was played.
+ * @param {any} snapshot - Snapshot from localStorage
+ * @returns {boolean} True if the snapshot can be resumed
+ */
+export function isResumableMatch(snapshot) {
+    return !!(snapshot && snapshot.version === MATCH_SAVE_VERSION && snapshot.gameVersion === GAME_VERSION && snapshot.config &&
+        snapshot.gameState && Array.isArray(snapshot.players) && Array.isArray(snapshot.chunks) &&
+        Array.isArray(snapshot.turrets) && snapshot.replayLog);
+}
+
+/**
+ * Rebuild a saved match on a freshly generated landscape: terrain damage, random streams,
+ * turrets and game state. Base selection is skipped.
+ * @param {any} scene - The Phaser scene (landscape already generated from the saved seed)
+ * @param {MatchSnapshot} snapshot - Saved match
+ * @returns {{players: PlayerData[], turrets: any[], gameState: GameState}} Restored match (same shape as base selection, plus game state)
+ */
+export function restoreMatchState(scene, snapshot) {
+    const { landscapeData } = scene;
+
+    // Lay the saved terrain damage over the regenerated landscape
+    landscapeData.chunks.forEach((chunk, index) => {
+        const saved = snapshot.chunks[index];
+        if (!saved) return;
+        chunk.y = saved.y;
+        chunk.height = saved.height;
+        chunk.destroyed = saved.destroyed;
+        chunk.sandDepth = saved.sandDepth;
+        chunk.animating = false;
+        chunk.startY = chunk.targetY = saved.y;
+        chunk.startHeight = chunk.targetHeight = saved.height;
+    });
+    if (landscapeData.mask && snapshot.maskCells) {
+        decodeCells(snapshot.maskCells, landscapeData.mask.cells);
+        drawMaskTerrain(landscapeData.mask);
+    } else if (scene.landscapeGraphics) {
+        drawChunkedLandscape(scene.landscapeGraphics, landscapeData.chunks);
+    }
+
+    // Carry on with the same wind drift, CPU aim and cluster counts as if the match was never left
+    setRandomState(snapshot.random);
+
+    const players = snapshot.players.map(player => ({ ...player, turret: null }));
+    const turrets = snapshot.turrets.map(saved => {
+        const turret = createGunTurret(scene, saved.x, saved.y, saved.team);
+        const player = players.find(p => p.team === saved.team);
+        if (player) {
+            turret.playerName = player.name;
+            turret.playerId = player.id;
+            turret.playerData = player;
+            player.turret = turret;
+        }
+        turret.chunkIndex = saved.chunkIndex;
+        turret.setGunAngle(saved.gunAngle);
+        turret.updateHealthDisplay(snapshot.gameState[saved.team].health);
+        return turret;
+    });
+
+    const gameState = /** @type {GameState} */ ({ ...snapshot.gameState });
+    info(`💾 Resumed match (seed ${gameState.seed}): round ${gameState.currentRound}/${gameState.maxRounds}, ${turrets.length} turrets`);
+    return { players, turrets, gameState };
+}
+
+/**
+ * Save the match once per turn, as soon as the world has settled and the player can act.
+ * Called every frame; replays being watched, online and play-by-file matches are never saved.
+ * @param {any} scene - The Phaser scene
+ */
+export function updateMatchSave(scene) {
+    if (scene.replayViewer || scene.network || scene.correspondence || !scene.replayLog || !isWaitingForTurnAction(scene)) return;
+    const turnStartTime = scene.gameState.turnStartTime;
+    if (scene.matchSavedTurnStart === turnStartTime) return;
+    scene.matchSavedTurnStart = turnStartTime;
+
+    try {
+        if (saveMatchState(captureMatchState(scene))) {
+            trace(`💾 Saved match at round ${scene.gameState.currentRound}, player index ${scene.gameState.currentPlayerIndex}`);
+        }
+    } catch (err) {
+        warn('Failed to capture match for saving:', err);
+    }
+}
@@ -0,0 +1,156 @@
+// matchStats.js
+// Per-player match statistics for Rocket Wars: shots, hits, accuracy, teleports and best hits.
+// Counters are kept in each player's game state so they survive saves; damage totals come from the
+// damage ledger (see damageLedger.js).
+
+import { getDamageLedger } from './damageLedger.js';
+import { getAllyKeys } from './alliances.js';
+
+/**
+ * Counters collected during play for one player
+ * @typedef {Object} PlayerStats
+ * @property {number} shotsFired - Rockets fired (a cluster rocket counts once)
+ * @property {number} directHits - Shots that hit an opponent's turret
+ * @property {number} areaHits - Shots that only damaged opponents with their blast
+ * @property {number} teleports - Teleports used
+ * @property {number} longestHit - Longest distance (px) from the firing turret to an opponent it damaged
+ * @property {number} biggestHit - Most damage one shot did to opponents
+ */
+
+/**
+ * A player's statistics for the stats panel
+ * @typedef {PlayerStats & {hits: number, accuracy: number, damageDealt: number, damageTaken: number, selfDamage: number, damageToAllies: number, teamKills: number}} PlayerMatchStats
+ */
+
+/**
+ * A shot being resolved (carried by its projectile and any submunitions)
+ * @typedef {Object} ShotRecord
+ * @property {string} shooter - Player who fired
+ * @property {string[]} allies - Shooter's teammates (damaging them isn't a hit)
+ * @property {number} x - Firing turret X
+ * @property {number} y - Firing turret Y
+ * @property {boolean} direct - True once the shot has hit an opponent's turret
+ * @property {boolean} area - True once the shot's blast has damaged an opponent
+ * @property {number} damage - Damage done to opponents so far
+ * @property {number} longest - Longest distance to an opponent it damaged
+ */
+
+/**
+ * Create empty counters for a player
+ * @returns {PlayerStats} Counters
+ */
+export function createPlayerStats() {
+    return {
+        shotsFired: 0,
+        directHits: 0,
+        areaHits: 0,
+        teleports: 0,
+        longestHit: 0,
+        biggestHit: 0
+    };
+}
+
+/**
+ * Get a player's counters, creating them for matches saved before stats were collected
+ * @param {any} gameState - Game state object
+ * @param {string} playerKey - Player ('player1', 'player2', etc.)
+ * @returns {PlayerStats} Counters
+ */
+function getStats(gameState, playerKey) {
+    const player = gameState[playerKey];
+    if (!player.stats) {
+        player.stats = createPlayerStats();
+    }
+    return player.stats;
+}
+
+/**
+ * Count a shot and start tracking what it hits
+ * @param {any} gameState - Game state object
+ * @param {any} turret - Firing turret
+ * @returns {ShotRecord} Shot record, to attach to the projectile
+ */
+export function recordShotFired(gameState, turret) {
+    getStats(gameState, turret.team).shotsFired++;
+    return {
+        shooter: turret.team,
+        allies: getAllyKeys(gameState, turret.team),
+        x: turret.x,
+        y: turret.y,
+        direct: false,
+        area: false,
+        damage: 0,
+        longest: 0
+    };
+}
+
+/**
+ * Note damage a shot did to a turret (damage to the shooter or their teammates doesn't count as a hit)
+ * @param {ShotRecord|undefined} shot - Shot that caused the damage
+ * @param {any} turret - Turret that was damaged
+ * @param {number} healthLost - Health the turret lost
+ * @param {string} cause - 'direct' or 'area'
+ */
+export function recordShotHit(shot, turret, healthLost, cause) {
+    if (!shot || healthLost <= 0 || turret.team === shot.shooter || (shot.allies || []).includes(turret.team)) return;
+    if (cause === 'direct') {
+        shot.direct = true;
+    } else {
+        shot.area = true;
+    }
+    shot.damage += healthLost;
+    shot.longest = Math.max(shot.longest, Math.hypot(turret.x - shot.x, turret.y - shot.y));
+}
+
+/**
+ * Add a resolved shot (every projectile has landed) to the shooter's counters
+ * @param {any} gameState - Game state object
+ * @param {ShotRecord|undefined} shot - Shot record
+ */
+export function finishShot(gameState, shot) {
+    if (!shot || !gameState[shot.shooter]) return;
+    const stats = getStats(gameState, shot.shooter);
+    if (shot.direct) {
+        stats.directHits++;
+    } else if (shot.area) {
+        stats.areaHits++;
+    }
+    stats.biggestHit = Math.max(stats.biggestHit, shot.damage);
+    stats.longestHit = Math.max(stats.longestHit, Math.round(shot.longest));
+}
+
+/**
+ * Count a teleport
+ * @param {any} gameState - Game state object
+ * @param {string} playerKey - Player who teleported
+ */
+export function recordTeleport(gameState, playerKey) {
+    getStats(gameState, playerKey).teleports++;
+}
+
+/**
+ * Get every player's statistics, with hit totals, accuracy and damage from the ledger
+ * @param {any} gameState - Game state object
+ * @returns {Record<string, PlayerMatchStats>} Statistics keyed by player
+ */
+export function getMatchStats(gameState) {
+    const ledger = getDamageLedger(gameState);
+    /** @type {Record<string, PlayerMatchStats>} */
+    const result = {};
+    for (let i = 1; i <= gameState.numPlayers; i++) {
+        const playerKey = `player${i}`;
+        const stats = { ...createPlayerStats(), ...gameState[playerKey].stats };
+        const hits = stats.directHits + stats.areaHits;
+        result[playerKey] = {
+            ...stats,
+            hits,
+            accuracy: stats.shotsFired > 0 ? Math.round(hits / stats.shotsFired * 100) : 0,
+            damageDealt: ledger[playerKey].dealt,
+            damageTaken: ledger[playerKey].taken,
+            selfDamage: ledger[playerKey].selfInflicted,
+            damageToAllies: ledger[playerKey].dealtToAllies,
+            teamKills: gameState[playerKey].teamKills || 0
+        };
+    }
+    return result;
+}
@@ -0,0 +1,625 @@
+// network.js
+// Online play for Rocket Wars over the WebSocket relay (relay-server.js, started with `npm run relay`).
+// Players host and join a room by code. Every device runs the whole simulation from the shared seed;
+// only the active player's inputs (aim, fire, teleport, timeout, base choice) are sent. At the start of
+// every turn each device hashes its match state, and the host's hash is checked so drift is caught.
+
+import { getCurrentPlayerKey, isCpuTurn, isRemoteTurn } from './turnManager.js';
+import { isWaitingForTurnAction } from './turnFlow.js';
+import { playTurnAction, showShotAim } from './replayPlayer.js';
+import { hashString } from './random.js';
+import { createOnlineStatusPanel, positionOnlineStatusPanel } from './ui/index.js';
+import { info, trace, warn, error } from './logger.js';
+
+/** Port the relay listens on by default */
+export const DEFAULT_RELAY_PORT = 8787;
+/** How often a player's aim is sent while they line up a shot */
+const AIM_SEND_INTERVAL_MS = 100;
+
+/**
+ * Connection to the relay, in a room
+ * @typedef {Object} NetworkSession
+ * @property {WebSocket} socket - Relay connection
+ * @property {string} code - Room code
+ * @property {number} clientId - This device's id in the room (the host is 0)
+ * @property {boolean} isHost - True for the device that created the room
+ * @property {Set<Function>} listeners - Handlers for relay messages
+ * @property {Object[]} pending - Messages received while nothing was listening (e.g. while the game loads)
+ */
+
+/**
+ * Online match state, stored on the scene as scene.network
+ * @typedef {Object} OnlineMatch
+ * @property {NetworkSession} session - Relay connection
+ * @property {Record<string, number>} seats - Client id playing each player key
+ * @property {string[]} localPlayers - Player keys played on this device
+ * @property {number} sentTurns - Recorded turns already sent (or received)
+ * @property {Array<{index: number, turn: import('./replay.js').ReplayTurn}>} incomingTurns - Remote turns waiting to be played
+ * @property {Record<string, number>} remoteBases - Base choices received from other devices
+ * @property {Record<string, Function>} baseWaiters - Base selection waiting for a remote player's choice
+ * @property {number} hashedTurn - Turn number whose state was last hashed
+ * @property {Map<number, string>} localHashes - This device's state hash by turn number (clients only)
+ * @property {Map<number, string>} hostHashes - The host's state hash by turn number (clients only)
+ * @property {{angle: number, power: number}|null} lastAim - Last aim sent
+ * @property {number} aimElapsedMs - Time since the last aim was sent
+ * @property {string} status - 'connected', 'desync' or 'disconnected'
+ * @property {string} statusText - Text shown in the status panel
+ * @property {Function} unsubscribe - Stops listening to the relay
+ * @property {any} panel - Online status panel
+ */
+
+/**
+ * Relay address to suggest: the relay's default port on the host serving the game
+ * @returns {string} WebSocket URL
+ */
+export function getDefaultRelayUrl() {
+    const hostname = window.location.hostname || 'localhost';
+    return `ws://${hostname}:${DEFAULT_RELAY_PORT}`;
+}
+
+/**
+ * Connect to the relay and host a new room or join an existing one
+ * @param {string} url - Relay WebSocket URL
+ * @param {{type: 'host'}|{type: 'join', code: string}} request - Room to host or join
+ * @returns {Promise<NetworkSession>} Session once the room is entered (rejects with a readable message)
+ */
+export function connectToRelay(url, request) {
+    return new Promise((resolve, reject) => {
+        let socket;
+        try {
+            socket = new window.WebSocket(url);
+        } catch {
+            reject(new Error(`"${url}" is not a valid relay address.`));
+            return;
+        }
+        /** @type {NetworkSession|null} */
+        let session = null;
+
+        socket.addEventListener('open', () => {
+            socket.send(JSON.stringify(request));
+        });
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                warn('🌐 Ignoring unreadable relay message');
+                return;
+            }
+            if (!session) {
+                if (message.type === 'hosted' || message.type === 'joined') {
+                    session = {
+                        socket,
+                        code: message.code,
+                        clientId: message.clientId,
+                        isHost: message.type === 'hosted',
+                        listeners: new Set(),
+                        pending: []
+                    };
+                    info(`🌐 ${session.isHost ? 'Hosting' : 'Joined'} room ${session.code} as client ${session.clientId}`);
+                    resolve(session);
+                } else if (message.type === 'error') {
+                    reject(new Error(message.message));
+                    socket.close();
+                }
+                return;
+            }
+            deliver(session, message);
+        });
+        socket.addEventListener('error', () => {
+            if (!session) {
+                reject(new Error(`Could not connect to the relay at ${url}. Is it running (npm run relay)?`));
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (session) {
+                deliver(session, { type: 'disconnected' });
+            }
+        });
+    });
+}
+
+/**
+ * Pass a relay message to the listeners, or hold it until one subscribes
+ * @param {NetworkSession} session - Relay connection
+ * @param {Object} message - Relay message
+ */
+function deliver(session, message) {
+    if (session.listeners.size === 0) {
+        session.pending.push(message);
+        return;
+    }
+    session.listeners.forEach(listener => listener(message));
+}
+
+/**
+ * Listen to relay messages ({type: 'message', from, data}, 'peer-joined', 'peer-left', 'room-closed',
+ * 'disconnected' or 'error'). Messages held while nothing was listening are delivered first.
+ * @param {NetworkSession} session - Relay connection
+ * @param {Function} listener - Called with each relay message
+ * @returns {Function} Call to stop listening
+ */
+export function onNetworkMessage(session, listener) {
+    session.listeners.add(listener);
+    const pending = session.pending.splice(0);
+    pending.forEach(message => listener(message));
+    return () => session.listeners.delete(listener);
+}
+
+/**
+ * Send game data to the other devices in the room
+ * @param {NetworkSession} session - Relay connection
+ * @param {Object} data - Game message ({kind, ...})
+ * @param {number} [to] - Client id to send to (everyone else if omitted)
+ */
+export function sendNetworkMessage(session, data, to) {
+    if (session.socket.readyState !== window.WebSocket.OPEN) {
+        warn(`🌐 Not connected - '${data.kind}' message dropped`);
+        return;
+    }
+    session.socket.send(JSON.stringify({ type: 'send', data, to }));
+}
+
+/**
+ * Leave the room and close the relay connection
+ * @param {NetworkSession} session - Relay connection
+ */
+export function closeNetworkSession(session) {
+    session.listeners.clear();
+    session.socket.close();
+    info(`🌐 Left room ${session.code}`);
+}
+
+/**
+ * Human player slots in seat order (CPU players are always played by the host)
+ * @param {Object} config - Game configuration
+ * @returns {string[]} Player keys needing a person
+ */
+export function getHumanPlayerKeys(config) {
+    const keys = [];
+    for (let i = 1; i <= config.numPlayers; i++) {
+        const playerKey = `player${i}`;
+        if ((config.playerTypes?.[playerKey] ?? 'human') === 'human') {
+            keys.push(playerKey);
+        }
+    }
+    return keys;
+}
+
+/**
+ * Run the host's lobby: give each device that joins the next free human seat, and start the
+ * match for everyone once every seat is filled
+ * @param {NetworkSession} session - Host's relay connection
+ * @param {Object} config - Game configuration (with a fixed seed)
+ * @param {{onUpdate: function(string): void, onStart: function({config: Object, seats: Record<string, number>}): void}} callbacks - Lobby status and start
+ * @returns {Function} Call to stop the lobby
+ */
+export function runHostLobby(session, config, callbacks) {
+    const humanKeys = getHumanPlayerKeys(config);
+    /** @type {Record<string, number>} */
+    const seats = {};
+    for (let i = 1; i <= config.numPlayers; i++) {
+        seats[`player${i}`] = 0; // The host plays the first human seat and every CPU
+    }
+    const openSeats = humanKeys.slice(1);
+    const playerNames = { ...config.playerNames };
+
+    const reportStatus = () => {
+        const waiting = openSeats.length;
+        callbacks.onUpdate(`Room ${session.code}: waiting for ${waiting} more player${waiting === 1 ? '' : 's'} to join...`);
+    };
+
+    const unsubscribe = onNetworkMessage(session, (message) => {
+        if (message.type === 'message' && message.data.kind === 'hello') {
+            const seat = openSeats.shift();
+            if (!seat) {
+                sendNetworkMessage(session, { kind: 'full' }, message.from);
+                return;
+            }
+            seats[seat] = message.from;
+            if (message.data.name) {
+                playerNames[seat] = message.data.name;
+            }
+            info(`🌐 Client ${message.from} takes ${seat}`);
+            if (openSeats.length > 0) {
+                reportStatus();
+                return;
+            }
+            unsubscribe();
+            const matchConfig = { ...config, playerNames };
+            sendNetworkMessage(session, { kind: 'start', config: matchConfig, seats });
+            callbacks.onStart({ config: matchConfig, seats });
+        } else if (message.type === 'peer-left') {
+            const seat = Object.keys(seats).find(key => seats[key] === message.clientId);
+            if (seat) {
+                seats[seat] = 0;
+                openSeats.push(seat);
+                openSeats.sort();
+                reportStatus();
+            }
+        } else if (message.type === 'disconnected') {
+            callbacks.onUpdate('Lost connection to the relay.');
+        }
+    });
+    reportStatus();
+    return unsubscribe;
+}
+
+/**
+ * Run a joining device's lobby: introduce this player and wait for the host to start the match
+ * @param {NetworkSession} session - Relay connection
+ * @param {string} name - This player's name ('' to keep the host's name for the seat)
+ * @param {{onUpdate: function(string): void, onStart: function({config: Object, seats: Record<string, number>}): void}} callbacks - Lobby status and start
+ * @returns {Function} Call to stop the lobby
+ */
+export function runJoinLobby(session, name, callbacks) {
+    const unsubscribe = onNetworkMessage(session, (message) => {
+        if (message.type === 'message' && message.data.kind === 'start') {
+            unsubscribe();
+            callbacks.onStart({ config: message.data.config, seats: message.data.seats });
+        } else if (message.type === 'message' && message.data.kind === 'full') {
+            callbacks.onUpdate('That game is already full.');
+        } else if (message.type === 'room-closed' || message.type === 'disconnected') {
+            callbacks.onUpdate('The host closed the game.');
+        }
+    });
+    sendNetworkMessage(session, { kind: 'hello', name }, 0);
+    callbacks.onUpdate(`Joined room ${session.code}: waiting for the host to start...`);
+    return unsubscribe;
+}
+
+/**
+ * Set up the online side of a match in a freshly created scene
+ * @param {any} scene - The Phaser scene (before base selection starts)
+ * @param {NetworkSession} session - Relay connection
+ * @param {Record<string, number>} seats - Client id playing each player key
+ * @returns {OnlineMatch} Online match state
+ */
+export function createOnlineMatch(scene, session, seats) {
+    /** @type {OnlineMatch} */
+    const network = {
+        session,
+        seats,
+        localPlayers: Object.keys(seats).filter(key => seats[key] === session.clientId),
+        sentTurns: 0,
+        incomingTurns: [],
+        remoteBases: {},
+        baseWaiters: {},
+        hashedTurn: -1,
+        localHashes: new Map(),
+        hostHashes: new Map(),
+        lastAim: null,
+        aimElapsedMs: 0,
+        status: 'connected',
+        statusText: '',
+        unsubscribe: null,
+        panel: null
+    };
+    scene.network = network;
+    network.unsubscribe = onNetworkMessage(session, message => handleNetworkMessage(scene, message));
+    scene.events.once('shutdown', () => network.unsubscribe());
+
+    network.panel = createOnlineStatusPanel(scene, session.code);
+    positionOnlineStatusPanel(network.panel, scene.cameras.main.width, scene.cameras.main.height);
+    info(`🌐 Online match: this device plays ${network.localPlayers.join(', ')}`);
+    return network;
+}
+
+/**
+ * Check whether a player is played on this device (always true outside online matches)
+ * @param {any} scene - The Phaser scene
+ * @param {string} playerKey - Player key
+ * @returns {boolean} True if this device controls the player
+ */
+export function isLocalPlayer(scene, playerKey) {
+    return !scene.network || scene.network.localPlayers.includes(playerKey);
+}
+
+/**
+ * Tell the other devices which base a local player chose
+ * @param {any} scene - The Phaser scene
+ * @param {string} playerKey - Player key
+ * @param {number} chunkIndex - Chosen chunk index
+ */
+export function sendBaseChoice(scene, playerKey, chunkIndex) {
+    if (!scene.network || !isLocalPlayer(scene, playerKey)) return;
+    sendNetworkMessage(scene.network.session, { kind: 'base', player: playerKey, chunk: chunkIndex });
+}
+
+/**
+ * Wait for a remote player's base choice
+ * @param {any} scene - The Phaser scene
+ * @param {PlayerData} player - Remote player choosing a base
+ * @param {function(number): void} onBaseChosen - Called with the chosen chunk index
+ */
+export function waitForRemoteBase(scene, player, onBaseChosen) {
+    const network = scene.network;
+    const chunkIndex = network.remoteBases[player.id];
+    if (chunkIndex !== undefined) {
+        onBaseChosen(chunkIndex);
+        return;
+    }
+    network.baseWaiters[player.id] = onBaseChosen;
+    setOnlineStatus(scene, `Waiting for ${player.name} to choose a base...`);
+}
+
+/**
+ * Handle a message from the relay during the match
+ * @param {any} scene - The Phaser scene
+ * @param {any} message - Relay message
+ */
+function handleNetworkMessage(scene, message) {
+    const network = scene.network;
+    switch (message.type) {
+        case 'message':
+            handleGameMessage(scene, message.from, message.data);
+            break;
+        case 'peer-left': {
+            const leftPlayers = Object.keys(network.seats).filter(key => network.seats[key] === message.clientId);
+            warn(`🌐 Client ${message.clientId} (${leftPlayers.join(', ')}) left the game`);
+            network.status = 'disconnected';
+            setOnlineStatus(scene, `${leftPlayers.join(', ') || 'A player'} left the game`, true);
+            break;
+        }
+        case 'room-closed':
+        case 'disconnected':
+            if (network.status !== 'disconnected') {
+                network.status = 'disconnected';
+                warn('🌐 Online match disconnected');
+                setOnlineStatus(scene, message.type === 'room-closed' ? 'The host left the game' : 'Lost connection to the relay', true);
+            }
+            break;
+        default:
+            trace(`🌐 Relay message '${message.type}' ignored during the match`);
+    }
+}
+
+/**
+ * Handle game data sent by another device
+ * @param {any} scene - The Phaser scene
+ * @param {number} from - Sender's client id
+ * @param {any} data - Game message
+ */
+function handleGameMessage(scene, from, data) {
+    const network = scene.network;
+    switch (data.kind) {
+        case 'base': {
+            network.remoteBases[data.player] = data.chunk;
+            const waiter = network.baseWaiters[data.player];
+            if (waiter) {
+                delete network.baseWaiters[data.player];
+                setOnlineStatus(scene, '');
+                waiter(data.chunk);
+            }
+            break;
+        }
+        case 'turn':
+            network.incomingTurns.push({ index: data.index, turn: data.turn });
+            break;
+        case 'aim':
+            showRemoteAim(scene, data);
+            break;
+        case 'hash':
+            network.hostHashes.set(data.turn, data.hash);
+            checkStateHash(scene, data.turn);
+            break;
+        case 'desync':
+            error(`❌ Client ${from} is out of sync with this game at turn ${data.turn + 1}`);
+            network.status = 'desync';
+            setOnlineStatus(scene, `A player is out of sync (turn ${data.turn + 1})`, true);
+            break;
+        default:
+            trace(`🌐 Game message '${data.kind}' ignored during the match`);
+    }
+}
+
+/**
+ * Show a remote player lining up their shot
+ * @param {any} scene - The Phaser scene
+ * @param {{player: string, angle: number, power: number}} aim - Aim update
+ */
+function showRemoteAim(scene, aim) {
+    const gameState = scene.gameState;
+    if (!gameState || scene.gameEnded || gameState.hasPlayerFiredThisTurn) return;
+    if (getCurrentPlayerKey(gameState) !== aim.player || !isRemoteTurn(gameState)) return;
+    const turret = scene.turrets.find(t => t.team === aim.player);
+    if (turret) {
+        showShotAim(turret, aim);
+    }
+}
+
+/**
+ * Show a line in the online status panel (only redrawn when it changes)
+ * @param {any} scene - The Phaser scene
+ * @param {string} text - Status text ('' for the default)
+ * @param {boolean} [isProblem=false] - True to highlight a problem
+ */
+function setOnlineStatus(scene, text, isProblem = false) {
+    const network = scene.network;
+    const statusText = text || 'Connected';
+    if (network.statusText === statusText) return;
+    network.statusText = statusText;
+    network.panel.updateDisplay(statusText, isProblem);
+}
+
+/**
+ * Hash everything the simulation decides, so devices that drift apart are noticed
+ * @param {any} scene - The Phaser scene
+ * @returns {string} Hex hash of the match state
+ */
+export function computeStateHash(scene) {
+    const { gameState, landscapeData } = scene;
+    const parts = [
+        gameState.currentRound,
+        gameState.currentPlayerIndex,
+        gameState.playersAlive.join(','),
+        gameState.wind.current.toFixed(3),
+        gameState.liquid ? gameState.liquid.depth : '-',
+        gameState.hill ? JSON.stringify(gameState.hill.points) : '-'
+    ];
+    for (let i = 1; i <= gameState.numPlayers; i++) {
+        const player = gameState[`player${i}`];
+        parts.push(`${player.health}:${player.chunkIndex ?? '-'}:${JSON.stringify(player.ammo)}`);
+    }
+    scene.turrets.forEach(turret => {
+        parts.push(`${turret.team}@${turret.x.toFixed(1)},${turret.y.toFixed(1)}`);
+    });
+    landscapeData.chunks.forEach(chunk => {
+        parts.push(chunk.destroyed ? 'x' : chunk.y.toFixed(1));
+    });
+    if (landscapeData.mask) {
+        // Hash the cells separately rather than building a huge string
+        let cellHash = 0x811c9dc5;
+        const cells = landscapeData.mask.cells;
+        for (let i = 0; i < cells.length; i++) {
+            cellHash = Math.imul(cellHash ^ cells[i], 0x01000193);
+        }
+        parts.push(cellHash >>> 0);
+    }
+    return hashString(parts.join('|')).toString(16);
+}
+
+/**
+ * Compare this device's state with the host's for a turn, once both hashes are known
+ * @param {any} scene - The Phaser scene
+ * @param {number} turn - Turn number
+ */
+function checkStateHash(scene, turn) {
+    const network = scene.network;
+    const localHash = network.localHashes.get(turn);
+    const hostHash = network.hostHashes.get(turn);
+    if (localHash === undefined || hostHash === undefined) return;
+    network.localHashes.delete(turn);
+    network.hostHashes.delete(turn);
+
+    if (localHash === hostHash) {
+        trace(`🌐 Turn ${turn + 1} state matches the host (${localHash})`);
+        return;
+    }
+    if (network.status === 'connected') {
+        network.status = 'desync';
+        error(`❌ Out of sync with the host at turn ${turn + 1}: ${localHash} vs ${hostHash}`);
+        setOnlineStatus(scene, `Out of sync with the host (turn ${turn + 1})`, true);
+        sendNetworkMessage(network.session, { kind: 'desync', turn }, 0);
+    }
+}
+
+/**
+ * Send turns recorded on this device to the others. Turns are picked up from the replay log,
+ * which records every way a turn can end (shot, teleport or timeout).
+ * @param {any} scene - The Phaser scene
+ */
+function sendLocalTurns(scene) {
+    const network = scene.network;
+    const turns = scene.replayLog.turns;
+    while (network.sentTurns < turns.length) {
+        const index = network.sentTurns++;
+        const turn = turns[index];
+        if (isLocalPlayer(scene, turn.player)) {
+            sendNetworkMessage(network.session, { kind: 'turn', index, turn });
+            trace(`🌐 Sent turn ${index + 1}: ${turn.player} ${turn.action}`);
+        }
+    }
+}
+
+/**
+ * Send the local player's aim while they line up a shot (throttled)
+ * @param {any} scene - The Phaser scene
+ * @param {number} deltaMs - Frame time in milliseconds
+ */
+function sendLocalAim(scene, deltaMs) {
+    const network = scene.network;
+    const gameState = scene.gameState;
+    network.aimElapsedMs += deltaMs;
+    if (network.aimElapsedMs < AIM_SEND_INTERVAL_MS) return;
+    if (!gameState.turnStartTime || gameState.hasPlayerFiredThisTurn || isRemoteTurn(gameState)) return;
+
+    const playerKey = getCurrentPlayerKey(gameState);
+    const turret = scene.turrets.find(t => t.team === playerKey);
+    if (!turret || !turret.isAiming) return;
+    const aim = { angle: turret.barrel.rotation, power: turret.currentPower };
+    if (network.lastAim && network.lastAim.angle === aim.angle && network.lastAim.power === aim.power) return;
+
+    network.lastAim = aim;
+    network.aimElapsedMs = 0;
+    sendNetworkMessage(network.session, { kind: 'aim', player: playerKey, ...aim });
+}
+
+/**
+ * Hash the state once per turn when the world has settled; the host shares its hash, clients compare
+ * @param {any} scene - The Phaser scene
+ */
+function hashSettledTurn(scene) {
+    const network = scene.network;
+    const turn = scene.replayLog.turns.length;
+    if (network.hashedTurn === turn) return;
+    network.hashedTurn = turn;
+    network.lastAim = null;
+
+    const hash = computeStateHash(scene);
+    if (network.session.isHost) {
+        sendNetworkMessage(network.session, { kind: 'hash', turn, hash });
+    } else {
+        network.localHashes.set(turn, hash);
+        checkStateHash(scene, turn);
+    }
+}
+
+/**
+ * Play the next turn received from another device once the world has settled
+ * @param {any} scene - The Phaser scene
+ */
+function playRemoteTurn(scene) {
+    const network = scene.network;
+    const gameState = scene.gameState;
+    const turns = scene.replayLog.turns;
+    // Drop anything already played (e.g. a repeated message)
+    while (network.incomingTurns.length > 0 && network.incomingTurns[0].index < turns.length) {
+        network.incomingTurns.shift();
+    }
+    const next = network.incomingTurns[0];
+    if (!next || next.index !== turns.length || !isRemoteTurn(gameState)) return;
+    network.incomingTurns.shift();
+
+    const currentKey = getCurrentPlayerKey(gameState);
+    const turret = scene.turrets.find(t => t.team === next.turn.player);
+    if (next.turn.player !== currentKey || !turret) {
+        error(`❌ Received a turn for ${next.turn.player} but it is ${currentKey}'s turn`);
+        network.status = 'desync';
+        setOnlineStatus(scene, `Out of sync (turn ${next.index + 1})`, true);
+        return;
+    }
+    info(`🌐 Playing ${next.turn.player}'s turn ${next.index + 1}: ${next.turn.action}`);
+    const failure = playTurnAction(scene, turret, next.turn);
+    if (failure) {
+        error(`❌ Remote turn ${next.index + 1} failed: ${failure}`);
+        setOnlineStatus(scene, `Out of sync (turn ${next.index + 1})`, true);
+    }
+}
+
+/**
+ * Keep the online match in step; call once per frame from the scene's update
+ * @param {any} scene - The Phaser scene
+ * @param {number} deltaMs - Frame time in milliseconds
+ */
+export function updateOnlineMatch(scene, deltaMs) {
+    const network = scene.network;
+    if (!network || !scene.gameState || scene.gameEnded) return;
+
+    sendLocalTurns(scene);
+    sendLocalAim(scene, deltaMs);
+
+    if (!isWaitingForTurnAction(scene)) return;
+    hashSettledTurn(scene);
+    if (network.status === 'connected') {
+        const gameState = scene.gameState;
+        if (isRemoteTurn(gameState)) {
+            const currentKey = getCurrentPlayerKey(gameState);
+            const player = (scene.playerData || []).find(p => p.id === currentKey);
+            setOnlineStatus(scene, `Waiting for ${player ? player.name : currentKey}...`);
+        } else {
+            setOnlineStatus(scene, isCpuTurn(gameState) ? 'CPU player is taking its turn' : 'Your turn');
+        }
+    }
+    playRemoteTurn(scene);
+}
@@ -0,0 +1,197 @@
+// profiles.js
+// Named player profiles with Elo-style ratings, kept in localStorage. Players pick a profile on the player
+// names form; after each match played on this device every profiled player's rating is updated from the final
+// ranking (see getRankedPlayers), and the change is kept in the profile's rating history.
+
+import { getRankedPlayers } from './turnManager.js';
+import { loadPlayerProfiles, savePlayerProfiles } from './storage.js';
+import { info, warn } from './logger.js';
+
+/** Bump when the stored layout changes, and add a step to PROFILE_MIGRATIONS to upgrade older data */
+const PROFILES_VERSION = 1;
+
+/**
+ * Upgrades from each older version to the next (version n is upgraded by PROFILE_MIGRATIONS[n])
+ * @type {Record<number, function(any): any>}
+ */
+const PROFILE_MIGRATIONS = {};
+
+/** Rating every new profile starts with */
+export const DEFAULT_RATING = 1200;
+
+/** Most a rating can move in one match (shared out over the opponents in a free-for-all) */
+const RATING_K = 32;
+
+/** Rating difference at which the higher-rated player is expected to win ten times out of eleven */
+const RATING_SCALE = 400;
+
+/** Matches kept in each profile's rating history */
+const MAX_HISTORY = 100;
+
+/**
+ * One rated match in a profile's history
+ * @typedef {Object} RatingHistoryEntry
+ * @property {string} playedAt - ISO timestamp of the match
+ * @property {number} position - Finishing place among all players (1 = winner; teammates share a place)
+ * @property {number} players - Players in the match
+ * @property {string[]} opponents - Names of the rated opponents (not teammates)
+ * @property {number} change - Rating change
+ * @property {number} rating - Rating after the match
+ */
+
+/**
+ * A named player profile
+ * @typedef {Object} PlayerProfile
+ * @property {string} id - Profile identifier
+ * @property {string} name - Player name
+ * @property {number} rating - Current rating
+ * @property {number} gamesPlayed - Rated matches played
+ * @property {RatingHistoryEntry[]} history - Rated matches, oldest first
+ */
+
+/**
+ * Stored profiles
+ * @typedef {Object} ProfileStore
+ * @property {number} version - Layout version
+ * @property {PlayerProfile[]} profiles - Every profile
+ */
+
+/**
+ * Load profiles, upgrading older layouts. Profiles written by a newer version of the game
+ * are left alone (null is returned so they aren't overwritten).
+ * @returns {ProfileStore|null} Profiles, or null if they can't be used by this version
+ */
+function loadProfileStore() {
+    let data = loadPlayerProfiles();
+    if (!data || typeof data.version !== 'number' || !Array.isArray(data.profiles)) {
+        return { version: PROFILES_VERSION, profiles: [] };
+    }
+    if (data.version > PROFILES_VERSION) {
+        warn(`Player profiles were saved by a newer version (v${data.version}) - not updating them`);
+        return null;
+    }
+    while (data.version < PROFILES_VERSION) {
+        const migrate = PROFILE_MIGRATIONS[data.version];
+        if (!migrate) {
+            warn(`No upgrade for player profiles v${data.version} - starting afresh`);
+            return { version: PROFILES_VERSION, profiles: [] };
+        }
+        data = migrate(data);
+    }
+    return data;
+}
+
+/**
+ * Get every profile, highest rating first
+ * @returns {PlayerProfile[]} Profiles
+ */
+export function getProfiles() {
+    const store = loadProfileStore();
+    if (!store) return [];
+    return [...store.profiles].sort((a, b) => (b.rating - a.rating) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Create a profile
+ * @param {string} name - Player name (must not match another profile, ignoring case)
+ * @returns {PlayerProfile} The new profile
+ * @throws {Error} If the name is blank or taken, or profiles can't be saved
+ */
+export function createProfile(name) {
+    const trimmedName = name.trim();
+    const store = loadProfileStore();
+    if (!trimmedName) {
+        throw new Error('Enter a name for the new profile.');
+    }
+    if (!store) {
+        throw new Error('Profiles were saved by a newer version of Rocket Wars, so new ones cannot be added here.');
+    }
+    const existing = store.profiles.find(profile => profile.name.toLowerCase() === trimmedName.toLowerCase());
+    if (existing) {
+        throw new Error(`There is already a profile called "${existing.name}" - pick it from the list instead.`);
+    }
+
+    /** @type {PlayerProfile} */
+    const profile = {
+        id: `p${Date.now().toString(36)}${store.profiles.length}`,
+        name: trimmedName,
+        rating: DEFAULT_RATING,
+        gamesPlayed: 0,
+        history: []
+    };
+    store.profiles.push(profile);
+    if (!savePlayerProfiles(store)) {
+        throw new Error('The profile could not be saved.');
+    }
+    info(`👤 Created profile ${profile.name} (${profile.id})`);
+    return profile;
+}
+
+/**
+ * Work out rating changes from finishing places, scoring the match as a head-to-head result against
+ * each opponent (Elo: beating a higher-rated player gains more than beating a lower-rated one).
+ * Players sharing a place (teammates) aren't rated against each other.
+ * @param {number[]} ratings - Each player's rating
+ * @param {number[]} places - Each player's finishing place (1 = winner)
+ * @returns {number[]} Rating change for each player, in the same order
+ */
+export function calculateRatingChanges(ratings, places) {
+    return ratings.map((rating, index) => {
+        const opponents = ratings.map((_, opponentIndex) => opponentIndex).filter(opponentIndex => places[opponentIndex] !== places[index]);
+        if (opponents.length === 0) return 0;
+        const k = RATING_K / opponents.length;
+        let change = 0;
+        opponents.forEach(opponentIndex => {
+            const expected = 1 / (1 + Math.pow(10, (ratings[opponentIndex] - rating) / RATING_SCALE));
+            const actual = places[index] < places[opponentIndex] ? 1 : 0;
+            change += k * (actual - expected);
+        });
+        return Math.round(change);
+    });
+}
+
+/**
+ * Update the rating of every player with a profile from a finished match (needs two or more)
+ * @param {any} gameState - Game state at the end of the match
+ * @param {PlayerData[]} playerData - Player data with names and profile ids
+ * @returns {Record<string, {rating: number, change: number}>} New rating and change keyed by player ('player1', etc.)
+ */
+export function recordRatedMatch(gameState, playerData) {
+    const store = loadProfileStore();
+    if (!store || !playerData) return {};
+
+    const ranked = getRankedPlayers(gameState, playerData);
+    const rated = ranked
+        .map(player => ({
+            playerKey: `player${player.number}`,
+            position: player.place,
+            profile: store.profiles.find(profile => profile.id === playerData[player.number - 1]?.profileId)
+        }))
+        .filter(entry => entry.profile);
+    if (rated.length < 2) return {};
+
+    const changes = calculateRatingChanges(rated.map(entry => entry.profile.rating), rated.map(entry => entry.position));
+    const playedAt = new Date().toISOString();
+    /** @type {Record<string, {rating: number, change: number}>} */
+    const result = {};
+    rated.forEach((entry, index) => {
+        const profile = entry.profile;
+        profile.rating += changes[index];
+        profile.gamesPlayed++;
+        profile.history.push({
+            playedAt,
+            position: entry.position,
+            players: ranked.length,
+            opponents: rated.filter(other => other.position !== entry.position).map(other => other.profile.name),
+            change: changes[index],
+            rating: profile.rating
+        });
+        profile.history = profile.history.slice(-MAX_HISTORY);
+        result[entry.playerKey] = { rating: profile.rating, change: changes[index] };
+    });
+
+    if (savePlayerProfiles(store)) {
+        info(`👤 Ratings updated: ${rated.map((entry, index) => `${entry.profile.name} ${changes[index] >= 0 ? '+' : ''}${changes[index]}`).join(', ')}`);
+    }
+    return result;
+}
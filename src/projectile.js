@@ -1,9 +1,12 @@
 // projectile.js
 // Projectile physics and graphics for Rocket Wars
 
-import { checkChunkedTerrainCollision } from './chunkedLandscape.js';
+import { getLiquidSurfaceY } from './liquid.js';
 import { info, trace } from './logger.js';
 import { getTeamColorHex } from './constants.js';
+import { getWeapon } from './weapons.js';
+import { createSimulationWorld, getLaunchVelocity, detectCollisions, calculateDirectHitDamage, calculateAreaDamage, getVelocityFactor } from './simulation.js';
+import { random } from './random.js';
 
 /**
  * Create a projectile with physics and visual trail
@@ -13,11 +16,15 @@ import { getTeamColorHex } from './constants.js';
  * @param {number} angle - Launch angle in radians
  * @param {number} power - Launch power (0.1 to 1.0)
  * @param {string} [team] - Team key of firing turret so projectile/trail use player colour
- * @returns {Phaser.GameObjects.Graphics & {trail: Array<{x: number, y: number, time: number}>, maxTrailLength: number, isProjectile: boolean, startTime: number, maxFlightTime: number, trailGraphics?: Phaser.GameObjects.Graphics, firingTurret?: any, baseColor?: number}}
+ * @param {string} [weaponId='standard'] - Weapon registry id controlling flight, explosion and damage rules
+ * @returns {Phaser.GameObjects.Graphics & {trail: Array<{x: number, y: number, time: number}>, maxTrailLength: number, isProjectile: boolean, velocity: {x: number, y: number}, flightTime: number, digging: boolean, trailGraphics?: Phaser.GameObjects.Graphics, firingTurret?: any, baseColor?: number, weapon: import('./weapons.js').WeaponDefinition, radius: number, ownerKey?: string, shot?: import('./matchStats.js').ShotRecord, previousVelocityY: number, hasSplit: boolean}}
  */
-export function createProjectile(scene, startX, startY, angle, power, team) {
+export function createProjectile(scene, startX, startY, angle, power, team, weaponId = 'standard') {
     // Create projectile graphics (small rocket/bullet)
-    const projectile = /** @type {Phaser.GameObjects.Graphics & {trail: Array<{x: number, y: number, time: number}>, maxTrailLength: number, isProjectile: boolean, startTime: number, maxFlightTime: number, trailGraphics?: Phaser.GameObjects.Graphics, firingTurret?: any, baseColor?: number}} */ (scene.add.graphics());
+    const projectile = /** @type {Phaser.GameObjects.Graphics & {trail: Array<{x: number, y: number, time: number}>, maxTrailLength: number, isProjectile: boolean, velocity: {x: number, y: number}, flightTime: number, digging: boolean, trailGraphics?: Phaser.GameObjects.Graphics, firingTurret?: any, baseColor?: number, weapon: import('./weapons.js').WeaponDefinition, radius: number, ownerKey?: string, shot?: import('./matchStats.js').ShotRecord, previousVelocityY: number, hasSplit: boolean}} */ (scene.add.graphics());
+    const weapon = getWeapon(weaponId);
+    projectile.weapon = weapon;
+    projectile.radius = weapon.radius;
 
     // Resolve team colour (fallback to existing red if not supplied)
     const baseColor = team ? getTeamColorHex(team) : 0xff6b6b;
@@ -36,35 +43,27 @@ export function createProjectile(scene, startX, startY, angle, power, team) {
         b: Math.max(0, colorObj.blue - 40)
     }).color;
 
-    // Draw projectile using team colour theme
+    // Draw projectile using team colour theme (outline in weapon accent colour for special rockets)
     projectile.fillStyle(lighter, 1);
-    projectile.fillCircle(0, 0, 3); // 3px radius circle
-    projectile.lineStyle(1, darker, 1);
-    projectile.strokeCircle(0, 0, 3);
+    projectile.fillCircle(0, 0, weapon.radius);
+    projectile.lineStyle(1, weapon.id === 'standard' ? darker : weapon.color, 1);
+    projectile.strokeCircle(0, 0, weapon.radius);
     
     // Position at start location
     projectile.x = startX;
     projectile.y = startY;
     
-    // Enable physics on the projectile
-    scene.physics.add.existing(projectile);
-    /** @type {Phaser.Physics.Arcade.Body} */ (projectile.body).setCircle(3); // Set physics body to match visual circle
+    // Flight is stepped by the simulation core (see updateProjectiles), not Arcade physics
+    projectile.velocity = getLaunchVelocity(angle, power, weapon);
+    projectile.flightTime = 0;
+    projectile.digging = false;
     
-    // Calculate initial velocity based on angle and power
-    // Power ranges from 0.1 to 1.0, let's scale it to reasonable velocity
-    const baseVelocity = 100; // Base velocity (pixels per second)
-    const maxVelocity = 2000; // Maximum velocity at full power
-    const velocity = baseVelocity + (maxVelocity - baseVelocity) * power;
+    // Track vertical velocity so the apex (sign change) can be detected for splitting rockets
+    projectile.previousVelocityY = projectile.velocity.y;
+    projectile.hasSplit = false;
     
-    // Convert angle and power to velocity components
-    const velocityX = Math.cos(angle) * velocity;
-    const velocityY = Math.sin(angle) * velocity;
-    
-    // Set initial velocity
-    /** @type {Phaser.Physics.Arcade.Body} */ (projectile.body).setVelocity(velocityX, velocityY);
-    
-    // Add some bounce (optional - projectiles can bounce off terrain)
-    /** @type {Phaser.Physics.Arcade.Body} */ (projectile.body).setBounce(0.3, 0.3);
+    // Player credited with any damage this projectile (or its submunitions) causes
+    projectile.ownerKey = team;
     
     // Add trail effect
     projectile.trail = [];
@@ -72,12 +71,81 @@ export function createProjectile(scene, startX, startY, angle, power, team) {
     
     // Store projectile data
     projectile.isProjectile = true;
-    projectile.startTime = scene.time.now;
-    projectile.maxFlightTime = 10000; // 10 seconds max flight time
     
     return projectile;
 }
 
+/**
+ * Check whether a splitting projectile has just passed the top of its arc
+ * (vertical velocity changed sign from upwards to downwards since last frame)
+ * @param {any} projectile - The projectile to check
+ * @returns {boolean} True if the projectile should split now
+ */
+export function isProjectileAtApex(projectile) {
+    if (!projectile.weapon || !projectile.weapon.split || projectile.hasSplit) {
+        return false;
+    }
+    const velocityY = projectile.velocity.y;
+    const atApex = projectile.previousVelocityY < 0 && velocityY >= 0;
+    projectile.previousVelocityY = velocityY;
+    return atApex;
+}
+
+/**
+ * Split a projectile into submunitions that fan out from its current position and velocity.
+ * Each child keeps the parent's owner and firing turret so damage is credited correctly.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {any} parent - The splitting projectile (its weapon must define `split`)
+ * @returns {any[]} Newly created submunition projectiles
+ */
+export function createSubmunitions(scene, parent) {
+    const split = parent.weapon.split;
+    const count = split.minCount + Math.floor(random('weapons') * (split.maxCount - split.minCount + 1));
+    const parentVelocity = parent.velocity;
+    parent.hasSplit = true;
+
+    info(`🎆 ${parent.weapon.name} rocket splitting into ${count} submunitions at (${Math.round(parent.x)}, ${Math.round(parent.y)})`);
+
+    const children = [];
+    for (let i = 0; i < count; i++) {
+        // Spread children evenly from -spreadSpeed to +spreadSpeed around the parent's horizontal velocity
+        const spreadFactor = count > 1 ? (i / (count - 1)) * 2 - 1 : 0;
+        const child = createProjectile(scene, parent.x, parent.y, 0, 0, parent.ownerKey, split.weaponId);
+        child.velocity = {
+            x: parentVelocity.x + spreadFactor * split.spreadSpeed,
+            y: parentVelocity.y
+        };
+        child.previousVelocityY = parentVelocity.y;
+        child.ownerKey = parent.ownerKey;
+        child.shot = parent.shot;
+        child.firingTurret = parent.firingTurret;
+        children.push(child);
+    }
+    return children;
+}
+
+/**
+ * Switch a tunnelling projectile into digging mode: it stops responding to gravity and wind
+ * and bores through the terrain in a straight line along its current direction.
+ * @param {any} projectile - The projectile that just hit terrain (its weapon must define `tunnel`)
+ */
+export function startProjectileDigging(projectile) {
+    const tunnel = projectile.weapon.tunnel;
+    const velocity = projectile.velocity;
+    const speed = Math.sqrt(velocity.x ** 2 + velocity.y ** 2) || 1;
+    
+    // Remember impact velocity so explosion size/damage at the end still reflect the shot
+    projectile.impactVelocity = { x: velocity.x, y: velocity.y };
+    
+    projectile.velocity = { x: (velocity.x / speed) * tunnel.speed, y: (velocity.y / speed) * tunnel.speed };
+    projectile.digging = true;
+    projectile.digDistance = 0;
+    projectile.digLastPosition = { x: projectile.x, y: projectile.y };
+    projectile.tunnelChunkIndices = new Set();
+    
+    info(`⛏️ ${projectile.weapon.name} started tunnelling at (${Math.round(projectile.x)}, ${Math.round(projectile.y)})`);
+}
+
 /**
  * Update projectile trail with current position
  * @param {Phaser.GameObjects.Graphics & {trail: Array<{x: number, y: number, time: number}>, maxTrailLength: number}} projectile
@@ -242,8 +310,8 @@ export function createExplosion(scene, x, y, radius = 80, hitType = 'turret') {
     const numSparks = 6; // Reduced from 8 for better performance
     for (let i = 0; i < numSparks; i++) {
         const sparkGraphics = scene.add.graphics();
-        const sparkAngle = (Math.PI * 2 * i) / numSparks + (Math.random() - 0.5) * 0.4;
-        const sparkDistance = radius + Math.random() * radius;
+        const sparkAngle = (Math.PI * 2 * i) / numSparks + (random('effects') - 0.5) * 0.4;
+        const sparkDistance = radius + random('effects') * radius;
         
         sparkGraphics.x = x;
         sparkGraphics.y = y;
@@ -258,7 +326,7 @@ export function createExplosion(scene, x, y, radius = 80, hitType = 'turret') {
             x: x + Math.cos(sparkAngle) * sparkDistance,
             y: y + Math.sin(sparkAngle) * sparkDistance,
             alpha: { from: 0.9, to: 0 },
-            duration: 400 + Math.random() * 200,
+            duration: 400 + random('effects') * 200,
             ease: 'Power2',
             onComplete: () => sparkGraphics.destroy()
         });
@@ -273,192 +341,97 @@ export function createExplosion(scene, x, y, radius = 80, hitType = 'turret') {
  * @param {number} explosionY - Y coordinate of explosion center
  * @param {number} explosionRadius - Radius of the explosion
  * @param {Array<any>} turrets - Array of turret objects
+ * @param {{min: number, max: number}} [damageRange] - AOE damage at the explosion edge (min) and centre (max)
  * @returns {Array<{turret: any, damage: number, distance: number}>} Array of affected turrets and damage info
  */
-export function calculateAOEDamage(explosionX, explosionY, explosionRadius, turrets) {
-    const affectedTurrets = [];
-    
+export function calculateAOEDamage(explosionX, explosionY, explosionRadius, turrets, damageRange = { min: 3, max: 15 }) {
     trace(`🔍 AOE Check: Explosion at (${explosionX.toFixed(1)}, ${explosionY.toFixed(1)}) with radius ${explosionRadius}px`);
     trace(`🔍 Checking ${turrets.length} turrets for AOE damage:`);
     
-    turrets.forEach((turret, index) => {
-        const distance = Phaser.Math.Distance.Between(explosionX, explosionY, turret.x, turret.y);
-        trace(`  Turret ${index + 1} (${turret.team}): at (${turret.x.toFixed(1)}, ${turret.y.toFixed(1)}) - Distance: ${distance.toFixed(1)}px`);
-        
-        // Check if turret is within explosion radius
-        if (distance <= explosionRadius) {
-            // Calculate AOE damage based on distance from explosion center
-            // Damage falls off from center to edge of explosion
-            const maxAOEDamage = 15; // Maximum AOE damage (less than direct hit)
-            const minAOEDamage = 3;  // Minimum AOE damage at explosion edge
-            
-            // Linear falloff from center to edge
-            const distanceFactor = 1 - (distance / explosionRadius);
-            const aoeDamage = minAOEDamage + (maxAOEDamage - minAOEDamage) * distanceFactor;
-            
-            trace(`    ✅ WITHIN RANGE! AOE damage to ${turret.team}: ${Math.round(aoeDamage)} (distance: ${distance.toFixed(1)}px from ${explosionRadius}px explosion)`);
-            
-            affectedTurrets.push({
-                turret: turret,
-                damage: Math.round(aoeDamage),
-                distance: distance
-            });
-        } else {
-            trace(`    ❌ Too far away (${distance.toFixed(1)}px > ${explosionRadius}px)`);
-        }
+    const affectedTurrets = calculateAreaDamage(explosionX, explosionY, explosionRadius, turrets, damageRange);
+    affectedTurrets.forEach(({ turret, damage, distance }) => {
+        trace(`    ✅ WITHIN RANGE! AOE damage to ${turret.team}: ${damage} (distance: ${distance.toFixed(1)}px from ${explosionRadius}px explosion)`);
     });
     
     trace(`🎯 AOE Result: ${affectedTurrets.length} turrets affected by explosion`);
     return affectedTurrets;
 }
 
+/**
+ * Build the simulation core's view of the scene: world size, wind, gravity, liquid and terrain
+ * @param {Phaser.Scene & {gameState?: any, landscapeData?: any}} scene - The Phaser scene
+ * @param {{points?: Array<{x: number, y: number}>, chunks?: Array, mask?: any}} [landscapeData] - Landscape collision data (defaults to the scene's)
+ * @returns {import('./simulation.js').SimulationWorld} Simulation world
+ */
+export function getSceneSimulationWorld(scene, landscapeData = scene.landscapeData) {
+    const bounds = scene.physics.world.bounds;
+    const gameState = scene.gameState;
+    return createSimulationWorld({
+        width: bounds.width,
+        height: bounds.height,
+        gravity: gameState ? gameState.gravity : scene.physics.world.gravity.y / 5,
+        wind: gameState ? gameState.wind.current : 0,
+        // Liquid at the bottom of the world swallows projectiles before they reach the terrain
+        liquidSurfaceY: gameState && gameState.liquid ? getLiquidSurfaceY(gameState.liquid) : bounds.height,
+        mask: landscapeData && landscapeData.mask,
+        chunks: landscapeData && landscapeData.chunks,
+        points: landscapeData && landscapeData.points
+    });
+}
+
 /**
  * Check if projectile collides with terrain, turrets, or world bounds
  * @param {Phaser.Scene} scene - The Phaser scene
- * @param {Phaser.GameObjects.Graphics} projectile - The projectile object
- * @param {{points: Array<{x: number, y: number}>, flatBases: Array, chunks?: Array}} landscapeData - Landscape collision data
+ * @param {Phaser.GameObjects.Graphics & {radius?: number}} projectile - The projectile object
+ * @param {{points: Array<{x: number, y: number}>, flatBases: Array, chunks?: Array, mask?: any}} landscapeData - Landscape collision data
  * @param {Array<any>} turrets - Array of turret objects to check collision against
- * @returns {{terrain: boolean, turret: any|null, turretDistance?: number, worldBounds: boolean}} Collision results
+ * @returns {import('./simulation.js').CollisionResult} Collision results
  */
 export function checkProjectileCollisions(scene, projectile, landscapeData, turrets) {
-    const collisions = {
-        terrain: false,
-        turret: null,
-        worldBounds: false
-    };
-
-    // Check world bounds (allow projectiles to fly above the top of the world)
-    const worldBounds = scene.physics.world.bounds;
-    if (projectile.x < 0 || projectile.x > worldBounds.width || 
-        projectile.y > worldBounds.height) {
-        collisions.worldBounds = true;
-        return collisions;
-    }
-
-    // Check turret collisions
-    turrets.forEach(turret => {
-        const distance = Phaser.Math.Distance.Between(projectile.x, projectile.y, turret.x, turret.y);
-        if (distance < 25) { // Turret collision radius
-            collisions.turret = turret;
-            collisions.turretDistance = distance; // Store distance for damage calculation
-        }
-    });
-
-    // Terrain collision check - support both chunked and point-based systems
-    if (landscapeData) {
-        // Check for chunked terrain first (if available)
-        if (landscapeData.chunks) {
-            collisions.terrain = checkChunkedTerrainCollision(projectile, landscapeData.chunks);
-        } 
-        // Fallback to point-based terrain collision
-        else if (landscapeData.points) {
-            trace(`🔍 Using point-based terrain collision (no chunks available)`);
-            const points = landscapeData.points;
-            const projectileX = projectile.x;
-            const projectileY = projectile.y;
-            
-            // Find the two closest landscape points to interpolate between
-            let leftPoint = null;
-            let rightPoint = null;
-            
-            for (let i = 0; i < points.length - 1; i++) {
-                if (points[i].x <= projectileX && points[i + 1].x >= projectileX) {
-                    leftPoint = points[i];
-                    rightPoint = points[i + 1];
-                    break;
-                }
-            }
-            
-            if (leftPoint && rightPoint) {
-                // Linear interpolation to find ground height at projectile X position
-                const t = (projectileX - leftPoint.x) / (rightPoint.x - leftPoint.x);
-                const groundY = leftPoint.y + t * (rightPoint.y - leftPoint.y);
-                
-                // Check if projectile is below ground level (with small tolerance)
-                if (projectileY >= groundY - 3) {
-                    collisions.terrain = true;
-                }
-            } else {
-                // Fallback to simple ground level check if points not found
-                const fallbackGroundLevel = worldBounds.height - 100;
-                if (projectileY > fallbackGroundLevel) {
-                    collisions.terrain = true;
-                }
-            }
-        }
-    }
-    
-    return collisions;
+    const world = getSceneSimulationWorld(scene, landscapeData);
+    return detectCollisions({ x: projectile.x, y: projectile.y, radius: projectile.radius || 3 }, world, turrets);
 }
 
 /**
  * Clean up projectile and its associated graphics objects
- * @param {Phaser.GameObjects.Graphics & {trail?: Array, trailGraphics?: Phaser.GameObjects.Graphics, body?: Phaser.Physics.Arcade.Body}} projectile - The projectile to clean up
+ * @param {Phaser.GameObjects.Graphics & {trail?: Array, trailGraphics?: Phaser.GameObjects.Graphics}} projectile - The projectile to clean up
  * @returns {void}
  */
 export function cleanupProjectile(projectile) {
     if (projectile.trailGraphics) {
         projectile.trailGraphics.destroy();
     }
-    if (projectile.body) {
-        projectile.body.destroy();
-    }
     projectile.destroy();
 }
 
 /**
  * Calculate damage based on impact accuracy and projectile velocity
- * @param {Phaser.GameObjects.Graphics} projectile - The projectile object
+ * @param {Phaser.GameObjects.Graphics & {weapon?: import('./weapons.js').WeaponDefinition, velocity?: {x: number, y: number}, impactVelocity?: {x: number, y: number}}} projectile - The projectile object
  * @param {any} turret - The turret that was hit
  * @param {number} distance - Distance from projectile to turret center
- * @returns {number} Calculated damage amount (0-50)
+ * @returns {number} Calculated damage amount (within the weapon's direct damage range)
  */
 export function calculateDamage(projectile, turret, distance) {
-    // Base damage parameters - more generous ranges
-    const MAX_DAMAGE = 50; // Maximum possible damage
-    const BASE_DAMAGE = 20; // Higher minimum damage for any hit
-    const TURRET_RADIUS = 25; // Turret collision radius
-    
-    // Calculate accuracy factor with more generous curve
-    // Use square root to make the falloff less harsh
-    const rawAccuracyFactor = Math.max(0, 1 - (distance / TURRET_RADIUS));
-    const accuracyFactor = Math.sqrt(rawAccuracyFactor); // More generous curve
-    
-    // Calculate velocity factor from projectile speed - more generous scaling
-    const velocityFactor = calculateVelocityFactor(projectile);
-    
-    // Adjust weighting to be more balanced: 60% accuracy, 40% velocity
-    const accuracyWeight = 0.6;
-    const velocityWeight = 0.4;
-    const combinedFactor = (accuracyWeight * accuracyFactor) + (velocityWeight * velocityFactor);
-    
-    // Calculate final damage
-    const damage = BASE_DAMAGE + (MAX_DAMAGE - BASE_DAMAGE) * combinedFactor;
-    
-    trace(`🎯 Damage calculation (generous):
-    - Distance: ${distance.toFixed(1)}px from turret center (${TURRET_RADIUS}px radius)
-    - Raw accuracy: ${(rawAccuracyFactor * 100).toFixed(1)}% → Curved: ${(accuracyFactor * 100).toFixed(1)}%
-    - Velocity factor: ${(velocityFactor * 100).toFixed(1)}% (faster = more damage)
-    - Combined factor: ${(combinedFactor * 100).toFixed(1)}% (60% accuracy + 40% velocity)
-    - Final damage: ${Math.round(damage)} (range: ${BASE_DAMAGE}-${MAX_DAMAGE})`);
-    
-    return Math.round(damage);
+    // Damage comes from the weapon's direct hit range, scaled by accuracy and impact speed
+    return calculateDirectHitDamage(projectile.weapon || getWeapon(), distance, getImpactSpeed(projectile));
+}
+
+/**
+ * Speed a projectile hit with (tunnelling projectiles keep the speed they hit the ground with)
+ * @param {{velocity?: {x: number, y: number}, impactVelocity?: {x: number, y: number}}} projectile - The projectile object
+ * @returns {number} Impact speed in px/s
+ */
+function getImpactSpeed(projectile) {
+    const velocity = projectile.impactVelocity || projectile.velocity;
+    return velocity ? Math.sqrt(velocity.x ** 2 + velocity.y ** 2) : 0;
 }
 
 /**
  * Calculate velocity factor from projectile speed
- * @param {Phaser.GameObjects.Graphics} projectile - The projectile object
+ * @param {{velocity?: {x: number, y: number}, impactVelocity?: {x: number, y: number}}} projectile - The projectile object
  * @returns {number} Velocity factor (0.0-1.0)
  */
 export function calculateVelocityFactor(projectile) {
-    let velocityFactor = 0;
-    if (projectile.body && projectile.body.velocity) {
-        const speed = Math.sqrt(
-            projectile.body.velocity.x ** 2 + 
-            projectile.body.velocity.y ** 2
-        );
-        // More generous velocity scaling: 0-1500 px/s -> 0.0-1.0 factor
-        velocityFactor = Math.min(1.0, speed / 1500);
-    }
-    return velocityFactor;
+    // More generous velocity scaling: 0-1500 px/s -> 0.0-1.0 factor
+    return getVelocityFactor(getImpactSpeed(projectile));
 }
@@ -1,11 +1,17 @@
 // projectileManager.js
 // Projectile update and management system for Rocket Wars
 
-import { updateProjectileTrail, drawProjectileTrail, checkProjectileCollisions, cleanupProjectile, calculateDamage, calculateAOEDamage, calculateVelocityFactor, createExplosion } from './projectile.js';
+import { updateProjectileTrail, drawProjectileTrail, checkProjectileCollisions, getSceneSimulationWorld, cleanupProjectile, calculateDamage, calculateAOEDamage, calculateVelocityFactor, createExplosion, isProjectileAtApex, createSubmunitions, startProjectileDigging } from './projectile.js';
 import { applyDamage, getCurrentPlayer } from './turnManager.js';
 import { updateGameUI } from './ui/updateUI.js';
 import { updateProjectileCamera } from './camera.js';
-import { createTerrainDestruction, updateChunkAnimations, handleTurretFalling } from './chunkedLandscape.js';
+import { createTerrainDestruction, createTunnelDestruction, createTerrainMound, updateChunkAnimations, handleTurretFalling, findChunkIndexAtX, settleSand } from './chunkedLandscape.js';
+import { carveMaskCircle, fillMaskCircle, settleMaskSand, syncMaskColumns, drawMaskTerrain, MASK_CRATER_RATIO } from './maskTerrain.js';
+import { createSplash } from './liquid.js';
+import { getWeapon, scaleWeaponRange } from './weapons.js';
+import { stepProjectile, SIM_STEP_SECONDS, MAX_FLIGHT_SECONDS } from './simulation.js';
+import { recordShotHit, finishShot } from './matchStats.js';
+import { measureGroundNearOpponents, awardTerrainPoints } from './scoring.js';
 import { info, trace, warn } from './logger.js';
 
 /**
@@ -21,9 +27,9 @@ export function updateProjectiles(scene, projectiles, gameState, landscapeData,
     // Camera follows projectiles with smooth following
     updateProjectileCamera(scene, projectiles);
 
-    // Update chunk animations if chunked terrain is active
+    // Update chunk animations if chunked terrain (or mask support columns) is active
     const sceneAny = /** @type {any} */ (scene);
-    if (landscapeData && landscapeData.chunks && sceneAny.landscapeGraphics) {
+    if (landscapeData && landscapeData.chunks && (sceneAny.landscapeGraphics || landscapeData.mask)) {
         const stillAnimating = updateChunkAnimations(scene, landscapeData.chunks, sceneAny.landscapeGraphics);
         
         // Track animation state to detect when animations complete
@@ -31,42 +37,54 @@ export function updateProjectiles(scene, projectiles, gameState, landscapeData,
             sceneAny.chunksWereAnimating = false;
         }
         
-        // If animations just finished, check for turret falling
-        if (sceneAny.chunksWereAnimating && !stillAnimating) {
+        // If animations just finished, let loose sand settle (animated), then check for turret falling
+        const sandMoving = sceneAny.chunksWereAnimating && !stillAnimating && !landscapeData.mask &&
+            settleSand(scene, landscapeData.chunks) > 0;
+        if (sceneAny.chunksWereAnimating && !stillAnimating && !sandMoving) {
             info('🔍 Chunk animations completed - checking turrets for falling...');
             const fallDamageOccurred = handleTurretFalling(scene, landscapeData.chunks, turrets, gameState);
             
             // Update UI panels if any falling damage occurred
             if (fallDamageOccurred && sceneAny.environmentPanel && sceneAny.playerStatsPanel) {
-                sceneAny.environmentPanel.update?.(gameState);
-                sceneAny.playerStatsPanel.update?.(gameState);
+                sceneAny.environmentPanel.updateDisplay?.(gameState);
+                sceneAny.playerStatsPanel.updateDisplay?.(gameState);
             }
         }
         
         // Update animation state for next frame
-        sceneAny.chunksWereAnimating = stillAnimating;
+        sceneAny.chunksWereAnimating = stillAnimating || sandMoving;
     }
 
+    // Step the simulation core at a fixed rate, however long this frame took
+    const steps = consumeSimulationSteps(sceneAny, scene.game.loop.delta);
+    const world = getSceneSimulationWorld(scene, landscapeData);
+
     // Update each projectile
     for (let i = projectiles.length - 1; i >= 0; i--) {
         const projectile = projectiles[i];
+        let removed = false;
 
-        // Apply projectile physics
-        applyProjectilePhysics(projectile, gameState, scene.time.now);
-
-        // Update trail effect
-        updateProjectileTrail(projectile);
-        drawProjectileTrail(scene, projectile);
-
-        // Check for collisions
-        const collisions = checkProjectileCollisions(scene, projectile, landscapeData, turrets);
+        for (let step = 0; step < steps && !removed; step++) {
+            stepProjectile(projectile, world, SIM_STEP_SECONDS);
 
-        // Handle collisions and determine if projectile should be removed
-        const shouldRemove = handleProjectileCollisions(scene, projectile, collisions, gameState, turrets);
+            // Splitting rockets release their submunitions at the top of the arc.
+            // Children are added before the parent is removed so the turn can't end in between.
+            if (isProjectileAtApex(projectile)) {
+                projectiles.push(...createSubmunitions(scene, projectile));
+                removed = true;
+            } else {
+                // Check for collisions and determine if projectile should be removed
+                const collisions = checkProjectileCollisions(scene, projectile, landscapeData, turrets);
+                removed = handleProjectileCollisions(scene, projectile, collisions, gameState, turrets);
+            }
+        }
 
-        // Remove projectile if needed
-        if (shouldRemove) {
+        if (removed) {
             cleanupFinishedProjectile(projectile, projectiles, i, cameraControls, gameState, scene);
+        } else {
+            // Update trail effect
+            updateProjectileTrail(projectile);
+            drawProjectileTrail(scene, projectile);
         }
     }
 
@@ -78,29 +96,21 @@ export function updateProjectiles(scene, projectiles, gameState, landscapeData,
 }
 
 /**
- * Apply physics effects to a projectile (wind, air resistance)
- * @param {any} projectile - The projectile to update
- * @param {any} gameState - Current game state
- * @param {number} currentTime - Current game time
+ * Work out how many fixed simulation steps to run this frame, carrying any remainder over
+ * to the next frame so projectile flight doesn't depend on the frame rate.
+ * Replays scale the frame time by scene.simulationSpeed (0 while paused).
+ * @param {any} scene - The Phaser scene (holds the leftover time and optional speed)
+ * @param {number} deltaMs - Time since the last frame in milliseconds
+ * @returns {number} Number of steps to run
  */
-export function applyProjectilePhysics(projectile, gameState, currentTime) {
-    if (!gameState || !projectile.body) return;
-
-    const windForce = gameState.wind.current / 100; // Normalize to -1 to +1
-    const windAcceleration = windForce * 220; // Wind acceleration (pixels/sec²)
-
-    // Apply wind as horizontal acceleration (accumulated over time)
-    projectile.body.acceleration.x = windAcceleration;
-
-    // Optional: Add slight air resistance for more realistic physics
-    const airResistance = 0.99; // Slight velocity reduction each frame
-    projectile.body.velocity.x *= airResistance;
-    projectile.body.velocity.y *= airResistance;
-
-    // Debug: Log wind effect periodically (every 30 frames ≈ 0.5 seconds)
-    if (Math.floor(currentTime / 500) > Math.floor((currentTime - 16) / 500)) {
-        trace(`Wind effect: ${gameState.wind.current} units, acceleration: ${windAcceleration.toFixed(1)} px/s²`);
-    }
+function consumeSimulationSteps(scene, deltaMs) {
+    const stepMs = SIM_STEP_SECONDS * 1000;
+    const speed = scene.simulationSpeed ?? 1;
+    // Cap the catch-up after a long pause (e.g. a background tab) so projectiles don't teleport
+    const available = Math.min((scene.simulationTimeMs || 0) + deltaMs * speed, stepMs * 5 * Math.max(1, speed));
+    const steps = Math.floor(available / stepMs);
+    scene.simulationTimeMs = available - steps * stepMs;
+    return steps;
 }
 
 /**
@@ -117,14 +127,33 @@ export function handleProjectileCollisions(scene, projectile, collisions, gameSt
     const environmentPanel = /** @type {any} */ (scene).environmentPanel;
     const playerStatsPanel = /** @type {any} */ (scene).playerStatsPanel;
 
+    // Projectiles entering water or lava fizzle out with a splash - no explosion
+    if (collisions.liquid) {
+        createSplash(scene, projectile.x, gameState.liquid);
+        return true;
+    }
+
+    // Tunnelling projectiles ignore terrain until they have bored far enough
+    if (projectile.digging) {
+        return handleDiggingProjectile(scene, projectile, collisions, gameState, turrets, environmentPanel, playerStatsPanel);
+    }
+
     if (collisions.terrain) {
+        if (projectile.weapon && projectile.weapon.tunnel) {
+            startProjectileDigging(projectile);
+            return false;
+        }
         return handleTerrainCollision(scene, projectile, gameState, turrets, environmentPanel, playerStatsPanel);
     } else if (collisions.turret) {
+        // Dirt has no warhead - it just piles up around whatever it lands on
+        if (projectile.weapon && projectile.weapon.terrainEffect === 'raise') {
+            return handleTerrainCollision(scene, projectile, gameState, turrets, environmentPanel, playerStatsPanel);
+        }
         return handleTurretCollision(scene, projectile, collisions, gameState, turrets, environmentPanel, playerStatsPanel);
     } else if (collisions.worldBounds) {
         info('Projectile left world bounds');
         return true;
-    } else if (scene.time.now - projectile.startTime > projectile.maxFlightTime) {
+    } else if (projectile.flightTime > MAX_FLIGHT_SECONDS) {
         info('Projectile timed out');
         return true;
     }
@@ -132,6 +161,71 @@ export function handleProjectileCollisions(scene, projectile, collisions, gameSt
     return false;
 }
 
+/**
+ * Advance a tunnelling projectile, recording the chunks it bores through.
+ * When the tunnel is long enough (or it hits a turret / leaves the world) every chunk passed
+ * through is lowered so the ground above collapses, then the projectile detonates.
+ * On mask terrain the tunnel is carved as the projectile goes and the roof stays up.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {any} projectile - The digging projectile
+ * @param {any} collisions - Collision detection results
+ * @param {any} gameState - Current game state
+ * @param {any[]} turrets - Array of turrets
+ * @param {any} environmentPanel - Environment panel for updates
+ * @param {any} playerStatsPanel - Player stats panel for updates
+ * @returns {boolean} True if projectile should be removed
+ */
+function handleDiggingProjectile(scene, projectile, collisions, gameState, turrets, environmentPanel, playerStatsPanel) {
+    const sceneAny = /** @type {any} */ (scene);
+    const chunks = (sceneAny.landscapeData && sceneAny.landscapeData.chunks) || [];
+    const mask = sceneAny.landscapeData && sceneAny.landscapeData.mask;
+    const tunnel = projectile.weapon.tunnel;
+
+    // Track distance bored and which chunks the projectile is currently underground in
+    const last = projectile.digLastPosition;
+    projectile.digDistance += Math.sqrt((projectile.x - last.x) ** 2 + (projectile.y - last.y) ** 2);
+    projectile.digLastPosition = { x: projectile.x, y: projectile.y };
+    if (collisions.terrain) {
+        const chunkIndex = findChunkIndexAtX(chunks, projectile.x);
+        if (chunkIndex !== -1) {
+            projectile.tunnelChunkIndices.add(chunkIndex);
+        }
+    }
+    if (mask) {
+        // Carve every frame: once the bore has started the projectile sits inside its own hole
+        carveMaskCircle(mask, projectile.x, projectile.y, tunnel.depth / 2);
+        drawMaskTerrain(mask);
+    }
+
+    const timedOut = projectile.flightTime > MAX_FLIGHT_SECONDS;
+    const finished = collisions.turret || collisions.worldBounds || timedOut || projectile.digDistance >= tunnel.length;
+    if (!finished) {
+        return false;
+    }
+
+    info(`⛏️ ${projectile.weapon.name} finished tunnelling after ${Math.round(projectile.digDistance)}px through ${projectile.tunnelChunkIndices.size} chunks`);
+    // Turrets that fall into the collapse are credited to whoever dug the tunnel
+    gameState.lastTerrainAttacker = projectile.ownerKey ?? null;
+    const groundBefore = measureGroundNearOpponents(scene, projectile.ownerKey);
+    if (mask) {
+        settleMaskSand(mask);
+        drawMaskTerrain(mask);
+        syncMaskColumns(scene, mask, chunks);
+    } else {
+        createTunnelDestruction(scene, chunks, projectile.tunnelChunkIndices, tunnel.depth);
+    }
+    awardTerrainPoints(gameState, projectile.ownerKey, groundBefore, measureGroundNearOpponents(scene, projectile.ownerKey));
+
+    if (collisions.turret) {
+        return handleTurretCollision(scene, projectile, collisions, gameState, turrets, environmentPanel, playerStatsPanel);
+    }
+    if (collisions.worldBounds || timedOut) {
+        info('Tunnelling projectile left world bounds or timed out');
+        return true;
+    }
+    return handleTerrainCollision(scene, projectile, gameState, turrets, environmentPanel, playerStatsPanel);
+}
+
 /**
  * Handle terrain collision
  * @param {Phaser.Scene} scene - The Phaser scene
@@ -144,17 +238,16 @@ export function handleProjectileCollisions(scene, projectile, collisions, gameSt
  */
 function handleTerrainCollision(scene, projectile, gameState, turrets, environmentPanel, playerStatsPanel) {
     info('Projectile hit terrain!');
+    const weapon = projectile.weapon || getWeapon();
 
-    // Calculate velocity-based explosion size (includes visual scaling)
+    // Calculate velocity-based explosion size from the weapon's terrain range (includes visual scaling)
     const velocityFactor = calculateVelocityFactor(projectile);
-    const baseExplosionSize = 75; // Minimum explosion size
-    const maxExplosionSize = 150; // Maximum explosion size
-    const terrainExplosionSize = baseExplosionSize + (maxExplosionSize - baseExplosionSize) * velocityFactor;
+    const terrainExplosionSize = scaleWeaponRange(weapon.explosion.terrain, velocityFactor);
 
-    info(`🌍 Terrain explosion: velocity factor ${(velocityFactor * 100).toFixed(1)}%, size: ${terrainExplosionSize.toFixed(1)}px`);
+    info(`🌍 ${weapon.name} terrain explosion: velocity factor ${(velocityFactor * 100).toFixed(1)}%, size: ${terrainExplosionSize.toFixed(1)}px`);
     createExplosion(scene, projectile.x, projectile.y, terrainExplosionSize, 'terrain');
 
-    // Apply terrain destruction if chunked terrain is active
+    // Apply the weapon's terrain effect if chunked terrain is active
     const sceneAny = /** @type {any} */ (scene);
     trace('🔍 Checking terrain destruction conditions:');
     trace('- landscapeData exists:', !!sceneAny.landscapeData);
@@ -162,24 +255,26 @@ function handleTerrainCollision(scene, projectile, gameState, turrets, environme
     trace('- landscapeGraphics exists:', !!sceneAny.landscapeGraphics);
     trace('- chunks length:', sceneAny.landscapeData?.chunks?.length || 0);
     
-    if (sceneAny.landscapeData && sceneAny.landscapeData.chunks && sceneAny.landscapeGraphics) {
-        info('💥 Applying chunked terrain destruction...');
-        trace(`🔍 DEBUG: Passing ${turrets.length} turrets to createTerrainDestruction`);
-        turrets.forEach((turret, i) => {
-            trace(`  Turret ${i}: ${turret.team} at (${turret.x.toFixed(1)}, ${turret.y.toFixed(1)})`);
-        });
-        createTerrainDestruction(scene, sceneAny.landscapeData.chunks, sceneAny.landscapeGraphics, 
-            projectile.x, projectile.y);
+    // Turrets that fall when the ground settles are credited to whoever fired
+    gameState.lastTerrainAttacker = projectile.ownerKey ?? null;
+    const groundBefore = measureGroundNearOpponents(scene, projectile.ownerKey);
+    if (sceneAny.landscapeData && sceneAny.landscapeData.mask) {
+        applyMaskTerrainEffect(scene, weapon, projectile.x, projectile.y, terrainExplosionSize);
+    } else if (sceneAny.landscapeData && sceneAny.landscapeData.chunks && sceneAny.landscapeGraphics) {
+        applyTerrainEffect(scene, weapon, projectile.x, projectile.y, terrainExplosionSize);
     } else {
         warn('⚠️ Chunked terrain destruction skipped - conditions not met');
     }
+    awardTerrainPoints(gameState, projectile.ownerKey, groundBefore, measureGroundNearOpponents(scene, projectile.ownerKey));
 
-    // Check for AOE damage to nearby turrets
-    const affectedTurrets = calculateAOEDamage(projectile.x, projectile.y, terrainExplosionSize, turrets);
+    // Check for AOE damage to nearby turrets (weapons with no area damage, such as dirt, hurt nobody)
+    const affectedTurrets = calculateAOEDamage(projectile.x, projectile.y, terrainExplosionSize, turrets, weapon.damage.area)
+        .filter(({ damage }) => damage > 0);
 
     // Apply AOE damage to affected turrets
     affectedTurrets.forEach(({ turret, damage }) => {
-        applyDamage(gameState, turret.team, damage);
+        const healthLost = applyDamage(gameState, turret.team, damage, projectile.ownerKey, 'area');
+        recordShotHit(projectile.shot, turret, healthLost, 'area');
         // Update turret visual health indicator
         if (turret.updateHealthDisplay) {
             turret.updateHealthDisplay(gameState[turret.team].health);
@@ -208,21 +303,21 @@ function handleTerrainCollision(scene, projectile, gameState, turrets, environme
  */
 function handleTurretCollision(scene, projectile, collisions, gameState, turrets, environmentPanel, playerStatsPanel) {
     info(`Projectile hit ${collisions.turret.team} turret!`);
+    const weapon = projectile.weapon || getWeapon();
 
     // Calculate dynamic damage based on accuracy and velocity
     const damage = calculateDamage(projectile, collisions.turret, collisions.turretDistance || 0);
 
-    // Calculate velocity-based explosion size
+    // Calculate velocity-based explosion size from the weapon's turret hit range
     const velocityFactor = calculateVelocityFactor(projectile);
-    const baseExplosionSize = 90; // Minimum explosion size for turret hits
-    const maxExplosionSize = 180; // Maximum explosion size for turret hits
-    const explosionSize = baseExplosionSize + (maxExplosionSize - baseExplosionSize) * velocityFactor;
+    const explosionSize = scaleWeaponRange(weapon.explosion.turret, velocityFactor);
 
-    info(`🎯 Turret explosion: velocity factor ${(velocityFactor * 100).toFixed(1)}%, size: ${explosionSize.toFixed(1)}px (damage: ${damage})`);
+    info(`🎯 ${weapon.name} turret explosion: velocity factor ${(velocityFactor * 100).toFixed(1)}%, size: ${explosionSize.toFixed(1)}px (damage: ${damage})`);
     createExplosion(scene, projectile.x, projectile.y, explosionSize, 'turret');
 
     // Apply direct damage to hit turret
-    applyDamage(gameState, collisions.turret.team, damage);
+    const healthLost = applyDamage(gameState, collisions.turret.team, damage, projectile.ownerKey, 'direct');
+    recordShotHit(projectile.shot, collisions.turret, healthLost, 'direct');
     // Update turret visual health indicator
     if (collisions.turret.updateHealthDisplay) {
         collisions.turret.updateHealthDisplay(gameState[collisions.turret.team].health);
@@ -231,11 +326,12 @@ function handleTurretCollision(scene, projectile, collisions, gameState, turrets
 
     // Check for AOE damage to other nearby turrets (excluding the directly hit one)
     const otherTurrets = turrets.filter(t => t !== collisions.turret);
-    const affectedTurrets = calculateAOEDamage(projectile.x, projectile.y, explosionSize, otherTurrets);
+    const affectedTurrets = calculateAOEDamage(projectile.x, projectile.y, explosionSize, otherTurrets, weapon.damage.area);
 
     // Apply AOE damage to affected turrets
     affectedTurrets.forEach(({ turret, damage: aoeDamage }) => {
-        applyDamage(gameState, turret.team, aoeDamage);
+        const aoeHealthLost = applyDamage(gameState, turret.team, aoeDamage, projectile.ownerKey, 'area');
+        recordShotHit(projectile.shot, turret, aoeHealthLost, 'area');
         // Update turret visual health indicator
         if (turret.updateHealthDisplay) {
             turret.updateHealthDisplay(gameState[turret.team].health);
@@ -249,6 +345,73 @@ function handleTurretCollision(scene, projectile, collisions, gameState, turrets
     return true;
 }
 
+/**
+ * Reshape chunked terrain according to the weapon's terrain effect
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {import('./weapons.js').WeaponDefinition} weapon - Weapon that hit the terrain
+ * @param {number} impactX - Impact X coordinate
+ * @param {number} impactY - Impact Y coordinate
+ * @param {number} explosionSize - Velocity-scaled terrain explosion size
+ */
+function applyTerrainEffect(scene, weapon, impactX, impactY, explosionSize) {
+    const sceneAny = /** @type {any} */ (scene);
+    const chunks = sceneAny.landscapeData.chunks;
+    const graphics = sceneAny.landscapeGraphics;
+
+    switch (weapon.terrainEffect) {
+        case 'crater':
+            info('💥 Applying chunked terrain destruction...');
+            createTerrainDestruction(scene, chunks, graphics, impactX, impactY, explosionSize);
+            break;
+        case 'tunnel':
+            // Tunnel collapse is applied by handleDiggingProjectile before the final blast
+            trace('⛏️ Tunnel already collapsed - no extra terrain effect');
+            break;
+        case 'raise':
+            info('⛰️ Applying terrain mound...');
+            createTerrainMound(scene, chunks, impactX, explosionSize, weapon.mound ? weapon.mound.height : 50);
+            break;
+        default:
+            warn(`⚠️ Unknown terrain effect '${weapon.terrainEffect}' for ${weapon.name} - terrain unchanged`);
+    }
+}
+
+/**
+ * Reshape mask terrain according to the weapon's terrain effect, then let the
+ * support columns settle so turret support is rechecked
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {import('./weapons.js').WeaponDefinition} weapon - Weapon that hit the terrain
+ * @param {number} impactX - Impact X coordinate
+ * @param {number} impactY - Impact Y coordinate
+ * @param {number} explosionSize - Velocity-scaled terrain explosion size
+ */
+function applyMaskTerrainEffect(scene, weapon, impactX, impactY, explosionSize) {
+    const sceneAny = /** @type {any} */ (scene);
+    const { mask, chunks } = sceneAny.landscapeData;
+
+    switch (weapon.terrainEffect) {
+        case 'crater':
+            // Same depth as a chunk crater, but a true circle so overhangs survive around it
+            info('💥 Carving crater in terrain mask...');
+            carveMaskCircle(mask, impactX, impactY, explosionSize * MASK_CRATER_RATIO);
+            break;
+        case 'tunnel':
+            trace('⛏️ Tunnel already carved - no extra terrain effect');
+            break;
+        case 'raise':
+            info('⛰️ Adding dirt to terrain mask...');
+            fillMaskCircle(mask, impactX, impactY, weapon.mound ? weapon.mound.height : 50);
+            break;
+        default:
+            warn(`⚠️ Unknown terrain effect '${weapon.terrainEffect}' for ${weapon.name} - terrain unchanged`);
+            return;
+    }
+
+    settleMaskSand(mask);
+    drawMaskTerrain(mask);
+    syncMaskColumns(scene, mask, chunks);
+}
+
 /**
  * Update game UI panels
  * @param {any} environmentPanel - Environment panel
@@ -274,16 +437,22 @@ function updateGamePanels(environmentPanel, playerStatsPanel, gameState) {
  * @param {any} scene - The Phaser scene (optional, for UI updates)
  */
 export function cleanupFinishedProjectile(projectile, projectiles, index, cameraControls, gameState = null, scene = null) {
-    // Trigger tooltip fade for the turret that fired this projectile
-    if (projectile.firingTurret && projectile.firingTurret.aimTooltip && projectile.firingTurret.aimTooltip.visible) {
-        projectile.firingTurret.hideTooltip(500, 1500); // Shorter delay, faster fade
-    }
-
     cleanupProjectile(projectile);
     projectiles.splice(index, 1);
 
-    // When last projectile is removed, handle turn progression
+    // When last projectile is removed (including every submunition), handle turn progression
     if (projectiles.length === 0) {
+        // Trigger tooltip fade for the turret that fired this projectile
+        if (projectile.firingTurret && projectile.firingTurret.aimTooltip && projectile.firingTurret.aimTooltip.visible) {
+            projectile.firingTurret.hideTooltip(500, 1500); // Shorter delay, faster fade
+        }
+
+
+        // The shot has fully resolved: count its hits for the match statistics
+        if (gameState) {
+            finishShot(gameState, projectile.shot);
+        }
+
         // Disable camera following if it was active
         if (cameraControls && cameraControls.followingProjectile) {
             cameraControls.followingProjectile = false;
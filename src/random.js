@@ -0,0 +1,161 @@
+// random.js
+// Seeded random number generation for Rocket Wars, so matches can be reproduced from a seed.
+// Each part of the game draws from its own named stream, so (for example) extra explosion sparks
+// or a CPU player's aim never shift the landscape or wind sequence of a seeded match.
+
+import { info, trace } from './logger.js';
+
+/**
+ * Named random streams used by the game
+ * - terrain: landscape shape, material layers and caves
+ * - wind: starting wind and its drift each round
+ * - weapons: gameplay randomness in weapons (cluster submunition count)
+ * - cpu: CPU player base choice and aiming error
+ * - effects: purely visual randomness (sparks, splashes, turret barrel angles)
+ * - hill: where the king-of-the-hill zone goes
+ */
+export const RANDOM_STREAMS = ['terrain', 'wind', 'weapons', 'cpu', 'effects', 'hill'];
+
+/** Current match seed */
+let currentSeed = '';
+/** Generator state for each named stream ({state, next}) */
+const streams = new Map();
+
+/**
+ * Hash a string to a 32-bit integer (FNV-1a); used for seeds and online state checks
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Advance a mulberry32 stream: small, fast and good enough for gameplay
+ * @param {{state: number}} stream - Stream whose 32-bit state is advanced
+ * @returns {number} Number in [0, 1)
+ */
+function nextRandom(stream) {
+    stream.state = (stream.state + 0x6d2b79f5) >>> 0;
+    const t = stream.state;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Create a named stream starting from the given state
+ * @param {string} streamName - Stream name (see RANDOM_STREAMS)
+ * @param {number} state - Initial 32-bit state
+ * @returns {{state: number, next: function(): number}} Stream with its generator
+ */
+function createStream(streamName, state) {
+    const stream = { state: state >>> 0, next: () => nextRandom(stream) };
+    streams.set(streamName, stream);
+    return stream;
+}
+
+/**
+ * Make a new random seed for players who leave the seed blank.
+ * This is the only place the game uses Math.random directly.
+ * @returns {string} Six-character seed (letters and digits)
+ */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0').toUpperCase();
+}
+
+/**
+ * Tidy a seed typed by a player: trimmed, upper-case and at most 20 characters
+ * @param {any} seed - Seed from the setup form or config
+ * @returns {string} Normalized seed ('' if blank)
+ */
+export function normalizeSeed(seed) {
+    return String(seed ?? '').trim().toUpperCase().slice(0, 20);
+}
+
+/**
+ * Seed every random stream for a new match
+ * @param {string} [seed] - Match seed (a new random seed is made if blank)
+ * @returns {string} The seed in use
+ */
+export function setGameSeed(seed) {
+    currentSeed = normalizeSeed(seed) || createRandomSeed();
+    streams.clear();
+    info(`🎲 Match seed: ${currentSeed}`);
+    return currentSeed;
+}
+
+/**
+ * Get the seed of the current match (seeding a random match first if none has been set)
+ * @returns {string} Current seed
+ */
+export function getGameSeed() {
+    if (!currentSeed) {
+        setGameSeed();
+    }
+    return currentSeed;
+}
+
+/**
+ * Get the generator for a named stream, creating it from the match seed on first use
+ * @param {string} streamName - Stream name (see RANDOM_STREAMS)
+ * @returns {function(): number} Generator returning numbers in [0, 1)
+ */
+export function getRandomStream(streamName) {
+    let stream = streams.get(streamName);
+    if (!stream) {
+        stream = createStream(streamName, hashString(`${getGameSeed()}:${streamName}`));
+        trace(`🎲 Created random stream '${streamName}'`);
+    }
+    return stream.next;
+}
+
+/**
+ * Capture the position of every stream used so far, so a saved match carries on with the same draws
+ * @returns {Record<string, number>} 32-bit state for each stream
+ */
+export function getRandomState() {
+    /** @type {Record<string, number>} */
+    const state = {};
+    streams.forEach((stream, streamName) => {
+        state[streamName] = stream.state;
+    });
+    return state;
+}
+
+/**
+ * Put the streams back where {@link getRandomState} found them (call after setGameSeed)
+ * @param {Record<string, number>} state - 32-bit state for each stream
+ */
+export function setRandomState(state) {
+    streams.clear();
+    Object.entries(state || {}).forEach(([streamName, streamState]) => {
+        createStream(streamName, streamState);
+    });
+    trace(`🎲 Restored random streams: ${Object.keys(state || {}).join(', ')}`);
+}
+
+/**
+ * Draw a random number from a named stream
+ * @param {string} streamName - Stream name (see RANDOM_STREAMS)
+ * @returns {number} Number in [0, 1)
+ */
+export function random(streamName) {
+    return getRandomStream(streamName)();
+}
+
+/**
+ * Draw a random integer from a named stream
+ * @param {string} streamName - Stream name (see RANDOM_STREAMS)
+ * @param {number} min - Lowest value (inclusive)
+ * @param {number} max - Highest value (inclusive)
+ * @returns {number} Integer from min to max
+ */
+export function randomInt(streamName, min, max) {
+    return min + Math.floor(random(streamName) * (max - min + 1));
+}
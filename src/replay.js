@@ -0,0 +1,158 @@
+// replay.js
+// Match recording for Rocket Wars: a compact log of everything needed to re-simulate a game
+// (config, seed, base choices and each turn's action), plus saving and loading replay files.
+// Everything else (landscape, wind, damage) is rebuilt from the seed by the simulation.
+
+import { GAME_VERSION } from './constants.js';
+import { getCurrentPlayerKey } from './turnManager.js';
+import { info, trace } from './logger.js';
+
+/** Identifies replay files, so other JSON files are rejected with a clear message */
+const REPLAY_FORMAT = 'rocket-wars-replay';
+/** Bump when the log layout changes in a way older viewers can't read */
+const REPLAY_VERSION = 1;
+/** Actions a turn can end with */
+const TURN_ACTIONS = ['shot', 'teleport', 'timeout'];
+
+/**
+ * One recorded turn
+ * @typedef {Object} ReplayTurn
+ * @property {number} round - Round the turn was played in
+ * @property {string} player - Player key ('player1', 'player2', etc.)
+ * @property {string} action - 'shot', 'teleport' or 'timeout'
+ * @property {number} [angle] - Shot angle in radians (as fired, so replays launch identically)
+ * @property {number} [power] - Shot power (0.1 to 1.0)
+ * @property {string} [weapon] - Weapon id fired
+ * @property {number} [chunk] - Chunk index teleported to
+ */
+
+/**
+ * A recorded match
+ * @typedef {Object} ReplayLog
+ * @property {string} format - Always 'rocket-wars-replay'
+ * @property {number} version - Log layout version
+ * @property {string} gameVersion - Game version that recorded the match
+ * @property {string} recordedAt - ISO timestamp when recording started
+ * @property {string} seed - Match seed
+ * @property {Object} config - Game configuration the match was played with
+ * @property {Record<string, number>} bases - Starting chunk index for each player key
+ * @property {ReplayTurn[]} turns - Every turn in order
+ */
+
+/**
+ * Start recording a new match
+ * @param {Object} config - Game configuration
+ * @param {string} seed - Match seed
+ * @returns {ReplayLog} Empty match log
+ */
+export function createReplayLog(config, seed) {
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        gameVersion: GAME_VERSION,
+        recordedAt: new Date().toISOString(),
+        seed,
+        config: { ...config, seed },
+        bases: {},
+        turns: []
+    };
+}
+
+/**
+ * Check whether the scene is recording (live games record; replays being watched don't)
+ * @param {any} scene - The Phaser scene
+ * @returns {boolean} True if actions should be recorded
+ */
+function isRecording(scene) {
+    return !!(scene && scene.replayLog && !scene.replayViewer);
+}
+
+/**
+ * Record each player's starting base once base selection is complete
+ * @param {any} scene - The Phaser scene (with replayLog)
+ * @param {PlayerData[]} players - Player data from base selection
+ */
+export function recordReplayBases(scene, players) {
+    if (!isRecording(scene)) return;
+    players.forEach(player => {
+        scene.replayLog.bases[player.id] = player.chunkIndex;
+    });
+    trace('🎬 Recorded starting bases:', scene.replayLog.bases);
+}
+
+/**
+ * Record how the current player's turn ended
+ * @param {any} scene - The Phaser scene (with replayLog and gameState)
+ * @param {{action: string, angle?: number, power?: number, weapon?: string, chunk?: number}} action - Turn action
+ */
+export function recordReplayTurn(scene, action) {
+    if (!isRecording(scene) || !scene.gameState) return;
+    const turn = {
+        round: scene.gameState.currentRound,
+        player: getCurrentPlayerKey(scene.gameState),
+        ...action
+    };
+    scene.replayLog.turns.push(turn);
+    trace(`🎬 Recorded turn ${scene.replayLog.turns.length}: ${turn.player} ${turn.action}`);
+}
+
+/**
+ * Parse and check a replay file's contents
+ * @param {string} text - File contents
+ * @returns {ReplayLog} The match log
+ * @throws {Error} If the file is not a replay this version can play
+ */
+export function parseReplay(text) {
+    let log;
+    try {
+        log = JSON.parse(text);
+    } catch {
+        throw new Error('This file is not a Rocket Wars replay (it is not valid JSON).');
+    }
+    if (!log || log.format !== REPLAY_FORMAT) {
+        throw new Error('This file is not a Rocket Wars replay.');
+    }
+    if (log.version !== REPLAY_VERSION) {
+        throw new Error(`This replay was saved in format version ${log.version}, which this game cannot play.`);
+    }
+    if (typeof log.seed !== 'string' || !log.config || !log.bases || !Array.isArray(log.turns)) {
+        throw new Error('This replay file is incomplete or damaged.');
+    }
+    const badTurn = log.turns.findIndex(turn => !turn || typeof turn.player !== 'string' || !TURN_ACTIONS.includes(turn.action));
+    if (badTurn !== -1) {
+        throw new Error(`This replay file is damaged (turn ${badTurn + 1} is not readable).`);
+    }
+    return log;
+}
+
+/**
+ * Read a replay from a file chosen by the player
+ * @param {File} file - Replay file
+ * @returns {Promise<ReplayLog>} The match log (rejects with a readable message)
+ */
+export function loadReplayFile(file) {
+    return file.text().then(text => {
+        const log = parseReplay(text);
+        info(`🎬 Loaded replay '${file.name}': ${log.turns.length} turns, seed ${log.seed}`);
+        return log;
+    });
+}
+
+/**
+ * Download a match log as a replay file
+ * @param {ReplayLog} log - Match log to save
+ */
+export function saveReplayFile(log) {
+    const date = log.recordedAt.slice(0, 10);
+    const fileName = `rocket-wars-${date}-${log.seed}.json`;
+    const blob = new window.Blob([JSON.stringify(log)], { type: 'application/json' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+    info(`💾 Saved replay as ${fileName} (${log.turns.length} turns)`);
+}
@@ -0,0 +1,327 @@
+// replayPlayer.js
+// Replay playback for Rocket Wars: re-simulates a recorded match by feeding each logged turn
+// back through the normal shoot / teleport / timeout paths, with play, pause, speed and
+// jump-to-turn controls. Jumping backwards restarts the match and fast-forwards from the start.
+
+import { getCurrentPlayerKey, stopTurnTimer, teleportToChunk } from './turnManager.js';
+import { isWaitingForTurnAction } from './turnFlow.js';
+import { createReplayControlsPanel, positionReplayControlsPanel } from './ui/index.js';
+import { info, warn, error } from './logger.js';
+
+/** Playback speeds the speed button cycles through */
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+/** Speed used while skipping ahead to a chosen turn */
+const FAST_FORWARD_SPEED = 8;
+/** Pause (at 1x) once the world has settled before the next turn is played */
+const TURN_PAUSE_MS = 600;
+/** How long (at 1x) a shot's aiming line is shown before it fires */
+const AIM_DISPLAY_MS = 900;
+
+/**
+ * Replay viewer state, stored on the scene as scene.replayViewer
+ * @typedef {Object} ReplayViewer
+ * @property {import('./replay.js').ReplayLog} log - Match being watched
+ * @property {number} nextTurn - Index of the next logged turn to play
+ * @property {number} turnIndex - Index of the turn being played (or about to be)
+ * @property {boolean} playing - False while paused
+ * @property {number} speed - Playback speed (one of REPLAY_SPEEDS)
+ * @property {number|null} targetTurn - Turn being fast-forwarded to (null when not skipping)
+ * @property {string} phase - 'waiting' for the world to settle, or 'aiming' before a shot
+ * @property {number} waitMs - Scaled time spent in the current phase
+ * @property {string} status - 'playing', 'finished' or 'desync'
+ * @property {any} panel - Replay controls panel
+ */
+
+/**
+ * Start watching a replay in a freshly created scene
+ * @param {any} scene - The Phaser scene (before base selection starts)
+ * @param {{log: import('./replay.js').ReplayLog, startTurn?: number, speed?: number, playing?: boolean}} replay - Replay to watch and where to start
+ * @returns {ReplayViewer} Viewer state
+ */
+export function createReplayViewer(scene, replay) {
+    const startTurn = Math.max(0, Math.min(replay.startTurn ?? 0, replay.log.turns.length));
+    /** @type {ReplayViewer} */
+    const viewer = {
+        log: replay.log,
+        nextTurn: 0,
+        turnIndex: 0,
+        playing: replay.playing ?? true,
+        speed: replay.speed ?? 1,
+        targetTurn: startTurn > 0 ? startTurn : null,
+        phase: 'waiting',
+        waitMs: 0,
+        status: 'playing',
+        panel: null
+    };
+    scene.replayViewer = viewer;
+
+    viewer.panel = createReplayControlsPanel(scene, {
+        onRestart: () => jumpToTurn(scene, 0),
+        onPrevious: () => jumpToTurn(scene, viewer.turnIndex - 1),
+        onTogglePlay: () => setReplayPlaying(scene, !viewer.playing),
+        onNext: () => jumpToTurn(scene, viewer.turnIndex + 1),
+        onSpeed: () => cycleReplaySpeed(scene)
+    });
+    positionReplayControlsPanel(viewer.panel, scene.cameras.main.width, scene.cameras.main.height);
+
+    applyPlaybackRate(scene);
+    info(`🎬 Replay viewer ready: ${viewer.log.turns.length} turns, seed ${viewer.log.seed}${viewer.targetTurn ? `, skipping to turn ${viewer.targetTurn + 1}` : ''}`);
+    return viewer;
+}
+
+/**
+ * Apply the viewer's current speed to everything that moves: timers, tweens and projectiles
+ * @param {any} scene - The Phaser scene
+ */
+function applyPlaybackRate(scene) {
+    const viewer = scene.replayViewer;
+    let rate = viewer.playing ? viewer.speed : 0;
+    if (viewer.targetTurn !== null) {
+        rate = FAST_FORWARD_SPEED;
+    }
+    scene.simulationSpeed = rate;
+    scene.time.paused = rate === 0;
+    scene.time.timeScale = rate || 1;
+    scene.tweens.paused = rate === 0;
+    scene.tweens.timeScale = rate || 1;
+    viewer.panel?.updateDisplay(viewer);
+}
+
+/**
+ * Pause or resume playback
+ * @param {any} scene - The Phaser scene
+ * @param {boolean} playing - True to play
+ */
+export function setReplayPlaying(scene, playing) {
+    const viewer = scene.replayViewer;
+    if (!viewer) return;
+    viewer.playing = playing;
+    info(`🎬 Replay ${playing ? 'playing' : 'paused'}`);
+    applyPlaybackRate(scene);
+}
+
+/**
+ * Step to the next playback speed (wrapping back to the slowest)
+ * @param {any} scene - The Phaser scene
+ */
+export function cycleReplaySpeed(scene) {
+    const viewer = scene.replayViewer;
+    if (!viewer) return;
+    const index = REPLAY_SPEEDS.indexOf(viewer.speed);
+    viewer.speed = REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length];
+    info(`🎬 Replay speed ${viewer.speed}x`);
+    applyPlaybackRate(scene);
+}
+
+/**
+ * Jump to the start of a logged turn. Later turns are reached by fast-forwarding; earlier
+ * turns restart the match (the world can't be rewound) and fast-forward from the start.
+ * @param {any} scene - The Phaser scene
+ * @param {number} turnIndex - 0-based turn index (clamped to the log)
+ */
+export function jumpToTurn(scene, turnIndex) {
+    const viewer = scene.replayViewer;
+    if (!viewer) return;
+    const target = Math.max(0, Math.min(turnIndex, viewer.log.turns.length));
+
+    if (target >= viewer.nextTurn && !scene.gameEnded && viewer.status === 'playing') {
+        info(`🎬 Skipping ahead to turn ${target + 1}`);
+        viewer.targetTurn = target;
+        applyPlaybackRate(scene);
+        return;
+    }
+
+    info(`🎬 Restarting replay to reach turn ${target + 1}`);
+    window.dispatchEvent(new window.CustomEvent('rocketwars:watch-replay', {
+        detail: { log: viewer.log, startTurn: target, speed: viewer.speed, playing: viewer.playing }
+    }));
+}
+
+/**
+ * Stop fast-forwarding once the target turn (or the end of the match) is reached
+ * @param {any} scene - The Phaser scene
+ */
+function finishFastForward(scene) {
+    const viewer = scene.replayViewer;
+    viewer.targetTurn = null;
+    applyPlaybackRate(scene);
+}
+
+/**
+ * Stop playback because the re-simulated match no longer matches the log
+ * @param {any} scene - The Phaser scene
+ * @param {string} reason - What went wrong
+ */
+function markOutOfSync(scene, reason) {
+    const viewer = scene.replayViewer;
+    error(`❌ Replay out of sync at turn ${viewer.turnIndex + 1}: ${reason}`);
+    viewer.status = 'desync';
+    viewer.targetTurn = null;
+    viewer.playing = false;
+    applyPlaybackRate(scene);
+}
+
+/**
+ * Find the turret that should play a logged turn
+ * @param {any} scene - The Phaser scene
+ * @param {import('./replay.js').ReplayTurn} turn - Logged turn
+ * @returns {any|null} Turret, or null if the log doesn't match the match state
+ */
+function findTurnTurret(scene, turn) {
+    const currentKey = getCurrentPlayerKey(scene.gameState);
+    if (turn.player !== currentKey) {
+        markOutOfSync(scene, `log has ${turn.player} playing but it is ${currentKey}'s turn`);
+        return null;
+    }
+    const turret = scene.turrets.find(t => t.team === turn.player);
+    if (!turret) {
+        markOutOfSync(scene, `no turret found for ${turn.player}`);
+        return null;
+    }
+    return turret;
+}
+
+/**
+ * Show a logged shot being aimed, the same way CPU players show their aim
+ * @param {any} turret - Firing turret
+ * @param {{angle: number, power: number}} turn - Logged shot (or aim update)
+ */
+export function showShotAim(turret, turn) {
+    if (!turret.isAiming) {
+        turret.startAiming();
+    }
+    turret.barrel.rotation = turn.angle;
+    turret.currentPower = turn.power;
+    turret.drawAimingLineAndTooltip(turn.angle, turn.power, true);
+}
+
+/**
+ * Play a logged (or received) turn through the same code paths a live player uses.
+ * Shared by replays and online matches (network.js).
+ * @param {any} scene - The Phaser scene
+ * @param {any} turret - Turret playing the turn
+ * @param {import('./replay.js').ReplayTurn} turn - Turn to play
+ * @returns {string|null} Why the turn could not be played, or null if it was
+ */
+export function playTurnAction(scene, turret, turn) {
+    const gameState = scene.gameState;
+    switch (turn.action) {
+        case 'shot': {
+            gameState[turn.player].selectedWeapon = turn.weapon;
+            if (!turret.isAiming) {
+                showShotAim(turret, /** @type {{angle: number, power: number}} */ (turn));
+            }
+            // Aim exactly as fired: stopAiming returns the barrel angle and power
+            turret.barrel.rotation = turn.angle;
+            turret.currentPower = turn.power;
+            const shootData = turret.stopAiming();
+            scene.onShoot(turret, shootData);
+            return gameState.hasPlayerFiredThisTurn ? null : `${turn.player} could not fire ${turn.weapon}`;
+        }
+        case 'teleport':
+            return teleportToChunk(gameState, scene, turn.chunk) ? null : `${turn.player} could not teleport to chunk ${turn.chunk}`;
+        case 'timeout':
+            stopTurnTimer(gameState);
+            scene.progressTurn('timeout');
+            return null;
+        default:
+            warn(`⚠️ Unknown turn action '${turn.action}' skipped`);
+            return null;
+    }
+}
+
+/**
+ * Play the next logged turn
+ * @param {any} scene - The Phaser scene
+ * @param {any} turret - Turret playing the turn
+ * @param {import('./replay.js').ReplayTurn} turn - Logged turn
+ */
+function playTurn(scene, turret, turn) {
+    const viewer = scene.replayViewer;
+    viewer.turnIndex = viewer.nextTurn;
+    viewer.nextTurn++;
+    viewer.phase = 'waiting';
+    viewer.waitMs = 0;
+    info(`🎬 Turn ${viewer.turnIndex + 1}/${viewer.log.turns.length}: ${turn.player} ${turn.action}`);
+
+    const failure = playTurnAction(scene, turret, turn);
+    if (failure) {
+        markOutOfSync(scene, failure);
+    }
+    viewer.panel.updateDisplay(viewer);
+}
+
+/**
+ * Advance replay playback; call once per frame from the scene's update
+ * @param {any} scene - The Phaser scene
+ * @param {number} deltaMs - Frame time in milliseconds
+ */
+export function updateReplayViewer(scene, deltaMs) {
+    const viewer = scene.replayViewer;
+    if (!viewer || viewer.status === 'desync') return;
+
+    if (scene.gameEnded) {
+        if (viewer.status !== 'finished') {
+            viewer.status = 'finished';
+            viewer.turnIndex = Math.max(0, viewer.nextTurn - 1);
+            if (viewer.targetTurn !== null) {
+                finishFastForward(scene);
+            }
+            viewer.panel.updateDisplay(viewer);
+            info('🎬 Replay reached the end of the match');
+        }
+        return;
+    }
+
+    const fastForward = viewer.targetTurn !== null;
+    if (!viewer.playing && !fastForward) return;
+    const scaledDelta = deltaMs * scene.simulationSpeed;
+
+    if (viewer.phase === 'aiming') {
+        viewer.waitMs += scaledDelta;
+        if (viewer.waitMs >= AIM_DISPLAY_MS) {
+            const turn = viewer.log.turns[viewer.nextTurn];
+            playTurn(scene, scene.turrets.find(t => t.team === turn.player), turn);
+        }
+        return;
+    }
+
+    if (!isWaitingForTurnAction(scene)) {
+        viewer.waitMs = 0;
+        return;
+    }
+
+    if (viewer.turnIndex !== viewer.nextTurn) {
+        viewer.turnIndex = viewer.nextTurn;
+        viewer.panel.updateDisplay(viewer);
+    }
+    if (viewer.nextTurn === viewer.targetTurn) {
+        finishFastForward(scene);
+        if (!viewer.playing) return;
+    }
+    if (viewer.nextTurn >= viewer.log.turns.length) {
+        // The log ran out before the match ended (e.g. a replay saved mid-game)
+        if (viewer.status !== 'finished') {
+            viewer.status = 'finished';
+            viewer.playing = false;
+            applyPlaybackRate(scene);
+            info('🎬 Replay reached the end of the log');
+        }
+        return;
+    }
+
+    viewer.waitMs += scaledDelta;
+    if (!fastForward && viewer.waitMs < TURN_PAUSE_MS) return;
+
+    const turn = viewer.log.turns[viewer.nextTurn];
+    const turret = findTurnTurret(scene, turn);
+    if (!turret) return;
+
+    if (turn.action === 'shot' && !fastForward) {
+        showShotAim(turret, turn);
+        viewer.phase = 'aiming';
+        viewer.waitMs = 0;
+        return;
+    }
+    playTurn(scene, turret, turn);
+}
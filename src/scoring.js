@@ -0,0 +1,134 @@
+// scoring.js
+// Points scoring for Rocket Wars (see "Scoring" in docs/GameDesignDocument.md): points for damage dealt,
+// kills and ground blasted away from under opponents, plus a bonus for the health left at the end.
+
+import { getDamageLedger } from './damageLedger.js';
+import { getSettledChunkTop } from './chunkedLandscape.js';
+import { areAllies, getSides } from './alliances.js';
+import { getSideHillPoints } from './hill.js';
+import { info } from './logger.js';
+
+/** Points awarded for each way of scoring */
+export const SCORE_POINTS = {
+    damage: 1, // Per point of health taken from opponents (including falls your craters caused; not teammates)
+    kill: 50, // Per opponent destroyed
+    survival: 1 // Per point of health left at the end of the match (survivors only)
+};
+
+/** Ground within this horizontal distance (px) of an opponent's turret counts as near them */
+const NEAR_OPPONENT_DISTANCE = 120;
+
+/** Square pixels of ground blasted away near opponents for each point (10px off a 40px chunk) */
+const GROUND_AREA_PER_POINT = 400;
+
+/**
+ * Points breakdown for one player
+ * @typedef {Object} PlayerScore
+ * @property {number} damage - Points for damage dealt
+ * @property {number} kills - Points for kills
+ * @property {number} terrain - Points for ground blasted away near opponents
+ * @property {number} survival - End-of-match bonus for health left
+ * @property {number} total - Sum of the above
+ */
+
+/**
+ * Measure how much ground (square px) stands near a player's opponents, using where each
+ * chunk will settle so craters still animating are already counted
+ * @param {any} scene - The Phaser scene (with landscapeData, turrets and gameState)
+ * @param {string} playerKey - Player whose opponents are measured around
+ * @returns {number} Ground area near opponents
+ */
+export function measureGroundNearOpponents(scene, playerKey) {
+    const chunks = (scene.landscapeData && scene.landscapeData.chunks) || [];
+    const opponents = (scene.turrets || []).filter(turret =>
+        turret.team !== playerKey && !(scene.gameState && areAllies(scene.gameState, turret.team, playerKey)));
+    let area = 0;
+    chunks.forEach(chunk => {
+        if (chunk.destroyed) return;
+        const centerX = chunk.x + chunk.width / 2;
+        if (!opponents.some(turret => Math.abs(turret.x - centerX) <= NEAR_OPPONENT_DISTANCE)) return;
+        const bottomY = chunk.y + chunk.height;
+        area += Math.max(0, bottomY - getSettledChunkTop(chunk)) * chunk.width;
+    });
+    return area;
+}
+
+/**
+ * Award points for ground a player's shot blasted away near their opponents
+ * @param {any} gameState - Game state object
+ * @param {string|undefined} playerKey - Player who fired
+ * @param {number} groundBefore - Ground near opponents before the blast (measureGroundNearOpponents)
+ * @param {number} groundAfter - Ground near opponents after the blast
+ */
+export function awardTerrainPoints(gameState, playerKey, groundBefore, groundAfter) {
+    if (!playerKey || !gameState[playerKey]) return;
+    const points = Math.floor(Math.max(0, groundBefore - groundAfter) / GROUND_AREA_PER_POINT);
+    if (points <= 0) return;
+    gameState[playerKey].terrainPoints = (gameState[playerKey].terrainPoints || 0) + points;
+    info(`🏗️ ${playerKey} scores ${points} points for ground blasted away near opponents`);
+}
+
+/**
+ * Award the end-of-match survival bonus (safe to call more than once)
+ * @param {any} gameState - Game state object
+ */
+export function awardSurvivalBonus(gameState) {
+    for (let i = 1; i <= gameState.numPlayers; i++) {
+        const player = gameState[`player${i}`];
+        player.survivalBonus = gameState.playersAlive.includes(i) ? player.health * SCORE_POINTS.survival : 0;
+    }
+}
+
+/**
+ * Work out every player's score
+ * @param {any} gameState - Game state object
+ * @returns {Record<string, PlayerScore>} Scores keyed by player ('player1', 'player2', etc.)
+ */
+export function getScores(gameState) {
+    const ledger = getDamageLedger(gameState);
+    /** @type {Record<string, PlayerScore>} */
+    const scores = {};
+    for (let i = 1; i <= gameState.numPlayers; i++) {
+        const playerKey = `player${i}`;
+        const player = gameState[playerKey];
+        const score = {
+            damage: ledger[playerKey].dealt * SCORE_POINTS.damage,
+            kills: (player.kills || 0) * SCORE_POINTS.kill,
+            terrain: player.terrainPoints || 0,
+            survival: player.survivalBonus || 0,
+            total: 0
+        };
+        score.total = score.damage + score.kills + score.terrain + score.survival;
+        scores[playerKey] = score;
+    }
+    return scores;
+}
+
+/**
+ * Check whether the lead is shared, counting the survival bonus each player would get if the match ended now.
+ * In team play the alliances' combined scores are compared, and in king of the hill only hill points count.
+ * Sides that are all destroyed rank below every survivor (see getRankedPlayers()), so only surviving sides
+ * are compared.
+ * @param {any} gameState - Game state object
+ * @returns {boolean} True if two or more surviving sides share the highest score
+ */
+export function isLeadTied(gameState) {
+    const scores = getScores(gameState);
+    const hillPoints = getSideHillPoints(gameState);
+    const sides = getSides(gameState).map((members, sideIndex) => {
+        const isAlive = members.some(playerNum => gameState.playersAlive.includes(playerNum));
+        if (gameState.hill) {
+            return { total: hillPoints[sideIndex], isAlive };
+        }
+        let total = 0;
+        members.forEach(playerNum => {
+            const score = scores[`player${playerNum}`];
+            const survival = gameState.playersAlive.includes(playerNum) ? gameState[`player${playerNum}`].health * SCORE_POINTS.survival : 0;
+            total += score.total - score.survival + survival;
+        });
+        return { total, isAlive };
+    });
+    const survivors = sides.filter(side => side.isAlive);
+    const best = Math.max(...survivors.map(side => side.total));
+    return survivors.filter(side => side.total === best).length > 1;
+}
@@ -0,0 +1,384 @@
+// simulation.js
+// Headless physics and rules core for Rocket Wars: projectile flight, collisions, damage and wind.
+// Pure JavaScript with no Phaser or DOM dependencies, so it runs in Node as well as the browser.
+
+import { getWeapon, scaleWeaponRange } from './weapons.js';
+import { trace } from './logger.js';
+
+/** Fixed simulation step in seconds (the game steps projectiles at 60 steps per second) */
+export const SIM_STEP_SECONDS = 1 / 60;
+/** Velocity kept after each 1/60s step of flight */
+export const AIR_RESISTANCE = 0.99;
+/** Horizontal acceleration (px/s²) from a full-strength (100) wind */
+export const WIND_ACCELERATION = 220;
+/** Game gravity setting (20-100) is multiplied by this to get px/s² */
+export const GRAVITY_MULTIPLIER = 5;
+/** Turret collision radius in pixels */
+export const TURRET_RADIUS = 25;
+/** Projectiles still flying after this many seconds are removed */
+export const MAX_FLIGHT_SECONDS = 10;
+
+/** Launch speed (px/s) at zero and full power, before the weapon's speed scale */
+const BASE_LAUNCH_SPEED = 100;
+const MAX_LAUNCH_SPEED = 2000;
+/** Impact speed (px/s) that counts as full speed for damage and explosion size */
+const FULL_IMPACT_SPEED = 1500;
+/** Largest change in wind from one round to the next */
+const MAX_WIND_CHANGE = 10;
+
+/**
+ * Everything a projectile can fly through or hit, independent of any rendering
+ * @typedef {Object} SimulationWorld
+ * @property {number} width - World width in pixels
+ * @property {number} height - World height in pixels
+ * @property {number} gravity - Game gravity setting (effective gravity is GRAVITY_MULTIPLIER times this)
+ * @property {number} wind - Current wind (-100 to +100, negative = left)
+ * @property {number} liquidSurfaceY - Y of the liquid surface (the world height when there is no liquid)
+ * @property {Array<{x: number, y: number, width: number, height: number, destroyed?: boolean}>} [chunks] - Chunked terrain columns
+ * @property {{cells: Uint8Array, cols: number, rows: number, cellSize: number}} [mask] - Cell terrain (takes priority over chunks)
+ * @property {Array<{x: number, y: number}>} [points] - Surface points, used only when there are no chunks or mask
+ */
+
+/**
+ * Simulated projectile state. Browser projectiles carry the same fields, so they can be stepped directly.
+ * @typedef {Object} ProjectileState
+ * @property {number} x - X position
+ * @property {number} y - Y position
+ * @property {{x: number, y: number}} velocity - Velocity in px/s
+ * @property {import('./weapons.js').WeaponDefinition} weapon - Weapon being fired
+ * @property {number} radius - Collision radius
+ * @property {number} flightTime - Seconds since launch
+ * @property {boolean} [digging] - True while tunnelling (straight line, no gravity or wind)
+ */
+
+/**
+ * Collision results for one projectile position
+ * @typedef {Object} CollisionResult
+ * @property {boolean} terrain - Overlaps solid terrain
+ * @property {any|null} turret - Turret hit (nearest within the turret radius)
+ * @property {number} [turretDistance] - Distance from the turret centre when a turret was hit
+ * @property {boolean} worldBounds - Left the sides or bottom of the world (flying over the top is allowed)
+ * @property {boolean} liquid - Fell below the liquid surface
+ */
+
+/**
+ * Build a simulation world
+ * @param {Partial<SimulationWorld> & {width: number, height: number}} options - World settings
+ * @returns {SimulationWorld} World description
+ */
+export function createSimulationWorld(options) {
+    return {
+        gravity: 60,
+        wind: 0,
+        liquidSurfaceY: options.height,
+        ...options
+    };
+}
+
+/**
+ * Launch velocity for a shot
+ * @param {number} angle - Launch angle in radians
+ * @param {number} power - Launch power (0.1 to 1.0)
+ * @param {import('./weapons.js').WeaponDefinition} weapon - Weapon being fired
+ * @returns {{x: number, y: number}} Velocity in px/s
+ */
+export function getLaunchVelocity(angle, power, weapon) {
+    const speed = (BASE_LAUNCH_SPEED + (MAX_LAUNCH_SPEED - BASE_LAUNCH_SPEED) * power) * weapon.flight.speedScale;
+    return { x: Math.cos(angle) * speed, y: Math.sin(angle) * speed };
+}
+
+/**
+ * Create a projectile state for a shot
+ * @param {number} x - Launch X (gun tip)
+ * @param {number} y - Launch Y (gun tip)
+ * @param {number} angle - Launch angle in radians
+ * @param {number} power - Launch power (0.1 to 1.0)
+ * @param {string} [weaponId='standard'] - Weapon registry id
+ * @returns {ProjectileState} New projectile state
+ */
+export function createProjectileState(x, y, angle, power, weaponId = 'standard') {
+    const weapon = getWeapon(weaponId);
+    return {
+        x,
+        y,
+        velocity: getLaunchVelocity(angle, power, weapon),
+        weapon,
+        radius: weapon.radius,
+        flightTime: 0,
+        digging: false
+    };
+}
+
+/**
+ * Advance a projectile by one step: weapon-scaled gravity and wind, then air resistance.
+ * Tunnelling projectiles move in a straight line, unaffected by gravity, wind or air.
+ * @param {ProjectileState} projectile - Projectile to move (mutated)
+ * @param {SimulationWorld} world - World being flown through
+ * @param {number} [dt=SIM_STEP_SECONDS] - Step length in seconds
+ */
+export function stepProjectile(projectile, world, dt = SIM_STEP_SECONDS) {
+    const velocity = projectile.velocity;
+    if (!projectile.digging) {
+        const flight = projectile.weapon.flight;
+        velocity.x += (world.wind / 100) * WIND_ACCELERATION * flight.windScale * dt;
+        velocity.y += world.gravity * GRAVITY_MULTIPLIER * flight.gravityScale * dt;
+    }
+    projectile.x += velocity.x * dt;
+    projectile.y += velocity.y * dt;
+    if (!projectile.digging) {
+        const drag = Math.pow(AIR_RESISTANCE, dt / SIM_STEP_SECONDS);
+        velocity.x *= drag;
+        velocity.y *= drag;
+    }
+    projectile.flightTime += dt;
+}
+
+/**
+ * Check whether the cell containing a position is solid in a terrain mask
+ * @param {{cells: Uint8Array, cols: number, rows: number, cellSize: number}} mask - Terrain mask (0 = empty cell)
+ * @param {number} x - World X coordinate
+ * @param {number} y - World Y coordinate
+ * @returns {boolean} True if solid (positions outside the world are empty)
+ */
+export function isMaskCellSolid(mask, x, y) {
+    const col = Math.floor(x / mask.cellSize);
+    const row = Math.floor(y / mask.cellSize);
+    if (col < 0 || col >= mask.cols || row < 0 || row >= mask.rows) return false;
+    return mask.cells[row * mask.cols + col] !== 0;
+}
+
+/**
+ * Check whether a circle overlaps any solid mask cell (centre plus eight points on its edge)
+ * @param {{cells: Uint8Array, cols: number, rows: number, cellSize: number}} mask - Terrain mask
+ * @param {number} x - Circle centre X
+ * @param {number} y - Circle centre Y
+ * @param {number} radius - Circle radius
+ * @returns {boolean} True if the circle touches terrain
+ */
+export function isMaskTerrainHit(mask, x, y, radius) {
+    if (isMaskCellSolid(mask, x, y)) return true;
+    for (let i = 0; i < 8; i++) {
+        const angle = (Math.PI / 4) * i;
+        if (isMaskCellSolid(mask, x + Math.cos(angle) * radius, y + Math.sin(angle) * radius)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Check whether a circle overlaps any standing terrain chunk. Chunks are equal-width columns from left to right,
+ * so only the chunk under the circle and its neighbours are checked (projectiles are narrower than a chunk).
+ * @param {Array<{x: number, y: number, width: number, height: number, destroyed?: boolean}>} chunks - Terrain chunks
+ * @param {number} x - Circle centre X
+ * @param {number} y - Circle centre Y
+ * @param {number} radius - Circle radius
+ * @returns {boolean} True if the circle touches terrain
+ */
+export function isChunkTerrainHit(chunks, x, y, radius) {
+    if (chunks.length === 0) return false;
+    const index = Math.floor((x - chunks[0].x) / chunks[0].width);
+    const last = Math.min(chunks.length - 1, index + 1);
+    for (let i = Math.max(0, index - 1); i <= last; i++) {
+        const chunk = chunks[i];
+        if (chunk.destroyed) continue;
+        // AABB against circle: nearest point of the chunk to the circle centre
+        const closestX = Math.max(chunk.x, Math.min(x, chunk.x + chunk.width));
+        const closestY = Math.max(chunk.y, Math.min(y, chunk.y + chunk.height));
+        if (Math.sqrt((x - closestX) ** 2 + (y - closestY) ** 2) <= radius) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Check whether a point is on or below a surface described only by points (linear interpolation)
+ * @param {Array<{x: number, y: number}>} points - Surface points, left to right
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} worldHeight - World height (ground is assumed 100px above the bottom off the ends)
+ * @returns {boolean} True if the point is in the ground
+ */
+function isPointTerrainHit(points, x, y, worldHeight) {
+    for (let i = 0; i < points.length - 1; i++) {
+        const left = points[i];
+        const right = points[i + 1];
+        if (left.x <= x && right.x >= x) {
+            const t = (x - left.x) / (right.x - left.x);
+            return y >= left.y + t * (right.y - left.y) - 3;
+        }
+    }
+    return y > worldHeight - 100;
+}
+
+/**
+ * Check whether a projectile overlaps the world's terrain
+ * @param {SimulationWorld} world - World to check
+ * @param {{x: number, y: number, radius: number}} projectile - Projectile (or any circle)
+ * @returns {boolean} True if it has hit the ground
+ */
+export function isTerrainHit(world, projectile) {
+    if (world.mask) {
+        return isMaskTerrainHit(world.mask, projectile.x, projectile.y, projectile.radius);
+    }
+    if (world.chunks) {
+        return isChunkTerrainHit(world.chunks, projectile.x, projectile.y, projectile.radius);
+    }
+    if (world.points) {
+        return isPointTerrainHit(world.points, projectile.x, projectile.y, world.height);
+    }
+    return false;
+}
+
+/**
+ * Find the turret a point is inside, if any
+ * @param {Array<{x: number, y: number}>} turrets - Turrets (anything with x and y)
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {{turret: any, distance: number}|null} Nearest turret within TURRET_RADIUS
+ */
+export function findTurretHit(turrets, x, y) {
+    let hit = null;
+    turrets.forEach(turret => {
+        const distance = Math.sqrt((x - turret.x) ** 2 + (y - turret.y) ** 2);
+        if (distance < TURRET_RADIUS && (!hit || distance < hit.distance)) {
+            hit = { turret, distance };
+        }
+    });
+    return hit;
+}
+
+/**
+ * Resolve what a projectile has hit at its current position.
+ * World bounds and liquid are checked first (either ends the flight on its own); turret and
+ * terrain hits are both reported so callers can decide which wins.
+ * @param {ProjectileState|{x: number, y: number, radius: number}} projectile - Projectile
+ * @param {SimulationWorld} world - World being flown through
+ * @param {any[]} turrets - Turrets that can be hit
+ * @returns {CollisionResult} Collision results
+ */
+export function detectCollisions(projectile, world, turrets) {
+    /** @type {CollisionResult} */
+    const collisions = { terrain: false, turret: null, worldBounds: false, liquid: false };
+
+    if (projectile.x < 0 || projectile.x > world.width || projectile.y > world.height) {
+        collisions.worldBounds = true;
+        return collisions;
+    }
+    if (projectile.y > world.liquidSurfaceY) {
+        collisions.liquid = true;
+        return collisions;
+    }
+
+    const turretHit = findTurretHit(turrets, projectile.x, projectile.y);
+    if (turretHit) {
+        collisions.turret = turretHit.turret;
+        collisions.turretDistance = turretHit.distance;
+    }
+    collisions.terrain = isTerrainHit(world, projectile);
+    return collisions;
+}
+
+/**
+ * Fly a projectile until it hits something, leaves the world or runs out of time.
+ * Splitting and tunnelling are not modelled: the flight ends at the first impact.
+ * @param {ProjectileState} projectile - Projectile to fly (mutated)
+ * @param {SimulationWorld} world - World being flown through
+ * @param {any[]} [turrets=[]] - Turrets that can be hit
+ * @param {{onStep?: function(ProjectileState): void}} [options] - Optional per-step callback (e.g. to record a path)
+ * @returns {{collisions: CollisionResult, timedOut: boolean, steps: number}} How the flight ended
+ */
+export function simulateFlight(projectile, world, turrets = [], options = {}) {
+    let steps = 0;
+    while (projectile.flightTime < MAX_FLIGHT_SECONDS) {
+        stepProjectile(projectile, world);
+        steps++;
+        options.onStep?.(projectile);
+        const collisions = detectCollisions(projectile, world, turrets);
+        if (collisions.worldBounds || collisions.liquid || collisions.turret || collisions.terrain) {
+            return { collisions, timedOut: false, steps };
+        }
+    }
+    return { collisions: { terrain: false, turret: null, worldBounds: false, liquid: false }, timedOut: true, steps };
+}
+
+/**
+ * Convert an impact speed to a 0-1 factor used to scale damage and explosion size
+ * @param {number} speed - Impact speed in px/s
+ * @returns {number} Velocity factor (0.0-1.0)
+ */
+export function getVelocityFactor(speed) {
+    return Math.min(1.0, speed / FULL_IMPACT_SPEED);
+}
+
+/**
+ * Direct hit damage: 60% from accuracy (distance to the turret centre), 40% from impact speed
+ * @param {import('./weapons.js').WeaponDefinition} weapon - Weapon that hit
+ * @param {number} distance - Distance from projectile to turret centre
+ * @param {number} speed - Impact speed in px/s
+ * @returns {number} Damage within the weapon's direct damage range
+ */
+export function calculateDirectHitDamage(weapon, distance, speed) {
+    const range = weapon.damage.direct;
+    // Square root makes the accuracy falloff more generous
+    const rawAccuracyFactor = Math.max(0, 1 - (distance / TURRET_RADIUS));
+    const accuracyFactor = Math.sqrt(rawAccuracyFactor);
+    const velocityFactor = getVelocityFactor(speed);
+    const combinedFactor = 0.6 * accuracyFactor + 0.4 * velocityFactor;
+    const damage = scaleWeaponRange(range, combinedFactor);
+
+    trace(`🎯 Damage calculation (generous):
+    - Distance: ${distance.toFixed(1)}px from turret center (${TURRET_RADIUS}px radius)
+    - Raw accuracy: ${(rawAccuracyFactor * 100).toFixed(1)}% → Curved: ${(accuracyFactor * 100).toFixed(1)}%
+    - Velocity factor: ${(velocityFactor * 100).toFixed(1)}% (faster = more damage)
+    - Combined factor: ${(combinedFactor * 100).toFixed(1)}% (60% accuracy + 40% velocity)
+    - Final damage: ${Math.round(damage)} (range: ${range.min}-${range.max})`);
+
+    return Math.round(damage);
+}
+
+/**
+ * Area-of-effect damage to every turret within an explosion, falling off linearly to the edge
+ * @param {number} explosionX - Explosion centre X
+ * @param {number} explosionY - Explosion centre Y
+ * @param {number} explosionRadius - Explosion radius
+ * @param {any[]} turrets - Turrets (anything with x and y)
+ * @param {{min: number, max: number}} [damageRange] - Damage at the explosion edge (min) and centre (max)
+ * @returns {Array<{turret: any, damage: number, distance: number}>} Affected turrets
+ */
+export function calculateAreaDamage(explosionX, explosionY, explosionRadius, turrets, damageRange = { min: 3, max: 15 }) {
+    const affected = [];
+    turrets.forEach(turret => {
+        const distance = Math.sqrt((explosionX - turret.x) ** 2 + (explosionY - turret.y) ** 2);
+        if (distance <= explosionRadius) {
+            const damage = Math.round(scaleWeaponRange(damageRange, 1 - (distance / explosionRadius)));
+            affected.push({ turret, damage, distance });
+        }
+    });
+    return affected;
+}
+
+/**
+ * Random starting wind within the allowed range
+ * @param {number} variation - Wind variation setting (0-100%), which is also the largest wind allowed
+ * @param {function(): number} [random=Math.random] - Random number source (0 <= n < 1)
+ * @returns {number} Whole-number wind from -variation to +variation
+ */
+export function getInitialWind(variation, random = Math.random) {
+    const maxWind = variation;
+    return Math.floor(random() * (2 * maxWind + 1)) - maxWind;
+}
+
+/**
+ * Wind for the next round: drifts by at most ±10 and stays within the allowed range
+ * @param {number} current - Current wind
+ * @param {number} variation - Wind variation setting (0-100%)
+ * @param {function(): number} [random=Math.random] - Random number source (0 <= n < 1)
+ * @returns {number} New wind
+ */
+export function getNextWind(current, variation, random = Math.random) {
+    const maxWind = variation;
+    const delta = Math.floor(random() * (2 * MAX_WIND_CHANGE + 1)) - MAX_WIND_CHANGE;
+    return Math.max(-maxWind, Math.min(maxWind, current + delta));
+}
@@ -10,11 +10,36 @@ export const defaultGameConfig = {
     turnTime: 30,
     windVariation: 30,
     gravity: 60,
+    specialAmmo: 3, // Starting stock of each limited (special) rocket type per player
+    terrainType: 'chunked', // 'chunked' (solid columns) or 'mask' (cells with caves and overhangs)
+    liquidType: 'none', // 'none', 'water' or 'lava' at the bottom of the world
+    liquidRising: false, // True if the liquid level rises every round
+    teams: false, // True to pair four players into two teams (1 & 3 vs 2 & 4)
+    friendlyFire: false, // True if teammates can damage each other
+    suddenDeath: false, // True to break a tied lead after the last round with a sudden-death phase
+    healthTiebreak: true, // True if remaining health separates players tied on score (off: they share a place)
+    gameMode: 'standard', // 'standard', or 'hill' for king of the hill (a zone scores a point each round)
+    hillTarget: 5, // Hill points that win a king-of-the-hill match
+    seed: '', // Match seed for reproducible landscape and wind ('' = random each match)
+    relayUrl: '', // Relay server for online games ('' = the default port on this host)
+    playByFile: false, // True to send each turn to the next player as a file or text code
     playerNames: {
         player1: '',
         player2: '',
         player3: '',
         player4: ''
+    },
+    playerTypes: {
+        player1: 'human', // 'human', or a CPU difficulty: 'easy', 'medium' or 'hard'
+        player2: 'human',
+        player3: 'human',
+        player4: 'human'
+    },
+    playerProfiles: {
+        player1: '', // Profile id (see profiles.js), or '' to play without a rating
+        player2: '',
+        player3: '',
+        player4: ''
     }
 };
 
@@ -42,6 +67,14 @@ export function loadGameConfig() {
                 playerNames: {
                     ...defaultGameConfig.playerNames,
                     ...(config.playerNames || {})
+                },
+                playerTypes: {
+                    ...defaultGameConfig.playerTypes,
+                    ...(config.playerTypes || {})
+                },
+                playerProfiles: {
+                    ...defaultGameConfig.playerProfiles,
+                    ...(config.playerProfiles || {})
                 }
             };
         }
@@ -65,3 +98,164 @@ export function saveGameConfig(config) {
         warn('Failed to save game config:', error);
     }
 }
+
+/** localStorage key for the match in progress */
+const SAVED_MATCH_KEY = 'savedMatch';
+
+/**
+ * Save the match in progress so it can be resumed after a reload
+ * @param {Object} snapshot - Match snapshot from matchSave.js
+ * @returns {boolean} True if the match was saved
+ */
+export function saveMatchState(snapshot) {
+    try {
+        if (typeof localStorage === 'undefined') return false;
+        localStorage.setItem(SAVED_MATCH_KEY, JSON.stringify(snapshot));
+        trace('Saved match in progress to localStorage');
+        return true;
+    } catch (error) {
+        warn('Failed to save match in progress:', error);
+        return false;
+    }
+}
+
+/**
+ * Load the saved match in progress
+ * @returns {Object|null} Match snapshot, or null if there is none
+ */
+export function loadMatchState() {
+    try {
+        if (typeof localStorage === 'undefined') return null;
+        const savedMatch = localStorage.getItem(SAVED_MATCH_KEY);
+        if (savedMatch) {
+            return JSON.parse(savedMatch);
+        }
+    } catch (error) {
+        warn('Failed to load saved match:', error);
+    }
+    return null;
+}
+
+/**
+ * Forget the saved match (it finished, or a new match replaced it)
+ */
+export function clearMatchState() {
+    try {
+        if (typeof localStorage === 'undefined') return;
+        localStorage.removeItem(SAVED_MATCH_KEY);
+        trace('Cleared saved match from localStorage');
+    } catch (error) {
+        warn('Failed to clear saved match:', error);
+    }
+}
+
+/** localStorage key for lifetime stats of every named player */
+const CAREER_STATS_KEY = 'careerStats';
+
+/**
+ * Save lifetime player stats
+ * @param {Object} careerStats - Career stats from careerStats.js
+ * @returns {boolean} True if the stats were saved
+ */
+export function saveCareerStats(careerStats) {
+    try {
+        if (typeof localStorage === 'undefined') return false;
+        localStorage.setItem(CAREER_STATS_KEY, JSON.stringify(careerStats));
+        trace('Saved career stats to localStorage');
+        return true;
+    } catch (error) {
+        warn('Failed to save career stats:', error);
+        return false;
+    }
+}
+
+/**
+ * Load lifetime player stats
+ * @returns {Object|null} Career stats, or null if none have been saved
+ */
+export function loadCareerStats() {
+    try {
+        if (typeof localStorage === 'undefined') return null;
+        const careerStats = localStorage.getItem(CAREER_STATS_KEY);
+        if (careerStats) {
+            return JSON.parse(careerStats);
+        }
+    } catch (error) {
+        warn('Failed to load career stats:', error);
+    }
+    return null;
+}
+
+/** localStorage key for named player profiles and their ratings */
+const PLAYER_PROFILES_KEY = 'playerProfiles';
+
+/**
+ * Save player profiles
+ * @param {Object} profiles - Profiles from profiles.js
+ * @returns {boolean} True if the profiles were saved
+ */
+export function savePlayerProfiles(profiles) {
+    try {
+        if (typeof localStorage === 'undefined') return false;
+        localStorage.setItem(PLAYER_PROFILES_KEY, JSON.stringify(profiles));
+        trace('Saved player profiles to localStorage');
+        return true;
+    } catch (error) {
+        warn('Failed to save player profiles:', error);
+        return false;
+    }
+}
+
+/**
+ * Load player profiles
+ * @returns {Object|null} Profiles, or null if none have been saved
+ */
+export function loadPlayerProfiles() {
+    try {
+        if (typeof localStorage === 'undefined') return null;
+        const profiles = localStorage.getItem(PLAYER_PROFILES_KEY);
+        if (profiles) {
+            return JSON.parse(profiles);
+        }
+    } catch (error) {
+        warn('Failed to load player profiles:', error);
+    }
+    return null;
+}
+
+/** localStorage key for the play-by-file matches this device has worked out, by match */
+const KNOWN_MATCHES_KEY = 'playByFileMatches';
+
+/**
+ * Save the play-by-file matches this device knows about
+ * @param {Object} knownMatches - Known matches by match id, from correspondence.js
+ * @returns {boolean} True if the matches were saved
+ */
+export function saveKnownMatches(knownMatches) {
+    try {
+        if (typeof localStorage === 'undefined') return false;
+        localStorage.setItem(KNOWN_MATCHES_KEY, JSON.stringify(knownMatches));
+        trace('Saved play-by-file matches to localStorage');
+        return true;
+    } catch (error) {
+        warn('Failed to save play-by-file matches:', error);
+        return false;
+    }
+}
+
+/**
+ * Load the play-by-file matches this device knows about
+ * @returns {Object|null} Known matches by match id, or null if none have been saved
+ */
+export function loadKnownMatches() {
+    try {
+        if (typeof localStorage === 'undefined') return null;
+        const knownMatches = localStorage.getItem(KNOWN_MATCHES_KEY);
+        if (knownMatches) {
+            return JSON.parse(knownMatches);
+        }
+    } catch (error) {
+        warn('Failed to load play-by-file matches:', error);
+    }
+    return null;
+}
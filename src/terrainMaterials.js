@@ -0,0 +1,70 @@
+// terrainMaterials.js
+// Terrain material types (bedrock, dirt, sand) and material layer generation for Rocket Wars
+
+import { info } from './logger.js';
+import { random } from './random.js';
+
+/**
+ * Terrain material definition
+ * @typedef {Object} TerrainMaterial
+ * @property {number} code - Value stored in mask terrain cells
+ * @property {string} name - Display name
+ * @property {number} color - Fill colour
+ * @property {boolean} destructible - False if explosions can't remove it
+ * @property {boolean} loose - True if it slides downhill until the slope is stable
+ */
+
+/**
+ * All terrain materials, keyed by id. Dirt is the original green earth.
+ * @type {Record<string, TerrainMaterial>}
+ */
+export const MATERIALS = {
+    dirt: { code: 1, name: 'Dirt', color: 0x3a5c2c, destructible: true, loose: false },
+    bedrock: { code: 2, name: 'Bedrock', color: 0x4a4a52, destructible: false, loose: false },
+    sand: { code: 3, name: 'Sand', color: 0xc2a366, destructible: true, loose: true }
+};
+
+/** Steepest step (px) between neighbouring sand surfaces before sand slides (~angle of repose for 40px chunks) */
+export const SAND_MAX_STEP = 20;
+
+/**
+ * Material layers beneath one landscape point
+ * @typedef {Object} MaterialLayers
+ * @property {number} bedrockY - Y of the top of the bedrock (bedrock runs from here to the bottom of the world)
+ * @property {number} sandDepth - Thickness of loose sand on top of the surface
+ */
+
+/**
+ * Place material layers under landscape points: a rolling bedrock floor near the bottom of
+ * the world, and loose sand lying in the low, flatter ground where it would naturally collect.
+ * @param {Array<{x: number, y: number}>} points - Landscape surface points
+ * @param {number} worldHeight - World height in pixels
+ * @param {number} baseY - Base Y coordinate the landscape was generated around
+ * @returns {MaterialLayers[]} Layers for each point
+ */
+export function generateMaterialLayers(points, worldHeight, baseY) {
+    const MIN_BEDROCK_DEPTH = 35; // Bedrock thickness above the bottom of the world
+    const BEDROCK_VARIATION = 40;
+    const SAND_LEVEL = baseY - 30; // Only ground lower than this collects sand
+
+    // Slow sine waves plus noise keep the bedrock floor rolling and the sand in patches
+    const phase = random('terrain') * Math.PI * 2;
+    const sandPhase = random('terrain') * Math.PI * 2;
+    let sandColumns = 0;
+    const layers = points.map((point, i) => {
+        const wave = (Math.sin(phase + i * 0.25) + 1) / 2;
+        const bedrockThickness = MIN_BEDROCK_DEPTH + wave * BEDROCK_VARIATION + random('terrain') * 10;
+        // Never let the bedrock reach the surface - there's always some dirt to dig first
+        const bedrockY = Math.max(point.y + 20, worldHeight - bedrockThickness);
+
+        let sandDepth = 0;
+        if (point.y > SAND_LEVEL && Math.sin(sandPhase + i * 0.15) > -0.2) {
+            sandDepth = Math.min(20 + random('terrain') * 20, bedrockY - point.y);
+            sandColumns++;
+        }
+        return { bedrockY, sandDepth };
+    });
+
+    info(`🪨 Material layers placed: bedrock floor under ${points.length} points, sand on ${sandColumns}`);
+    return layers;
+}
@@ -3,10 +3,14 @@
 // Consolidates duplicated logic previously spread across main.js (handleTurnTimeout),
 // projectileManager.js (per-impact progression) and teleport completion.
 
-import { advanceToNextPlayer, advanceToNextRound, shouldGameEnd, updateWindForNewTurn, startPlayerTurn, removePlayer } from './turnManager.js';
+import { advanceToNextPlayer, advanceToNextRound, shouldGameEnd, getGameEndReason, updateWindForNewTurn, startPlayerTurn, removePlayer, isSuddenDeath } from './turnManager.js';
 import { handleGameEnd } from './gameLifecycle.js';
 import { focusCameraOnActivePlayer } from './projectileManager.js';
 import { updateGameUI } from './ui/updateUI.js';
+import { applyLiquidHazards, raiseLiquidLevel } from './liquid.js';
+import { scoreHillRound } from './hill.js';
+import { startCpuTurnIfNeeded } from './ai.js';
+import { recordReplayTurn } from './replay.js';
 import { info, warn } from './logger.js';
 
 /**
@@ -50,6 +54,21 @@ function updateUIAndCamera(scene, gameState) {
     focusCameraOnActivePlayer(gameState, scene);
 }
 
+/**
+ * Check whether the match is waiting for the current player to act, with nothing still moving
+ * (projectiles, collapsing terrain or falling turrets)
+ * @param {any} scene - Phaser scene.
+ * @returns {boolean} True if the world has settled at the start of a turn
+ */
+export function isWaitingForTurnAction(scene) {
+    const gameState = scene.gameState;
+    if (!gameState || scene.gameEnded || !gameState.turnStartTime) return false;
+    if (gameState.hasPlayerFiredThisTurn || gameState.teleportMode) return false;
+    if (scene.projectiles && scene.projectiles.length > 0) return false;
+    if (scene.chunksWereAnimating) return false;
+    return !(scene.turrets || []).some(turret => scene.tweens.isTweening(turret));
+}
+
 /**
  * Unified turn progression entry point.
  * @param {any} scene - Phaser scene.
@@ -66,19 +85,31 @@ export function progressTurn(scene, reason, opts = {}) {
     if (scene.gameEnded) return; // Already ended.
 
     info(`\uD83D\uDD04 progressTurn start (reason=${reason}, delayMs=${delayMs})`);
+    if (reason === 'timeout') {
+        recordReplayTurn(scene, { action: 'timeout' });
+    }
 
-    // 1. Eliminate dead players.
+    // 1. Apply end-of-turn liquid damage, then eliminate dead players.
+    applyLiquidHazards(scene, gameState);
     eliminateDeadPlayers(gameState, scene);
 
-    // 2. Check for immediate game end.
+    // 2. Check for immediate game end (sudden death ends as soon as the tie is broken).
     if (shouldGameEnd(gameState)) {
-        handleGameEnd(scene, gameState.playersAlive.length <= 1 ? 'last_player' : 'max_rounds');
+        handleGameEnd(scene, getGameEndReason(gameState));
         return;
     }
 
-    // 3. Advance to next player / round.
+    // 3. Advance to next player / round (a tie after the last round may start sudden death).
     const sameRound = advanceToNextPlayer(gameState, scene);
     if (!sameRound) {
+        // King of the hill: the round's point goes to whoever holds the zone, and may win the match
+        if (gameState.hill) {
+            scoreHillRound(scene);
+            if (shouldGameEnd(gameState)) {
+                handleGameEnd(scene, getGameEndReason(gameState));
+                return;
+            }
+        }
         const continueGame = advanceToNextRound(gameState);
         if (!continueGame) {
             handleGameEnd(scene, 'max_rounds');
@@ -86,11 +117,16 @@ export function progressTurn(scene, reason, opts = {}) {
         }
         updateWindForNewTurn(gameState);
     }
+    // Rising liquid climbs each round, and every turn in sudden death
+    if (!sameRound || isSuddenDeath(gameState)) {
+        raiseLiquidLevel(scene, gameState.liquid);
+    }
 
     // 4. Schedule next turn start after visual delay (explosions, etc.).
     scene.time.delayedCall(delayMs, () => {
         if (scene.gameEnded) return; // Re-check.
         startPlayerTurn(gameState, () => scene.progressTurn('timeout'));
         updateUIAndCamera(scene, gameState);
+        startCpuTurnIfNeeded(scene);
     });
 }
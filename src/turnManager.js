@@ -3,6 +3,17 @@
 
 import { initializeTeleportBaseSelection } from './baseSelection.js';
 import { updateGameUI } from './ui/updateUI.js';
+import { DEFAULT_WEAPON_ID, cycleSelectedWeapon, createStartingAmmo } from './weapons.js';
+import { createLiquidState, createSuddenDeathLiquid } from './liquid.js';
+import { getInitialWind, getNextWind } from './simulation.js';
+import { getGameSeed, getRandomStream } from './random.js';
+import { recordReplayTurn } from './replay.js';
+import { getTurretPositionForChunk } from './chunkBaseHelpers.js';
+import { recordDamage, getAssistingPlayers, getDamageLedger } from './damageLedger.js';
+import { createPlayerStats, recordTeleport } from './matchStats.js';
+import { getScores, isLeadTied } from './scoring.js';
+import { createAllianceState, getAllianceIndex, areAllies, isFriendlyFireBlocked, countSurvivingSides } from './alliances.js';
+import { createHillState, isHillTargetReached } from './hill.js';
 import { info, trace, warn, error } from './logger.js';
 
 /**
@@ -32,6 +43,8 @@ function createTurnBasedGameState(config = {}) {
         hasPlayerFiredThisTurn: false, // Prevent multiple shots per turn
         turnTimer: null, // Timer ID for countdown
         lastRemainingTime: null, // Last remaining time when timer was stopped
+        suddenDeath: config.suddenDeath ? { active: false } : null, // Tiebreak after the last round (null if not played)
+        healthTiebreak: config.healthTiebreak ?? true, // Remaining health separates players tied on score
         
         // Teleport state management
         teleportMode: false, // True when current player is in teleport mode
@@ -42,14 +55,15 @@ function createTurnBasedGameState(config = {}) {
 /**
  * Initialize complete game state object
  * @param {Object} [config] - Optional game configuration from form
+ * @param {import('./hill.js').HillZone|null} [hillZone] - King-of-the-hill zone chosen with the landscape (null for other modes)
  * @returns {Object} Complete game state with all game data
  */
-export function createGameState(config = {}) {
+export function createGameState(config = {}, hillZone = null) {
     const windVariation = config.windVariation ?? 50; // Wind variation from form or default
     const gravity = config.gravity ?? 60; // Gravity from form or default (updated default)
     const numPlayers = config.numPlayers ?? 2; // Number of players from form or default
-    const maxWind = (windVariation / 100) * 100; // Calculate max wind for initial value
-    const initialWind = Math.floor(Math.random() * (2 * maxWind + 1)) - maxWind; // Random initial wind
+    const specialAmmo = config.specialAmmo ?? 3; // Starting stock of each special rocket from form or default
+    const initialWind = getInitialWind(windVariation, getRandomStream('wind')); // Seeded initial wind
     
     // Create the base game state with turn management
     const gameState = {
@@ -58,7 +72,13 @@ export function createGameState(config = {}) {
             variation: windVariation // Wind variation percentage (0-100%), controls how much wind can change
         },
         gravity: gravity, // Gravity setting from form
+        seed: getGameSeed(), // Seed shared by every random stream in this match
         numPlayers: numPlayers,
+        liquid: createLiquidState(config), // Water/lava at the bottom of the world (null if none)
+        alliances: createAllianceState({ ...config, numPlayers }), // 2v2 teams (null if every player is on their own)
+        hill: createHillState({ ...config, numPlayers }, hillZone), // King-of-the-hill zone and points (null for other modes)
+        damageLog: [], // Every damage event, for kill/assist credit and damage totals (see damageLedger.js)
+        lastTerrainAttacker: null, // Player whose shot last reshaped the terrain (credited with falls it causes)
         
         // Merge in turn-based game state
         ...createTurnBasedGameState(config)
@@ -66,10 +86,19 @@ export function createGameState(config = {}) {
     
     // Add player objects dynamically
     for (let i = 1; i <= numPlayers; i++) {
+        const playerType = config.playerTypes?.[`player${i}`] ?? 'human';
         gameState[`player${i}`] = {
             health: 100,
             kills: 0,
-            deaths: 0
+            teamKills: 0, // Teammates destroyed (team play with friendly fire only)
+            deaths: 0,
+            assists: 0,
+            stats: createPlayerStats(), // Shots, hits and teleports for the post-match statistics
+            terrainPoints: 0, // Points for ground blasted away near opponents (see scoring.js)
+            survivalBonus: 0, // Points for health left, awarded when the match ends
+            selectedWeapon: DEFAULT_WEAPON_ID,
+            ammo: createStartingAmmo(specialAmmo),
+            cpuDifficulty: playerType === 'human' ? null : playerType // 'easy', 'medium' or 'hard' for CPU players
         };
     }
     
@@ -81,34 +110,52 @@ export function createGameState(config = {}) {
  * @param {GameState} gameState - Game state object
  */
 export function updateWindForNewTurn(gameState) {
-    // Wind can only change by up to +/-10 units per turn
-    const maxDelta = 10;
-    const maxWind = (gameState.wind.variation / 100) * 100; // Still use variation for clamping
-    // Generate random delta from -10 to +10
-    const delta = Math.floor(Math.random() * (2 * maxDelta + 1)) - maxDelta;
-    let newWind = gameState.wind.current + delta;
-    // Clamp to allowed wind range
-    newWind = Math.max(-maxWind, Math.min(maxWind, newWind));
-    gameState.wind.current = newWind;
+    // Wind can only change by up to +/-10 units per turn, clamped to the variation setting
+    gameState.wind.current = getNextWind(gameState.wind.current, gameState.wind.variation, getRandomStream('wind'));
 }
 
 /**
- * Apply damage to a player's health
+ * Apply damage to a player's health and record it in the damage ledger
  * @param {Object} gameState - Game state object
- * @param {string} playerKey - 'player1' or 'player2'
+ * @param {string} playerKey - Player taking damage ('player1', 'player2', etc.)
  * @param {number} damage - Damage amount (0-100)
+ * @param {string|null} [attackerKey] - Player who caused the damage (credited with the kill), null for the environment
+ * @param {string} [cause='direct'] - How the damage was done (one of DAMAGE_CAUSES in damageLedger.js)
+ * @returns {number} Health actually lost (none if friendly fire is off and a teammate caused it)
  */
-export function applyDamage(gameState, playerKey, damage) {
-    gameState[playerKey].health = Math.max(0, gameState[playerKey].health - damage);
+export function applyDamage(gameState, playerKey, damage, attackerKey = null, cause = 'direct') {
+    if (isFriendlyFireBlocked(gameState, playerKey, attackerKey)) {
+        trace(`🤝 ${attackerKey} can't damage teammate ${playerKey} (friendly fire is off)`);
+        return 0;
+    }
+    const player = gameState[playerKey];
+    const wasAlive = player.health > 0;
+    const healthLost = Math.min(player.health, damage);
+    player.health = Math.max(0, player.health - damage);
+    if (healthLost > 0) {
+        recordDamage(gameState, { target: playerKey, attacker: attackerKey, cause, amount: healthLost });
+    }
     
-    // Check if player died
-    if (gameState[playerKey].health <= 0) {
-        gameState[playerKey].deaths++;
+    // Check if player died (only count the hit that takes health to zero)
+    if (wasAlive && player.health <= 0) {
+        player.deaths++;
         
-        // Award kill to other player
-        const otherPlayer = playerKey === 'player1' ? 'player2' : 'player1';
-        gameState[otherPlayer].kills++;
+        // Award kill to the attacker (no credit for destroying yourself, or for the environment);
+        // destroying a teammate is counted separately as a team kill
+        const killerKey = attackerKey && attackerKey !== playerKey && gameState[attackerKey] ? attackerKey : null;
+        if (killerKey && areAllies(gameState, killerKey, playerKey)) {
+            gameState[killerKey].teamKills = (gameState[killerKey].teamKills || 0) + 1;
+        } else if (killerKey) {
+            gameState[killerKey].kills++;
+        }
+        // Everyone else who damaged the victim gets an assist
+        const assisting = getAssistingPlayers(gameState, playerKey, killerKey);
+        assisting.forEach(key => {
+            gameState[key].assists = (gameState[key].assists || 0) + 1;
+        });
+        info(`💀 ${playerKey} destroyed by ${killerKey || (attackerKey ? 'themselves' : 'the environment')} (${cause})${assisting.length > 0 ? `, assists: ${assisting.join(', ')}` : ''}`);
     }
+    return healthLost;
 }
 
 /**
@@ -133,6 +180,41 @@ export function getCurrentPlayerKey(gameState) {
     return `player${playerNum}`;
 }
 
+/**
+ * Check whether the current player is computer-controlled
+ * @param {Object} gameState - Game state object
+ * @returns {boolean} True if a CPU player is taking this turn
+ */
+export function isCpuTurn(gameState) {
+    if (!gameState || !gameState.playersAlive || gameState.playersAlive.length === 0) {
+        return false;
+    }
+    const player = gameState[getCurrentPlayerKey(gameState)];
+    return !!(player && player.cpuDifficulty);
+}
+
+/**
+ * Check whether the current player is played on another device in an online match
+ * @param {Object} gameState - Game state object
+ * @returns {boolean} True if this turn's inputs arrive over the network
+ */
+export function isRemoteTurn(gameState) {
+    if (!gameState || !gameState.localPlayers || gameState.playersAlive.length === 0) {
+        return false;
+    }
+    return !gameState.localPlayers.includes(getCurrentPlayerKey(gameState));
+}
+
+/**
+ * Check whether the current turn is played automatically rather than by a person at the
+ * controls: a CPU player's turn, any turn of a replay being watched, or a remote player's turn
+ * @param {Object} gameState - Game state object
+ * @returns {boolean} True if player input should be ignored this turn
+ */
+export function isAutomatedTurn(gameState) {
+    return !!(gameState && gameState.isReplay) || isCpuTurn(gameState) || isRemoteTurn(gameState);
+}
+
 /**
  * Check if a specific player number is the current active player
  * @param {Object} gameState - Game state object
@@ -208,16 +290,47 @@ export function advanceToNextPlayer(gameState, scene) {
     return true; // Still in same round
 }
 
+/** Shortest turn time (seconds) during sudden death */
+const SUDDEN_DEATH_MIN_TURN_TIME = 5;
+
 /**
- * Advance to the next round
+ * Check whether the match is in a sudden-death tiebreak
+ * @param {Object} gameState - Game state object
+ * @returns {boolean} True during sudden death
+ */
+export function isSuddenDeath(gameState) {
+    return !!(gameState.suddenDeath && gameState.suddenDeath.active);
+}
+
+/**
+ * Start a sudden-death tiebreak: timed turns are half as long, and the liquid (lava if the match had none)
+ * rises every turn until it reaches every turret. Matches without a time limit (replays and play-by-file)
+ * stay untimed.
+ * @param {Object} gameState - Game state object
+ */
+function startSuddenDeath(gameState) {
+    gameState.suddenDeath.active = true;
+    if (gameState.turnTimeLimit > 0) {
+        gameState.turnTimeLimit = Math.max(SUDDEN_DEATH_MIN_TURN_TIME, Math.round(gameState.turnTimeLimit / 2));
+    }
+    gameState.liquid = createSuddenDeathLiquid(gameState.liquid);
+    const turnTime = gameState.turnTimeLimit > 0 ? `${gameState.turnTimeLimit}s turns` : 'untimed turns';
+    info(`☠️ Sudden death! Leaders are level after ${gameState.maxRounds} rounds - ${turnTime}, rising ${gameState.liquid.type}`);
+}
+
+/**
+ * Advance to the next round. After the last round, a tied lead goes to sudden death if the match allows it.
  * @param {Object} gameState - Game state object
  * @returns {boolean} True if advanced to next round, false if game should end
  */
 export function advanceToNextRound(gameState) {
-    // Check if we would exceed max rounds AFTER incrementing
-    if (gameState.currentRound + 1 > gameState.maxRounds) {
-        warn('Game ended: Maximum rounds reached');
-        return false; // Game should end
+    // Check if we would exceed max rounds AFTER incrementing (sudden death goes on until the tie is broken)
+    if (gameState.currentRound + 1 > gameState.maxRounds && !isSuddenDeath(gameState)) {
+        if (!gameState.suddenDeath || !isLeadTied(gameState)) {
+            warn('Game ended: Maximum rounds reached');
+            return false; // Game should end
+        }
+        startSuddenDeath(gameState);
     }
     
     gameState.currentRound++;
@@ -239,11 +352,21 @@ export function advanceToNextRound(gameState) {
  * @returns {boolean} True if game should end
  */
 export function shouldGameEnd(gameState) {
-    // Game ends if only one player remains
-    if (gameState.playersAlive.length <= 1) {
+    // Game ends if only one player (or, in team play, one alliance) remains
+    if (countSurvivingSides(gameState) <= 1) {
         return true;
     }
     
+    // King of the hill ends as soon as a side reaches the target
+    if (isHillTargetReached(gameState)) {
+        return true;
+    }
+    
+    // Sudden death ends as soon as one player is ahead
+    if (isSuddenDeath(gameState)) {
+        return !isLeadTied(gameState);
+    }
+    
     // Game ends if max rounds completed (we've finished the final round)
     if (gameState.currentRound > gameState.maxRounds) {
         return true;
@@ -252,6 +375,21 @@ export function shouldGameEnd(gameState) {
     return false;
 }
 
+/**
+ * Get why the game is ending, for a game that shouldGameEnd() says is over
+ * @param {Object} gameState - Game state object
+ * @returns {string} 'last_player', 'last_team', 'hill', 'sudden_death' or 'max_rounds'
+ */
+export function getGameEndReason(gameState) {
+    if (countSurvivingSides(gameState) <= 1) {
+        return gameState.alliances ? 'last_team' : 'last_player';
+    }
+    if (isHillTargetReached(gameState)) {
+        return 'hill';
+    }
+    return isSuddenDeath(gameState) ? 'sudden_death' : 'max_rounds';
+}
+
 /**
  * Start a new turn for the current player
  * @param {Object} gameState - Game state object
@@ -268,8 +406,8 @@ export function startPlayerTurn(gameState, onTimeUp = null) {
         gameState.turnTimer = null;
     }
     
-    // Start countdown timer if there's a time limit
-    if (gameState.turnTimeLimit > 0 && onTimeUp) {
+    // Start countdown timer if there's a time limit (a remote player's own device times their turn out)
+    if (gameState.turnTimeLimit > 0 && onTimeUp && !isRemoteTurn(gameState)) {
         gameState.turnTimer = setInterval(() => {
             const elapsed = Math.floor((Date.now() - gameState.turnStartTime) / 1000);
             const remaining = gameState.turnTimeLimit - elapsed;
@@ -323,43 +461,114 @@ export function stopTurnTimer(gameState) {
 }
 
 /**
- * Get players ranked by game results
+ * Get players ranked by game results: survivors above destroyed players (so the last player standing
+ * wins however the scores compare), then score, then remaining health as the tiebreaker (king of the
+ * hill ranks by hill points before score). With the health tiebreak turned off, players level on
+ * survival, hill points and score share a place instead. In team play, alliances are ranked the same
+ * way on their combined hill points and score, an alliance with a survivor above one that was wiped
+ * out, and teammates share their alliance's place.
  * @param {Object} gameState - Game state object
  * @param {Array} playerData - Player data with names
- * @returns {Array} Ranked player list
+ * @returns {Array} Ranked player list (place is 1 for the winner, or for both members of the winning alliance)
  */
 export function getRankedPlayers(gameState, playerData = null) {
     const players = [];
+    const ledger = getDamageLedger(gameState);
+    const scores = getScores(gameState);
+    const healthTiebreak = gameState.healthTiebreak !== false; // Saves from before the option break ties on health
+    /** @type {Record<number, number>} */
+    const allianceScores = {};
+    /** @type {Record<number, number>} */
+    const allianceHillPoints = {};
+    /** @type {Record<number, boolean>} */
+    const allianceAlive = {};
     
     // Collect all player data
     for (let i = 1; i <= gameState.numPlayers; i++) {
         const playerKey = `player${i}`;
         const player = gameState[playerKey];
         const isAlive = gameState.playersAlive.includes(i);
+        const alliance = getAllianceIndex(gameState, i);
         
         let playerName = `PLAYER ${i}`;
         if (playerData && playerData[i - 1] && playerData[i - 1].name) {
             playerName = playerData[i - 1].name.toUpperCase();
         }
         
+        const hillPoints = gameState.hill ? gameState.hill.points[playerKey] || 0 : 0;
+        if (alliance !== null) {
+            allianceScores[alliance] = (allianceScores[alliance] || 0) + scores[playerKey].total;
+            allianceHillPoints[alliance] = (allianceHillPoints[alliance] || 0) + hillPoints;
+            allianceAlive[alliance] = allianceAlive[alliance] || isAlive;
+        }
         players.push({
             number: i,
             name: playerName,
             health: player.health,
             isAlive: isAlive,
             kills: player.kills || 0,
-            deaths: player.deaths || 0
+            teamKills: player.teamKills || 0,
+            deaths: player.deaths || 0,
+            assists: player.assists || 0,
+            damageDealt: ledger[playerKey].dealt,
+            damageTaken: ledger[playerKey].taken,
+            score: scores[playerKey].total,
+            hillPoints: hillPoints,
+            alliance: alliance,
+            teamScore: 0,
+            teamHillPoints: 0,
+            teamAlive: false,
+            place: 0
         });
     }
+    players.forEach(player => {
+        player.teamScore = player.alliance !== null ? allianceScores[player.alliance] : player.score;
+        player.teamHillPoints = player.alliance !== null ? allianceHillPoints[player.alliance] : player.hillPoints;
+        player.teamAlive = player.alliance !== null ? allianceAlive[player.alliance] : player.isAlive;
+    });
     
-    // Sort players: alive first, then by health descending
+    // Sort players: alliances with a survivor above wiped-out ones (so the last team standing wins however
+    // the scores compare), then by combined hill points and score (teammates together); players without
+    // an alliance alive before destroyed, likewise; then most hill points, then highest score, then by
+    // health (if that tiebreak is on), then alive before destroyed (teammates)
     players.sort((a, b) => {
-        // Alive players come first
+        if (a.alliance !== b.alliance) {
+            return (Number(b.teamAlive) - Number(a.teamAlive)) || (b.teamHillPoints - a.teamHillPoints) ||
+                (b.teamScore - a.teamScore) || (a.alliance - b.alliance);
+        }
+        if (a.alliance === null && a.isAlive !== b.isAlive) {
+            return b.isAlive ? 1 : -1;
+        }
+        if (a.hillPoints !== b.hillPoints) {
+            return b.hillPoints - a.hillPoints;
+        }
+        if (a.score !== b.score) {
+            return b.score - a.score;
+        }
+        if (healthTiebreak && a.health !== b.health) {
+            return b.health - a.health;
+        }
         if (a.isAlive !== b.isAlive) {
             return b.isAlive ? 1 : -1;
         }
-        // Then sort by health (highest first)
-        return b.health - a.health;
+        return 0;
+    });
+    
+    // Finishing places: teammates share their alliance's place, and without the health tiebreak
+    // players level with the one above share that player's place
+    let alliancePlace = 0;
+    players.forEach((player, index) => {
+        if (player.alliance === null) {
+            const above = players[index - 1];
+            const level = !healthTiebreak && above && above.hillPoints === player.hillPoints &&
+                above.score === player.score && above.isAlive === player.isAlive;
+            player.place = level ? above.place : index + 1;
+            return;
+        }
+        if (index === 0 || players[index - 1].alliance !== player.alliance) {
+            alliancePlace++;
+        }
+        player.place = alliancePlace;
     });
     
     return players;
@@ -388,6 +597,11 @@ export function enterTeleportMode(gameState, scene) {
         return false;
     }
     
+    if (isAutomatedTurn(gameState)) {
+        warn('🚫 Cannot enter teleport mode - the turn is being played automatically');
+        return false;
+    }
+    
     // Check if player is currently aiming
     if (scene.currentPlayerTurret) {
         warn('🚫 Cannot enter teleport mode - player is currently aiming');
@@ -476,6 +690,41 @@ export function completeTeleport(gameState, scene) {
     return true;
 }
 
+/**
+ * Change the current player's selected weapon (only before they fire)
+ * @param {GameState} gameState - Game state object
+ * @param {Scene} scene - Scene object for validation and UI updates
+ * @param {number} [direction=1] - 1 for next weapon, -1 for previous
+ * @returns {boolean} True if the weapon was changed
+ */
+export function changeWeapon(gameState, scene, direction = 1) {
+    if (!gameState.playersAlive || gameState.playersAlive.length === 0 || scene.gameEnded) {
+        warn('🚫 Cannot change weapon - game is not in progress');
+        return false;
+    }
+
+    if (gameState.hasPlayerFiredThisTurn) {
+        warn('🚫 Cannot change weapon - player has already fired this turn');
+        return false;
+    }
+
+    if (gameState.teleportMode) {
+        warn('🚫 Cannot change weapon - player is in teleport mode');
+        return false;
+    }
+
+    if (isAutomatedTurn(gameState)) {
+        warn('🚫 Cannot change weapon - the turn is being played automatically');
+        return false;
+    }
+
+    const playerKey = getCurrentPlayerKey(gameState);
+    cycleSelectedWeapon(gameState, playerKey, direction);
+
+    updateGameUI(scene, gameState, { updateEnvironment: true, updatePlayers: false, updateTeleport: true });
+    return true;
+}
+
 /**
  * Check if the game is currently in teleport mode
  * @param {Object} gameState - Game state object
@@ -544,11 +793,36 @@ function handleTeleportBaseSelected(gameState, scene, selection) {
     currentTurret.x = newX;
     currentTurret.y = newY;
     
-    // Update chunk index in game state
+    // Update chunk index in game state and on the turret (used by support checks)
     gameState[currentPlayerKey].chunkIndex = selection.chunkIndex;
+    currentTurret.chunkIndex = selection.chunkIndex;
     
     info(`✅ Turret moved to (${newX}, ${newY}) - Chunk index updated to ${selection.chunkIndex}`);
+    recordReplayTurn(scene, { action: 'teleport', chunk: selection.chunkIndex });
+    recordTeleport(gameState, currentPlayerKey);
     
     // Complete the teleport (this ends the turn)
     completeTeleport(gameState, scene);
 }
+
+/**
+ * Teleport the current player's turret straight to a chunk, skipping the selection UI
+ * (used to play back recorded teleports). Ends the turn like a normal teleport.
+ * @param {Object} gameState - Game state object
+ * @param {Scene} scene - Scene object with landscape data and turrets
+ * @param {number} chunkIndex - Chunk to teleport to
+ * @returns {boolean} True if the teleport was started
+ */
+export function teleportToChunk(gameState, scene, chunkIndex) {
+    const chunk = scene.landscapeData?.chunks?.[chunkIndex];
+    if (!chunk || chunk.destroyed) {
+        error(`❌ Cannot teleport to chunk ${chunkIndex} - no such chunk`);
+        return false;
+    }
+    gameState.teleportMode = true;
+    gameState.teleportPlayerNum = getCurrentPlayer(gameState);
+    const position = getTurretPositionForChunk(chunk);
+    // Same base position the selection UI reports (handleTeleportBaseSelected takes the 20px back off)
+    handleTeleportBaseSelected(gameState, scene, { chunkIndex, basePosition: { x: position.x, y: position.y + 20 } });
+    return true;
+}
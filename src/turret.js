@@ -4,6 +4,7 @@
 import { getTeamColorHex } from './constants.js';
 import { info, trace, warn } from './logger.js';
 import { getTurretPositionForChunk } from './chunkBaseHelpers.js';
+import { random } from './random.js';
 
 /**
  * Create a gun turret with interactive aiming capabilities
@@ -429,7 +430,7 @@ export function placeTurretsOnChunks(scene, chunks, playerData = []) {
         turret.playerData = player;
         // Store the supporting chunk index directly for simplified falling/support logic
         turret.chunkIndex = idx;
-        const randomAngle = -180 + Math.random() * 180;
+        const randomAngle = -180 + random('effects') * 180;
         turret.setGunAngle(randomAngle);
         player.turret = turret;
         turrets.push(turret);
@@ -81,6 +81,24 @@ export function createAimingInstructionsPanel(scene) {
         {
             text: ''
         },
+        {
+            text: 'Click "Q" button or press "Q" key',
+            touchText: 'Tap "Q" button',
+            style: {
+                fontSize: '0.9rem',
+                color: '#ffaa00'
+            }
+        },
+        {
+            text: 'to change rocket type before firing.',
+            style: {
+                fontSize: '0.9rem',
+                color: '#ffaa00'
+            }
+        },
+        {
+            text: ''
+        },
         {
             text: 'Click or press any key to continue.',
             touchText: 'Tap to continue.',
@@ -3,13 +3,15 @@
 
 import { createBasePanel, addPanelText, addPanelButton, positionPanel } from './panelFactory.js';
 import { info } from '../logger.js';
-import { getCurrentPlayer } from '../turnManager.js';
+import { getCurrentPlayer, getCurrentPlayerKey, isAutomatedTurn, isSuddenDeath } from '../turnManager.js';
+import { getSelectedWeapon, getAmmoCount } from '../weapons.js';
+import { getSideHillPoints } from '../hill.js';
 
 /**
  * Create a floating environment panel showing wind and gravity
  * @param {Phaser.Scene} scene - The Phaser scene
  * @param {Object} gameState - Game state object containing wind and gravity data
- * @returns {Phaser.GameObjects.Container & {updateDisplay: Function, updateTimer: Function, textElements: Object, teleportButton: Object, updateTeleportButton: Function}}
+ * @returns {Phaser.GameObjects.Container & {updateDisplay: Function, updateTimer: Function, textElements: Object, teleportButton: Object, weaponButton: Object, updateTeleportButton: Function}}
  */
 export function createEnvironmentPanel(scene, gameState) {
     // Create base panel
@@ -19,7 +21,7 @@ export function createEnvironmentPanel(scene, gameState) {
     const textItems = [
         {
             key: 'title',
-            text: `ROUND ${gameState.currentRound}/${gameState.maxRounds}`,
+            text: formatRoundText(gameState),
             style: {
                 fontSize: '1rem',
                 color: '#00ff00',
@@ -51,12 +53,32 @@ export function createEnvironmentPanel(scene, gameState) {
                 color: '#ffff00'
             }
             // Removed custom Y position - let auto-layout handle it
+        },
+        {
+            key: 'weapon',
+            text: formatWeaponText(gameState),
+            style: {
+                fontSize: '1rem',
+                color: '#ffaa00'
+            }
         }
     ];
     
+    // King of the hill adds each side's hill points
+    if (gameState.hill) {
+        textItems.push({
+            key: 'hill',
+            text: formatHillText(gameState),
+            style: {
+                fontSize: '1rem',
+                color: '#ffd700'
+            }
+        });
+    }
+    
     // Add text elements and auto-size panel
     const textElements = addPanelText(scene, panel, textItems, {
-        minWidth: 150,
+        minWidth: 170,
         maxWidth: 210
     });
     
@@ -94,8 +116,23 @@ export function createEnvironmentPanel(scene, gameState) {
         }
     });
     
-    // Store button reference
+    // Weapon button sits below the teleport button and cycles the selected rocket
+    const weaponButton = addPanelButton(scene, panel, {
+        x: buttonX,
+        y: buttonY + buttonSize + 6,
+        width: buttonSize,
+        height: buttonSize,
+        text: 'Q',
+        onClick: () => {
+            if (/** @type {any} */ (scene).changeWeapon) {
+                /** @type {any} */ (scene).changeWeapon(1);
+            }
+        }
+    });
+    
+    // Store button references
     /** @type {any} */ (panel).teleportButton = teleportButton;
+    /** @type {any} */ (panel).weaponButton = weaponButton;
     
     // Store text elements reference
     /** @type {any} */ (panel).textElements = textElements;
@@ -106,6 +143,8 @@ export function createEnvironmentPanel(scene, gameState) {
         maxRounds: null,
         windCurrent: null,
         gravity: null,
+        weaponText: null,
+        hillText: null,
         lastTimerValue: null
     };
     
@@ -117,7 +156,8 @@ export function createEnvironmentPanel(scene, gameState) {
         
         // Only update round if it changed
         if (lastValues.round !== gameState.currentRound || lastValues.maxRounds !== gameState.maxRounds) {
-            elements.title.setText(`ROUND ${gameState.currentRound}/${gameState.maxRounds}`);
+            elements.title.setText(formatRoundText(gameState));
+            elements.title.setColor(isSuddenDeath(gameState) ? '#ff4444' : '#00ff00');
             lastValues.round = gameState.currentRound;
             lastValues.maxRounds = gameState.maxRounds;
         }
@@ -136,6 +176,22 @@ export function createEnvironmentPanel(scene, gameState) {
             lastValues.gravity = gameState.gravity;
         }
         
+        // Only update selected weapon if it changed (also changes when the turn passes)
+        const weaponText = formatWeaponText(gameState);
+        if (lastValues.weaponText !== weaponText) {
+            elements.weapon.setText(weaponText);
+            lastValues.weaponText = weaponText;
+        }
+        
+        // Only update hill points if they changed (king of the hill only)
+        if (elements.hill) {
+            const hillText = formatHillText(gameState);
+            if (lastValues.hillText !== hillText) {
+                elements.hill.setText(hillText);
+                lastValues.hillText = hillText;
+            }
+        }
+        
         // Update timer display (this changes frequently so always update)
         if (gameState.turnTimeLimit > 0) {
             if (gameState.turnStartTime) {
@@ -205,7 +261,7 @@ export function createEnvironmentPanel(scene, gameState) {
         }
     };
     
-    // Method to update teleport button state
+    // Method to update teleport (and weapon) button state
     /** @type {any} */ (panel).updateTeleportButton = function(gameState, scene) {
         const self = /** @type {any} */ (this);
         const button = self.teleportButton;
@@ -216,6 +272,7 @@ export function createEnvironmentPanel(scene, gameState) {
                              gameState.playersAlive.length === 0 || 
                              !scene.turrets ||
                              scene.currentPlayerTurret || // Player is aiming
+                             isAutomatedTurn(gameState) || // CPU player's turn or a replay
                              scene.gameEnded || // Game has ended
                              (scene.projectiles && scene.projectiles.length > 0) || // Projectiles in flight
                              (scene.cameraControls && scene.cameraControls.followingProjectile); // Camera following projectile
@@ -224,11 +281,51 @@ export function createEnvironmentPanel(scene, gameState) {
         
         button.setDisabled(shouldDisable);
         button.draw(false, shouldDisable, teleportMode);
+        
+        // Weapon can be changed while aiming, but not once fired or while teleporting
+        const weaponDisabled = !gameState ||
+                               !gameState.playersAlive ||
+                               gameState.playersAlive.length === 0 ||
+                               scene.gameEnded ||
+                               gameState.hasPlayerFiredThisTurn ||
+                               isAutomatedTurn(gameState) ||
+                               teleportMode;
+        self.weaponButton.setDisabled(weaponDisabled);
     };
     
     return /** @type {any} */ (panel);
 }
 
+/**
+ * Format the round line (sudden death replaces the round count once the rounds run out)
+ * @param {Object} gameState - Game state object
+ * @returns {string} Round line text
+ */
+function formatRoundText(gameState) {
+    return isSuddenDeath(gameState) ? 'SUDDEN DEATH' : `ROUND ${gameState.currentRound}/${gameState.maxRounds}`;
+}
+
+/**
+ * Format the hill line: each side's hill points in player (or team) order, and the target
+ * @param {Object} gameState - Game state object (with hill)
+ * @returns {string} Hill line text
+ */
+function formatHillText(gameState) {
+    return `Hill: ${getSideHillPoints(gameState).join('-')} (to ${gameState.hill.target})`;
+}
+
+/**
+ * Format the current player's selected rocket, with remaining stock for limited rockets
+ * @param {Object} gameState - Game state object
+ * @returns {string} Weapon line text
+ */
+function formatWeaponText(gameState) {
+    const playerKey = getCurrentPlayerKey(gameState);
+    const weapon = getSelectedWeapon(gameState, playerKey);
+    const stock = weapon.limited ? ` ×${getAmmoCount(gameState, playerKey, weapon.id)}` : '';
+    return `Rocket: ${weapon.name}${stock}`;
+}
+
 /**
  * Position environment panel at top-left of viewport
  * @param {Phaser.GameObjects.Container} panel - The environment panel
@@ -5,6 +5,10 @@ export { createBasePanel, addPanelText, positionPanel, setupPanelInputDismissal
 export { createEnvironmentPanel, positionEnvironmentPanel } from './environmentPanel.js';
 export { createPlayerStatsPanel, positionPlayerStatsPanel } from './playerStatsPanel.js';
 export { createResultsPanel, positionResultsPanel, setupResultsPanelRestart } from './resultsPanel.js';
+export { createMatchStatsPanel, positionMatchStatsPanel } from './matchStatsPanel.js';
+export { createReplayControlsPanel, positionReplayControlsPanel } from './replayControlsPanel.js';
+export { createOnlineStatusPanel, positionOnlineStatusPanel } from './onlineStatusPanel.js';
+export { createTurnExportPanel, positionTurnExportPanel } from './turnExportPanel.js';
 export { createBaseSelectionPanel, positionBaseSelectionPanel, hideBaseSelectionPanel, showBaseSelectionPanel } from './baseSelectionPanel.js';
 export { 
     createAimingInstructionsPanel, 
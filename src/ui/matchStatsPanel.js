@@ -0,0 +1,141 @@
+// matchStatsPanel.js
+// Post-match statistics, one tab per player, opened from the results panel
+
+import { createBasePanel, addPanelText, addPanelButton, positionPanel } from './panelFactory.js';
+import { getMatchStats } from '../matchStats.js';
+import { getTeamColorCSS } from '../constants.js';
+
+const PANEL_WIDTH = 300;
+const TAB_HEIGHT = 24;
+const TAB_GAP = 6;
+
+/**
+ * Create the match statistics panel
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {Object} gameState - Game state object
+ * @param {Array} playerData - Player data with names
+ * @param {Function} onBack - Called when the BACK button is clicked
+ * @returns {Phaser.GameObjects.Container & {showPlayer: Function, textElements: Object}}
+ */
+export function createMatchStatsPanel(scene, gameState, playerData, onBack) {
+    const panel = createBasePanel(scene);
+    const allStats = getMatchStats(gameState);
+    const playerKeys = Object.keys(allStats);
+    const tabsY = 36;
+
+    const statLine = (key) => ({ key, text: ' ', style: { fontSize: '0.9rem', color: '#ffffff' } });
+    const textElements = addPanelText(scene, panel, [
+        {
+            key: 'title',
+            text: 'MATCH STATISTICS',
+            y: 10,
+            style: {
+                fontSize: '1.1rem',
+                color: '#00ff00',
+                fontStyle: 'bold'
+            }
+        },
+        {
+            key: 'name',
+            text: ' ',
+            style: {
+                fontSize: '1rem',
+                fontStyle: 'bold'
+            }
+        },
+        statLine('shots'),
+        statLine('hits'),
+        statLine('hitTypes'),
+        statLine('dealt'),
+        statLine('taken'),
+        statLine('self'),
+        statLine('teleports'),
+        statLine('longest'),
+        statLine('biggest'),
+        // Team play only: damage and kills against your own teammates
+        ...(/** @type {any} */ (gameState).alliances ? [statLine('friendly')] : [])
+    ], {
+        startY: tabsY + TAB_HEIGHT + 10,
+        lineHeight: 20,
+        minWidth: PANEL_WIDTH,
+        maxWidth: PANEL_WIDTH
+    });
+
+    const panelAny = /** @type {any} */ (panel);
+    const names = playerKeys.map((playerKey, index) => {
+        const player = playerData && playerData[index];
+        return (player && player.name ? player.name : `PLAYER ${index + 1}`).toUpperCase();
+    });
+
+    // One tab per player along the top
+    const tabWidth = (PANEL_WIDTH - 20 - TAB_GAP * (playerKeys.length - 1)) / playerKeys.length;
+    const tabs = playerKeys.map((playerKey, index) => addPanelButton(scene, panel, {
+        x: 10 + index * (tabWidth + TAB_GAP),
+        y: tabsY,
+        width: tabWidth,
+        height: TAB_HEIGHT,
+        text: names[index].slice(0, 9),
+        fontSize: 11,
+        onClick: () => panelAny.showPlayer(index)
+    }));
+
+    const backY = panelAny.panelHeight;
+    addPanelButton(scene, panel, {
+        x: 10,
+        y: backY,
+        width: PANEL_WIDTH - 20,
+        height: 26,
+        text: 'BACK TO RESULTS',
+        fontSize: 12,
+        onClick: onBack
+    });
+    panel.updateSize(PANEL_WIDTH, backY + 26 + 10);
+
+    // Soak up clicks on the panel itself so a missed tab doesn't restart the game
+    const blocker = scene.add.zone(PANEL_WIDTH / 2, panelAny.panelHeight / 2, PANEL_WIDTH, panelAny.panelHeight);
+    blocker.setInteractive();
+    blocker.on('pointerdown', (pointer, localX, localY, event) => event.stopPropagation());
+    panel.add(blocker);
+    panel.sendToBack(blocker);
+
+    panelAny.textElements = textElements;
+
+    /**
+     * Show one player's statistics
+     * @param {number} index - Index of the player (0 = player1)
+     */
+    panelAny.showPlayer = function(index) {
+        const playerKey = playerKeys[index];
+        const stats = allStats[playerKey];
+        tabs.forEach((tab, tabIndex) => tab.draw(false, false, tabIndex === index));
+
+        textElements.name.setText(names[index]);
+        textElements.name.setColor(getTeamColorCSS(playerKey));
+        textElements.shots.setText(`Shots fired: ${stats.shotsFired}`);
+        textElements.hits.setText(`Hits: ${stats.hits} (${stats.accuracy}% accuracy)`);
+        textElements.hitTypes.setText(`Direct / blast hits: ${stats.directHits} / ${stats.areaHits}`);
+        textElements.dealt.setText(`Damage dealt: ${stats.damageDealt}`);
+        textElements.taken.setText(`Damage taken: ${stats.damageTaken}`);
+        textElements.self.setText(`Self-damage: ${stats.selfDamage}`);
+        textElements.teleports.setText(`Teleports: ${stats.teleports}`);
+        textElements.longest.setText(`Longest hit: ${stats.longestHit > 0 ? `${stats.longestHit}px` : '-'}`);
+        textElements.biggest.setText(`Biggest hit: ${stats.biggestHit > 0 ? `${stats.biggestHit} damage` : '-'}`);
+        if (textElements.friendly) {
+            textElements.friendly.setText(`Friendly fire: ${stats.damageToAllies} (${stats.teamKills} team kills)`);
+        }
+    };
+    panelAny.showPlayer(0);
+
+    panel.setDepth(1001);
+    return /** @type {any} */ (panel);
+}
+
+/**
+ * Position the match statistics panel at the centre of the viewport
+ * @param {Phaser.GameObjects.Container} panel - The match statistics panel
+ * @param {number} viewportWidth - Viewport width
+ * @param {number} viewportHeight - Viewport height
+ */
+export function positionMatchStatsPanel(panel, viewportWidth, viewportHeight) {
+    positionPanel(panel, 'center', viewportWidth, viewportHeight);
+}
@@ -0,0 +1,63 @@
+// onlineStatusPanel.js
+// Online match status: room code, whose device the game is waiting on, and sync problems
+
+import { createBasePanel, addPanelText, positionPanel } from './panelFactory.js';
+
+/**
+ * Create the online status panel
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {string} roomCode - Room code other players join with
+ * @returns {Phaser.GameObjects.Container & {updateDisplay: Function, textElements: Object}}
+ */
+export function createOnlineStatusPanel(scene, roomCode) {
+    const panel = createBasePanel(scene);
+
+    const textElements = addPanelText(scene, panel, [
+        {
+            key: 'title',
+            text: `ONLINE - ROOM ${roomCode}`,
+            style: {
+                fontSize: '1rem',
+                color: '#00ff00',
+                fontStyle: 'bold'
+            }
+        },
+        {
+            key: 'status',
+            text: 'Connected',
+            style: {
+                fontSize: '1rem',
+                color: '#ffffff'
+            }
+        }
+    ], {
+        minWidth: 260,
+        maxWidth: 260
+    });
+
+    const panelAny = /** @type {any} */ (panel);
+    panelAny.textElements = textElements;
+
+    /**
+     * Show a new status line
+     * @param {string} status - Status text
+     * @param {boolean} [isProblem=false] - True to highlight a problem (out of sync, disconnected)
+     */
+    panelAny.updateDisplay = function(status, isProblem = false) {
+        textElements.status.setText(status);
+        textElements.status.setColor(isProblem ? '#ff6666' : '#ffffff');
+    };
+
+    panel.setDepth(900);
+    return /** @type {any} */ (panel);
+}
+
+/**
+ * Position the online status panel at the bottom centre of the viewport
+ * @param {Phaser.GameObjects.Container} panel - The online status panel
+ * @param {number} viewportWidth - Viewport width
+ * @param {number} viewportHeight - Viewport height
+ */
+export function positionOnlineStatusPanel(panel, viewportWidth, viewportHeight) {
+    positionPanel(panel, 'bottom-center', viewportWidth, viewportHeight, 20);
+}
@@ -170,7 +170,7 @@ export function addPanelText(scene, panel, textItems, options = {}) {
 /**
  * Position panel at specific screen location
  * @param {Phaser.GameObjects.Container} panel - The panel to position
- * @param {string} position - Position string: 'top-left', 'top-right', 'center', 'bottom-left', 'bottom-right'
+ * @param {string} position - Position string: 'top-left', 'top-right', 'center', 'bottom-left', 'bottom-center', 'bottom-right'
  * @param {number} viewportWidth - Viewport width
  * @param {number} viewportHeight - Viewport height
  * @param {number} [padding=20] - Padding from screen edges
@@ -200,6 +200,11 @@ export function positionPanel(panel, position, viewportWidth, viewportHeight, pa
             panel.y = viewportHeight - (panelHeight + padding);
             break;
             
+        case 'bottom-center':
+            panel.x = (viewportWidth - panelWidth) / 2;
+            panel.y = viewportHeight - (panelHeight + padding);
+            break;
+            
         case 'bottom-right':
             panel.x = viewportWidth - (panelWidth + padding);
             panel.y = viewportHeight - (panelHeight + padding);
@@ -1,8 +1,12 @@
 // playerStatsPanel.js
-// Player statistics panel showing health and highlighting active player
+// Player statistics panel showing health, running score and highlighting active player
+// (in team play, each player's section is tinted with their alliance's colour)
 
 import { createBasePanel, positionPanel } from './panelFactory.js';
 import { getTeamColorCSS } from '../constants.js';
+import { WEAPON_ORDER, getWeapon, getAmmoCount } from '../weapons.js';
+import { getScores } from '../scoring.js';
+import { ALLIANCES, getAllianceIndex } from '../alliances.js';
 
 /**
  * Create a floating player stats panel showing all player information
@@ -17,10 +21,10 @@ export function createPlayerStatsPanel(scene, gameState, playerData = null) {
     
     // Calculate panel dimensions
     const numPlayers = gameState.numPlayers || 2;
-    const playerHeight = 40;
+    const playerHeight = 58;
     const padding = 10;
     const totalHeight = (numPlayers * playerHeight) + (padding * 2);
-    const panelWidth = 160;
+    const panelWidth = 180;
     
     // Update panel size
     const panelAny = /** @type {any} */ (panel);
@@ -34,6 +38,17 @@ export function createPlayerStatsPanel(scene, gameState, playerData = null) {
         const playerKey = `player${i}`;
         const playerColor = getTeamColorCSS(playerKey);
         
+        // Tint teammates' sections with their alliance's colour, with a solid stripe down the left edge
+        const alliance = getAllianceIndex(gameState, i);
+        if (alliance !== null) {
+            const allianceColor = ALLIANCES[alliance].hex;
+            const tint = scene.add.rectangle(padding / 2, yOffset - 3, panelWidth - padding, playerHeight - 4, allianceColor, 0.2);
+            const stripe = scene.add.rectangle(padding / 2, yOffset - 3, 3, playerHeight - 4, allianceColor, 1);
+            tint.setOrigin(0, 0);
+            stripe.setOrigin(0, 0);
+            panel.add([tint, stripe]);
+        }
+        
         // Use player name from playerData if available, otherwise default
         let playerName = `PLAYER ${i}`;
         if (playerData && playerData[i - 1] && playerData[i - 1].name) {
@@ -51,13 +66,27 @@ export function createPlayerStatsPanel(scene, gameState, playerData = null) {
             color: '#ffffff'
         });
 
+        const playerAmmo = scene.add.text(padding, yOffset + 36, '', {
+            fontSize: '0.8rem',
+            color: '#ffaa00'
+        });
+
+        // Running score, right-aligned on the health line
+        const playerScore = scene.add.text(panelWidth - padding, yOffset + 20, '', {
+            fontSize: '0.8rem',
+            color: '#ffffff'
+        });
+        playerScore.setOrigin(1, 0);
+
         playerElements.push({
             playerKey,
             title: playerTitle,
-            health: playerHealth
+            health: playerHealth,
+            ammo: playerAmmo,
+            score: playerScore
         });
 
-        panel.add([playerTitle, playerHealth]);
+        panel.add([playerTitle, playerHealth, playerAmmo, playerScore]);
     }
     
     panelAny.playerElements = playerElements;
@@ -73,6 +102,7 @@ export function createPlayerStatsPanel(scene, gameState, playerData = null) {
         }
         
         // Update all player stats
+        const scores = getScores(gameState);
         self.playerElements.forEach(playerElement => {
             const player = gameState[playerElement.playerKey];
             if (player) {
@@ -80,6 +110,8 @@ export function createPlayerStatsPanel(scene, gameState, playerData = null) {
                 const isActivePlayer = currentActivePlayer === playerNum;
                 
                 playerElement.health.setText(`Health: ${player.health}%`);
+                playerElement.ammo.setText(formatAmmo(gameState, playerElement.playerKey));
+                playerElement.score.setText(`${scores[playerElement.playerKey].total} pts`);
                 
                 // Highlight active player by adjusting text styles
                 if (isActivePlayer) {
@@ -111,6 +143,8 @@ export function createPlayerStatsPanel(scene, gameState, playerData = null) {
                 // Set alpha for overall dimming effect
                 playerElement.title.setAlpha(isActivePlayer ? 1.0 : 0.6);
                 playerElement.health.setAlpha(isActivePlayer ? 1.0 : 0.6);
+                playerElement.ammo.setAlpha(isActivePlayer ? 1.0 : 0.6);
+                playerElement.score.setAlpha(isActivePlayer ? 1.0 : 0.6);
             }
         });
     };
@@ -118,6 +152,19 @@ export function createPlayerStatsPanel(scene, gameState, playerData = null) {
     return panelAny;
 }
 
+/**
+ * Format a player's remaining special rockets as a compact line (e.g. "HVY×3")
+ * @param {Object} gameState - Game state object
+ * @param {string} playerKey - Player key ('player1', 'player2', etc.)
+ * @returns {string} Ammo summary text
+ */
+function formatAmmo(gameState, playerKey) {
+    return WEAPON_ORDER
+        .filter(weaponId => getWeapon(weaponId).limited)
+        .map(weaponId => `${getWeapon(weaponId).shortName}×${getAmmoCount(gameState, playerKey, weaponId)}`)
+        .join(' ');
+}
+
 /**
  * Position player stats panel at top-right of viewport
  * @param {Phaser.GameObjects.Container} panel - The player stats panel
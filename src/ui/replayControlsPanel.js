@@ -0,0 +1,102 @@
+// replayControlsPanel.js
+// Replay viewer controls: restart, previous/next turn, play/pause and speed
+
+import { createBasePanel, addPanelText, addPanelButton, positionPanel } from './panelFactory.js';
+
+/**
+ * Create the replay controls panel
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {{onRestart: Function, onPrevious: Function, onTogglePlay: Function, onNext: Function, onSpeed: Function}} handlers - Button actions
+ * @returns {Phaser.GameObjects.Container & {updateDisplay: Function, textElements: Object, buttons: Object}}
+ */
+export function createReplayControlsPanel(scene, handlers) {
+    const panel = createBasePanel(scene);
+
+    const buttonWidth = 36;
+    const buttonHeight = 24;
+    const buttonGap = 6;
+    const rowWidth = 5 * buttonWidth + 4 * buttonGap;
+
+    const textElements = addPanelText(scene, panel, [
+        {
+            key: 'title',
+            text: 'REPLAY',
+            style: {
+                fontSize: '1rem',
+                color: '#00ff00',
+                fontStyle: 'bold'
+            }
+        },
+        {
+            key: 'status',
+            text: 'Turn -/-',
+            style: {
+                fontSize: '1rem',
+                color: '#ffffff'
+            }
+        }
+    ], {
+        minWidth: rowWidth + 20,
+        maxWidth: rowWidth + 20
+    });
+
+    // One row of buttons under the text
+    const panelAny = /** @type {any} */ (panel);
+    const rowY = panelAny.panelHeight;
+    const buttonConfigs = [
+        { key: 'restart', text: '|<', onClick: handlers.onRestart },
+        { key: 'previous', text: '<<', onClick: handlers.onPrevious },
+        { key: 'play', text: '||', onClick: handlers.onTogglePlay },
+        { key: 'next', text: '>>', onClick: handlers.onNext },
+        { key: 'speed', text: '1x', onClick: handlers.onSpeed }
+    ];
+    const buttons = {};
+    buttonConfigs.forEach((config, index) => {
+        buttons[config.key] = addPanelButton(scene, panel, {
+            x: 10 + index * (buttonWidth + buttonGap),
+            y: rowY,
+            width: buttonWidth,
+            height: buttonHeight,
+            text: config.text,
+            onClick: config.onClick,
+            fontSize: 12
+        });
+    });
+    panel.updateSize(panelAny.panelWidth, rowY + buttonHeight + 10);
+
+    panelAny.textElements = textElements;
+    panelAny.buttons = buttons;
+
+    /**
+     * Refresh the turn counter and button labels from the viewer state
+     * @param {import('../replayPlayer.js').ReplayViewer} viewer - Replay viewer state
+     */
+    panelAny.updateDisplay = function(viewer) {
+        const total = viewer.log.turns.length;
+        const turn = Math.min(viewer.turnIndex + 1, total);
+        let status = `Turn ${turn}/${total}  ${viewer.speed}x`;
+        if (viewer.status === 'desync') {
+            status = `Out of sync at turn ${turn}`;
+        } else if (viewer.targetTurn !== null) {
+            status = `Skipping to turn ${viewer.targetTurn + 1}...`;
+        } else if (viewer.status === 'finished') {
+            status = `End of replay (${total} turns)`;
+        }
+        textElements.status.setText(status);
+        buttons.play.text.setText(viewer.playing ? '||' : '>');
+        buttons.speed.text.setText(`${viewer.speed}x`);
+    };
+
+    panel.setDepth(900);
+    return /** @type {any} */ (panel);
+}
+
+/**
+ * Position replay controls at the bottom centre of the viewport
+ * @param {Phaser.GameObjects.Container} panel - The replay controls panel
+ * @param {number} viewportWidth - Viewport width
+ * @param {number} viewportHeight - Viewport height
+ */
+export function positionReplayControlsPanel(panel, viewportWidth, viewportHeight) {
+    positionPanel(panel, 'bottom-center', viewportWidth, viewportHeight, 20);
+}
@@ -1,10 +1,13 @@
 // resultsPanel.js
 // Game results panel for end-of-game display
 
-import { createBasePanel, addPanelText, positionPanel, setupPanelInputDismissal } from './panelFactory.js';
+import { createBasePanel, addPanelText, addPanelButton, positionPanel, setupPanelInputDismissal } from './panelFactory.js';
 import { info } from '../logger.js';
+import { saveReplayFile } from '../replay.js';
 import { getRankedPlayers } from '../turnManager.js';
 import { getTeamColorCSS } from '../constants.js';
+import { ALLIANCES } from '../alliances.js';
+import { createMatchStatsPanel, positionMatchStatsPanel } from './matchStatsPanel.js';
 
 /**
  * Create a floating results panel showing final game results
@@ -14,8 +17,9 @@ import { getTeamColorCSS } from '../constants.js';
  * @returns {Phaser.GameObjects.Container & {updateDisplay: Function, textElements: Object}}
  */
 export function createResultsPanel(scene, gameState, playerData = null) {
-    // Calculate ranked players (alive > killed, then by health)
+    // Calculate ranked players (by hill points in king of the hill, then score, then health if that tiebreak is on; by alliance first in team play)
     const rankedPlayers = getRankedPlayers(gameState, playerData);
+    const ratingChanges = /** @type {any} */ (scene).ratingChanges || {};
     
     // Define text content starting with title
     const textItems = [
@@ -29,47 +33,86 @@ export function createResultsPanel(scene, gameState, playerData = null) {
         }
     ];
     
-    // Add each player to the results
+    // Add each player to the results (in team play, under a heading for their alliance)
     rankedPlayers.forEach((player, index) => {
-        const position = index + 1;
-        
-        // Count how many alive players there are
-        const alivePlayers = rankedPlayers.filter(p => p.isAlive);
-        const aliveCount = alivePlayers.length;
+        const position = player.place;
+        const playerName = player.name || `PLAYER ${player.number}`;
+        const teamKills = player.teamKills > 0 ? ` ${player.teamKills}TK` : '';
+        const hillPoints = gameState.hill ? `${player.hillPoints} hill, ` : ''; // King of the hill is won on hill points
+        const details = `${hillPoints}${player.score} pts (${player.health}%, ${player.kills}K ${player.assists}A${teamKills})`;
         
-        // Determine trophy/status icon based on position
-        let statusIcon;
-        if (!player.isAlive) {
-            statusIcon = '💀';
+        if (player.alliance !== null) {
+            if (index === 0 || rankedPlayers[index - 1].alliance !== player.alliance) {
+                const alliance = ALLIANCES[player.alliance];
+                const teamHillPoints = gameState.hill ? `${player.teamHillPoints} hill, ` : '';
+                textItems.push({
+                    text: `${position}. ${position === 1 ? '🏆' : '🥈'} ${alliance.name.toUpperCase()} - ${teamHillPoints}${player.teamScore} pts`,
+                    style: {
+                        fontSize: '1rem',
+                        color: alliance.css,
+                        fontStyle: position === 1 ? 'bold' : 'normal'
+                    }
+                });
+            }
+            textItems.push({
+                text: `   ${player.isAlive ? '🎯' : '💀'} ${playerName} - ${details}`,
+                style: {
+                    fontSize: '0.9rem',
+                    color: getTeamColorCSS(`player${player.number}`),
+                    fontStyle: 'normal'
+                }
+            });
         } else {
-            // Find position among alive players only
-            const alivePosition = alivePlayers.findIndex(p => p.number === player.number) + 1;
-            
-            // Assign trophies based on position among alive players
-            if (alivePosition === 1) {
+            // Determine trophy/status icon: the top scorer wins even if destroyed; other destroyed players get a skull
+            let statusIcon;
+            if (position === 1) {
                 statusIcon = '🏆';
-            } else if (alivePosition === 2) {
+            } else if (!player.isAlive) {
+                statusIcon = '💀';
+            } else if (position === 2) {
                 statusIcon = '🥈';
-            } else if (alivePosition === 3) {
+            } else if (position === 3) {
                 statusIcon = '🥉';
-            } else if (alivePosition === aliveCount && aliveCount > 1) {
-                // Wooden spoon for lowest-ranked alive player (if more than 1 alive and not first)
+            } else if (position === rankedPlayers.length) {
+                // Wooden spoon for the lowest-ranked survivor
                 statusIcon = '🥄';
             } else {
                 statusIcon = '🏅'; // Generic medal for other positions
             }
+            
+            textItems.push({
+                text: `${position}. ${statusIcon} ${playerName} - ${details}`,
+                style: {
+                    fontSize: '1rem',
+                    color: getTeamColorCSS(`player${player.number}`), // Always use team color for text
+                    fontStyle: position === 1 ? 'bold' : 'normal'
+                }
+            });
         }
         
-        const playerName = player.name || `PLAYER ${player.number}`;
-        
-        textItems.push({
-            text: `${position}. ${statusIcon} ${playerName} (${player.health}%)`,
-            style: {
-                fontSize: '1rem',
-                color: getTeamColorCSS(`player${player.number}`), // Always use team color for text
-                fontStyle: position === 1 ? 'bold' : 'normal'
-            }
-        });
+        // Rating change for players with a profile
+        const ratingChange = ratingChanges[`player${player.number}`];
+        if (ratingChange) {
+            const sign = ratingChange.change >= 0 ? '+' : '';
+            textItems.push({
+                text: `   Rating ${ratingChange.rating} (${sign}${ratingChange.change})`,
+                style: {
+                    fontSize: '0.8rem',
+                    color: '#cccccc',
+                    fontStyle: 'normal'
+                }
+            });
+        }
+    });
+    
+    // Show the match seed so the same landscape and wind can be replayed
+    textItems.push({
+        text: `Seed: ${gameState.seed}`,
+        style: {
+            fontSize: '0.9rem',
+            color: '#cccccc',
+            fontStyle: 'normal'
+        }
     });
     
     // Add restart instruction
@@ -101,6 +144,13 @@ export function createResultsPanel(scene, gameState, playerData = null) {
         lineHeight: 22
     });
     
+    // Statistics and replay buttons (they stop the click reaching the restart handler)
+    addStatsButton(scene, panel, gameState, playerData);
+    const replayLog = /** @type {any} */ (scene).replayLog;
+    if (replayLog) {
+        addReplayButtons(scene, panel, replayLog);
+    }
+    
     // Position panel at center
     positionPanel(panel, 'center', scene.cameras.main.width, scene.cameras.main.height);
     
@@ -111,6 +161,78 @@ export function createResultsPanel(scene, gameState, playerData = null) {
     return /** @type {any} */ (panel);
 }
 
+/**
+ * Add a "Match Stats" button that swaps the results panel for the statistics panel
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {Phaser.GameObjects.Container} panel - The results panel
+ * @param {Object} gameState - Game state object
+ * @param {Array} playerData - Player data with names
+ */
+function addStatsButton(scene, panel, gameState, playerData) {
+    const panelAny = /** @type {any} */ (panel);
+    const sceneAny = /** @type {any} */ (scene);
+    const buttonHeight = 26;
+    const buttonY = panelAny.panelHeight;
+    
+    addPanelButton(scene, panel, {
+        x: 10,
+        y: buttonY,
+        width: panelAny.panelWidth - 20,
+        height: buttonHeight,
+        text: 'MATCH STATS',
+        fontSize: 12,
+        onClick: () => {
+            info('📊 Match statistics requested from results panel');
+            panel.setVisible(false);
+            sceneAny.matchStatsPanel = createMatchStatsPanel(scene, gameState, playerData, () => {
+                sceneAny.matchStatsPanel.destroy();
+                sceneAny.matchStatsPanel = null;
+                panel.setVisible(true);
+            });
+            positionMatchStatsPanel(sceneAny.matchStatsPanel, scene.cameras.main.width, scene.cameras.main.height);
+        }
+    });
+    
+    panelAny.updateSize(panelAny.panelWidth, buttonY + buttonHeight + 10);
+}
+
+/**
+ * Add "Watch Replay" and "Save Replay" buttons along the bottom of the results panel
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {Phaser.GameObjects.Container} panel - The results panel
+ * @param {import('../replay.js').ReplayLog} replayLog - Log of the match just played (or watched)
+ */
+function addReplayButtons(scene, panel, replayLog) {
+    const panelAny = /** @type {any} */ (panel);
+    const buttonHeight = 26;
+    const buttonWidth = (panelAny.panelWidth - 30) / 2;
+    const buttonY = panelAny.panelHeight;
+    
+    addPanelButton(scene, panel, {
+        x: 10,
+        y: buttonY,
+        width: buttonWidth,
+        height: buttonHeight,
+        text: 'WATCH REPLAY',
+        fontSize: 12,
+        onClick: () => {
+            info('🎬 Watch replay requested from results panel');
+            window.dispatchEvent(new window.CustomEvent('rocketwars:watch-replay', { detail: { log: replayLog } }));
+        }
+    });
+    addPanelButton(scene, panel, {
+        x: 20 + buttonWidth,
+        y: buttonY,
+        width: buttonWidth,
+        height: buttonHeight,
+        text: 'SAVE REPLAY',
+        fontSize: 12,
+        onClick: () => saveReplayFile(replayLog)
+    });
+    
+    panelAny.updateSize(panelAny.panelWidth, buttonY + buttonHeight + 10);
+}
+
 /**
  * Setup restart functionality for the results panel using the reusable utility
  * @param {Phaser.Scene} scene - The Phaser scene
@@ -0,0 +1,93 @@
+// turnExportPanel.js
+// Play-by-file: shown once your move has played out, to send the turn on to the next player
+
+import { createBasePanel, addPanelText, addPanelButton, positionPanel } from './panelFactory.js';
+
+/**
+ * Create the turn export panel
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {{title?: string, message: string, onSaveFile?: Function, onCopyCode?: Function, onSetup: Function}} options - Text and button actions (a button without an action is left out)
+ * @returns {Phaser.GameObjects.Container & {showStatus: Function, textElements: Object}}
+ */
+export function createTurnExportPanel(scene, options) {
+    const panel = createBasePanel(scene);
+
+    const buttonWidth = 90;
+    const buttonHeight = 26;
+    const buttonGap = 10;
+    const rowWidth = 3 * buttonWidth + 2 * buttonGap;
+
+    const textElements = addPanelText(scene, panel, [
+        {
+            key: 'title',
+            text: options.title || 'SEND YOUR TURN',
+            style: {
+                fontSize: '1rem',
+                color: '#00ff00',
+                fontStyle: 'bold'
+            }
+        },
+        {
+            key: 'message',
+            text: options.message,
+            style: {
+                fontSize: '1rem',
+                color: '#ffffff'
+            }
+        },
+        {
+            key: 'status',
+            text: ' ',
+            style: {
+                fontSize: '0.9rem',
+                color: '#cccccc'
+            }
+        }
+    ], {
+        minWidth: rowWidth + 20,
+        maxWidth: rowWidth + 20
+    });
+
+    const panelAny = /** @type {any} */ (panel);
+    const rowY = panelAny.panelHeight;
+    const buttonConfigs = [
+        { text: 'SAVE FILE', onClick: options.onSaveFile },
+        { text: 'COPY CODE', onClick: options.onCopyCode },
+        { text: 'SETUP', onClick: options.onSetup }
+    ].filter(config => config.onClick);
+    buttonConfigs.forEach((config, index) => {
+        addPanelButton(scene, panel, {
+            x: 10 + index * (buttonWidth + buttonGap),
+            y: rowY,
+            width: buttonWidth,
+            height: buttonHeight,
+            text: config.text,
+            onClick: config.onClick,
+            fontSize: 12
+        });
+    });
+    panel.updateSize(panelAny.panelWidth, rowY + buttonHeight + 10);
+
+    panelAny.textElements = textElements;
+
+    /**
+     * Show feedback under the message (e.g. "Turn code copied")
+     * @param {string} status - Status text
+     */
+    panelAny.showStatus = function(status) {
+        textElements.status.setText(status);
+    };
+
+    panel.setDepth(1000);
+    return /** @type {any} */ (panel);
+}
+
+/**
+ * Position the turn export panel at the bottom centre of the viewport
+ * @param {Phaser.GameObjects.Container} panel - The turn export panel
+ * @param {number} viewportWidth - Viewport width
+ * @param {number} viewportHeight - Viewport height
+ */
+export function positionTurnExportPanel(panel, viewportWidth, viewportHeight) {
+    positionPanel(panel, 'bottom-center', viewportWidth, viewportHeight, 20);
+}
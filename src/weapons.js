@@ -0,0 +1,281 @@
+// weapons.js
+// Weapon registry and weapon selection helpers for Rocket Wars
+
+import { info } from './logger.js';
+
+/**
+ * Min/max pair used for values scaled by impact velocity or distance
+ * @typedef {Object} WeaponRange
+ * @property {number} min - Value at the low end of the scale
+ * @property {number} max - Value at the high end of the scale
+ */
+
+/**
+ * Weapon definition
+ * @typedef {Object} WeaponDefinition
+ * @property {string} id - Registry key
+ * @property {string} name - Display name
+ * @property {string} shortName - Compact label for tight UI spaces
+ * @property {number} color - Accent colour used for the rocket outline
+ * @property {number} radius - Projectile radius in pixels (visual and collision)
+ * @property {boolean} limited - True if players only get a limited stock of this weapon
+ * @property {{speedScale: number, gravityScale: number, windScale: number}} flight - Flight behaviour multipliers
+ * @property {{terrain: WeaponRange, turret: WeaponRange}} explosion - Explosion size ranges, scaled by impact velocity
+ * @property {{direct: WeaponRange, area: WeaponRange}} damage - Direct hit and area-of-effect damage ranges
+ * @property {string} terrainEffect - How the weapon reshapes terrain on impact ('crater', 'tunnel' or 'raise')
+ * @property {{minCount: number, maxCount: number, weaponId: string, spreadSpeed: number}} [split] - Splits into submunitions at the top of its arc
+ * @property {{height: number}} [mound] - Raises a mound up to `height` px across the terrain explosion radius instead of a crater
+ * @property {{length: number, speed: number, depth: number}} [tunnel] - Bores through terrain for `length` px at `speed` px/s, lowering each chunk passed by `depth` px
+ */
+
+/**
+ * All weapons available in the game, keyed by id.
+ * Standard matches the original single projectile so default games play the same.
+ * @type {Record<string, WeaponDefinition>}
+ */
+export const WEAPONS = {
+    standard: {
+        id: 'standard',
+        name: 'Standard',
+        shortName: 'STD',
+        color: 0xffffff,
+        radius: 3,
+        limited: false,
+        flight: { speedScale: 1, gravityScale: 1, windScale: 1 },
+        explosion: {
+            terrain: { min: 75, max: 150 },
+            turret: { min: 90, max: 180 }
+        },
+        damage: {
+            direct: { min: 20, max: 50 },
+            area: { min: 3, max: 15 }
+        },
+        terrainEffect: 'crater'
+    },
+    heavy: {
+        id: 'heavy',
+        name: 'Heavy',
+        shortName: 'HVY',
+        color: 0x333333,
+        radius: 5,
+        limited: true,
+        // Slower and heavier: drops faster but is pushed around less by the wind
+        flight: { speedScale: 0.85, gravityScale: 1.25, windScale: 0.6 },
+        explosion: {
+            terrain: { min: 110, max: 200 },
+            turret: { min: 130, max: 230 }
+        },
+        damage: {
+            direct: { min: 35, max: 70 },
+            area: { min: 8, max: 25 }
+        },
+        terrainEffect: 'crater'
+    },
+    cluster: {
+        id: 'cluster',
+        name: 'Cluster',
+        shortName: 'CLU',
+        color: 0xffdd00,
+        radius: 4,
+        limited: true,
+        flight: { speedScale: 1, gravityScale: 1, windScale: 1 },
+        // Only used if the rocket lands before reaching its apex (e.g. fired flat into a hill)
+        explosion: {
+            terrain: { min: 60, max: 110 },
+            turret: { min: 70, max: 130 }
+        },
+        damage: {
+            direct: { min: 15, max: 35 },
+            area: { min: 3, max: 10 }
+        },
+        terrainEffect: 'crater',
+        split: { minCount: 3, maxCount: 5, weaponId: 'bomblet', spreadSpeed: 140 }
+    },
+    digger: {
+        id: 'digger',
+        name: 'Digger',
+        shortName: 'DIG',
+        color: 0x00ccff,
+        radius: 3,
+        limited: true,
+        flight: { speedScale: 1, gravityScale: 1, windScale: 1 },
+        // Small blast at the end of the tunnel - the damage comes from undermining turrets
+        explosion: {
+            terrain: { min: 40, max: 60 },
+            turret: { min: 60, max: 90 }
+        },
+        damage: {
+            direct: { min: 20, max: 40 },
+            area: { min: 3, max: 10 }
+        },
+        terrainEffect: 'tunnel',
+        tunnel: { length: 240, speed: 300, depth: 35 }
+    },
+    dirt: {
+        id: 'dirt',
+        name: 'Dirt',
+        shortName: 'DRT',
+        color: 0x8b5a2b,
+        radius: 4,
+        limited: true,
+        flight: { speedScale: 1, gravityScale: 1, windScale: 1 },
+        // Explosion size doubles as the mound radius; dirt never damages turrets
+        explosion: {
+            terrain: { min: 70, max: 110 },
+            turret: { min: 70, max: 110 }
+        },
+        damage: {
+            direct: { min: 0, max: 0 },
+            area: { min: 0, max: 0 }
+        },
+        terrainEffect: 'raise',
+        mound: { height: 70 }
+    },
+    bomblet: {
+        id: 'bomblet',
+        name: 'Bomblet',
+        shortName: 'BML',
+        color: 0xffdd00,
+        radius: 2,
+        limited: false,
+        flight: { speedScale: 1, gravityScale: 1, windScale: 1 },
+        explosion: {
+            terrain: { min: 35, max: 60 },
+            turret: { min: 45, max: 75 }
+        },
+        damage: {
+            direct: { min: 10, max: 22 },
+            area: { min: 2, max: 8 }
+        },
+        terrainEffect: 'crater'
+    }
+};
+
+/** Weapon every player starts with selected */
+export const DEFAULT_WEAPON_ID = 'standard';
+
+/**
+ * Order in which weapons are offered to players when cycling
+ * (submunitions such as bomblets are never selectable)
+ * @type {string[]}
+ */
+export const WEAPON_ORDER = ['standard', 'heavy', 'cluster', 'digger', 'dirt'];
+
+/**
+ * Look up a weapon definition, falling back to the default weapon for unknown ids
+ * @param {string} [weaponId] - Weapon id
+ * @returns {WeaponDefinition} Weapon definition
+ */
+export function getWeapon(weaponId) {
+    return WEAPONS[weaponId] || WEAPONS[DEFAULT_WEAPON_ID];
+}
+
+/**
+ * Interpolate a weapon range by a 0-1 factor
+ * @param {WeaponRange} range - Range to interpolate
+ * @param {number} factor - Scale factor (0.0-1.0)
+ * @returns {number} Interpolated value
+ */
+export function scaleWeaponRange(range, factor) {
+    return range.min + (range.max - range.min) * factor;
+}
+
+/**
+ * Get the weapon currently selected by a player
+ * @param {Object} gameState - Game state object
+ * @param {string} playerKey - Player key ('player1', 'player2', etc.)
+ * @returns {WeaponDefinition} Selected weapon definition
+ */
+export function getSelectedWeapon(gameState, playerKey) {
+    const player = gameState && gameState[playerKey];
+    return getWeapon(player ? player.selectedWeapon : DEFAULT_WEAPON_ID);
+}
+
+/**
+ * Create a player's starting ammo inventory
+ * Unlimited weapons are not tracked; each limited weapon gets the same starting stock.
+ * @param {number} [stock=3] - Starting stock for each limited weapon
+ * @returns {Record<string, number>} Ammo counts keyed by weapon id
+ */
+export function createStartingAmmo(stock = 3) {
+    /** @type {Record<string, number>} */
+    const ammo = {};
+    WEAPON_ORDER.forEach(weaponId => {
+        if (WEAPONS[weaponId].limited) {
+            ammo[weaponId] = stock;
+        }
+    });
+    return ammo;
+}
+
+/**
+ * Get how many rockets of a weapon a player has left
+ * @param {Object} gameState - Game state object
+ * @param {string} playerKey - Player key ('player1', 'player2', etc.)
+ * @param {string} weaponId - Weapon id
+ * @returns {number} Remaining rockets (Infinity for unlimited weapons)
+ */
+export function getAmmoCount(gameState, playerKey, weaponId) {
+    if (!getWeapon(weaponId).limited) {
+        return Infinity;
+    }
+    const player = gameState && gameState[playerKey];
+    return (player && player.ammo && player.ammo[weaponId]) || 0;
+}
+
+/**
+ * Check whether a player can fire a weapon
+ * @param {Object} gameState - Game state object
+ * @param {string} playerKey - Player key ('player1', 'player2', etc.)
+ * @param {string} weaponId - Weapon id
+ * @returns {boolean} True if at least one rocket remains
+ */
+export function hasAmmo(gameState, playerKey, weaponId) {
+    return getAmmoCount(gameState, playerKey, weaponId) > 0;
+}
+
+/**
+ * Use up one rocket of a weapon; falls back to the default weapon when the last one is fired
+ * @param {Object} gameState - Game state object
+ * @param {string} playerKey - Player key ('player1', 'player2', etc.)
+ * @param {string} weaponId - Weapon id
+ */
+export function consumeAmmo(gameState, playerKey, weaponId) {
+    const player = gameState[playerKey];
+    if (!getWeapon(weaponId).limited || !player.ammo) {
+        return;
+    }
+
+    player.ammo[weaponId] = Math.max(0, (player.ammo[weaponId] || 0) - 1);
+    info(`🎒 ${playerKey} has ${player.ammo[weaponId]} ${getWeapon(weaponId).name} rockets left`);
+
+    if (player.ammo[weaponId] === 0 && player.selectedWeapon === weaponId) {
+        player.selectedWeapon = DEFAULT_WEAPON_ID;
+    }
+}
+
+/**
+ * Select the next (or previous) weapon for a player, skipping weapons with no ammo left
+ * @param {Object} gameState - Game state object
+ * @param {string} playerKey - Player key ('player1', 'player2', etc.)
+ * @param {number} [direction=1] - 1 for next weapon, -1 for previous
+ * @returns {WeaponDefinition} Newly selected weapon definition
+ */
+export function cycleSelectedWeapon(gameState, playerKey, direction = 1) {
+    const player = gameState[playerKey];
+    const currentIndex = Math.max(0, WEAPON_ORDER.indexOf(player.selectedWeapon));
+
+    // Walk the order until a weapon with ammo is found (the default weapon is always available)
+    let nextIndex = currentIndex;
+    for (let step = 1; step <= WEAPON_ORDER.length; step++) {
+        nextIndex = (currentIndex + direction * step + WEAPON_ORDER.length * step) % WEAPON_ORDER.length;
+        if (hasAmmo(gameState, playerKey, WEAPON_ORDER[nextIndex])) {
+            break;
+        }
+    }
+    player.selectedWeapon = WEAPON_ORDER[nextIndex];
+
+    const weapon = getWeapon(player.selectedWeapon);
+    info(`🚀 ${playerKey} selected ${weapon.name} rocket`);
+    return weapon;
+}
@@ -0,0 +1,42 @@
+// alliances.test.mjs
+// Team play helpers
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAllianceState, getAllianceIndex, areAllies, getAllyKeys, isFriendlyFireBlocked, getSides, countSurvivingSides } from '../src/alliances.js';
+
+test('teams need the option and exactly four players', () => {
+    assert.equal(createAllianceState({ teams: true, numPlayers: 3 }), null);
+    assert.equal(createAllianceState({ teams: false, numPlayers: 4 }), null);
+    assert.deepEqual(createAllianceState({ teams: true, numPlayers: 4 }), { members: [[1, 3], [2, 4]], friendlyFire: false });
+});
+
+test('players 1 and 3 play players 2 and 4', () => {
+    const gameState = { numPlayers: 4, alliances: createAllianceState({ teams: true, numPlayers: 4 }) };
+    assert.equal(getAllianceIndex(gameState, 'player3'), 0);
+    assert.equal(getAllianceIndex(gameState, 4), 1);
+    assert.equal(areAllies(gameState, 'player1', 'player3'), true);
+    assert.equal(areAllies(gameState, 'player1', 'player2'), false);
+    assert.equal(areAllies(gameState, 'player1', 'player1'), false, 'nobody is their own ally');
+    assert.deepEqual(getAllyKeys(gameState, 'player2'), ['player4']);
+});
+
+test('friendly fire only blocks damage between teammates when it is off', () => {
+    const off = { numPlayers: 4, alliances: createAllianceState({ teams: true, numPlayers: 4 }) };
+    const on = { numPlayers: 4, alliances: createAllianceState({ teams: true, friendlyFire: true, numPlayers: 4 }) };
+    assert.equal(isFriendlyFireBlocked(off, 'player3', 'player1'), true);
+    assert.equal(isFriendlyFireBlocked(off, 'player2', 'player1'), false);
+    assert.equal(isFriendlyFireBlocked(off, 'player3', null), false, 'the environment is never blocked');
+    assert.equal(isFriendlyFireBlocked(on, 'player3', 'player1'), false);
+});
+
+test('sides are the alliances, or each player alone', () => {
+    const teams = { numPlayers: 4, playersAlive: [1, 2, 3], alliances: createAllianceState({ teams: true, numPlayers: 4 }) };
+    const solo = { numPlayers: 3, playersAlive: [2], alliances: null };
+    assert.deepEqual(getSides(teams), [[1, 3], [2, 4]]);
+    assert.deepEqual(getSides(solo), [[1], [2], [3]]);
+    assert.equal(countSurvivingSides(teams), 2);
+    teams.playersAlive = [1, 3];
+    assert.equal(countSurvivingSides(teams), 1);
+    assert.equal(countSurvivingSides(solo), 1);
+});
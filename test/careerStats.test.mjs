@@ -0,0 +1,53 @@
+// careerStats.test.mjs
+// Lifetime stats count each finished match once
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel, LOG_LEVEL_ERROR } from '../src/logger.js';
+import { setGameSeed } from '../src/random.js';
+import { createGameState, applyDamage } from '../src/turnManager.js';
+import { recordCareerMatch, getLeaderboard } from '../src/careerStats.js';
+
+setLogLevel(LOG_LEVEL_ERROR);
+setGameSeed('CAREER');
+
+// Career stats live in localStorage
+/** @type {Map<string, string>} */
+const storedItems = new Map();
+/** @type {any} */ (globalThis).localStorage = {
+    getItem: (/** @type {string} */ key) => storedItems.get(key) ?? null,
+    setItem: (/** @type {string} */ key, /** @type {string} */ value) => storedItems.set(key, value)
+};
+
+beforeEach(() => storedItems.clear());
+
+const PLAYERS = /** @type {any[]} */ ([{ id: 'player1', name: 'Ann' }, { id: 'player2', name: 'Bo' }]);
+
+/**
+ * Make a finished two-player match that player 1 won on score
+ * @returns {any} Game state
+ */
+function createFinishedMatch() {
+    const gameState = createGameState({ numPlayers: 2 });
+    applyDamage(gameState, 'player2', 30, 'player1');
+    return gameState;
+}
+
+test('a finished match is added to each player\'s stats', () => {
+    assert.equal(recordCareerMatch(createFinishedMatch(), PLAYERS, 'A@1'), true);
+    const leaderboard = getLeaderboard();
+    assert.deepEqual(leaderboard.map(record => [record.name, record.gamesPlayed, record.wins]), [['Ann', 1, 1], ['Bo', 1, 0]]);
+});
+
+test('a match whose end is seen again is only recorded once', () => {
+    recordCareerMatch(createFinishedMatch(), PLAYERS, 'A@1');
+    assert.equal(recordCareerMatch(createFinishedMatch(), PLAYERS, 'A@1'), false);
+    recordCareerMatch(createFinishedMatch(), PLAYERS, 'B@2');
+    assert.deepEqual(getLeaderboard().map(record => [record.name, record.gamesPlayed]), [['Ann', 2], ['Bo', 2]]);
+});
+
+test('stats from before matches were remembered are upgraded', () => {
+    storedItems.set('careerStats', JSON.stringify({ version: 1, players: {} }));
+    assert.equal(recordCareerMatch(createFinishedMatch(), PLAYERS, 'A@1'), true);
+    assert.deepEqual(JSON.parse(storedItems.get('careerStats') ?? '').recordedMatches, ['A@1']);
+});
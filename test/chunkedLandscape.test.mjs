@@ -0,0 +1,41 @@
+// chunkedLandscape.test.mjs
+// Where a turret lands when the chunk under it is destroyed
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel, LOG_LEVEL_ERROR } from '../src/logger.js';
+import { findLandingChunkIndex } from '../src/chunkedLandscape.js';
+
+setLogLevel(LOG_LEVEL_ERROR);
+
+/** Y of the ground the turret stood on before its chunk (index 2) was destroyed */
+const GROUND_Y = 500;
+
+/**
+ * Make a row of 40px chunks from their tops (null for a destroyed chunk)
+ * @param {Array<number|null>} tops - Chunk top y, left to right
+ * @returns {any[]} Chunks
+ */
+function createChunks(tops) {
+    return tops.map((y, index) => ({
+        x: index * 40,
+        y: y ?? 800,
+        width: 40,
+        height: y === null ? 0 : 800 - y,
+        destroyed: y === null
+    }));
+}
+
+test('a turret lands on the nearest chunk, the lower one when two are as near', () => {
+    assert.equal(findLandingChunkIndex(createChunks([520, 540, null, 560, 500]), 2, GROUND_Y), 3);
+    assert.equal(findLandingChunkIndex(createChunks([520, 500, null, null, 560]), 2, GROUND_Y), 1, 'the same height is fine');
+});
+
+test('a turret never moves up onto a higher chunk', () => {
+    assert.equal(findLandingChunkIndex(createChunks([600, 450, null, null, 560]), 2, GROUND_Y), 4);
+    assert.equal(findLandingChunkIndex(createChunks([600, 450, null, 420, 600]), 2, GROUND_Y), -1, 'higher ground on both sides walls it in');
+});
+
+test('a turret doesn\'t land on a chunk another turret holds', () => {
+    assert.equal(findLandingChunkIndex(createChunks([520, 510, null, 450, 500]), 2, GROUND_Y, [1]), 0);
+});
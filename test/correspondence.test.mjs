@@ -0,0 +1,150 @@
+// correspondence.test.mjs
+// Play-by-file checks that an imported turn follows on from the match and matches it
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel, LOG_LEVEL_ERROR } from '../src/logger.js';
+import { GAME_VERSION } from '../src/constants.js';
+import { saveKnownMatches } from '../src/storage.js';
+import {
+    getMatchId, checkTurnFollowsOn, findMatchStateDifference, createTurnFile, parseTurnFile
+} from '../src/correspondence.js';
+
+setLogLevel(LOG_LEVEL_ERROR);
+
+// Turn files are read in the browser: give the module its window and a localStorage
+/** @type {Map<string, string>} */
+const storedItems = new Map();
+const globals = /** @type {any} */ (globalThis);
+globals.window = globalThis;
+globals.localStorage = {
+    getItem: (/** @type {string} */ key) => storedItems.get(key) ?? null,
+    setItem: (/** @type {string} */ key, /** @type {string} */ value) => storedItems.set(key, value)
+};
+
+beforeEach(() => storedItems.clear());
+
+const TURNS = [
+    { round: 1, player: 'player1', action: 'shot', angle: -0.8, power: 0.6, weapon: 'standard' },
+    { round: 1, player: 'player2', action: 'teleport', chunk: 12 },
+    { round: 2, player: 'player1', action: 'timeout' }
+];
+
+/**
+ * Make a match snapshot carrying the first turns of TURNS, waiting for the next player
+ * @param {number} played - How many turns have been played
+ * @returns {any} Match snapshot
+ */
+function snapshotAfter(played) {
+    const next = TURNS[played];
+    return {
+        version: 1,
+        gameVersion: GAME_VERSION,
+        savedAt: '2025-08-17T14:30:00.000Z',
+        config: { seed: 'PBF', numPlayers: 2 },
+        gameState: {
+            numPlayers: 2,
+            player1: { health: 100, score: 20, selectedWeapon: 'standard' },
+            player2: { health: 80, score: 0, selectedWeapon: 'standard' },
+            playersAlive: [1, 2],
+            currentPlayerIndex: next.player === 'player1' ? 0 : 1,
+            currentRound: next.round,
+            turnTimeLimit: 0
+        },
+        players: [{ id: 'player1', name: 'Ann', team: 'player1' }, { id: 'player2', name: 'Bo', team: 'player2' }],
+        chunks: [{ y: 400, height: 200, destroyed: false, sandDepth: 0 }, { y: 420.5, height: 180, destroyed: false, sandDepth: 0 }],
+        maskCells: null,
+        turrets: [
+            { team: 'player1', x: 120.25, y: 400, chunkIndex: 0, gunAngle: -45 },
+            { team: 'player2', x: 880.5, y: 420.5, chunkIndex: 1, gunAngle: -135 }
+        ],
+        random: { terrain: 11, wind: 22, effects: 33 },
+        replayLog: { seed: 'PBF', recordedAt: '2025-08-17T14:28:00.000Z', turns: TURNS.slice(0, played) }
+    };
+}
+
+/**
+ * Remember a match on this device as it stands in a snapshot
+ * @param {any} snapshot - Match snapshot
+ */
+function rememberOnThisDevice(snapshot) {
+    saveKnownMatches({ [getMatchId(snapshot.replayLog)]: { snapshot, updatedAt: '2025-08-17T14:31:00.000Z' } });
+}
+
+/**
+ * Turn a turn file into the text a player would import
+ * @param {any} snapshot - Match at the start of the turn
+ * @param {any} move - The move
+ * @returns {Promise<string>} Turn file contents
+ */
+function turnFileText(snapshot, move) {
+    return createTurnFile(snapshot, move).then(turnFile => JSON.stringify(turnFile));
+}
+
+test('a match is identified by its seed and when recording started', () => {
+    assert.equal(getMatchId(snapshotAfter(0).replayLog), 'PBF@2025-08-17T14:28:00.000Z');
+});
+
+test('the first turn seen from a match is played if its move is next', () => {
+    assert.equal(checkTurnFollowsOn(snapshotAfter(1), TURNS[1], null), null);
+});
+
+test('a move for the wrong player or round is out of order', () => {
+    assert.match(checkTurnFollowsOn(snapshotAfter(1), TURNS[0], null), /out of order/);
+    assert.match(checkTurnFollowsOn(snapshotAfter(1), { ...TURNS[1], round: 2 }, null), /out of order/);
+});
+
+test('a turn must carry on from the turns this device already has', () => {
+    const known = TURNS.slice(0, 1);
+    assert.equal(checkTurnFollowsOn(snapshotAfter(2), TURNS[2], known), null);
+    assert.equal(checkTurnFollowsOn(snapshotAfter(1), TURNS[1], known), null, 'the last turn received can be opened again');
+    assert.match(checkTurnFollowsOn(snapshotAfter(0), TURNS[0], known), /older turn/);
+});
+
+test('a turn whose earlier moves were rewritten is refused', () => {
+    const known = [{ ...TURNS[0], power: 0.9 }, TURNS[1]];
+    assert.match(checkTurnFollowsOn(snapshotAfter(2), TURNS[2], known), /does not carry on/);
+    assert.match(checkTurnFollowsOn(snapshotAfter(1), TURNS[1], known), /does not carry on/);
+});
+
+test('matching match states ignore save details and this device\'s session', () => {
+    const local = snapshotAfter(1);
+    const sent = snapshotAfter(1);
+    sent.savedAt = '2025-08-18T09:00:00.000Z';
+    sent.gameState.localPlayers = [];
+    sent.gameState.turnTimeLimit = 30;
+    sent.gameState.player1.selectedWeapon = 'nuke';
+    sent.turrets[0].gunAngle = -60;
+    sent.random.effects = 44;
+    sent.chunks[1].y += 1e-9;
+    assert.equal(findMatchStateDifference(local, sent), null);
+});
+
+test('match states that differ report where', () => {
+    const sent = snapshotAfter(1);
+    sent.gameState.player2.health = 100;
+    assert.equal(findMatchStateDifference(snapshotAfter(1), sent), 'gameState.player2.health');
+
+    const moved = snapshotAfter(1);
+    moved.turrets[1].x = 700;
+    assert.equal(findMatchStateDifference(snapshotAfter(1), moved), 'turrets.1.x');
+});
+
+test('a turn matching the match on this device is read', async () => {
+    rememberOnThisDevice(snapshotAfter(1));
+    const turn = await parseTurnFile(await turnFileText(snapshotAfter(1), TURNS[1]));
+    assert.deepEqual(turn.move, TURNS[1]);
+    assert.deepEqual(turn.start, snapshotAfter(1));
+});
+
+test('a turn whose match was edited and checksummed again is refused', async () => {
+    rememberOnThisDevice(snapshotAfter(1));
+    const edited = snapshotAfter(1);
+    edited.gameState.player2.health = 100;
+    await assert.rejects(parseTurnFile(await turnFileText(edited, TURNS[1])), /does not match the match/);
+});
+
+test('a turn from a match this device has not played is rebuilt from the start', async () => {
+    const turn = await parseTurnFile(await turnFileText(snapshotAfter(1), TURNS[1]));
+    assert.equal(turn.start, null);
+});
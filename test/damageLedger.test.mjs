@@ -0,0 +1,58 @@
+// damageLedger.test.mjs
+// Damage ledger totals and assist credit
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel, LOG_LEVEL_ERROR } from '../src/logger.js';
+import { recordDamage, getAssistingPlayers, getDamageLedger } from '../src/damageLedger.js';
+import { createAllianceState } from '../src/alliances.js';
+
+setLogLevel(LOG_LEVEL_ERROR);
+
+/**
+ * Minimal game state for the ledger
+ * @param {number} numPlayers - Players in the match
+ * @param {Object} [config] - Extra config for team play
+ * @returns {any} Game state
+ */
+function createLedgerState(numPlayers, config = {}) {
+    return { numPlayers, currentRound: 1, damageLog: [], alliances: createAllianceState({ ...config, numPlayers }) };
+}
+
+test('damage is totalled for the attacker and the target', () => {
+    const gameState = createLedgerState(3);
+    recordDamage(gameState, { target: 'player2', attacker: 'player1', cause: 'direct', amount: 30 });
+    recordDamage(gameState, { target: 'player2', attacker: 'player3', cause: 'area', amount: 10 });
+    recordDamage(gameState, { target: 'player1', attacker: 'player1', cause: 'fall', amount: 5 });
+    recordDamage(gameState, { target: 'player3', attacker: null, cause: 'liquid', amount: 10 });
+
+    const ledger = getDamageLedger(gameState);
+    assert.equal(ledger.player1.dealt, 30);
+    assert.equal(ledger.player1.selfInflicted, 5);
+    assert.equal(ledger.player1.taken, 5);
+    assert.deepEqual(ledger.player1.dealtTo, { player2: 30 });
+    assert.equal(ledger.player2.taken, 40);
+    assert.deepEqual(ledger.player2.takenFrom, { player1: 30, player3: 10 });
+    assert.deepEqual(ledger.player2.takenByCause, { direct: 30, area: 10 });
+    assert.deepEqual(ledger.player3.takenFrom, { environment: 10 });
+    assert.equal(gameState.damageLog[0].round, 1);
+});
+
+test('every other opponent who damaged the victim gets an assist', () => {
+    const gameState = createLedgerState(4);
+    recordDamage(gameState, { target: 'player4', attacker: 'player1', cause: 'direct', amount: 30 });
+    recordDamage(gameState, { target: 'player4', attacker: 'player2', cause: 'area', amount: 10 });
+    recordDamage(gameState, { target: 'player4', attacker: 'player4', cause: 'fall', amount: 10 });
+    recordDamage(gameState, { target: 'player4', attacker: 'player3', cause: 'direct', amount: 50 });
+    assert.deepEqual(getAssistingPlayers(gameState, 'player4', 'player3').sort(), ['player1', 'player2']);
+});
+
+test('damage to a teammate is kept apart and earns no assist', () => {
+    const gameState = createLedgerState(4, { teams: true, friendlyFire: true });
+    recordDamage(gameState, { target: 'player3', attacker: 'player1', cause: 'direct', amount: 20 });
+    recordDamage(gameState, { target: 'player3', attacker: 'player2', cause: 'direct', amount: 80 });
+    const ledger = getDamageLedger(gameState);
+    assert.equal(ledger.player1.dealt, 0);
+    assert.equal(ledger.player1.dealtToAllies, 20);
+    assert.deepEqual(getAssistingPlayers(gameState, 'player3', 'player2'), []);
+});
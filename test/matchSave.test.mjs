@@ -0,0 +1,39 @@
+// matchSave.test.mjs
+// Which saved matches can be resumed
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel, LOG_LEVEL_ERROR } from '../src/logger.js';
+import { GAME_VERSION } from '../src/constants.js';
+import { isResumableMatch } from '../src/matchSave.js';
+
+setLogLevel(LOG_LEVEL_ERROR);
+
+/**
+ * Make a saved match with just the fields the check reads
+ * @param {Object} changes - Fields to replace
+ * @returns {any} Snapshot
+ */
+function createSnapshot(changes = {}) {
+    return {
+        version: 1,
+        gameVersion: GAME_VERSION,
+        config: { seed: 'SAVE' },
+        gameState: { currentRound: 2 },
+        players: [],
+        chunks: [],
+        turrets: [],
+        replayLog: { turns: [] },
+        ...changes
+    };
+}
+
+test('a match saved by this version can be resumed', () => {
+    assert.equal(isResumableMatch(createSnapshot()), true);
+});
+
+test('a match saved by another game version or layout is refused', () => {
+    assert.equal(isResumableMatch(createSnapshot({ gameVersion: '20240101-0000' })), false);
+    assert.equal(isResumableMatch(createSnapshot({ gameVersion: undefined })), false);
+    assert.equal(isResumableMatch(createSnapshot({ version: 0 })), false);
+});
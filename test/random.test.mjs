@@ -0,0 +1,63 @@
+// random.test.mjs
+// Seeded random streams: the same seed gives the same numbers, and streams don't disturb each other
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel, LOG_LEVEL_ERROR } from '../src/logger.js';
+import { setGameSeed, getGameSeed, normalizeSeed, random, randomInt, getRandomState, setRandomState, hashString } from '../src/random.js';
+
+setLogLevel(LOG_LEVEL_ERROR);
+
+/**
+ * Draw several numbers from a stream
+ * @param {string} streamName - Stream to draw from
+ * @param {number} count - How many numbers
+ * @returns {number[]} Numbers drawn
+ */
+function draw(streamName, count) {
+    return Array.from({ length: count }, () => random(streamName));
+}
+
+test('the same seed gives the same numbers', () => {
+    setGameSeed('abc123');
+    const first = draw('terrain', 5);
+    setGameSeed('ABC123');
+    assert.deepEqual(draw('terrain', 5), first);
+    setGameSeed('OTHER');
+    assert.notDeepEqual(draw('terrain', 5), first);
+});
+
+test('drawing from one stream never shifts another', () => {
+    setGameSeed('STREAMS');
+    const wind = draw('wind', 3);
+    setGameSeed('STREAMS');
+    draw('effects', 50);
+    assert.deepEqual(draw('wind', 3), wind);
+});
+
+test('saved stream state carries on with the same draws', () => {
+    setGameSeed('RESUME');
+    draw('cpu', 4);
+    const saved = getRandomState();
+    const next = draw('cpu', 3);
+    setGameSeed('RESUME');
+    setRandomState(saved);
+    assert.deepEqual(draw('cpu', 3), next);
+});
+
+test('random integers stay within their bounds', () => {
+    setGameSeed('BOUNDS');
+    const values = Array.from({ length: 200 }, () => randomInt('weapons', 2, 5));
+    assert.ok(values.every(value => Number.isInteger(value) && value >= 2 && value <= 5));
+    assert.deepEqual([...new Set(values)].sort(), [2, 3, 4, 5]);
+});
+
+test('seeds are tidied, and a blank seed gets a random one', () => {
+    assert.equal(normalizeSeed('  hello world  '), 'HELLO WORLD');
+    assert.equal(normalizeSeed(null), '');
+    assert.equal(normalizeSeed('x'.repeat(30)).length, 20);
+    setGameSeed('');
+    assert.match(getGameSeed(), /^[0-9A-Z]{6}$/);
+    assert.equal(hashString('rocket'), hashString('rocket'));
+    assert.notEqual(hashString('rocket'), hashString('rockets'));
+});
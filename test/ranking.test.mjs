@@ -0,0 +1,62 @@
+// ranking.test.mjs
+// Results order and finishing places
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel, LOG_LEVEL_ERROR } from '../src/logger.js';
+import { setGameSeed } from '../src/random.js';
+import { createGameState, applyDamage, getRankedPlayers } from '../src/turnManager.js';
+
+setLogLevel(LOG_LEVEL_ERROR);
+setGameSeed('RANKING');
+
+/**
+ * Make a three-player match where players 1 and 2 are level on score but player 1 has less health
+ * @param {Object} config - Extra game configuration
+ * @returns {any} Game state
+ */
+function createLevelScores(config) {
+    const gameState = createGameState({ numPlayers: 3, ...config });
+    applyDamage(gameState, 'player3', 20, 'player1');
+    applyDamage(gameState, 'player3', 20, 'player2');
+    applyDamage(gameState, 'player1', 10, null);
+    return gameState;
+}
+
+test('health breaks score ties by default', () => {
+    const ranked = getRankedPlayers(createLevelScores({}));
+    assert.deepEqual(ranked.map(player => [player.number, player.place]), [[2, 1], [1, 2], [3, 3]]);
+});
+
+test('without the health tiebreak, players level on score share a place', () => {
+    const ranked = getRankedPlayers(createLevelScores({ healthTiebreak: false }));
+    assert.deepEqual(ranked.map(player => [player.number, player.place]), [[1, 1], [2, 1], [3, 3]]);
+});
+
+test('the last team standing wins even when the wiped-out team scored more', () => {
+    const gameState = createGameState({ numPlayers: 4, teams: true });
+    applyDamage(gameState, 'player2', 95, 'player1');
+    applyDamage(gameState, 'player4', 95, 'player3');
+    applyDamage(gameState, 'player1', 90, null);
+    applyDamage(gameState, 'player3', 90, null);
+    applyDamage(gameState, 'player1', 10, 'player2');
+    applyDamage(gameState, 'player3', 10, 'player4');
+    gameState.playersAlive = [2, 4];
+
+    const ranked = getRankedPlayers(gameState);
+    assert.ok(ranked[2].teamScore > ranked[0].teamScore, 'team A outscored team B');
+    assert.deepEqual(ranked.map(player => [player.number, player.place]), [[2, 1], [4, 1], [1, 2], [3, 2]]);
+});
+
+test('the last player standing wins even when a destroyed player scored more', () => {
+    const gameState = createGameState({ numPlayers: 3 });
+    applyDamage(gameState, 'player2', 60, 'player1');
+    applyDamage(gameState, 'player3', 30, 'player2');
+    applyDamage(gameState, 'player1', 100, null);
+    applyDamage(gameState, 'player3', 70, null);
+    gameState.playersAlive = [2];
+
+    const ranked = getRankedPlayers(gameState);
+    assert.ok(ranked[1].score > ranked[0].score, 'player 1 outscored player 2');
+    assert.deepEqual(ranked.map(player => [player.number, player.place]), [[2, 1], [1, 2], [3, 3]]);
+});
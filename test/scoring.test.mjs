@@ -0,0 +1,59 @@
+// scoring.test.mjs
+// Points scoring and tied leads
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel, LOG_LEVEL_ERROR } from '../src/logger.js';
+import { setGameSeed } from '../src/random.js';
+import { createGameState, applyDamage } from '../src/turnManager.js';
+import { getScores, awardSurvivalBonus, awardTerrainPoints, isLeadTied, SCORE_POINTS } from '../src/scoring.js';
+
+setLogLevel(LOG_LEVEL_ERROR);
+setGameSeed('SCORING');
+
+test('damage, kills, ground and survival all score', () => {
+    const gameState = createGameState({ numPlayers: 3 });
+    applyDamage(gameState, 'player2', 30, 'player1');
+    applyDamage(gameState, 'player3', 100, 'player1');
+    awardTerrainPoints(gameState, 'player1', 2000, 1000);
+    gameState.playersAlive = [1, 2];
+    awardSurvivalBonus(gameState);
+
+    const score = getScores(gameState).player1;
+    assert.equal(score.damage, 130 * SCORE_POINTS.damage);
+    assert.equal(score.kills, SCORE_POINTS.kill);
+    assert.equal(score.terrain, 2);
+    assert.equal(score.survival, 100 * SCORE_POINTS.survival);
+    assert.equal(score.total, score.damage + score.kills + score.terrain + score.survival);
+    assert.equal(getScores(gameState).player3.survival, 0, 'destroyed players get no survival bonus');
+});
+
+test('damage to yourself scores nothing', () => {
+    const gameState = createGameState({ numPlayers: 2 });
+    applyDamage(gameState, 'player1', 20, 'player1');
+    assert.equal(getScores(gameState).player1.damage, 0);
+});
+
+test('a tied lead counts the survival bonus still to come', () => {
+    const gameState = createGameState({ numPlayers: 2 });
+    assert.equal(isLeadTied(gameState), true);
+    applyDamage(gameState, 'player2', 10, 'player1');
+    // Player 1 has 10 damage points + 100 health, player 2 has 90 health
+    assert.equal(isLeadTied(gameState), false);
+});
+
+test('a destroyed player outscoring the survivors doesn\'t stop their tie counting', () => {
+    const gameState = createGameState({ numPlayers: 3 });
+    applyDamage(gameState, 'player2', 50, 'player1');
+    applyDamage(gameState, 'player3', 50, 'player1');
+    applyDamage(gameState, 'player1', 100, null);
+    gameState.playersAlive = [2, 3];
+    assert.equal(isLeadTied(gameState), true);
+});
+
+test('team play compares the alliances\' combined scores', () => {
+    const gameState = createGameState({ numPlayers: 4, teams: true });
+    applyDamage(gameState, 'player2', 10, 'player1');
+    applyDamage(gameState, 'player1', 10, 'player4');
+    assert.equal(isLeadTied(gameState), true);
+});
@@ -0,0 +1,108 @@
+// simulation.test.mjs
+// Headless checks of the simulation core: flight, collisions, damage and wind
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel, LOG_LEVEL_ERROR } from '../src/logger.js';
+import {
+    createSimulationWorld, createProjectileState, simulateFlight, isChunkTerrainHit,
+    calculateDirectHitDamage, calculateAreaDamage, getInitialWind, getNextWind, TURRET_RADIUS
+} from '../src/simulation.js';
+import { getWeapon } from '../src/weapons.js';
+
+setLogLevel(LOG_LEVEL_ERROR);
+
+/**
+ * Flat ground 200px deep across the world
+ * @param {number} width - World width
+ * @returns {Array<{x: number, y: number, width: number, height: number, destroyed: boolean}>} Chunks
+ */
+function createFlatChunks(width) {
+    const chunks = [];
+    for (let x = 0; x < width; x += 40) {
+        chunks.push({ x, y: 600, width: 40, height: 200, destroyed: false });
+    }
+    return chunks;
+}
+
+test('a shot arcs over and lands on the ground', () => {
+    const world = createSimulationWorld({ width: 3000, height: 800, chunks: createFlatChunks(3000) });
+    const shot = createProjectileState(400, 570, -Math.PI / 4, 0.5);
+    const { collisions, timedOut } = simulateFlight(shot, world);
+    assert.equal(timedOut, false);
+    assert.equal(collisions.terrain, true);
+    assert.ok(shot.x > 400, 'flies to the right');
+    assert.ok(shot.y >= 600 - shot.radius, 'stops at the ground');
+});
+
+test('the same shot flies the same way every time', () => {
+    const world = createSimulationWorld({ width: 3000, height: 800, wind: 35, chunks: createFlatChunks(3000) });
+    const first = createProjectileState(400, 570, -1, 0.7, 'heavy');
+    const second = createProjectileState(400, 570, -1, 0.7, 'heavy');
+    simulateFlight(first, world);
+    simulateFlight(second, world);
+    assert.deepEqual([second.x, second.y, second.flightTime], [first.x, first.y, first.flightTime]);
+});
+
+test('wind pushes a shot downwind', () => {
+    const calm = createProjectileState(1500, 570, -Math.PI / 2, 0.5);
+    const windy = createProjectileState(1500, 570, -Math.PI / 2, 0.5);
+    simulateFlight(calm, createSimulationWorld({ width: 3000, height: 800, chunks: createFlatChunks(3000) }));
+    simulateFlight(windy, createSimulationWorld({ width: 3000, height: 800, wind: 100, chunks: createFlatChunks(3000) }));
+    assert.ok(windy.x > calm.x + 50);
+});
+
+test('a shot in the way of a turret hits it', () => {
+    const world = createSimulationWorld({ width: 3000, height: 800, gravity: 20 });
+    const turret = { x: 700, y: 500 };
+    const { collisions } = simulateFlight(createProjectileState(500, 500, 0, 0.5), world, [turret]);
+    assert.equal(collisions.turret, turret);
+});
+
+test('a shot leaving the side of the world ends its flight', () => {
+    const world = createSimulationWorld({ width: 1000, height: 800, gravity: 20 });
+    const { collisions } = simulateFlight(createProjectileState(900, 300, 0, 1), world);
+    assert.equal(collisions.worldBounds, true);
+});
+
+test('a shot falling into liquid ends its flight', () => {
+    const world = createSimulationWorld({ width: 3000, height: 800, liquidSurfaceY: 700 });
+    const { collisions } = simulateFlight(createProjectileState(500, 300, Math.PI / 2, 0.3), world);
+    assert.equal(collisions.liquid, true);
+});
+
+test('chunk hits use the chunks next to the projectile', () => {
+    const chunks = createFlatChunks(400);
+    assert.equal(isChunkTerrainHit(chunks, 100, 598, 3), true);
+    assert.equal(isChunkTerrainHit(chunks, 100, 590, 3), false);
+    assert.equal(isChunkTerrainHit(chunks, 81, 650, 3), true, 'touches the chunk to the left');
+    assert.equal(isChunkTerrainHit(chunks, -20, 650, 3), false, 'off the left of the world');
+    assert.equal(isChunkTerrainHit(chunks, 5000, 650, 3), false, 'off the right of the world');
+    chunks[2].destroyed = true;
+    assert.equal(isChunkTerrainHit(chunks, 100, 650, 3), false, 'destroyed chunks are ignored');
+    assert.equal(isChunkTerrainHit([], 100, 650, 3), false);
+});
+
+test('direct hits do most damage dead centre at full speed', () => {
+    const weapon = getWeapon('standard');
+    assert.equal(calculateDirectHitDamage(weapon, 0, 1500), weapon.damage.direct.max);
+    assert.equal(calculateDirectHitDamage(weapon, TURRET_RADIUS, 0), weapon.damage.direct.min);
+    assert.ok(calculateDirectHitDamage(weapon, 5, 1500) > calculateDirectHitDamage(weapon, 20, 1500));
+});
+
+test('area damage falls off towards the edge of the blast', () => {
+    const near = { x: 100, y: 100 };
+    const edge = { x: 150, y: 100 };
+    const outside = { x: 200, y: 100 };
+    const affected = calculateAreaDamage(100, 100, 50, [near, edge, outside], { min: 3, max: 15 });
+    assert.deepEqual(affected.map(entry => [entry.turret, entry.damage]), [[near, 15], [edge, 3]]);
+});
+
+test('wind starts within the variation and drifts by at most 10', () => {
+    assert.equal(getInitialWind(30, () => 0), -30);
+    assert.equal(getInitialWind(30, () => 0.999), 30);
+    assert.equal(getNextWind(0, 50, () => 0), -10);
+    assert.equal(getNextWind(0, 50, () => 0.999), 10);
+    assert.equal(getNextWind(48, 50, () => 0.999), 50, 'clamped to the variation');
+    assert.equal(getNextWind(5, 0, () => 0.999), 0, 'no wind without variation');
+});
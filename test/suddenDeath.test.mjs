@@ -0,0 +1,43 @@
+// suddenDeath.test.mjs
+// Sudden-death tiebreak after the last round
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel, LOG_LEVEL_ERROR } from '../src/logger.js';
+import { setGameSeed } from '../src/random.js';
+import { createGameState, advanceToNextRound, isSuddenDeath } from '../src/turnManager.js';
+
+setLogLevel(LOG_LEVEL_ERROR);
+setGameSeed('SUDDEN');
+
+/**
+ * Make a two-player match on its last round with the leaders level
+ * @param {number} turnTime - Turn time limit in seconds (0 for none)
+ * @returns {any} Game state
+ */
+function createLastRound(turnTime) {
+    const gameState = createGameState({ numPlayers: 2, rounds: 2, turnTime, suddenDeath: true });
+    gameState.currentRound = 2;
+    return gameState;
+}
+
+test('a tied lead after the last round goes to sudden death with half-length turns', () => {
+    const gameState = createLastRound(30);
+    assert.equal(advanceToNextRound(gameState), true);
+    assert.equal(isSuddenDeath(gameState), true);
+    assert.equal(gameState.turnTimeLimit, 15);
+});
+
+test('sudden death turns are never shorter than 5 seconds', () => {
+    const gameState = createLastRound(6);
+    advanceToNextRound(gameState);
+    assert.equal(gameState.turnTimeLimit, 5);
+});
+
+test('untimed matches stay untimed in sudden death', () => {
+    const gameState = createLastRound(30);
+    gameState.turnTimeLimit = 0; // As replays and play-by-file matches set it
+    advanceToNextRound(gameState);
+    assert.equal(isSuddenDeath(gameState), true);
+    assert.equal(gameState.turnTimeLimit, 0);
+});
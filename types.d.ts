@@ -16,7 +16,15 @@ declare global {
   interface PlayerState {
     health: number; // Player health (0-100)
     kills: number; // Number of kills
+    teamKills?: number; // Teammates destroyed (team play with friendly fire only)
     deaths: number; // Number of deaths
+    assists: number; // Kills this player helped with (damaged the victim, but someone else got the kill)
+    stats?: import('./src/matchStats.js').PlayerStats; // Shots, hits and teleports for the post-match statistics
+    terrainPoints?: number; // Points for ground blasted away near opponents (see scoring.js)
+    survivalBonus?: number; // Points for health left, awarded when the match ends
+    selectedWeapon: string; // Weapon registry id used for the next shot
+    ammo: Record<string, number>; // Remaining stock of each limited weapon, keyed by weapon id
+    cpuDifficulty: string | null; // CPU difficulty ('easy', 'medium', 'hard') or null for a human player
   chunkIndex?: number | null; // Index into landscapeData.chunks for current base (null if eliminated/not placed)
   }
   
@@ -25,6 +33,14 @@ declare global {
     wind: WindState;
     gravity: number;
     numPlayers: number;
+    liquid: import('./src/liquid.js').LiquidState | null; // Water/lava at the bottom of the world (null if none)
+    alliances?: import('./src/alliances.js').AllianceState | null; // 2v2 teams (null if every player is on their own)
+    hill?: import('./src/hill.js').HillState | null; // King-of-the-hill zone and points (null for other game modes)
+    seed: string; // Seed shared by all random streams in this match
+    isReplay?: boolean; // True while watching a replay (turns are played from the log)
+    localPlayers?: string[]; // Player keys played on this device in an online match (undefined for local games)
+    damageLog?: import('./src/damageLedger.js').DamageEvent[]; // Every damage event this match (see damageLedger.js)
+    lastTerrainAttacker?: string | null; // Player whose shot last reshaped the terrain (credited with falls)
     
     // Rounds and turns tracking
     currentRound: number;
@@ -36,6 +52,8 @@ declare global {
     hasPlayerFiredThisTurn: boolean; // Prevent multiple shots per turn
     turnTimer: any; // Timer ID for countdown
     lastRemainingTime: number | null; // Last remaining time when timer was stopped
+    suddenDeath?: { active: boolean } | null; // Tiebreak after the last round (null if the match doesn't play one)
+    healthTiebreak?: boolean; // True if remaining health separates players tied on score (undefined in older saves: on)
     
     // Teleport state management
     teleportMode: boolean; // True when current player is in teleport mode
@@ -48,6 +66,8 @@ declare global {
   interface PlayerData {
     id?: string; // Player identifier (player1, player2, etc.)
     name: string; // User-entered name
+    cpuDifficulty?: string | null; // CPU difficulty, or null for a human player
+    profileId?: string | null; // Rated player profile (see profiles.js), or null
     color?: string; // Player color
     team?: string; // Team identifier for colors
     chunkIndex?: number | null; // Chosen chunk index for base
@@ -69,6 +89,8 @@ declare global {
       originalY: number;
       graphics?: any;
     }>;
+    mask?: import('./src/maskTerrain.js').TerrainMask; // Cell mask when the caves & overhangs terrain is used (chunks are then support columns)
+    hillZone?: import('./src/hill.js').HillZone | null; // King-of-the-hill zone, chosen with the landscape (null for other game modes)
   }
   
   // UI Panel interfaces
@@ -78,6 +100,7 @@ declare global {
     updateTeleportButton: (gameState: GameState, scene: Scene) => void;
     textElements: any;
     teleportButton: any;
+    weaponButton: any;
   }
   
   interface PlayerStatsPanel extends Phaser.GameObjects.Container {
@@ -171,6 +194,7 @@ declare global {
     startPlayerAiming?: (isKeyboardMode: boolean) => boolean;
     stopAimingAndShoot?: (isKeyboardMode: boolean) => void;
     handleTurnTimeout?: () => void;
+    changeWeapon?: (direction?: number) => boolean;
   // Unified turn progression helper
   progressTurn?: (reason: 'timeout' | 'projectile' | 'teleport' | 'manual', opts?: { delayMs?: number }) => void;
   }